@@ -0,0 +1,342 @@
+const { isEmptyValue } = require('./lead-store');
+const { resolveCountry } = require('./countries');
+
+const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', PR: 'Puerto Rico',
+    GU: 'Guam', VI: 'U.S. Virgin Islands', AS: 'American Samoa', MP: 'Northern Mariana Islands'
+};
+
+const CA_PROVINCES = {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+    NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island',
+    QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+};
+
+const AU_STATES = {
+    ACT: 'Australian Capital Territory', NSW: 'New South Wales', NT: 'Northern Territory', QLD: 'Queensland',
+    SA: 'South Australia', TAS: 'Tasmania', VIC: 'Victoria', WA: 'Western Australia'
+};
+
+const REGIONS = { US: US_STATES, CA: CA_PROVINCES, AU: AU_STATES };
+
+// Postal codes as they appear at the end of the locality part ("Springfield, IL 62701")
+const POSTAL_PATTERNS = {
+    US: /\b(\d{5})(?:-(\d{4}))?$/,
+    CA: /\b([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s?(\d[ABCEGHJ-NPRSTV-Z]\d)$/i,
+    GB: /\b(GIR|[A-Z]{1,2}\d[A-Z\d]?)\s*(\d[ABD-HJLNP-UW-Z]{2})$/i,
+    AU: /\b(\d{4})$/
+};
+
+// Tried in this order when the country isn't known - the letter-digit formats are unambiguous,
+// bare digits only count next to a state
+const PARSED_COUNTRIES = ['CA', 'GB', 'US', 'AU'];
+
+// USPS-style suffixes; UK addresses keep the street type spelled out
+const STREET_SUFFIXES = {
+    street: 'St', avenue: 'Ave', road: 'Rd', boulevard: 'Blvd', drive: 'Dr', lane: 'Ln', court: 'Ct',
+    place: 'Pl', square: 'Sq', parkway: 'Pkwy', highway: 'Hwy', terrace: 'Ter', circle: 'Cir',
+    crescent: 'Cres', expressway: 'Expy', freeway: 'Fwy', trail: 'Trl', turnpike: 'Tpke', way: 'Way'
+};
+const DIRECTIONS = {
+    north: 'N', south: 'S', east: 'E', west: 'W', northeast: 'NE', northwest: 'NW', southeast: 'SE', southwest: 'SW',
+    n: 'N', s: 'S', e: 'E', w: 'W', ne: 'NE', nw: 'NW', se: 'SE', sw: 'SW'
+};
+
+const UNIT_DESIGNATORS = {
+    suite: 'Suite', ste: 'Suite', unit: 'Unit', apt: 'Apt', apartment: 'Apt', flat: 'Flat', floor: 'Floor',
+    fl: 'Floor', level: 'Level', lvl: 'Level', room: 'Room', rm: 'Room', building: 'Building', bldg: 'Building',
+    shop: 'Shop', '#': '#'
+};
+const UNIT_PATTERN = /(?:^|\s)(suite|ste|unit|apt|apartment|flat|floor|fl|level|lvl|room|rm|building|bldg|shop|#)\.?\s*#?\s*([A-Z0-9][A-Z0-9-]*)$/i;
+const LEADING_UNIT_PATTERN = /^(suite|ste|unit|apt|apartment|flat|floor|fl|level|lvl|room|rm|building|bldg|shop|#)\.?\s*#?\s*([A-Z0-9][A-Z0-9-]*)\b[\s,]*/i;
+
+// Phone numbers end up in address fields often enough to check ("(555) 555-5555", "+44 20 7946 0958")
+function looksLikePhone(text) {
+    const digitCount = (text.match(/\d/g) || []).length;
+    return /^[\d\s\-().+]+$/.test(text) && digitCount >= 7;
+}
+
+// Street types and unit words, spelled out or abbreviated, as whole words
+const STREET_WORDS = new RegExp(`\\b(${[
+    ...Object.keys(STREET_SUFFIXES), ...Object.values(STREET_SUFFIXES), ...Object.keys(UNIT_DESIGNATORS).filter(word => word !== '#')
+].join('|')})\\b`, 'i');
+
+// Business or person names and fragments end up in address fields too ("Golden Dragon Restaurant",
+// "John Smith", "Main"): two to four capitalised words with no number or street word, the lead's own
+// name, or anything shorter than the shortest real street address
+function looksLikeName(text, companyName) {
+    if (text.length < 10) return true;
+    if (!isEmptyValue(companyName) && text.toLowerCase() === String(companyName).trim().toLowerCase()) return true;
+
+    const words = text.split(' ');
+    return words.length >= 2 && words.length <= 4 && !/\d/.test(text) && !STREET_WORDS.test(text) &&
+        words.every(word => /^[A-Z][a-z]+$/.test(word));
+}
+
+function formatUnit(designator, id) {
+    const canonical = UNIT_DESIGNATORS[designator.toLowerCase()];
+    return canonical === '#' ? `#${id.toUpperCase()}` : `${canonical} ${id.toUpperCase()}`;
+}
+
+// Fix all-lowercase / all-uppercase input ("123 MAIN ST" -> "123 Main St")
+function fixCase(text) {
+    if (text !== text.toLowerCase() && text !== text.toUpperCase()) return text;
+    return text.toLowerCase().replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+function standardizeStreet(street, country) {
+    const words = fixCase(street).split(/\s+/);
+    if (country !== 'US' && country !== 'CA' && country !== 'AU') return words.join(' ');
+
+    // Abbreviate the street type and a trailing direction ("Queen Street West" -> "Queen St W")
+    return words.map((word, i) => {
+        const key = word.toLowerCase().replace(/\.$/, '');
+        const isLast = i === words.length - 1;
+        const beforeDirection = i === words.length - 2 && DIRECTIONS[words[words.length - 1].toLowerCase().replace(/\.$/, '')];
+        if (i > 0 && (isLast || beforeDirection) && STREET_SUFFIXES[key]) return STREET_SUFFIXES[key];
+        if ((i === 0 || isLast) && words.length > 2 && country === 'US' && DIRECTIONS[key]) return DIRECTIONS[key];
+        return word;
+    }).join(' ');
+}
+
+// "123 Main St Ste 200" / "5/12 George St" / "Unit 5 12 George St" / "Hauptstraße 5" -> parts
+function parseStreetLine(line, country) {
+    let rest = line.trim();
+    let unit = null;
+
+    const leading = rest.match(LEADING_UNIT_PATTERN);
+    if (leading && /\d/.test(rest.slice(leading[0].length))) {
+        unit = formatUnit(leading[1], leading[2]);
+        rest = rest.slice(leading[0].length);
+    }
+    const trailing = rest.match(UNIT_PATTERN);
+    if (!unit && trailing && trailing.index > 0) {
+        unit = formatUnit(trailing[1], trailing[2]);
+        rest = rest.slice(0, trailing.index).trim();
+    }
+
+    // Australian "5/12 George St" and Canadian "200-100 Queen St W" put the unit before the number
+    const slashed = rest.match(/^(\w+)\s*\/\s*(\d+[A-Z]?)\s+(.+)$/i);
+    const hyphenated = country === 'CA' && rest.match(/^(\d+[A-Z]?)-(\d+[A-Z]?)\s+(.+)$/i);
+    const prefixed = slashed || hyphenated;
+    if (prefixed && !unit) {
+        return { streetNumber: prefixed[2].toUpperCase(), street: standardizeStreet(prefixed[3], country), unit: `Unit ${prefixed[1].toUpperCase()}` };
+    }
+
+    const numberFirst = rest.match(/^(\d+[A-Z]?(?:-\d+[A-Z]?)?)\s+(.+)$/i);
+    if (numberFirst) {
+        return { streetNumber: numberFirst[1].toUpperCase(), street: standardizeStreet(numberFirst[2], country), unit };
+    }
+
+    // Continental European order ("Hauptstraße 5")
+    const numberLast = !REGIONS[country] && country !== 'GB' && rest.match(/^(.+?)\s+(\d+[A-Z]?)$/i);
+    if (numberLast) {
+        return { streetNumber: numberLast[2].toUpperCase(), street: standardizeStreet(numberLast[1], country), unit };
+    }
+
+    return { streetNumber: null, street: rest ? standardizeStreet(rest, country) : null, unit };
+}
+
+// Region code from a code or full name at the end of text: "Springfield IL" -> { region: 'IL', rest: 'Springfield', byCode: true }
+function matchRegion(text, country) {
+    const regions = REGIONS[country];
+    if (!regions || !text) return null;
+
+    const names = Object.entries(regions)
+        .flatMap(([code, name]) => [[code, code], [name, code]])
+        .sort((a, b) => b[0].length - a[0].length);
+
+    for (const [name, code] of names) {
+        const pattern = new RegExp(`(?:^|[\\s,])${name.replace(/\./g, '\\.')}\\.?$`, name === code ? '' : 'i');
+        const match = text.match(pattern);
+        // Codes must be written in capitals so "Main St, Ca" or a city called "Wa..." isn't a state
+        if (match) {
+            return { region: code, rest: text.slice(0, match.index).trim(), byCode: name === code };
+        }
+    }
+    return null;
+}
+
+function formatPostalCode(match, country) {
+    if (country === 'US') return match[2] ? `${match[1]}-${match[2]}` : match[1];
+    if (country === 'CA' || country === 'GB') return `${match[1]} ${match[2]}`.toUpperCase();
+    return match[1];
+}
+
+const looksLikeStreet = (part) => /^\d|^(suite|ste|unit|apt|flat|#|p\.?\s?o\.?\s+box)\b/i.test(part);
+
+// City, region and postal code from the trailing parts for one country's conventions.
+// Returns null when the parts don't fit that country (only checked when the country was inferred).
+function parseLocality(parts, country, inferred) {
+    const last = parts.length - 1;
+    const tail = parts[last];
+    let rest = tail;
+    let postalCode = null;
+    let region = null;
+
+    const postal = POSTAL_PATTERNS[country] && rest.match(POSTAL_PATTERNS[country]);
+    if (postal) {
+        postalCode = formatPostalCode(postal, country);
+        rest = rest.slice(0, postal.index).replace(/[\s,]+$/, '');
+    }
+
+    const regionMatch = matchRegion(rest, country);
+    if (regionMatch) {
+        region = regionMatch.region;
+        rest = regionMatch.rest;
+    }
+
+    if (inferred) {
+        // A postcode alone identifies CA/GB; bare digits need a state next to them, and a state
+        // without a postal code only counts as a capitalised code ("Springfield, IL")
+        const fits = country === 'GB'
+            ? Boolean(postalCode)
+            : Boolean((postalCode && (region || country === 'CA')) || (!postalCode && regionMatch?.byCode));
+        if (!fits) return null;
+    } else if (!postalCode && !region) {
+        // Generic locality: "10115 Berlin" / "Berlin 10115" / "Paris"
+        const generic = parts.length > 1 && (tail.match(/^(\d{4,6})\s+(\D.*)$/) || tail.match(/^(\D.*?)\s+(\d{4,6})$/));
+        if (generic) {
+            const [city, code] = /^\d/.test(generic[1]) ? [generic[2], generic[1]] : [generic[1], generic[2]];
+            return { city: fixCase(city), region: null, postalCode: code, streetParts: parts.slice(0, last) };
+        }
+        if (looksLikeStreet(tail)) return { city: null, region: null, postalCode: null, streetParts: parts };
+        return { city: fixCase(tail), region: null, postalCode: null, streetParts: parts.slice(0, last) };
+    }
+
+    // Whatever is left in front of the region/postal code is the city ("Sydney NSW 2000"),
+    // otherwise the part before it is ("Springfield, IL 62701")
+    let city = rest || null;
+    let streetParts = parts.slice(0, last);
+    if (!city && streetParts.length > 0 && !looksLikeStreet(streetParts[streetParts.length - 1])) {
+        city = streetParts.pop();
+    } else if (city && country === 'GB' && streetParts.length > 1 && !looksLikeStreet(streetParts[streetParts.length - 1])) {
+        // "Guildford, Surrey GU1 3AA": the county sits next to the postcode
+        region = city;
+        city = streetParts.pop();
+    }
+
+    return { city: city ? fixCase(city) : null, region, postalCode, streetParts };
+}
+
+// Split an address into { streetNumber, street, unit, city, region, postalCode, country, line1, formatted }.
+// options.country (name or code) is used when the address doesn't end with one. US, CA, GB and AU
+// postal formats are recognised; other countries get a best-effort street / postal code / city split.
+// Returns null for empty input and for phone numbers sitting in an address field.
+function parseAddress(address, options = {}) {
+    if (isEmptyValue(address)) return null;
+    const text = String(address).replace(/\s+/g, ' ').trim();
+    if (!text || looksLikePhone(text)) return null;
+
+    let parts = text.split(/\s*[,;\n]\s*/).filter(Boolean);
+    let country = resolveCountry(options.country)?.code || null;
+
+    // A trailing country name ("..., USA") - but not a state that happens to share a country's name
+    const lastPart = parts[parts.length - 1];
+    const isRegionName = Object.values(REGIONS).some(regions =>
+        Object.entries(regions).some(([code, name]) => code === lastPart || name.toLowerCase() === lastPart.toLowerCase()));
+    const named = parts.length > 1 && !/\d/.test(lastPart) && (lastPart.length > 2 || lastPart === 'UK' || lastPart === 'US') && !isRegionName
+        ? resolveCountry(lastPart)
+        : null;
+    if (named) {
+        country = named.code;
+        parts = parts.slice(0, -1);
+    }
+
+    let locality = null;
+    if (parts.length > 0) {
+        // A country from the lead that the address clearly doesn't fit ("..., IL 62701" on a UK lead)
+        // gives way to the one whose postal code and region it does fit
+        const fitsGiven = country && !named && parseLocality(parts, country, true);
+        if (!fitsGiven && !named) {
+            for (const candidate of PARSED_COUNTRIES.filter(code => code !== country)) {
+                locality = parseLocality(parts, candidate, true);
+                if (locality) {
+                    country = candidate;
+                    break;
+                }
+            }
+        }
+        if (!locality) locality = parseLocality(parts, country, false);
+    }
+
+    // The first numbered part is the street line; unit-only parts ("Suite 200", "Flat 2") are the unit
+    const streetParts = locality ? locality.streetParts : [];
+    const unitParts = streetParts.filter(part => part.replace(LEADING_UNIT_PATTERN, '') === '');
+    const lineParts = streetParts.filter(part => !unitParts.includes(part));
+    const streetLine = lineParts.find(part => /^\d/.test(part) || /\/\d/.test(part)) || lineParts[lineParts.length - 1] || '';
+    const street = parseStreetLine(streetLine, country);
+    const unitMatch = unitParts[0]?.match(LEADING_UNIT_PATTERN);
+    const unit = street.unit || (unitMatch ? formatUnit(unitMatch[1], unitMatch[2]) : null);
+
+    const parsed = {
+        streetNumber: street.streetNumber,
+        street: street.street,
+        unit,
+        city: locality?.city || null,
+        region: locality?.region || null,
+        postalCode: locality?.postalCode || null,
+        country
+    };
+
+    if (!parsed.street && !parsed.city && !parsed.postalCode) return null;
+
+    const line1 = [parsed.streetNumber, parsed.street].filter(Boolean).join(' ') || null;
+    return {
+        ...parsed,
+        line1,
+        formatted: formatAddress(parsed, line1)
+    };
+}
+
+// One standardized line in the country's usual order
+function formatAddress(parsed, line1) {
+    const street = [line1, parsed.unit].filter(Boolean).join(', ');
+    let locality;
+    if (parsed.country === 'GB') {
+        locality = [parsed.city, parsed.region, parsed.postalCode];
+    } else if (REGIONS[parsed.country]) {
+        locality = [parsed.city, [parsed.region, parsed.postalCode].filter(Boolean).join(' ')];
+    } else {
+        locality = [[parsed.postalCode, parsed.city].filter(Boolean).join(' ')];
+    }
+    return [street, ...locality, parsed.country].filter(Boolean).join(', ') || null;
+}
+
+// Add addressParts to a lead and fill its empty city / state / zipcode / country from them.
+// Values the provider returned as separate fields are never overwritten. A phone number or
+// name in the address field is replaced with 'N/A'.
+function withParsedAddress(lead) {
+    const text = isEmptyValue(lead.address) ? null : String(lead.address).replace(/\s+/g, ' ').trim();
+    if (text !== null && (looksLikePhone(text) || looksLikeName(text, lead.companyName))) {
+        return { ...lead, address: 'N/A', addressParts: null };
+    }
+
+    const parts = parseAddress(lead.address, { country: lead.countryCode || lead.country });
+    if (!parts) {
+        return { ...lead, addressParts: null };
+    }
+
+    const fill = (value, current) => (isEmptyValue(current) && value ? value : current);
+    return {
+        ...lead,
+        city: fill(parts.city, lead.city),
+        state: fill(parts.region, lead.state),
+        zipcode: fill(parts.postalCode, lead.zipcode),
+        country: fill(parts.country, lead.country),
+        addressParts: parts
+    };
+}
+
+module.exports = {
+    parseAddress,
+    withParsedAddress
+};
@@ -0,0 +1,127 @@
+const { getDatabase } = require('./db');
+
+const MINUTE_MS = 60 * 1000;
+
+const METRICS = ['requests', 'providerCalls'];
+
+// Default budgets per window. requests = API requests, providerCalls = live (uncached) upstream calls to Google,
+// Yelp, Apollo, PDL, Hunter, Numverify and the AI providers - one search can make hundreds of these.
+const DEFAULT_LIMITS = {
+    requests: { windowMinutes: 15, user: 1000, workspace: 3000 },
+    providerCalls: { windowMinutes: 60, user: 2000, workspace: 6000 }
+};
+
+// Env prefix per metric: QUOTA_USER_REQUESTS, QUOTA_WORKSPACE_PROVIDER_CALLS, QUOTA_REQUESTS_WINDOW_MINUTES, ...
+const ENV_NAMES = { requests: 'REQUESTS', providerCalls: 'PROVIDER_CALLS' };
+
+function limitFromEnv(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    if (value === 'none') return null;
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : Math.max(parsed, 0);
+}
+
+// { windowMinutes, user, workspace } for a metric (null = no cap)
+function quotaLimits(metric) {
+    const defaults = DEFAULT_LIMITS[metric];
+    const envName = ENV_NAMES[metric];
+    return {
+        windowMinutes: limitFromEnv(`QUOTA_${envName}_WINDOW_MINUTES`, defaults.windowMinutes) || defaults.windowMinutes,
+        user: limitFromEnv(`QUOTA_USER_${envName}`, defaults.user),
+        workspace: limitFromEnv(`QUOTA_WORKSPACE_${envName}`, defaults.workspace)
+    };
+}
+
+const windowStart = (windowMinutes, now) => Math.floor(now / (windowMinutes * MINUTE_MS)) * windowMinutes * MINUTE_MS;
+
+// Request and provider-call budgets per user and per workspace, in fixed windows. Counts live in SQLite,
+// so they hold across restarts and are shared by every instance using the same database.
+function createApiQuotas() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS api_quota_usage (
+            scope TEXT NOT NULL,
+            subject TEXT NOT NULL,
+            metric TEXT NOT NULL,
+            window_start TEXT NOT NULL,
+            count INTEGER NOT NULL,
+            PRIMARY KEY (scope, subject, metric, window_start)
+        );
+    `);
+
+    const getStatement = db.prepare(`
+        SELECT count FROM api_quota_usage WHERE scope = ? AND subject = ? AND metric = ? AND window_start = ?
+    `);
+    const addStatement = db.prepare(`
+        INSERT INTO api_quota_usage (scope, subject, metric, window_start, count)
+        VALUES (@scope, @subject, @metric, @windowStart, @count)
+        ON CONFLICT(scope, subject, metric, window_start) DO UPDATE SET count = count + excluded.count
+    `);
+    const pruneStatement = db.prepare('DELETE FROM api_quota_usage WHERE window_start < ?');
+
+    let lastPruned = 0;
+
+    // Who a request or call counts against: its user (if any) and its workspace
+    const subjectsOf = ({ userId, workspaceId }) => [['user', userId], ['workspace', workspaceId]]
+        .filter(([, subject]) => subject);
+
+    // { scope, metric, limit, used, remaining, windowMinutes, resetsAt } (limit/remaining null = no cap)
+    function status(metric, scope, subject, now = Date.now()) {
+        const limits = quotaLimits(metric);
+        const start = windowStart(limits.windowMinutes, now);
+        const used = getStatement.get(scope, subject, metric, new Date(start).toISOString())?.count || 0;
+        const limit = limits[scope];
+        return {
+            scope,
+            metric,
+            limit,
+            used,
+            remaining: limit === null ? null : Math.max(limit - used, 0),
+            windowMinutes: limits.windowMinutes,
+            resetsAt: new Date(start + limits.windowMinutes * MINUTE_MS).toISOString()
+        };
+    }
+
+    // The owner's status for a metric with the least left: the user's or the workspace's
+    function tightest(metric, owner, now = Date.now()) {
+        const statuses = subjectsOf(owner).map(([scope, subject]) => status(metric, scope, subject, now));
+        return statuses.filter(entry => entry.limit !== null)
+            .sort((a, b) => a.remaining - b.remaining)[0] || statuses[0] || null;
+    }
+
+    // The exhausted status when the owner has no budget left for the metric, or null
+    function exceeded(metric, owner, now = Date.now()) {
+        const entry = tightest(metric, owner, now);
+        return entry && entry.remaining === 0 ? entry : null;
+    }
+
+    function add(metric, owner, count = 1, now = Date.now()) {
+        const windowStartAt = new Date(windowStart(quotaLimits(metric).windowMinutes, now)).toISOString();
+        for (const [scope, subject] of subjectsOf(owner)) {
+            addStatement.run({ scope, subject, metric, windowStart: windowStartAt, count });
+        }
+
+        // Drop windows older than a week now and then
+        if (now - lastPruned > 10 * MINUTE_MS) {
+            lastPruned = now;
+            pruneStatement.run(new Date(now - 7 * 24 * 60 * MINUTE_MS).toISOString());
+        }
+    }
+
+    // Every budget of the owner: { requests: { user, workspace }, providerCalls: { user, workspace } }
+    function report(owner, now = Date.now()) {
+        return Object.fromEntries(METRICS.map(metric => [metric, Object.fromEntries(
+            subjectsOf(owner).map(([scope, subject]) => [scope, status(metric, scope, subject, now)])
+        )]));
+    }
+
+    return { status, tightest, exceeded, add, report };
+}
+
+module.exports = {
+    METRICS,
+    quotaLimits,
+    createApiQuotas
+};
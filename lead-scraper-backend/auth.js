@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./db');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const USERNAME_PATTERN = /^[a-z0-9._@-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// scrypt parameters; the hash is stored as scrypt$<salt>$<key>
+const SCRYPT_KEY_LENGTH = 64;
+
+// SESSION_TTL_HOURS: how long a sign-in lasts (default 7 days)
+const sessionTtlHours = () => parseFloat(process.env.SESSION_TTL_HOURS) || 168;
+
+// A stream token has to be used within this time
+const STREAM_TOKEN_TTL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${key}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, key] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !key) return false;
+
+    const expected = Buffer.from(key, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+// Returns an error message for invalid sign-up credentials, or null
+function validateCredentials({ username, password } = {}) {
+    if (!USERNAME_PATTERN.test(normalizeUsername(username))) {
+        return 'username must be 3-64 characters: letters, digits, ".", "_", "-" or "@"';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// The user as the API shows it (never the password hash)
+function userFromRow(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        name: row.name,
+        email: row.email,
+        authMethod: row.oidc_subject ? 'oidc' : row.password_hash ? 'password' : 'invited',
+        lastWorkspaceId: row.last_workspace_id,
+        createdAt: row.created_at,
+        lastLoginAt: row.last_login_at
+    };
+}
+
+// Users (local password or OIDC sign-in) and their sessions. Session tokens are random and only their
+// SHA-256 is stored, so a copy of the database can't be used to sign in.
+function createAuthStore() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id TEXT PRIMARY KEY,
+            username TEXT NOT NULL UNIQUE,
+            name TEXT,
+            email TEXT,
+            password_hash TEXT,
+            oidc_issuer TEXT,
+            oidc_subject TEXT,
+            last_workspace_id TEXT,
+            created_at TEXT NOT NULL,
+            last_login_at TEXT
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc ON users (oidc_issuer, oidc_subject);
+        CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            workspace_id TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            expires_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+        CREATE TABLE IF NOT EXISTS stream_tokens (
+            token_hash TEXT PRIMARY KEY,
+            session_hash TEXT NOT NULL,
+            path TEXT NOT NULL,
+            expires_at TEXT NOT NULL
+        );
+    `);
+
+    const getStatement = db.prepare('SELECT * FROM users WHERE id = ?');
+    const getByUsernameStatement = db.prepare('SELECT * FROM users WHERE username = ?');
+    const getByOidcStatement = db.prepare('SELECT * FROM users WHERE oidc_issuer = ? AND oidc_subject = ?');
+    const getInvitedStatement = db.prepare('SELECT * FROM users WHERE email = ? AND password_hash IS NULL AND oidc_subject IS NULL');
+    const linkOidcStatement = db.prepare('UPDATE users SET oidc_issuer = @issuer, oidc_subject = @subject, name = COALESCE(name, @name) WHERE id = @id');
+    const countStatement = db.prepare('SELECT COUNT(*) AS count FROM users');
+    const insertStatement = db.prepare(`
+        INSERT INTO users (id, username, name, email, password_hash, oidc_issuer, oidc_subject, created_at)
+        VALUES (@id, @username, @name, @email, @passwordHash, @oidcIssuer, @oidcSubject, @createdAt)
+    `);
+    const loginStatement = db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?');
+    const lastWorkspaceStatement = db.prepare('UPDATE users SET last_workspace_id = ? WHERE id = ?');
+    const insertSessionStatement = db.prepare(`
+        INSERT INTO sessions (token_hash, user_id, workspace_id, created_at, expires_at)
+        VALUES (@tokenHash, @userId, @workspaceId, @createdAt, @expiresAt)
+    `);
+    const getSessionStatement = db.prepare('SELECT * FROM sessions WHERE token_hash = ? AND expires_at > ?');
+    const sessionWorkspaceStatement = db.prepare('UPDATE sessions SET workspace_id = ? WHERE token_hash = ?');
+    const deleteSessionStatement = db.prepare('DELETE FROM sessions WHERE token_hash = ?');
+    const pruneSessionsStatement = db.prepare('DELETE FROM sessions WHERE expires_at <= ?');
+    const insertStreamTokenStatement = db.prepare(`
+        INSERT INTO stream_tokens (token_hash, session_hash, path, expires_at) VALUES (@tokenHash, @sessionHash, @path, @expiresAt)
+    `);
+    const getStreamTokenStatement = db.prepare('SELECT * FROM stream_tokens WHERE token_hash = ?');
+    const deleteStreamTokenStatement = db.prepare('DELETE FROM stream_tokens WHERE token_hash = ?');
+    const pruneStreamTokensStatement = db.prepare('DELETE FROM stream_tokens WHERE expires_at <= ?');
+
+    function get(id) {
+        const row = getStatement.get(id);
+        return row ? userFromRow(row) : null;
+    }
+
+    function findByUsername(username) {
+        const row = getByUsernameStatement.get(normalizeUsername(username));
+        return row ? userFromRow(row) : null;
+    }
+
+    function countUsers() {
+        return countStatement.get().count;
+    }
+
+    function insert({ username, name = null, email = null, passwordHash = null, oidcIssuer = null, oidcSubject = null }) {
+        const id = `usr_${crypto.randomBytes(8).toString('hex')}`;
+        insertStatement.run({
+            id,
+            username: normalizeUsername(username),
+            name,
+            email,
+            passwordHash,
+            oidcIssuer,
+            oidcSubject,
+            createdAt: new Date().toISOString()
+        });
+        return get(id);
+    }
+
+    // A local user; throws on a taken username (check findByUsername first)
+    function createUser({ username, password, name, email }) {
+        return insert({ username, name, email, passwordHash: hashPassword(password) });
+    }
+
+    // The user for the username and password, or null
+    function authenticate(username, password) {
+        const row = getByUsernameStatement.get(normalizeUsername(username));
+        if (!row || !row.password_hash || typeof password !== 'string' || !checkPassword(password, row.password_hash)) {
+            return null;
+        }
+        return userFromRow(row);
+    }
+
+    // An account for someone who will sign in with OIDC: named after their email, with no password.
+    // Throws on a taken username (check findByUsername first).
+    function createInvitedUser({ email, name }) {
+        return insert({ username: email, name, email: normalizeUsername(email) });
+    }
+
+    // The user an OIDC identity signed in as before, else the invited account for its verified email
+    // (which it then signs in as), or null
+    function findOidcUser({ issuer, subject, name, email, emailVerified }) {
+        const row = getByOidcStatement.get(issuer, subject);
+        if (row) return userFromRow(row);
+
+        const invited = email && emailVerified ? getInvitedStatement.get(normalizeUsername(email)) : null;
+        if (!invited) return null;
+
+        linkOidcStatement.run({ id: invited.id, issuer, subject, name: name || null });
+        return get(invited.id);
+    }
+
+    // A new user for an OIDC identity, named after its preferred username / email
+    function createOidcUser({ issuer, subject, username, name, email }) {
+        const base = normalizeUsername(username).replace(/[^a-z0-9._@-]/g, '').slice(0, 56) || 'user';
+        let candidate = base;
+        while (getByUsernameStatement.get(candidate)) {
+            candidate = `${base}-${crypto.randomBytes(3).toString('hex')}`;
+        }
+        return insert({ username: candidate, name, email, oidcIssuer: issuer, oidcSubject: subject });
+    }
+
+    function setLastWorkspace(userId, workspaceId) {
+        lastWorkspaceStatement.run(workspaceId, userId);
+    }
+
+    // A new session in the workspace; returns the token to hand to the client (only its hash is kept)
+    function createSession(userId, workspaceId) {
+        const now = new Date();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(now.getTime() + sessionTtlHours() * HOUR_MS).toISOString();
+
+        pruneSessionsStatement.run(now.toISOString());
+        insertSessionStatement.run({ tokenHash: hashToken(token), userId, workspaceId, createdAt: now.toISOString(), expiresAt });
+        loginStatement.run(now.toISOString(), userId);
+        lastWorkspaceStatement.run(workspaceId, userId);
+        return { token, expiresAt };
+    }
+
+    function sessionByHash(tokenHash) {
+        const session = getSessionStatement.get(tokenHash, new Date().toISOString());
+        const user = session ? get(session.user_id) : null;
+        return user ? { user, workspaceId: session.workspace_id, expiresAt: session.expires_at } : null;
+    }
+
+    // { user, workspaceId, expiresAt } for a live session token, or null
+    function getSession(token) {
+        return token ? sessionByHash(hashToken(token)) : null;
+    }
+
+    // A one-time token for a GET of `path` that can't send headers (EventSource), acting for the session
+    // for STREAM_TOKEN_TTL_MS. The session token itself never goes in a URL.
+    function createStreamToken(sessionToken, path) {
+        const now = Date.now();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(now + STREAM_TOKEN_TTL_MS).toISOString();
+
+        pruneStreamTokensStatement.run(new Date(now).toISOString());
+        insertStreamTokenStatement.run({ tokenHash: hashToken(token), sessionHash: hashToken(sessionToken), path, expiresAt });
+        return { token, expiresAt };
+    }
+
+    // The session a stream token acts for, if it is unused, unexpired and was issued for `path`; else null.
+    // The token is spent either way.
+    function useStreamToken(token, path) {
+        if (!token) return null;
+        const row = getStreamTokenStatement.get(hashToken(token));
+        if (!row) return null;
+
+        deleteStreamTokenStatement.run(row.token_hash);
+        if (row.path !== path || row.expires_at <= new Date().toISOString()) return null;
+        return sessionByHash(row.session_hash);
+    }
+
+    function setSessionWorkspace(token, workspaceId) {
+        sessionWorkspaceStatement.run(workspaceId, hashToken(token));
+    }
+
+    function deleteSession(token) {
+        deleteSessionStatement.run(hashToken(token));
+    }
+
+    return {
+        get,
+        findByUsername,
+        countUsers,
+        createUser,
+        authenticate,
+        createInvitedUser,
+        findOidcUser,
+        createOidcUser,
+        setLastWorkspace,
+        createSession,
+        getSession,
+        createStreamToken,
+        useStreamToken,
+        setSessionWorkspace,
+        deleteSession
+    };
+}
+
+module.exports = {
+    normalizeUsername,
+    validateCredentials,
+    createAuthStore
+};
@@ -0,0 +1,81 @@
+const countries = require('i18n-iso-countries');
+const { isEmptyValue } = require('./lead-store');
+
+// Providers return country names in English; a few local-language names show up in
+// manual input and scraped addresses
+const LOCALES = ['en', 'de', 'fr', 'es'];
+for (const locale of LOCALES) {
+    countries.registerLocale(require(`i18n-iso-countries/langs/${locale}.json`));
+}
+
+// Common names that aren't in the ISO name lists
+const ALIASES = {
+    'america': 'US',
+    'united states of america': 'US',
+    'britain': 'GB',
+    'england': 'GB',
+    'scotland': 'GB',
+    'wales': 'GB',
+    'northern ireland': 'GB',
+    'holland': 'NL',
+    'korea': 'KR',
+    'south korea': 'KR',
+    'north korea': 'KP'
+};
+
+// Display names where the ISO list leads with the formal one
+const COMMON_NAMES = {
+    US: 'United States',
+    RU: 'Russia',
+    IR: 'Iran',
+    TW: 'Taiwan',
+    TZ: 'Tanzania',
+    MK: 'North Macedonia',
+    PS: 'Palestine',
+    MD: 'Moldova',
+    SY: 'Syria',
+    LA: 'Laos',
+    BN: 'Brunei',
+    VA: 'Vatican City',
+    FM: 'Micronesia'
+};
+
+// A country as { code, alpha3, name } from an ISO alpha-2, alpha-3 or numeric code,
+// or an English/German/French/Spanish country name. Null when it can't be resolved.
+function resolveCountry(value) {
+    if (isEmptyValue(value)) return null;
+    const text = String(value).trim();
+    if (!text) return null;
+
+    let code = null;
+    if (/^[A-Za-z]{2}$/.test(text)) {
+        // "UK" is not an ISO code but is what most people mean
+        code = text.toUpperCase() === 'UK' ? 'GB' : text.toUpperCase();
+    } else if (/^[A-Za-z]{3}$/.test(text) && countries.alpha3ToAlpha2(text.toUpperCase())) {
+        code = countries.alpha3ToAlpha2(text.toUpperCase());
+    } else if (/^\d{1,3}$/.test(text)) {
+        code = countries.numericToAlpha2(text.padStart(3, '0')) || null;
+    } else {
+        code = ALIASES[text.toLowerCase()] ||
+            LOCALES.map(locale => countries.getSimpleAlpha2Code(text, locale)).find(Boolean) ||
+            null;
+    }
+
+    if (!code || !countries.isValid(code)) return null;
+
+    return {
+        code,
+        alpha3: countries.alpha2ToAlpha3(code),
+        name: COMMON_NAMES[code] || countries.getName(code, 'en')
+    };
+}
+
+// Just the alpha-2 code, for provider parameters
+function countryCodeOf(value) {
+    return resolveCountry(value)?.code || null;
+}
+
+module.exports = {
+    resolveCountry,
+    countryCodeOf
+};
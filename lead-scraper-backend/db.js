@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+let database = null;
+
+// Open the shared SQLite database (created on first use)
+function getDatabase() {
+    if (database) {
+        return database;
+    }
+
+    const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'leads.db');
+
+    if (dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    database = new Database(dbPath);
+    database.pragma('journal_mode = WAL');
+    database.pragma('foreign_keys = ON');
+
+    return database;
+}
+
+// Add a column to a table created by an older version (CREATE TABLE IF NOT EXISTS won't).
+// Returns true when the column was added.
+function addColumnIfMissing(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name);
+    if (columns.includes(column)) return false;
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+module.exports = { getDatabase, addColumnIfMissing };
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { isEmptyValue } = require('./lead-store');
+const { phoneKey, extractDomain, normalizeName, normalizeStreet, compareLeads, mergeLeadGroup } = require('./lead-matching');
+
+// Geo cells of ~1 km; a location match needs the leads within 250 m, so a cell and its
+// neighbours hold every candidate
+const CELL_SIZE = 0.01;
+
+function cellOf(lead) {
+    if (typeof lead.latitude !== 'number' || typeof lead.longitude !== 'number') return null;
+    return [Math.floor(lead.latitude / CELL_SIZE), Math.floor(lead.longitude / CELL_SIZE)];
+}
+
+// Blocking keys: two leads are only compared when they share one, so a batch is checked
+// against the store without comparing it to every stored lead
+function blockingKeys(lead) {
+    const keys = [];
+    const phone = phoneKey(lead);
+    const domain = extractDomain(lead.website);
+    const street = normalizeStreet(lead.addressParts?.line1 || lead.address);
+    const firstWord = normalizeName(lead.companyName).split(' ')[0];
+
+    if (phone) keys.push(`phone:${phone}`);
+    if (domain) keys.push(`domain:${domain}`);
+    if (street) keys.push(`street:${street}`);
+    if (firstWord && !isEmptyValue(lead.city)) keys.push(`city:${String(lead.city).toLowerCase()}|${firstWord}`);
+    return keys;
+}
+
+// The keys a stored lead is found by - the lead store is created with these as its matchKeys
+function indexKeys(lead) {
+    const cell = cellOf(lead);
+    return cell ? [...blockingKeys(lead), `cell:${cell[0]}:${cell[1]}`] : blockingKeys(lead);
+}
+
+function queryKeys(lead) {
+    const cell = cellOf(lead);
+    if (!cell) return blockingKeys(lead);
+
+    const cells = [];
+    for (let lat = -1; lat <= 1; lat++) {
+        for (let lng = -1; lng <= 1; lng++) {
+            cells.push(`cell:${cell[0] + lat}:${cell[1] + lng}`);
+        }
+    }
+    return [...blockingKeys(lead), ...cells];
+}
+
+// Leads a user marked as "not a duplicate" of each other are never clustered again
+function isDismissed(a, b) {
+    return (a.notDuplicateOf || []).includes(b.id) || (b.notDuplicateOf || []).includes(a.id);
+}
+
+// Leads sent back by the UI still carry the list status of the response they came from
+function withoutListStatus(lead) {
+    const { alreadyInList, listedLeadId, ...rest } = lead;
+    return rest;
+}
+
+// Cross-session duplicate detection over the lead store. Leads that look like the same business
+// (phone, domain, or name + address/geo - see compareLeads) share a duplicateClusterId until
+// they are merged or dismissed. The store must be created with matchKeys: indexKeys, so candidates
+// are looked up by blocking key instead of loading every stored lead.
+function createDuplicateDetector(leadStore) {
+    function findMatches(lead) {
+        return leadStore.findByKeys(queryKeys(lead)).filter(other =>
+            other.id !== lead.id && !isDismissed(lead, other) && compareLeads(lead, other).match);
+    }
+
+    // Give each lead (already stored) and the stored leads it matches a shared duplicateClusterId.
+    // Returns the leads as they are now stored.
+    function assignClusters(leads) {
+        return leads.map(lead => {
+            // Re-read, since an earlier lead of the batch may have clustered this one
+            const current = leadStore.get(lead.id);
+            if (!current) return lead;
+
+            const matches = findMatches(current);
+            if (matches.length === 0) return current;
+
+            const members = [current, ...matches];
+            const clusterId = members.map(member => member.duplicateClusterId).find(Boolean) ||
+                `dup_${crypto.randomBytes(8).toString('hex')}`;
+
+            // A lead that matches two clusters joins them into one
+            const absorbed = [...new Set(members.map(member => member.duplicateClusterId).filter(id => id && id !== clusterId))];
+            const others = absorbed.length > 0 ? leadStore.list({ duplicateClusterIds: absorbed }).leads : [];
+            const relabel = new Map([...members, ...others]
+                .filter(member => member.duplicateClusterId !== clusterId)
+                .map(member => [member.id, member]));
+
+            for (const member of relabel.values()) {
+                leadStore.update(member.id, { duplicateClusterId: clusterId }, { touch: false });
+            }
+            return leadStore.get(current.id);
+        });
+    }
+
+    // "Already in your list": the lead itself, or a lead in its duplicate cluster, is verified.
+    // Computed per response and never stored (see withoutListStatus).
+    function withListStatus(leads) {
+        const clusterIds = new Set(leads.map(lead => lead.duplicateClusterId).filter(Boolean));
+        const listedByCluster = new Map();
+        if (clusterIds.size > 0) {
+            for (const lead of leadStore.list({ verified: true, duplicateClusterIds: [...clusterIds] }).leads) {
+                if (!listedByCluster.has(lead.duplicateClusterId)) {
+                    listedByCluster.set(lead.duplicateClusterId, lead.id);
+                }
+            }
+        }
+
+        return leads.map(lead => {
+            const listedLeadId = lead.verified ? lead.id : listedByCluster.get(lead.duplicateClusterId) || null;
+            return { ...lead, alreadyInList: Boolean(listedLeadId), listedLeadId };
+        });
+    }
+
+    // A page of stored leads grouped by cluster, for review: { clusters, total }
+    function listClusters({ limit, offset = 0 } = {}) {
+        const { clusterIds, total } = leadStore.duplicateClusters({ limit, offset });
+        const members = new Map(clusterIds.map(clusterId => [clusterId, []]));
+        if (clusterIds.length > 0) {
+            for (const lead of leadStore.list({ duplicateClusterIds: clusterIds }).leads) {
+                members.get(lead.duplicateClusterId).push(lead);
+            }
+        }
+
+        const clusters = [...members.entries()].map(([clusterId, leads]) => ({ clusterId, leads, count: leads.length }));
+        return { clusters, total };
+    }
+
+    function clusterMembers(clusterId) {
+        const { leads } = leadStore.list({ duplicateClusterIds: [clusterId] });
+        return leads.length > 1 ? leads : [];
+    }
+
+    // Merge stored leads into one, each field from the highest-priority source that has it.
+    // The verified (else oldest) lead keeps its ID; the others become aliases of it.
+    function mergeLeads(leadIds) {
+        const group = [...new Set(leadIds)].map(id => leadStore.get(id)).filter(Boolean);
+        const uniqueGroup = [...new Map(group.map(lead => [lead.id, lead])).values()];
+        if (uniqueGroup.length < 2) return null;
+
+        const primary = [...uniqueGroup].sort((a, b) =>
+            Number(Boolean(b.verified)) - Number(Boolean(a.verified)) || a.createdAt.localeCompare(b.createdAt))[0];
+        const duplicateIds = uniqueGroup.filter(lead => lead.id !== primary.id).map(lead => lead.id);
+
+        // Members of the cluster left out of this merge keep it; otherwise it is finished
+        const clusterId = primary.duplicateClusterId;
+        const remaining = clusterId
+            ? clusterMembers(clusterId).filter(lead => lead.id !== primary.id && !duplicateIds.includes(lead.id))
+            : [];
+
+        const merged = {
+            ...mergeLeadGroup(uniqueGroup),
+            id: primary.id,
+            verified: uniqueGroup.some(lead => lead.verified),
+            duplicateClusterId: remaining.length > 0 ? clusterId : null,
+            notDuplicateOf: [...new Set(uniqueGroup.flatMap(lead => lead.notDuplicateOf || []))],
+            mergedFrom: [...new Set([...uniqueGroup.flatMap(lead => lead.mergedFrom || []), ...duplicateIds])]
+        };
+
+        return leadStore.merge(primary.id, merged, duplicateIds);
+    }
+
+    // "Not duplicates": split a cluster up and keep its members from being clustered together again
+    function dismissCluster(clusterId) {
+        const members = clusterMembers(clusterId);
+        if (members.length === 0) return null;
+
+        const ids = members.map(lead => lead.id);
+        return members.map(lead => leadStore.update(lead.id, {
+            duplicateClusterId: null,
+            notDuplicateOf: [...new Set([...(lead.notDuplicateOf || []), ...ids.filter(id => id !== lead.id)])]
+        }, { touch: false }));
+    }
+
+    return {
+        assignClusters,
+        withListStatus,
+        listClusters,
+        clusterMembers,
+        mergeLeads,
+        dismissCluster
+    };
+}
+
+module.exports = {
+    createDuplicateDetector,
+    indexKeys,
+    withoutListStatus
+};
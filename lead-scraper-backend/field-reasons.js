@@ -0,0 +1,38 @@
+const { isEmptyValue } = require('./lead-store');
+
+// Why a lead field is empty. Unknown fields stay null and carry one of these in
+// lead.fieldReasons[field] - we never fill them with plausible-looking made-up values.
+const FIELD_REASONS = {
+    NOT_CONFIGURED: 'provider_not_configured',
+    BUDGET_EXCEEDED: 'budget_exceeded',
+    PROVIDER_ERROR: 'provider_error',
+    NOT_FOUND: 'not_found',
+    LOW_CONFIDENCE: 'low_confidence'
+};
+
+// Strict mode is the default; DEMO_MODE=true brings back mock verification data for demos without provider keys
+function isDemoMode() {
+    return process.env.DEMO_MODE === 'true';
+}
+
+// Null out the fields the lead has no real value for and record why (real values are left alone)
+function markMissing(lead, fields, reason) {
+    const fieldReasons = { ...(lead.fieldReasons || {}) };
+    const marked = { ...lead };
+
+    for (const field of fields) {
+        if (isEmptyValue(marked[field])) {
+            marked[field] = null;
+            fieldReasons[field] = reason;
+        }
+    }
+
+    marked.fieldReasons = fieldReasons;
+    return marked;
+}
+
+module.exports = {
+    FIELD_REASONS,
+    isDemoMode,
+    markMissing
+};
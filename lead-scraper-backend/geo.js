@@ -0,0 +1,267 @@
+const EARTH_RADIUS_METERS = 6371000;
+const KM_PER_DEGREE_LAT = 111;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two {lat, lng} points in meters
+function haversineDistance(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+// Helper function to calculate center of area
+function calculateAreaCenter(area) {
+    if (area.type === 'circle') {
+        return area.center;
+    } else if (area.type === 'rectangle') {
+        return {
+            lat: (area.bounds.north + area.bounds.south) / 2,
+            lng: (area.bounds.east + area.bounds.west) / 2
+        };
+    } else if (area.type === 'polygon' || area.type === 'polyline') {
+        const coords = area.coordinates;
+        const sumLat = coords.reduce((sum, c) => sum + c.lat, 0);
+        const sumLng = coords.reduce((sum, c) => sum + c.lng, 0);
+        return {
+            lat: sumLat / coords.length,
+            lng: sumLng / coords.length
+        };
+    } else if (area.type === 'multipolygon') {
+        // Calculate center from all polygons
+        let totalLat = 0, totalLng = 0, totalPoints = 0;
+        area.polygons.forEach(polygon => {
+            polygon.forEach(coord => {
+                totalLat += coord.lat;
+                totalLng += coord.lng;
+                totalPoints++;
+            });
+        });
+        return {
+            lat: totalLat / totalPoints,
+            lng: totalLng / totalPoints
+        };
+    }
+    return null;
+}
+
+// Vertices that outline an area (rectangle corners, polygon points, ...)
+function areaVertices(area) {
+    if (area.type === 'rectangle') {
+        const { north, south, east, west } = area.bounds;
+        return [
+            { lat: north, lng: west }, { lat: north, lng: east },
+            { lat: south, lng: east }, { lat: south, lng: west }
+        ];
+    } else if (area.type === 'polygon' || area.type === 'polyline') {
+        return area.coordinates;
+    } else if (area.type === 'multipolygon') {
+        return area.polygons.flat();
+    }
+    return [];
+}
+
+// Radius (meters) of a circle around the area center that covers the whole area
+function calculateAreaRadius(area, center = calculateAreaCenter(area)) {
+    if (area.type === 'circle') {
+        return area.radius;
+    }
+    if (!center) {
+        return null;
+    }
+    return areaVertices(area).reduce((max, vertex) => Math.max(max, haversineDistance(center, vertex)), 0);
+}
+
+// Ray casting: is the {lat, lng} point inside the ring of {lat, lng} vertices?
+function isPointInPolygon(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i];
+        const b = ring[j];
+        if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+            point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Is the point inside a drawn area? Returns null for shapes without an inside (polylines)
+function isPointInArea(point, area) {
+    if (area.type === 'circle') {
+        return haversineDistance(area.center, point) <= area.radius;
+    } else if (area.type === 'rectangle') {
+        const { north, south, east, west } = area.bounds;
+        if (point.lat < south || point.lat > north) return false;
+        // Rectangles drawn across the antimeridian have west > east
+        return west <= east
+            ? point.lng >= west && point.lng <= east
+            : point.lng >= west || point.lng <= east;
+    } else if (area.type === 'polygon') {
+        return isPointInPolygon(point, area.coordinates);
+    } else if (area.type === 'multipolygon') {
+        return area.polygons.some(ring => isPointInPolygon(point, ring));
+    }
+    return null;
+}
+
+// Drop leads located outside the area; leads without coordinates are kept (they can't be placed)
+function filterLeadsToArea(leads, area) {
+    const inside = [];
+    let filteredOutCount = 0;
+    let withoutCoordinatesCount = 0;
+
+    for (const lead of leads) {
+        if (typeof lead.latitude !== 'number' || typeof lead.longitude !== 'number') {
+            withoutCoordinatesCount++;
+            inside.push(lead);
+        } else if (isPointInArea({ lat: lead.latitude, lng: lead.longitude }, area) === false) {
+            filteredOutCount++;
+        } else {
+            inside.push(lead);
+        }
+    }
+
+    return { leads: inside, filteredOutCount, withoutCoordinatesCount };
+}
+
+// Degrees of longitude per km at a given latitude
+function lngDegreesPerKm(lat) {
+    return 1 / (KM_PER_DEGREE_LAT * Math.cos(toRadians(lat)));
+}
+
+// Bounding box {south, north, west, east} of an area
+function calculateAreaBounds(area) {
+    if (area.type === 'circle') {
+        const radiusKm = area.radius / 1000;
+        const halfLat = radiusKm / KM_PER_DEGREE_LAT;
+        const halfLng = radiusKm * lngDegreesPerKm(area.center.lat);
+        return {
+            south: area.center.lat - halfLat, north: area.center.lat + halfLat,
+            west: area.center.lng - halfLng, east: area.center.lng + halfLng
+        };
+    } else if (area.type === 'rectangle') {
+        return { ...area.bounds };
+    }
+
+    const vertices = areaVertices(area);
+    if (vertices.length === 0) return null;
+    return {
+        south: Math.min(...vertices.map(v => v.lat)), north: Math.max(...vertices.map(v => v.lat)),
+        west: Math.min(...vertices.map(v => v.lng)), east: Math.max(...vertices.map(v => v.lng))
+    };
+}
+
+// Width and height of a cell/bounds in km
+function boundsSizeKm(bounds) {
+    const midLat = (bounds.south + bounds.north) / 2;
+    return {
+        widthKm: (bounds.east - bounds.west) / lngDegreesPerKm(midLat),
+        heightKm: (bounds.north - bounds.south) * KM_PER_DEGREE_LAT
+    };
+}
+
+function isPointInBounds(point, bounds) {
+    return point.lat >= bounds.south && point.lat <= bounds.north &&
+        point.lng >= bounds.west && point.lng <= bounds.east;
+}
+
+// Do segments p1-p2 and p3-p4 cross? (lng as x, lat as y)
+function segmentsIntersect(p1, p2, p3, p4) {
+    const cross = (a, b, c) => (b.lng - a.lng) * (c.lat - a.lat) - (b.lat - a.lat) * (c.lng - a.lng);
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+function ringIntersectsBounds(ring, bounds) {
+    const corners = [
+        { lat: bounds.south, lng: bounds.west }, { lat: bounds.south, lng: bounds.east },
+        { lat: bounds.north, lng: bounds.east }, { lat: bounds.north, lng: bounds.west }
+    ];
+
+    // Cell inside the polygon, polygon inside the cell, or edges crossing
+    if (corners.some(corner => isPointInPolygon(corner, ring))) return true;
+    if (ring.some(vertex => isPointInBounds(vertex, bounds))) return true;
+
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        for (let j = 0; j < corners.length; j++) {
+            if (segmentsIntersect(a, b, corners[j], corners[(j + 1) % corners.length])) return true;
+        }
+    }
+    return false;
+}
+
+// Does a rectangular cell overlap the drawn area at all?
+function cellIntersectsArea(cell, area) {
+    if (area.type === 'circle') {
+        const nearest = {
+            lat: Math.min(Math.max(area.center.lat, cell.south), cell.north),
+            lng: Math.min(Math.max(area.center.lng, cell.west), cell.east)
+        };
+        return haversineDistance(area.center, nearest) <= area.radius;
+    } else if (area.type === 'rectangle') {
+        const { north, south, east, west } = area.bounds;
+        return cell.south <= north && cell.north >= south && cell.west <= east && cell.east >= west;
+    } else if (area.type === 'polygon') {
+        return ringIntersectsBounds(area.coordinates, cell);
+    } else if (area.type === 'multipolygon') {
+        return area.polygons.some(ring => ringIntersectsBounds(ring, cell));
+    }
+    return true;
+}
+
+// Lay a grid of roughly square cells (cellSizeKm) over a bounding box
+function generateBoundsGrid(bounds, cellSizeKm) {
+    const { widthKm, heightKm } = boundsSizeKm(bounds);
+    const rows = Math.max(1, Math.ceil(heightKm / cellSizeKm));
+    const cols = Math.max(1, Math.ceil(widthKm / cellSizeKm));
+    const latStep = (bounds.north - bounds.south) / rows;
+    const lngStep = (bounds.east - bounds.west) / cols;
+
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            cells.push({
+                south: bounds.south + row * latStep,
+                north: bounds.south + (row + 1) * latStep,
+                west: bounds.west + col * lngStep,
+                east: bounds.west + (col + 1) * lngStep
+            });
+        }
+    }
+    return cells;
+}
+
+// Split a cell into four quadrants
+function splitCell(cell) {
+    const midLat = (cell.south + cell.north) / 2;
+    const midLng = (cell.west + cell.east) / 2;
+    return [
+        { south: cell.south, north: midLat, west: cell.west, east: midLng },
+        { south: cell.south, north: midLat, west: midLng, east: cell.east },
+        { south: midLat, north: cell.north, west: cell.west, east: midLng },
+        { south: midLat, north: cell.north, west: midLng, east: cell.east }
+    ];
+}
+
+module.exports = {
+    haversineDistance,
+    calculateAreaCenter,
+    calculateAreaRadius,
+    areaVertices,
+    isPointInPolygon,
+    isPointInArea,
+    filterLeadsToArea,
+    calculateAreaBounds,
+    boundsSizeKm,
+    cellIntersectsArea,
+    generateBoundsGrid,
+    splitCell
+};
@@ -0,0 +1,382 @@
+const { isEmptyValue } = require('./lead-store');
+
+// NAICS 2022 sectors (two-digit codes; manufacturing, retail and transportation span a range)
+const SECTORS = {
+    '11': 'Agriculture, Forestry, Fishing and Hunting',
+    '21': 'Mining, Quarrying, and Oil and Gas Extraction',
+    '22': 'Utilities',
+    '23': 'Construction',
+    '31-33': 'Manufacturing',
+    '42': 'Wholesale Trade',
+    '44-45': 'Retail Trade',
+    '48-49': 'Transportation and Warehousing',
+    '51': 'Information',
+    '52': 'Finance and Insurance',
+    '53': 'Real Estate and Rental and Leasing',
+    '54': 'Professional, Scientific, and Technical Services',
+    '56': 'Administrative and Support and Waste Management and Remediation Services',
+    '61': 'Educational Services',
+    '62': 'Health Care and Social Assistance',
+    '71': 'Arts, Entertainment, and Recreation',
+    '72': 'Accommodation and Food Services',
+    '81': 'Other Services (except Public Administration)',
+    '92': 'Public Administration'
+};
+
+// Canonical industries: id -> [display name, NAICS code, sector code]
+const INDUSTRIES = {
+    restaurants: ['Restaurants', '7225', '72'],
+    cafes: ['Cafes & Coffee Shops', '722515', '72'],
+    bars: ['Bars & Nightlife', '722410', '72'],
+    catering: ['Catering', '722320', '72'],
+    lodging: ['Hotels & Lodging', '7211', '72'],
+    bakeries: ['Bakeries', '311811', '31-33'],
+    manufacturing: ['Manufacturing', '31-33', '31-33'],
+    food_production: ['Food & Beverage Production', '311', '31-33'],
+    grocery: ['Grocery Stores', '4451', '44-45'],
+    liquor_stores: ['Liquor Stores', '445320', '44-45'],
+    retail: ['Retail', '44-45', '44-45'],
+    clothing: ['Clothing & Accessories', '4581', '44-45'],
+    electronics_stores: ['Electronics & Appliance Stores', '449210', '44-45'],
+    furniture_stores: ['Furniture & Home Furnishings', '4491', '44-45'],
+    home_improvement: ['Hardware & Home Improvement', '4441', '44-45'],
+    pharmacies: ['Pharmacies', '456110', '44-45'],
+    florists: ['Florists', '459310', '44-45'],
+    car_dealers: ['Car Dealers', '4411', '44-45'],
+    gas_stations: ['Gas Stations', '457110', '44-45'],
+    wholesale: ['Wholesale', '42', '42'],
+    construction: ['Construction', '236', '23'],
+    specialty_trades: ['Specialty Trade Contractors', '238', '23'],
+    transportation: ['Transportation & Logistics', '48-49', '48-49'],
+    utilities: ['Utilities', '22', '22'],
+    energy: ['Oil & Gas Extraction and Mining', '21', '21'],
+    agriculture: ['Agriculture', '11', '11'],
+    software: ['Software', '5132', '51'],
+    telecommunications: ['Telecommunications', '517', '51'],
+    media: ['Media & Publishing', '51', '51'],
+    banking: ['Banking & Credit', '522', '52'],
+    investment: ['Investment & Financial Services', '523', '52'],
+    insurance: ['Insurance', '524', '52'],
+    real_estate: ['Real Estate', '531', '53'],
+    rental_leasing: ['Rental & Leasing', '532', '53'],
+    legal: ['Legal Services', '5411', '54'],
+    accounting: ['Accounting & Tax', '5412', '54'],
+    architecture_engineering: ['Architecture & Engineering', '5413', '54'],
+    it_services: ['IT Services', '5415', '54'],
+    consulting: ['Management Consulting', '5416', '54'],
+    marketing: ['Marketing & Advertising', '5418', '54'],
+    photography: ['Photography', '541921', '54'],
+    veterinary: ['Veterinary Services', '541940', '54'],
+    staffing: ['Staffing & Recruiting', '5613', '56'],
+    travel_agencies: ['Travel Agencies', '5615', '56'],
+    security: ['Security Services', '5616', '56'],
+    cleaning: ['Cleaning & Janitorial', '561720', '56'],
+    landscaping: ['Landscaping', '561730', '56'],
+    education: ['Education & Training', '611', '61'],
+    healthcare: ['Health Care', '62', '62'],
+    physicians: ['Physicians & Clinics', '6211', '62'],
+    dentists: ['Dentists', '6212', '62'],
+    health_practitioners: ['Other Health Practitioners', '6213', '62'],
+    hospitals: ['Hospitals', '622', '62'],
+    child_care: ['Child Care', '624410', '62'],
+    entertainment: ['Arts & Entertainment', '71', '71'],
+    fitness: ['Fitness & Recreation', '713940', '71'],
+    auto_repair: ['Auto Repair & Service', '8111', '81'],
+    personal_care: ['Beauty & Personal Care', '8121', '81'],
+    funeral: ['Funeral Services', '8122', '81'],
+    laundry: ['Laundry & Dry Cleaning', '8123', '81'],
+    pet_care: ['Pet Care', '812910', '81'],
+    religious: ['Religious Organizations', '8131', '81'],
+    nonprofit: ['Nonprofits & Associations', '813', '81'],
+    government: ['Government', '92', '92']
+};
+
+// Google Places types (legacy and new API) -> industry id
+const GOOGLE_TYPES = {
+    restaurant: 'restaurants', meal_takeaway: 'restaurants', meal_delivery: 'restaurants', food_court: 'restaurants',
+    cafe: 'cafes', coffee_shop: 'cafes', tea_house: 'cafes', ice_cream_shop: 'cafes', juice_shop: 'cafes',
+    bar: 'bars', night_club: 'bars', pub: 'bars', wine_bar: 'bars',
+    bakery: 'bakeries', catering_service: 'catering',
+    lodging: 'lodging', hotel: 'lodging', motel: 'lodging', bed_and_breakfast: 'lodging', hostel: 'lodging', resort_hotel: 'lodging', campground: 'lodging', rv_park: 'lodging',
+    supermarket: 'grocery', grocery_store: 'grocery', grocery_or_supermarket: 'grocery', convenience_store: 'grocery', market: 'grocery',
+    liquor_store: 'liquor_stores',
+    clothing_store: 'clothing', shoe_store: 'clothing', jewelry_store: 'clothing',
+    electronics_store: 'electronics_stores', cell_phone_store: 'electronics_stores',
+    furniture_store: 'furniture_stores', home_goods_store: 'furniture_stores',
+    hardware_store: 'home_improvement', home_improvement_store: 'home_improvement',
+    pharmacy: 'pharmacies', drugstore: 'pharmacies',
+    florist: 'florists',
+    car_dealer: 'car_dealers',
+    gas_station: 'gas_stations',
+    department_store: 'retail', shopping_mall: 'retail', book_store: 'retail', bicycle_store: 'retail', pet_store: 'retail', gift_shop: 'retail', sporting_goods_store: 'retail', auto_parts_store: 'retail',
+    general_contractor: 'construction', roofing_contractor: 'specialty_trades', electrician: 'specialty_trades', plumber: 'specialty_trades', painter: 'specialty_trades', locksmith: 'specialty_trades',
+    moving_company: 'transportation', storage: 'transportation', taxi_stand: 'transportation', courier_service: 'transportation', trucking_company: 'transportation',
+    bank: 'banking', atm: 'banking',
+    accounting: 'accounting',
+    insurance_agency: 'insurance',
+    real_estate_agency: 'real_estate',
+    car_rental: 'rental_leasing',
+    lawyer: 'legal',
+    consultant: 'consulting',
+    marketing_consultant: 'marketing',
+    photographer: 'photography',
+    veterinary_care: 'veterinary',
+    travel_agency: 'travel_agencies',
+    school: 'education', primary_school: 'education', secondary_school: 'education', university: 'education', preschool: 'child_care', child_care_agency: 'child_care',
+    doctor: 'physicians', medical_lab: 'physicians', dentist: 'dentists', dental_clinic: 'dentists',
+    physiotherapist: 'health_practitioners', chiropractor: 'health_practitioners',
+    hospital: 'hospitals',
+    gym: 'fitness', fitness_center: 'fitness', yoga_studio: 'fitness', bowling_alley: 'fitness', golf_course: 'fitness', sports_club: 'fitness',
+    amusement_park: 'entertainment', aquarium: 'entertainment', art_gallery: 'entertainment', casino: 'entertainment', movie_theater: 'entertainment', museum: 'entertainment', zoo: 'entertainment', tourist_attraction: 'entertainment', event_venue: 'entertainment',
+    car_repair: 'auto_repair', car_wash: 'auto_repair',
+    beauty_salon: 'personal_care', hair_care: 'personal_care', hair_salon: 'personal_care', barber_shop: 'personal_care', nail_salon: 'personal_care', spa: 'personal_care', massage: 'personal_care',
+    funeral_home: 'funeral', cemetery: 'funeral',
+    laundry: 'laundry',
+    pet_care: 'pet_care',
+    church: 'religious', mosque: 'religious', synagogue: 'religious', hindu_temple: 'religious', place_of_worship: 'religious',
+    city_hall: 'government', courthouse: 'government', local_government_office: 'government', police: 'government', fire_station: 'government', post_office: 'government', embassy: 'government'
+};
+
+// Broad Google types that only count when nothing more specific is present
+const GENERIC_GOOGLE_TYPES = {
+    store: 'retail', food: 'restaurants', health: 'healthcare', finance: 'investment'
+};
+
+// Yelp category aliases that the keyword rules below would miss
+const YELP_ALIASES = {
+    coffee: 'cafes', juicebars: 'cafes', bubbletea: 'cafes', icecream: 'cafes', desserts: 'cafes', donuts: 'bakeries',
+    hotelstravel: 'lodging', bedbreakfast: 'lodging',
+    beautysvc: 'personal_care', hair: 'personal_care', othersalons: 'personal_care', waxing: 'personal_care', skincare: 'personal_care', tattoo: 'personal_care',
+    homeservices: 'specialty_trades', contractors: 'construction', hvac: 'specialty_trades', electricians: 'specialty_trades', plumbing: 'specialty_trades', roofing: 'specialty_trades', painters: 'specialty_trades', locksmiths: 'specialty_trades',
+    auto: 'auto_repair', autorepair: 'auto_repair', bodyshops: 'auto_repair', oilchange: 'auto_repair', tires: 'auto_repair',
+    physicians: 'physicians', familydr: 'physicians', urgent_care: 'physicians', chiropractors: 'health_practitioners', physicaltherapy: 'health_practitioners', optometrists: 'health_practitioners',
+    vet: 'veterinary', petsitting: 'pet_care', groomer: 'pet_care', dogwalkers: 'pet_care',
+    realestateagents: 'real_estate', realestate: 'real_estate', apartments: 'real_estate',
+    accountants: 'accounting', taxservices: 'accounting',
+    lawyers: 'legal', itservices: 'it_services', webdesign: 'it_services', advertising: 'marketing',
+    homecleaning: 'cleaning', officecleaning: 'cleaning', landscaping: 'landscaping', gardeners: 'landscaping',
+    drycleaninglaundry: 'laundry', laundromat: 'laundry', movers: 'transportation', selfstorage: 'transportation',
+    shopping: 'retail', fashion: 'clothing', grocery: 'grocery', beer_and_wine: 'liquor_stores'
+};
+
+// Apollo (LinkedIn) industry names that the keyword rules below would miss
+const APOLLO_INDUSTRIES = {
+    'hospital & health care': 'healthcare',
+    'medical practice': 'physicians',
+    'information technology & services': 'it_services',
+    'computer & network security': 'it_services',
+    'internet': 'software',
+    'financial services': 'investment',
+    'capital markets': 'investment',
+    'venture capital & private equity': 'investment',
+    'law practice': 'legal',
+    'management consulting': 'consulting',
+    'human resources': 'staffing',
+    'civil engineering': 'architecture_engineering',
+    'mechanical or industrial engineering': 'architecture_engineering',
+    'health, wellness & fitness': 'fitness',
+    'sports': 'fitness',
+    'hospitality': 'lodging',
+    'leisure, travel & tourism': 'travel_agencies',
+    'oil & energy': 'energy',
+    'mining & metals': 'energy',
+    'consumer goods': 'manufacturing',
+    'machinery': 'manufacturing',
+    'electrical/electronic manufacturing': 'manufacturing',
+    'building materials': 'manufacturing',
+    'food & beverages': 'food_production',
+    'food production': 'food_production',
+    'farming': 'agriculture',
+    'e-learning': 'education',
+    'higher education': 'education',
+    'primary/secondary education': 'education',
+    'nonprofit organization management': 'nonprofit',
+    'civic & social organization': 'nonprofit',
+    'individual & family services': 'nonprofit',
+    'government administration': 'government',
+    'cosmetics': 'personal_care',
+    'logistics & supply chain': 'transportation',
+    'airlines/aviation': 'transportation',
+    'package/freight delivery': 'transportation',
+    'entertainment': 'entertainment',
+    'events services': 'entertainment',
+    'broadcast media': 'media',
+    'online media': 'media'
+};
+
+// Keyword rules for free text (Yelp titles, Apollo industries, AI answers, manual input) - first match wins
+const KEYWORD_RULES = [
+    [/\b(coffee|cafe|café|espresso|tea room|juice|smoothie|bubble tea|ice cream|gelato|dessert)/i, 'cafes'],
+    [/\b(bakery|bakeries|patisserie|donut|bagel)/i, 'bakeries'],
+    [/\b(bar|bars|pub|pubs|brewery|breweries|winery|wine bar|cocktail|lounge|night ?club|nightlife|taproom)\b/i, 'bars'],
+    [/\bcater/i, 'catering'],
+    [/\b(restaurant|diner|bistro|eatery|pizz|burger|sushi|steakhouse|grill|cuisine|food truck|taqueria|tacos?|bbq|barbe?cue|noodle|ramen|brunch|breakfast|sandwich|delis?\b|seafood|buffet|italian|mexican|chinese|japanese|thai|indian|vietnamese|korean|mediterranean|greek|french|american \(|fast food|chicken wings)/i, 'restaurants'],
+    [/\b(hotel|motel|hostel|resort|lodging|inns?\b|bed & breakfast|bed and breakfast|accommodation)/i, 'lodging'],
+    [/\b(grocery|groceries|supermarket|convenience store|markets?\b)/i, 'grocery'],
+    [/\b(liquor|wine shop|beer & wine|spirits)/i, 'liquor_stores'],
+    [/\b(veterinar|animal hospital|vet\b|vets\b)/i, 'veterinary'],
+    [/\b(dentist|dental|orthodont)/i, 'dentists'],
+    [/\b(chiropract|physiotherap|physical therap|optometr|podiatr|acupunct|psycholog|counsel(l)?ing|mental health|therapist)/i, 'health_practitioners'],
+    [/\b(hospital)/i, 'hospitals'],
+    [/\b(doctor|physician|clinic|medical|urgent care|pediatric|dermatolog|family practice)/i, 'physicians'],
+    [/\b(pharmac|drugstore|drug store)/i, 'pharmacies'],
+    [/\b(health ?care|health care|nursing|home health|senior care|assisted living)/i, 'healthcare'],
+    [/\b(salon|barber|beauty|nail|spas?\b|massage|cosmetic|waxing|lash|brows?\b|tattoo|skin ?care)/i, 'personal_care'],
+    [/\b(gym|fitness|yoga|pilates|crossfit|martial arts|boxing|dance studio|personal train|recreation|sports club|golf)/i, 'fitness'],
+    [/\b(plumb|electric(al|ian)s?\b|hvac|heating|air condition|roof|painter|painting contractor|locksmith|flooring|carpent|masonry|handyman|pest control|specialty trade)/i, 'specialty_trades'],
+    [/\b(construction|contractor|builder|home ?building|remodel|renovation)/i, 'construction'],
+    [/\b(auto repair|car repair|mechanic|body shop|collision|auto service|tire|oil change|car wash|automotive service)/i, 'auto_repair'],
+    [/\b(car dealer|auto dealer|dealership|automotive)/i, 'car_dealers'],
+    [/\b(gas station|fuel station|petrol)/i, 'gas_stations'],
+    [/\b(law\b|law firm|lawyer|attorney|legal|solicitor|notary)/i, 'legal'],
+    [/\b(accounting|accountant|bookkeep|tax prep|tax service|cpa\b)/i, 'accounting'],
+    [/\b(architect|engineering)/i, 'architecture_engineering'],
+    [/\b(software|saas|computer games|app develop)/i, 'software'],
+    [/\b(it services|information technology|computer|web design|web develop|managed services|cyber ?security|tech support)/i, 'it_services'],
+    [/\b(marketing|advertising|public relations|\bpr\b|seo\b|branding|digital agency)/i, 'marketing'],
+    [/\b(consult)/i, 'consulting'],
+    [/\b(insurance)/i, 'insurance'],
+    [/\b(bank|banking|credit union|lending|mortgage)/i, 'banking'],
+    [/\b(financ|investment|wealth|asset management|brokerage)/i, 'investment'],
+    [/\b(real estate|realtor|property management|realty|apartments)/i, 'real_estate'],
+    [/\b(rental|leasing|equipment hire)/i, 'rental_leasing'],
+    [/\b(staffing|recruit|employment agenc|human resources)/i, 'staffing'],
+    [/\b(travel agen|tour operator|travel)/i, 'travel_agencies'],
+    [/\b(security guard|security services|alarm)/i, 'security'],
+    [/\b(clean(ing)?|janitorial|maid|carpet clean)/i, 'cleaning'],
+    [/\b(landscap|lawn|garden|tree service)/i, 'landscaping'],
+    [/\b(laundr|dry clean)/i, 'laundry'],
+    [/\b(funeral|cemetery|mortuar|cremat)/i, 'funeral'],
+    [/\b(pet groom|pet sit|dog walk|kennel|pet boarding|pet care|pet services)/i, 'pet_care'],
+    [/\b(child ?care|daycare|day care|preschool|nursery school)/i, 'child_care'],
+    [/\b(school|education|tutor|university|college|academy|training|e-learning)/i, 'education'],
+    [/\b(church|mosque|synagogue|temple|religious|ministry)/i, 'religious'],
+    [/\b(non-?profit|charity|foundation|association|philanthrop)/i, 'nonprofit'],
+    [/\b(government|municipal|public administration|city hall|courthouse|courts?\b)/i, 'government'],
+    [/\b(photograph)/i, 'photography'],
+    [/\b(museum|gallery|theater|theatre|cinema|entertainment|amusement|music venue|arts\b|performing arts|event)/i, 'entertainment'],
+    [/\b(telecom|wireless|internet service)/i, 'telecommunications'],
+    [/\b(media|publishing|newspaper|broadcast|radio|television|film)/i, 'media'],
+    [/\b(trucking|logistics|freight|shipping|courier|moving|movers|storage|warehous|transport|taxi|limo)/i, 'transportation'],
+    [/\b(utilit|water supply|electric power|solar|renewable)/i, 'utilities'],
+    [/\b(oil|gas|mining|energy)\b/i, 'energy'],
+    [/\b(farm|agricultur|ranch|fishery|forestry)/i, 'agriculture'],
+    [/\b(wholesale|distributor|distribution)/i, 'wholesale'],
+    [/\b(manufactur|factory|fabricat|industrial|machinery)/i, 'manufacturing'],
+    [/\b(food (and|&) beverage|food production|beverages)/i, 'food_production'],
+    [/\b(cloth|apparel|fashion|boutique|shoe|jewel)/i, 'clothing'],
+    [/\b(electronics|appliance|cell phone|mobile phone)/i, 'electronics_stores'],
+    [/\b(furniture|home decor|home goods|mattress)/i, 'furniture_stores'],
+    [/\b(hardware|home improvement|building supplies)/i, 'home_improvement'],
+    [/\b(florist|flower)/i, 'florists'],
+    [/\b(store|shop|retail|boutique|outlet)/i, 'retail']
+];
+
+// Which source wins when two disagree: what a user typed beats provider categories beats AI guesses
+const SOURCE_PRIORITY = { manual: 5, google: 4, yelp: 3, apollo: 2, ai: 1 };
+
+const INDUSTRY_FIELDS = ['industry', 'industryId', 'naicsCode', 'sector', 'sectorCode', 'industryLabel', 'industrySource'];
+
+// Canonical names and ids typed back in (manual entry, re-imported exports) map to themselves
+const CANONICAL_NAMES = Object.fromEntries(Object.entries(INDUSTRIES).flatMap(([id, [name]]) => [
+    [id, id], [id.replace(/_/g, ' '), id], [name.toLowerCase(), id]
+]));
+
+const humanizeType = (type) => type.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+function classifyText(value) {
+    const rule = KEYWORD_RULES.find(([pattern]) => pattern.test(value));
+    return rule ? rule[1] : null;
+}
+
+function googleIndustryId(types) {
+    for (const type of types) {
+        if (GOOGLE_TYPES[type]) return GOOGLE_TYPES[type];
+        // New API types are specific variants: pizza_restaurant, thai_restaurant, shoe_store, ...
+        if (/_restaurant$/.test(type)) return 'restaurants';
+    }
+    const generic = types.find(type => GENERIC_GOOGLE_TYPES[type] || /_(store|shop)$/.test(type));
+    return generic ? GENERIC_GOOGLE_TYPES[generic] || 'retail' : null;
+}
+
+function yelpIndustryId(categories) {
+    for (const category of categories) {
+        const alias = category.alias || '';
+        const id = YELP_ALIASES[alias] || classifyText(category.title || alias.replace(/_/g, ' '));
+        if (id) return id;
+    }
+    return null;
+}
+
+// The label the source itself used, kept alongside the canonical industry
+function sourceLabel(source, value) {
+    if (source === 'google') {
+        const specific = value.find(type => !['point_of_interest', 'establishment'].includes(type));
+        return specific ? humanizeType(specific) : null;
+    }
+    if (source === 'yelp') {
+        return value[0]?.title || value[0] || null;
+    }
+    return String(value).trim();
+}
+
+function describeIndustry(id, label, source) {
+    if (!id) {
+        return { industry: 'Other', industryId: 'other', naicsCode: null, sector: null, sectorCode: null, industryLabel: label, industrySource: source };
+    }
+    const [industry, naicsCode, sectorCode] = INDUSTRIES[id];
+    return { industry, industryId: id, naicsCode, sector: SECTORS[sectorCode], sectorCode, industryLabel: label, industrySource: source };
+}
+
+// Canonical industry for one source's data:
+//   google -> place types array, yelp -> categories array ({ alias, title } or titles),
+//   apollo / ai / manual -> free text
+// Returns the INDUSTRY_FIELDS (all null when the source had nothing to say)
+function classifyIndustry(source, value) {
+    const empty = Array.isArray(value) ? value.length === 0 : isEmptyValue(value) || typeof value !== 'string' || !value.trim();
+    if (empty) {
+        return Object.fromEntries(INDUSTRY_FIELDS.map(field => [field, null]));
+    }
+
+    let id;
+    if (source === 'google') {
+        id = googleIndustryId(value);
+    } else if (source === 'yelp') {
+        id = yelpIndustryId(value.map(category => (typeof category === 'string' ? { title: category } : category)));
+    } else {
+        const text = value.trim().toLowerCase();
+        id = CANONICAL_NAMES[text] || (source === 'apollo' && APOLLO_INDUSTRIES[text]) || classifyText(text);
+    }
+
+    const label = sourceLabel(source, value);
+    return describeIndustry(id, label, source);
+}
+
+// The industry fields a lead should carry given what it has and a new classification:
+// a mapped industry beats "Other", then the higher-priority source wins
+function preferredIndustry(current, candidate) {
+    const pick = (lead) => Object.fromEntries(INDUSTRY_FIELDS.map(field => [field, lead[field] ?? null]));
+    if (!candidate || !candidate.industry) return pick(current);
+    if (!current.industryId || isEmptyValue(current.industry)) return pick(candidate);
+
+    const mapped = (lead) => (lead.industryId && lead.industryId !== 'other' ? 1 : 0);
+    if (mapped(candidate) !== mapped(current)) {
+        return pick(mapped(candidate) > mapped(current) ? candidate : current);
+    }
+    return pick((SOURCE_PRIORITY[candidate.industrySource] || 0) > (SOURCE_PRIORITY[current.industrySource] || 0) ? candidate : current);
+}
+
+// The taxonomy as a list, for filter dropdowns and exports
+function listIndustries() {
+    return Object.entries(INDUSTRIES).map(([id, [name, naicsCode, sectorCode]]) => ({
+        id, name, naicsCode, sectorCode, sector: SECTORS[sectorCode]
+    }));
+}
+
+module.exports = {
+    SECTORS,
+    INDUSTRY_FIELDS,
+    classifyIndustry,
+    preferredIndustry,
+    listIndustries
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { getDatabase, addColumnIfMissing } = require('./db');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Keep job rows small - a grid search over a bad area can fail every cell
+const MAX_JOB_ERRORS = 50;
+
+function rowToJob(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        type: row.type,
+        workspaceId: row.workspace_id,
+        userId: row.user_id,
+        status: row.status,
+        params: JSON.parse(row.params),
+        progress: JSON.parse(row.progress),
+        result: row.result ? JSON.parse(row.result) : null,
+        error: row.error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+// Fold a progress update from a handler into the stored progress ({ error } entries are appended)
+function applyProgress(progress, update) {
+    const { error, ...fields } = update;
+    const next = { ...progress, ...fields, errors: progress.errors || [] };
+    if (error) {
+        next.errors = [...next.errors, error].slice(-MAX_JOB_ERRORS);
+    }
+    return next;
+}
+
+// SQLite-backed background job queue. handlers: { [type]: async (params, { signal, onProgress, workspaceId, userId }) => result }
+function createJobQueue({ handlers, concurrency } = {}) {
+    const db = getDatabase();
+    const maxConcurrent = concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+    const running = new Map();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS jobs (
+            id TEXT PRIMARY KEY,
+            type TEXT NOT NULL,
+            status TEXT NOT NULL,
+            params TEXT NOT NULL,
+            progress TEXT NOT NULL,
+            result TEXT,
+            error TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            started_at TEXT,
+            finished_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status, created_at);
+    `);
+    // Jobs belong to the workspace (and user) that started them; older rows to the default workspace
+    addColumnIfMissing(db, 'jobs', 'workspace_id', "TEXT NOT NULL DEFAULT 'default'");
+    addColumnIfMissing(db, 'jobs', 'user_id', 'TEXT');
+
+    const getStatement = db.prepare('SELECT * FROM jobs WHERE id = ?');
+    const insertStatement = db.prepare(`
+        INSERT INTO jobs (id, type, workspace_id, user_id, status, params, progress, created_at, updated_at)
+        VALUES (@id, @type, @workspaceId, @userId, 'queued', @params, @progress, @now, @now)
+    `);
+    const nextQueuedStatement = db.prepare("SELECT * FROM jobs WHERE status = 'queued' ORDER BY created_at LIMIT 1");
+    const startStatement = db.prepare("UPDATE jobs SET status = 'running', started_at = @now, updated_at = @now WHERE id = @id AND status = 'queued'");
+    const progressStatement = db.prepare('UPDATE jobs SET progress = @progress, updated_at = @now WHERE id = @id');
+    const finishStatement = db.prepare(`
+        UPDATE jobs SET status = @status, result = @result, error = @error, finished_at = @now, updated_at = @now
+        WHERE id = @id AND status = 'running'
+    `);
+    const cancelStatement = db.prepare(`
+        UPDATE jobs SET status = 'cancelled', finished_at = @now, updated_at = @now
+        WHERE id = @id AND status IN ('queued', 'running')
+    `);
+    const requeueStatement = db.prepare("UPDATE jobs SET status = 'queued', updated_at = @now WHERE status = 'running'");
+
+    function get(id) {
+        return rowToJob(getStatement.get(id));
+    }
+
+    function list(filters = {}) {
+        const conditions = [];
+        const params = {};
+
+        if (filters.status) {
+            conditions.push('status = @status');
+            params.status = filters.status;
+        }
+        if (filters.type) {
+            conditions.push('type = @type');
+            params.type = filters.type;
+        }
+        if (filters.workspaceId) {
+            conditions.push('workspace_id = @workspaceId');
+            params.workspaceId = filters.workspaceId;
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        params.limit = filters.limit || 50;
+
+        return db.prepare(`SELECT * FROM jobs ${where} ORDER BY created_at DESC LIMIT @limit`).all(params).map(rowToJob);
+    }
+
+    // owner: { workspaceId, userId } the job runs for
+    function enqueue(type, params, owner = {}) {
+        if (!handlers[type]) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const id = `job_${crypto.randomBytes(8).toString('hex')}`;
+        insertStatement.run({
+            id,
+            type,
+            workspaceId: owner.workspaceId || 'default',
+            userId: owner.userId || null,
+            params: JSON.stringify(params),
+            progress: JSON.stringify({ errors: [] }),
+            now: new Date().toISOString()
+        });
+
+        setImmediate(processQueue);
+        return get(id);
+    }
+
+    // Cancel a queued or running job; returns the updated job (null if unknown)
+    function cancel(id) {
+        cancelStatement.run({ id, now: new Date().toISOString() });
+
+        const controller = running.get(id);
+        if (controller) {
+            controller.abort();
+        }
+
+        return get(id);
+    }
+
+    async function runJob(job) {
+        const controller = new AbortController();
+        running.set(job.id, controller);
+
+        let progress = job.progress;
+        const onProgress = (update) => {
+            progress = applyProgress(progress, update);
+            progressStatement.run({ id: job.id, progress: JSON.stringify(progress), now: new Date().toISOString() });
+        };
+
+        console.log(`[Jobs] Starting ${job.type} job ${job.id}`);
+
+        try {
+            const result = await handlers[job.type](job.params, {
+                signal: controller.signal,
+                onProgress,
+                workspaceId: job.workspaceId,
+                userId: job.userId
+            });
+            finishStatement.run({
+                id: job.id,
+                status: 'completed',
+                result: JSON.stringify(result),
+                error: null,
+                now: new Date().toISOString()
+            });
+            console.log(`[Jobs] Completed ${job.type} job ${job.id}`);
+        } catch (error) {
+            if (controller.signal.aborted) {
+                console.log(`[Jobs] Cancelled ${job.type} job ${job.id}`);
+            } else {
+                console.error(`[Jobs] ${job.type} job ${job.id} failed:`, error.message);
+                finishStatement.run({
+                    id: job.id,
+                    status: 'failed',
+                    result: null,
+                    error: error.message,
+                    now: new Date().toISOString()
+                });
+            }
+        } finally {
+            running.delete(job.id);
+            setImmediate(processQueue);
+        }
+    }
+
+    function processQueue() {
+        while (running.size < maxConcurrent) {
+            const row = nextQueuedStatement.get();
+            if (!row) return;
+
+            // Claim the job; another tick may have started it already
+            if (startStatement.run({ id: row.id, now: new Date().toISOString() }).changes === 0) {
+                continue;
+            }
+
+            runJob(get(row.id));
+        }
+    }
+
+    // Jobs left "running" by a previous process were interrupted - run them again
+    function start() {
+        const { changes } = requeueStatement.run({ now: new Date().toISOString() });
+        if (changes > 0) {
+            console.log(`[Jobs] Requeued ${changes} interrupted job(s)`);
+        }
+        processQueue();
+    }
+
+    return {
+        get,
+        list,
+        enqueue,
+        cancel,
+        start
+    };
+}
+
+module.exports = {
+    createJobQueue,
+    JOB_STATUSES,
+    FINISHED_STATUSES
+};
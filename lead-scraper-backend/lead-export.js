@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { getDatabase } = require('./db');
+const { isEmptyValue } = require('./lead-store');
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    vcf: { extension: 'vcf', contentType: 'text/vcard; charset=utf-8' }
+};
+
+// Columns offered in the picker. Any other dotted path into a lead (e.g. websiteCrawl.pages)
+// can be exported too - these are the ones with a label.
+const EXPORT_COLUMNS = [
+    { path: 'companyName', label: 'Company Name' },
+    { path: 'industry', label: 'Industry' },
+    { path: 'naicsCode', label: 'NAICS' },
+    { path: 'sector', label: 'Sector' },
+    { path: 'ownerName', label: 'Owner Name' },
+    { path: 'ownerPosition', label: 'Owner Title' },
+    { path: 'title', label: 'Contact Title' },
+    { path: 'ownerDataSource', label: 'Owner Source' },
+    { path: 'ownerVerified', label: 'Owner Verified' },
+    { path: 'primaryEmail', label: 'Primary Email' },
+    { path: 'email', label: 'Email' },
+    { path: 'emailStatus', label: 'Email Status' },
+    { path: 'emails', label: 'All Emails' },
+    { path: 'phone', label: 'Phone' },
+    { path: 'phoneE164', label: 'Phone (E.164)' },
+    { path: 'phoneLineType', label: 'Phone Line Type' },
+    { path: 'phoneValidation.valid', label: 'Phone Valid (Numverify)' },
+    { path: 'phoneValidation.carrier', label: 'Phone Carrier' },
+    { path: 'phoneValidation.lineType', label: 'Phone Line Type (Numverify)' },
+    { path: 'website', label: 'Website' },
+    { path: 'address', label: 'Address' },
+    { path: 'addressParts.line1', label: 'Street' },
+    { path: 'addressParts.unit', label: 'Unit' },
+    { path: 'city', label: 'City' },
+    { path: 'state', label: 'State' },
+    { path: 'zipcode', label: 'Zipcode' },
+    { path: 'country', label: 'Country' },
+    { path: 'countryCode', label: 'Country Code' },
+    { path: 'latitude', label: 'Latitude' },
+    { path: 'longitude', label: 'Longitude' },
+    { path: 'rating', label: 'Rating' },
+    { path: 'reviewCount', label: 'Reviews' },
+    { path: 'yelpUrl', label: 'Yelp URL' },
+    { path: 'linkedinUrl', label: 'LinkedIn' },
+    { path: 'socialProfiles', label: 'Social Profiles' },
+    { path: 'employeeCount', label: 'Employees' },
+    { path: 'revenue', label: 'Revenue' },
+    { path: 'source', label: 'Source' },
+    { path: 'sources', label: 'All Sources' },
+    { path: 'verified', label: 'Verified' },
+    { path: 'aiConfidence', label: 'AI Confidence' },
+    { path: 'score', label: 'Score' },
+    { path: 'duplicateClusterId', label: 'Duplicate Cluster' },
+    { path: 'createdAt', label: 'Created' },
+    { path: 'updatedAt', label: 'Updated' },
+    { path: 'id', label: 'Lead ID' }
+];
+
+const DEFAULT_COLUMNS = [
+    'companyName', 'industry', 'naicsCode', 'ownerName', 'ownerPosition', 'primaryEmail', 'phone', 'phoneE164',
+    'website', 'address', 'addressParts.line1', 'addressParts.unit', 'city', 'state', 'zipcode', 'country',
+    'rating', 'reviewCount', 'source', 'verified', 'score'
+];
+
+const PATH_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const MAX_COLUMNS = 200;
+
+// Path segments that would reach or replace an object's prototype
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const isSafePath = (path) => PATH_PATTERN.test(path) && !path.split('.').some(key => FORBIDDEN_KEYS.includes(key));
+
+// Only the lead's own fields are read, never inherited ones
+function getPath(lead, path) {
+    return path.split('.').reduce((value, key) =>
+        (value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined), lead);
+}
+
+function setPath(target, path, value) {
+    if (!isSafePath(path)) return;
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (!Object.hasOwn(node, key) || !node[key] || typeof node[key] !== 'object') node[key] = {};
+        return node[key];
+    }, target);
+    parent[last] = value;
+}
+
+// Columns as { path, label }; a column is a path string or { path, label }
+function resolveColumns(columns) {
+    return (columns && columns.length > 0 ? columns : DEFAULT_COLUMNS).map(column => {
+        const path = typeof column === 'string' ? column : column.path;
+        const known = EXPORT_COLUMNS.find(entry => entry.path === path);
+        return { path, label: (typeof column === 'object' && column.label) || known?.label || path };
+    });
+}
+
+// Returns an error message for an invalid export format or column list, or null
+function validateExportOptions({ format, columns }) {
+    if (format !== undefined && !EXPORT_FORMATS[format]) {
+        return `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+    }
+    if (columns === undefined) return null;
+    if (!Array.isArray(columns) || columns.length > MAX_COLUMNS) {
+        return `columns must be an array of at most ${MAX_COLUMNS} paths or { path, label } objects`;
+    }
+
+    const invalid = columns.find(column => {
+        const path = typeof column === 'string' ? column : column?.path;
+        const label = typeof column === 'object' ? column?.label : undefined;
+        return typeof path !== 'string' || !isSafePath(path) || (label !== undefined && typeof label !== 'string');
+    });
+    if (invalid !== undefined) {
+        return `Invalid column: ${JSON.stringify(invalid)} (use a field path such as phoneValidation.carrier)`;
+    }
+    return null;
+}
+
+// One cell of text: lists joined with "; ", nested objects by their email/URL/name, booleans as Yes/No
+function formatItem(item) {
+    if (item && typeof item === 'object') {
+        return item.email || item.url || item.name || JSON.stringify(item);
+    }
+    return String(item);
+}
+
+function formatCell(value) {
+    if (isEmptyValue(value)) return '';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'number') return value;
+    if (Array.isArray(value)) return value.filter(item => !isEmptyValue(item)).map(formatItem).join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// RFC 4180: CRLF line breaks; fields with commas, quotes or line breaks quoted, quotes doubled.
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab, CR first) gets a leading '.
+function csvField(value) {
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(cells) {
+    return `${cells.map(csvField).join(',')}\r\n`;
+}
+
+function writeCSV(write, leads, columns) {
+    write(csvRow(columns.map(column => column.label)));
+    for (const lead of leads) {
+        write(csvRow(columns.map(column => formatCell(getPath(lead, column.path)))));
+    }
+}
+
+// The picked columns of each lead, nested as in the lead; no columns exports whole leads
+function writeJSON(write, leads, columns) {
+    write('[');
+    leads.forEach((lead, i) => {
+        let output = lead;
+        if (columns) {
+            output = {};
+            for (const column of columns) {
+                const value = getPath(lead, column.path);
+                if (value !== undefined) setPath(output, column.path, value);
+            }
+        }
+        write(`${i > 0 ? ',' : ''}\n${JSON.stringify(output)}`);
+    });
+    write('\n]\n');
+}
+
+// vCard 3.0 (RFC 2426): text values escaped, lines folded at 75 octets
+function vcardText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+function vcardOf(lead) {
+    const value = (field) => (isEmptyValue(lead[field]) ? null : lead[field]);
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+    const property = (name, text) => {
+        if (!isEmptyValue(text)) lines.push(`${name}:${text}`);
+    };
+
+    const ownerName = value('ownerName');
+    const company = value('companyName');
+    if (ownerName) {
+        const parts = String(ownerName).trim().split(/\s+/);
+        const last = parts.length > 1 ? parts.pop() : '';
+        property('FN', vcardText(ownerName));
+        lines.push(`N:${vcardText(last)};${vcardText(parts.join(' '))};;;`);
+    } else {
+        // A business card: named after the company, with an empty structured name
+        property('FN', vcardText(company || 'Unknown Business'));
+        lines.push('N:;;;;');
+        lines.push('X-ABShowAs:COMPANY');
+    }
+
+    if (company) property('ORG', vcardText(company));
+    property('TITLE', value('ownerPosition') && vcardText(lead.ownerPosition));
+    property('TEL;TYPE=WORK,VOICE', vcardText(lead.phoneE164 || value('phone') || ''));
+    property('EMAIL;TYPE=INTERNET,WORK', vcardText(value('primaryEmail') || value('email') || ''));
+    property('URL', value('website') && vcardText(lead.website));
+
+    const parts = lead.addressParts || {};
+    const street = parts.line1 || value('address');
+    if (street || value('city')) {
+        const adr = ['', parts.unit || '', street || '', value('city') || '', value('state') || '', value('zipcode') || '', value('country') || '']
+            .map(vcardText).join(';');
+        lines.push(`ADR;TYPE=WORK:${adr}`);
+    }
+    if (typeof lead.latitude === 'number' && typeof lead.longitude === 'number') {
+        lines.push(`GEO:${lead.latitude};${lead.longitude}`);
+    }
+    for (const profile of lead.socialProfiles || []) {
+        if (profile.type === 'company' && profile.url) {
+            lines.push(`X-SOCIALPROFILE;TYPE=${vcardText(profile.network || 'other')}:${profile.url}`);
+        }
+    }
+
+    const note = [value('industry'), typeof lead.score === 'number' && `Lead score ${lead.score}`].filter(Boolean).join(' - ');
+    property('NOTE', note && vcardText(note));
+    property('UID', vcardText(lead.id));
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function writeVCard(write, leads) {
+    for (const lead of leads) write(vcardOf(lead));
+}
+
+// Leads sheet with the picked columns, plus one row per email, social profile and score rule
+async function buildWorkbook(leads, columns) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = (name, header, rows) => workbook.addWorksheet(name).addRows([header, ...rows]);
+
+    sheet('Leads', columns.map(column => column.label),
+        leads.map(lead => columns.map(column => formatCell(getPath(lead, column.path)))));
+
+    sheet('Emails', ['Lead ID', 'Company Name', 'Email', 'Name', 'Position', 'Type', 'Confidence', 'Primary'],
+        leads.flatMap(lead => {
+            const emails = [...(lead.emails || [])];
+            for (const email of [lead.primaryEmail, lead.email]) {
+                if (!isEmptyValue(email) && !emails.some(entry => entry.email === email)) emails.unshift({ email });
+            }
+            return emails.map(entry => [lead.id, lead.companyName, entry.email, entry.fullName, entry.position, entry.type, entry.confidence, entry.email === lead.primaryEmail]
+                .map(formatCell));
+        }));
+
+    sheet('Social Profiles', ['Lead ID', 'Company Name', 'Network', 'URL', 'Type', 'Sources'],
+        leads.flatMap(lead => (lead.socialProfiles || []).map(profile =>
+            [lead.id, lead.companyName, profile.network, profile.url, profile.type, (profile.sources || []).map(s => s.source)].map(formatCell))));
+
+    sheet('Score Breakdown', ['Lead ID', 'Company Name', 'Rule', 'Points', 'Max Points', 'Detail'],
+        leads.flatMap(lead => (lead.scoreBreakdown || []).map(rule =>
+            [lead.id, lead.companyName, rule.label, rule.points, rule.maxPoints, rule.detail].map(formatCell))));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Write leads in an export format. write(chunk) receives text as it is produced (CSV, JSON, vCard);
+// XLSX is written in one buffer once the workbook is built. columns: null for the defaults (JSON: whole leads).
+async function writeExport(format, leads, columns, write) {
+    const resolved = columns ? resolveColumns(columns) : null;
+    if (format === 'xlsx') return write(await buildWorkbook(leads, resolved || resolveColumns(null)));
+    if (format === 'json') return writeJSON(write, leads, resolved);
+    if (format === 'vcf') return writeVCard(write, leads);
+    return writeCSV(write, leads, resolved || resolveColumns(null));
+}
+
+function templateFromRow(row) {
+    return {
+        id: row.id,
+        workspaceId: row.workspace_id,
+        name: row.name,
+        format: row.format,
+        columns: JSON.parse(row.columns),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Returns an error message for an invalid template, or null. partial: only the fields given are checked.
+function validateExportTemplate(template, partial = false) {
+    if (!template || typeof template !== 'object') return 'Template must be an object';
+    if ((!partial || template.name !== undefined) && (typeof template.name !== 'string' || !template.name.trim())) {
+        return 'name is required';
+    }
+    if (!partial && (!Array.isArray(template.columns) || template.columns.length === 0)) {
+        return 'columns must be a non-empty array';
+    }
+    return validateExportOptions(template);
+}
+
+// Saved column picks per workspace
+function createExportTemplateStore() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS export_templates (
+            id TEXT PRIMARY KEY,
+            workspace_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            format TEXT NOT NULL,
+            columns TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_export_templates_workspace ON export_templates(workspace_id);
+    `);
+
+    const listStatement = db.prepare('SELECT * FROM export_templates WHERE workspace_id = ? ORDER BY name');
+    const getStatement = db.prepare('SELECT * FROM export_templates WHERE workspace_id = ? AND id = ?');
+    const putStatement = db.prepare(`
+        INSERT INTO export_templates (id, workspace_id, name, format, columns, created_at, updated_at)
+        VALUES (@id, @workspaceId, @name, @format, @columns, @createdAt, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET name = excluded.name, format = excluded.format,
+            columns = excluded.columns, updated_at = excluded.updated_at
+    `);
+    const removeStatement = db.prepare('DELETE FROM export_templates WHERE workspace_id = ? AND id = ?');
+
+    function list(workspaceId) {
+        return listStatement.all(workspaceId).map(templateFromRow);
+    }
+
+    function get(workspaceId, id) {
+        const row = getStatement.get(workspaceId, id);
+        return row ? templateFromRow(row) : null;
+    }
+
+    function save(workspaceId, template) {
+        const now = new Date().toISOString();
+        putStatement.run({
+            id: template.id,
+            workspaceId,
+            name: template.name.trim(),
+            format: template.format,
+            columns: JSON.stringify(template.columns),
+            createdAt: template.createdAt || now,
+            updatedAt: now
+        });
+        return get(workspaceId, template.id);
+    }
+
+    function create(workspaceId, { name, format = 'csv', columns }) {
+        return save(workspaceId, { id: `tpl_${crypto.randomBytes(8).toString('hex')}`, name, format, columns });
+    }
+
+    // Fields left out keep their current values
+    function update(workspaceId, id, changes) {
+        const existing = get(workspaceId, id);
+        if (!existing) return null;
+        const { name, format, columns } = changes;
+        return save(workspaceId, {
+            ...existing,
+            ...(name !== undefined && { name }),
+            ...(format !== undefined && { format }),
+            ...(columns !== undefined && { columns })
+        });
+    }
+
+    function remove(workspaceId, id) {
+        return removeStatement.run(workspaceId, id).changes > 0;
+    }
+
+    return { list, get, create, update, remove };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_COLUMNS,
+    validateExportOptions,
+    validateExportTemplate,
+    csvRow,
+    writeExport,
+    createExportTemplateStore
+};
@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { getDatabase, addColumnIfMissing } = require('./db');
+const { isEmptyValue, DEFAULT_WORKSPACE_ID } = require('./lead-store');
+const { csvRow } = require('./lead-export');
+
+// Legacy .xls (BIFF) workbooks are not read - save them as .xlsx first
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Lead fields a column can be mapped to, with the header names we recognise for each
+const IMPORT_FIELDS = {
+    companyName: ['company', 'company name', 'business', 'business name', 'name', 'account', 'account name', 'organization', 'organisation'],
+    phone: ['phone', 'phone number', 'telephone', 'tel', 'mobile', 'main phone'],
+    address: ['address', 'street', 'street address', 'address 1', 'address line 1', 'billing street'],
+    city: ['city', 'town', 'billing city'],
+    state: ['state', 'province', 'region', 'county', 'billing state'],
+    zipcode: ['zip', 'zipcode', 'zip code', 'postal code', 'postcode', 'billing zip'],
+    country: ['country', 'billing country'],
+    website: ['website', 'url', 'web', 'domain', 'site'],
+    industry: ['industry', 'category', 'sector'],
+    ownerName: ['owner', 'owner name', 'contact', 'contact name', 'ceo'],
+    email: ['email', 'e-mail', 'email address']
+};
+
+// A row needs one of these to be matched to a business
+const MATCH_FIELDS = ['companyName', 'phone', 'address'];
+
+const ROW_STATUSES = ['pending', 'verified', 'enriched', 'skipped', 'failed'];
+
+// Enriched columns appended to the uploaded ones in the result file
+const RESULT_COLUMNS = [
+    ['Company Name', lead => lead.companyName],
+    ['Owner Name', lead => lead.ownerName],
+    ['Owner Source', lead => lead.ownerDataSource],
+    ['Email', lead => lead.primaryEmail || lead.email],
+    ['Phone', lead => lead.phone],
+    ['Phone (E.164)', lead => lead.phoneE164],
+    ['Website', lead => lead.website],
+    ['Address', lead => lead.address],
+    ['City', lead => lead.city],
+    ['State', lead => lead.state],
+    ['Zipcode', lead => lead.zipcode],
+    ['Country', lead => lead.country],
+    ['Industry', lead => lead.industry],
+    ['NAICS', lead => lead.naicsCode],
+    ['Rating', lead => lead.rating],
+    ['Reviews', lead => lead.reviewCount],
+    ['Score', lead => lead.score]
+];
+
+const maxImportRows = () => parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+function fileFormat(fileName) {
+    const extension = String(fileName || '').toLowerCase().split('.').pop();
+    return extension in FORMATS ? extension : null;
+}
+
+// The text a cell shows: zero-padded number formats keep their zeros ("00000" zip codes), dates as ISO dates
+function cellText(cell) {
+    const { value } = cell;
+    if (value instanceof Date) {
+        const iso = value.toISOString();
+        return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+    }
+    if (typeof value === 'number' && /^0+$/.test(cell.numFmt || '')) {
+        return String(value).padStart(cell.numFmt.length, '0');
+    }
+    return cell.text;
+}
+
+// The first sheet as rows of cell text, blank rows left out
+async function readMatrix(buffer, format) {
+    const workbook = new ExcelJS.Workbook();
+    let sheet;
+    if (format === 'csv') {
+        // CSV cells stay text as written (no number or date parsing); a UTF-8 BOM is dropped
+        const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+        sheet = await workbook.csv.read(Readable.from([text]), { map: value => value });
+    } else {
+        await workbook.xlsx.load(buffer);
+        sheet = workbook.worksheets[0];
+    }
+
+    const matrix = [];
+    sheet?.eachRow(row => {
+        const cells = [];
+        row.eachCell({ includeEmpty: true }, (cell, column) => { cells[column - 1] = cellText(cell); });
+        if (cells.some(cell => String(cell ?? '').trim())) matrix.push(Array.from(cells, cell => cell ?? ''));
+    });
+    return matrix;
+}
+
+// Parse an uploaded CSV/XLSX into { format, columns, rows } - the first sheet, first row as headers,
+// every cell as the text the spreadsheet shows (so zip codes keep their leading zeros)
+async function parseSpreadsheet(buffer, fileName) {
+    const format = fileFormat(fileName);
+    if (!format) {
+        throw new Error(`Unsupported file type: ${fileName} (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    let matrix;
+    try {
+        matrix = await readMatrix(buffer, format);
+    } catch (error) {
+        throw new Error(`Could not read ${fileName}: ${error.message}`);
+    }
+    if (matrix.length < 2) {
+        throw new Error('The file needs a header row and at least one data row');
+    }
+
+    // Blank and repeated headers still need distinct names
+    const columns = [];
+    matrix[0].forEach((header, i) => {
+        const base = String(header).trim() || `Column ${i + 1}`;
+        let name = base;
+        for (let n = 2; columns.includes(name); n++) name = `${base} (${n})`;
+        columns.push(name);
+    });
+
+    const rows = matrix.slice(1)
+        .map(cells => Object.fromEntries(columns.map((column, i) => [column, String(cells[i] ?? '').trim()])))
+        .filter(row => Object.values(row).some(Boolean));
+
+    if (rows.length > maxImportRows()) {
+        throw new Error(`The file has ${rows.length} rows; imports are limited to ${maxImportRows()} (IMPORT_MAX_ROWS)`);
+    }
+
+    return { format, columns, rows };
+}
+
+// Best-guess { column: field } from the header names
+function suggestColumnMapping(columns) {
+    const mapping = {};
+    const used = new Set();
+    for (const column of columns) {
+        const header = normalizeHeader(column);
+        const field = Object.keys(IMPORT_FIELDS).find(candidate =>
+            !used.has(candidate) && (IMPORT_FIELDS[candidate].includes(header) || normalizeHeader(candidate) === header));
+        if (field) {
+            mapping[column] = field;
+            used.add(field);
+        }
+    }
+    return mapping;
+}
+
+// Returns an error message for an invalid { column: field } mapping, or null
+function validateColumnMapping(mapping, columns) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return 'mapping must be an object of { column: field }';
+    }
+
+    const fields = Object.values(mapping).filter(Boolean);
+    const unknownColumn = Object.keys(mapping).find(column => !columns.includes(column));
+    if (unknownColumn) return `Unknown column: ${unknownColumn}`;
+
+    const unknownField = fields.find(field => !IMPORT_FIELDS[field]);
+    if (unknownField) return `Unknown field: ${unknownField} (fields: ${Object.keys(IMPORT_FIELDS).join(', ')})`;
+
+    const repeated = fields.find((field, i) => fields.indexOf(field) !== i);
+    if (repeated) return `${repeated} is mapped from more than one column`;
+
+    if (!fields.some(field => MATCH_FIELDS.includes(field))) {
+        return `Map at least one of ${MATCH_FIELDS.join(', ')} so rows can be matched`;
+    }
+    return null;
+}
+
+// The lead fields of one row, in the shape /api/enrich-manual takes
+function mapImportRow(row, mapping) {
+    const lead = {};
+    for (const [column, field] of Object.entries(mapping)) {
+        if (field && !isEmptyValue(row[column])) lead[field] = String(row[column]).trim();
+    }
+    return lead;
+}
+
+function canMatch(lead) {
+    return MATCH_FIELDS.some(field => !isEmptyValue(lead[field]));
+}
+
+// Uploaded columns + status + enriched lead columns, as CSV (RFC 4180) or XLSX
+async function buildResultFile(imported, rows, leadsById, format) {
+    const output = FORMATS[format] || FORMATS.xlsx;
+    const header = [...imported.columns, 'Status', 'Error', 'Warnings', 'Lead ID', ...RESULT_COLUMNS.map(([title]) => `Enriched ${title}`)];
+
+    const body = rows.map(row => {
+        const lead = row.leadId ? leadsById.get(row.leadId) : null;
+        return [
+            ...imported.columns.map(column => row.data[column] ?? ''),
+            row.status,
+            row.error || '',
+            row.warnings.join('; '),
+            row.leadId || '',
+            ...RESULT_COLUMNS.map(([, value]) => {
+                const cell = lead ? value(lead) : null;
+                return isEmptyValue(cell) ? '' : cell;
+            })
+        ];
+    });
+
+    let buffer;
+    if (output === FORMATS.csv) {
+        buffer = Buffer.from([header, ...body].map(csvRow).join(''));
+    } else {
+        const workbook = new ExcelJS.Workbook();
+        workbook.addWorksheet('Enriched').addRows([header, ...body]);
+        buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    const baseName = imported.fileName.replace(/\.[^.]+$/, '');
+    return {
+        buffer,
+        contentType: output.contentType,
+        fileName: `${baseName}_enriched.${output.extension}`
+    };
+}
+
+function rowFromRecord(record) {
+    return {
+        rowNumber: record.row_number,
+        data: JSON.parse(record.data),
+        status: record.status,
+        error: record.error,
+        warnings: record.warnings ? JSON.parse(record.warnings) : [],
+        leadId: record.lead_id
+    };
+}
+
+// Uploaded spreadsheets and the status of each row, kept so results can be downloaded
+// while and after the import job runs
+function createImportStore() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS imports (
+            id TEXT PRIMARY KEY,
+            file_name TEXT NOT NULL,
+            format TEXT NOT NULL,
+            columns TEXT NOT NULL,
+            mapping TEXT NOT NULL,
+            job_id TEXT,
+            created_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS import_rows (
+            import_id TEXT NOT NULL,
+            row_number INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            status TEXT NOT NULL,
+            error TEXT,
+            warnings TEXT,
+            lead_id TEXT,
+            PRIMARY KEY (import_id, row_number)
+        );
+    `);
+    addColumnIfMissing(db, 'imports', 'workspace_id', `TEXT NOT NULL DEFAULT '${DEFAULT_WORKSPACE_ID}'`);
+
+    const insertImport = db.prepare(`
+        INSERT INTO imports (id, workspace_id, file_name, format, columns, mapping, created_at)
+        VALUES (@id, @workspaceId, @fileName, @format, @columns, @mapping, @createdAt)
+    `);
+    const insertRow = db.prepare(`
+        INSERT INTO import_rows (import_id, row_number, data, status)
+        VALUES (@importId, @rowNumber, @data, 'pending')
+    `);
+    const getImport = db.prepare('SELECT * FROM imports WHERE id = ?');
+    const setJob = db.prepare('UPDATE imports SET job_id = @jobId WHERE id = @id');
+    const listRowsStatement = db.prepare(
+        'SELECT * FROM import_rows WHERE import_id = ? ORDER BY row_number LIMIT ? OFFSET ?'
+    );
+    const updateRow = db.prepare(`
+        UPDATE import_rows SET status = @status, error = @error, warnings = @warnings, lead_id = @leadId
+        WHERE import_id = @importId AND row_number = @rowNumber
+    `);
+    const countStatement = db.prepare('SELECT status, COUNT(*) AS count FROM import_rows WHERE import_id = ? GROUP BY status');
+
+    // Row numbers are spreadsheet rows (the header is row 1)
+    const create = db.transaction((workspaceId, { fileName, format, columns, rows, mapping }) => {
+        const id = `imp_${crypto.randomBytes(8).toString('hex')}`;
+        insertImport.run({
+            id,
+            workspaceId,
+            fileName,
+            format,
+            columns: JSON.stringify(columns),
+            mapping: JSON.stringify(mapping),
+            createdAt: new Date().toISOString()
+        });
+        rows.forEach((row, i) => insertRow.run({ importId: id, rowNumber: i + 2, data: JSON.stringify(row) }));
+        return get(id);
+    });
+
+    function get(id) {
+        const record = getImport.get(id);
+        if (!record) return null;
+
+        const counts = Object.fromEntries(ROW_STATUSES.map(status => [status, 0]));
+        countStatement.all(id).forEach(({ status, count }) => { counts[status] = count; });
+
+        return {
+            id: record.id,
+            workspaceId: record.workspace_id,
+            fileName: record.file_name,
+            format: record.format,
+            columns: JSON.parse(record.columns),
+            mapping: JSON.parse(record.mapping),
+            jobId: record.job_id,
+            createdAt: record.created_at,
+            rowCount: Object.values(counts).reduce((sum, count) => sum + count, 0),
+            counts
+        };
+    }
+
+    function setJobId(id, jobId) {
+        setJob.run({ id, jobId });
+    }
+
+    // All rows by default; a limit of -1 is SQLite's "no limit"
+    function listRows(id, { limit = -1, offset = 0 } = {}) {
+        return listRowsStatement.all(id, limit, offset).map(rowFromRecord);
+    }
+
+    function recordRow(id, rowNumber, { status, error = null, warnings = [], leadId = null }) {
+        updateRow.run({
+            importId: id,
+            rowNumber,
+            status,
+            error,
+            warnings: warnings.length > 0 ? JSON.stringify(warnings) : null,
+            leadId
+        });
+    }
+
+    return { create, get, setJobId, listRows, recordRow };
+}
+
+module.exports = {
+    IMPORT_FIELDS,
+    fileFormat,
+    parseSpreadsheet,
+    suggestColumnMapping,
+    validateColumnMapping,
+    mapImportRow,
+    canMatch,
+    buildResultFile,
+    createImportStore
+};
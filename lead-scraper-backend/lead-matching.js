@@ -0,0 +1,263 @@
+const { haversineDistance } = require('./geo');
+const { isEmptyValue } = require('./lead-store');
+const { preferredIndustry } = require('./industry-taxonomy');
+
+// Hosts shared by many businesses - a match on these says nothing about identity
+const SHARED_HOSTS = [
+    'facebook.com', 'instagram.com', 'linkedin.com', 'twitter.com', 'x.com', 'yelp.com',
+    'google.com', 'goo.gl', 'linktr.ee', 'tiktok.com', 'youtube.com', 'business.site'
+];
+
+const NAME_STOPWORDS = new Set([
+    'the', 'inc', 'llc', 'ltd', 'co', 'corp', 'corporation', 'company', 'limited',
+    'plc', 'pllc', 'pc', 'lp', 'llp'
+]);
+
+const STREET_ABBREVIATIONS = {
+    street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln',
+    court: 'ct', place: 'pl', square: 'sq', parkway: 'pkwy', highway: 'hwy', suite: 'ste',
+    north: 'n', south: 's', east: 'e', west: 'w'
+};
+
+// Source priority when merging the same business from several providers (first wins)
+const SOURCE_PRIORITY = ['Google Places API', 'Google Places API (New)', 'Yelp Fusion API', 'Apollo Organizations'];
+
+// Fields that describe the record rather than the business
+const BOOKKEEPING_FIELDS = new Set(['id', 'source', 'sources', 'fieldSources', 'createdAt', 'updatedAt']);
+
+function isMissing(value) {
+    return isEmptyValue(value) || (Array.isArray(value) && value.length === 0);
+}
+
+// Digits only, dropping the NANP country code so "+1 (212) 555-1234" == "212-555-1234"
+function normalizePhone(phone) {
+    if (isEmptyValue(phone)) return null;
+    let digits = String(phone).replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) {
+        digits = digits.substring(1);
+    }
+    return digits.length >= 7 ? digits : null;
+}
+
+// Compare the parsed E.164 number when we have one, so "020 7946 0958" in London == "+44 20 7946 0958"
+function phoneKey(lead) {
+    return normalizePhone(lead.phoneE164 || lead.phone);
+}
+
+// Registrable-looking host of a website ("https://www.joes.com/menu" -> "joes.com")
+function extractDomain(website) {
+    if (isEmptyValue(website)) return null;
+    const host = String(website)
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .split(/[/?#:]/)[0];
+
+    if (!host || !host.includes('.')) return null;
+    if (SHARED_HOSTS.some(shared => host === shared || host.endsWith(`.${shared}`))) return null;
+    return host;
+}
+
+function normalizeName(name) {
+    if (isEmptyValue(name)) return '';
+    return String(name)
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !NAME_STOPWORDS.has(word))
+        .join(' ');
+}
+
+// Street line only ("123 Main Street, Springfield, IL" -> "123 main st")
+function normalizeStreet(address) {
+    if (isEmptyValue(address)) return '';
+    return String(address)
+        .split(',')[0]
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => STREET_ABBREVIATIONS[word] || word)
+        .join(' ');
+}
+
+// Dice coefficient over character bigrams (0..1)
+function stringSimilarity(a, b) {
+    const left = (a || '').replace(/\s+/g, '');
+    const right = (b || '').replace(/\s+/g, '');
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+    if (left.length < 2 || right.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < left.length - 1; i++) {
+        const bigram = left.substring(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < right.length - 1; i++) {
+        const bigram = right.substring(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            overlap++;
+        }
+    }
+
+    return (2 * overlap) / (left.length + right.length - 2);
+}
+
+function hasCoordinates(lead) {
+    return typeof lead.latitude === 'number' && typeof lead.longitude === 'number';
+}
+
+// Distance in meters between two leads, or null when either has no coordinates
+function leadDistance(a, b) {
+    if (!hasCoordinates(a) || !hasCoordinates(b)) return null;
+    return haversineDistance({ lat: a.latitude, lng: a.longitude }, { lat: b.latitude, lng: b.longitude });
+}
+
+// Compare two leads and explain why they are (or aren't) the same business
+function compareLeads(a, b) {
+    const distance = leadDistance(a, b);
+    const streetA = normalizeStreet(a.addressParts?.line1 || a.address);
+    const streetB = normalizeStreet(b.addressParts?.line1 || b.address);
+    const addressSimilarity = streetA && streetB ? stringSimilarity(streetA, streetB) : null;
+    const nameSimilarity = stringSimilarity(normalizeName(a.companyName), normalizeName(b.companyName));
+
+    // Chains share phones and domains - different locations must not collapse together
+    const locationConflict = (distance !== null && distance > 1000) ||
+        (addressSimilarity !== null && addressSimilarity < 0.5);
+
+    const phoneA = phoneKey(a);
+    const domainA = extractDomain(a.website);
+    const phoneMatch = Boolean(phoneA && phoneA === phoneKey(b));
+    const domainMatch = Boolean(domainA && domainA === extractDomain(b.website));
+
+    let match = false;
+    let reason = null;
+
+    if (phoneMatch && !locationConflict) {
+        match = true;
+        reason = 'phone';
+    } else if (domainMatch && !locationConflict) {
+        match = true;
+        reason = 'domain';
+    } else if (nameSimilarity >= 0.9 && !locationConflict && (
+        (distance !== null && distance < 250) ||
+        (addressSimilarity !== null && addressSimilarity >= 0.6) ||
+        (!isEmptyValue(a.city) && String(a.city).toLowerCase() === String(b.city || '').toLowerCase())
+    )) {
+        match = true;
+        reason = 'name+address';
+    } else if (nameSimilarity >= 0.7 && (
+        (distance !== null && distance < 75) ||
+        (addressSimilarity !== null && addressSimilarity >= 0.85)
+    )) {
+        match = true;
+        reason = 'name+location';
+    }
+
+    return { match, reason, nameSimilarity, addressSimilarity, distance, phoneMatch, domainMatch };
+}
+
+// A lead merged earlier ranks by the best source it came from
+function sourceRank(lead) {
+    const ranks = (lead.sources || [lead.source])
+        .map(source => SOURCE_PRIORITY.indexOf(source))
+        .filter(rank => rank !== -1);
+    return ranks.length > 0 ? Math.min(...ranks) : SOURCE_PRIORITY.length;
+}
+
+// Combine several records of one business; each field comes from the highest-priority source that has it
+function mergeLeadGroup(group) {
+    const ordered = [...group].sort((a, b) => sourceRank(a) - sourceRank(b));
+    const merged = {};
+    const fieldSources = {};
+    const sources = [];
+
+    for (const lead of ordered) {
+        for (const source of (lead.sources || [lead.source])) {
+            if (source && !sources.includes(source)) {
+                sources.push(source);
+            }
+        }
+
+        for (const [key, value] of Object.entries(lead)) {
+            if (BOOKKEEPING_FIELDS.has(key) || isMissing(value)) continue;
+            if (isMissing(merged[key])) {
+                merged[key] = value;
+                fieldSources[key] = (lead.fieldSources && lead.fieldSources[key]) || lead.source;
+            }
+        }
+    }
+
+    // Keep placeholders (e.g. 'N/A') for fields no source could fill
+    for (const lead of ordered) {
+        for (const [key, value] of Object.entries(lead)) {
+            if (!BOOKKEEPING_FIELDS.has(key) && !(key in merged)) {
+                merged[key] = value;
+            }
+        }
+    }
+
+    // The industry fields describe one classification - take them together rather than field by field
+    const industry = ordered.slice(1).reduce(preferredIndustry, preferredIndustry(ordered[0], null));
+
+    return {
+        ...merged,
+        ...industry,
+        id: ordered[0].id,
+        source: sources.join(' + '),
+        sources,
+        fieldSources
+    };
+}
+
+// Merge result sets from several providers into one lead per business
+function mergeLeadSets(resultSets) {
+    const groups = [];
+    const groupByPhone = new Map();
+    const groupByDomain = new Map();
+
+    for (const { leads } of resultSets) {
+        for (const lead of leads) {
+            const phone = phoneKey(lead);
+            const domain = extractDomain(lead.website);
+
+            // Cheap exact-key candidates first, then a fuzzy scan
+            const candidates = [groupByPhone.get(phone), groupByDomain.get(domain)].filter(Boolean);
+            let group = candidates.find(g => g.some(member => compareLeads(member, lead).match));
+            if (!group) {
+                group = groups.find(g => g.some(member => compareLeads(member, lead).match));
+            }
+
+            if (group) {
+                group.push(lead);
+            } else {
+                group = [lead];
+                groups.push(group);
+            }
+
+            if (phone && !groupByPhone.has(phone)) groupByPhone.set(phone, group);
+            if (domain && !groupByDomain.has(domain)) groupByDomain.set(domain, group);
+        }
+    }
+
+    return groups.map(mergeLeadGroup);
+}
+
+module.exports = {
+    normalizePhone,
+    phoneKey,
+    extractDomain,
+    normalizeName,
+    normalizeStreet,
+    stringSimilarity,
+    compareLeads,
+    mergeLeadGroup,
+    mergeLeadSets
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./db');
+const { isEmptyValue } = require('./lead-store');
+const { haversineDistance } = require('./geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the scheduler looks for leads due a re-check
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+// Keep the check history bounded per lead
+const MAX_CHECKS_PER_LEAD = 50;
+
+// Geocodes of one address drift by a few meters - only a bigger jump counts as a move
+const MOVED_DISTANCE_METERS = 250;
+
+const CHANGE_FLAGS = ['closed', 'moved', 'ownerChanged', 'phoneInvalid'];
+
+// Fields compared between the stored lead and what the providers return now
+const TRACKED_FIELDS = [
+    'companyName',
+    'phone',
+    'address',
+    'city',
+    'state',
+    'zipcode',
+    'country',
+    'website',
+    'rating',
+    'reviewCount',
+    'businessStatus',
+    'isClosed',
+    'phoneValidation.valid',
+    'phoneValidation.carrier',
+    'phoneValidation.lineType'
+];
+
+// Formatting differs between sources, so compare the parsed forms where there are some
+const COMPARABLE = {
+    address: (lead) => lead.addressParts?.line1
+        ? `${lead.addressParts.line1}|${lead.addressParts.postalCode || ''}`
+        : lead.address,
+    phone: (lead) => lead.phoneE164 || lead.phone
+};
+
+const GOOGLE_CLOSED_STATUSES = {
+    CLOSED_PERMANENTLY: 'Permanently closed on Google Maps',
+    CLOSED_TEMPORARILY: 'Temporarily closed on Google Maps'
+};
+
+// REVERIFY_AFTER_DAYS=0 turns the scheduler off
+function reverifyAfterDays() {
+    const value = process.env.REVERIFY_AFTER_DAYS;
+    return value !== undefined && value !== '' ? parseFloat(value) || 0 : 30;
+}
+
+const reverifyBatchSize = () => parseInt(process.env.REVERIFY_BATCH_SIZE, 10) || 25;
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const normalizeText = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function sameValue(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+    if (typeof a === 'string' && typeof b === 'string') return normalizeText(a) === normalizeText(b);
+    return a === b;
+}
+
+// When the lead was last checked against its sources
+function lastCheckedAt(lead) {
+    return lead.reverifiedAt || lead.verifiedAt || lead.createdAt;
+}
+
+// Verified leads not checked for `days`, least recently checked first
+function selectDueLeads(leads, days, now = new Date()) {
+    const cutoff = new Date(now.getTime() - days * DAY_MS).toISOString();
+    return leads
+        .filter(lead => lead.verified && lastCheckedAt(lead) <= cutoff)
+        .sort((a, b) => lastCheckedAt(a).localeCompare(lastCheckedAt(b)));
+}
+
+// [{ field, before, after }] for each tracked field the fresh data changes.
+// A field the source no longer returns is not a change - the stored value is kept.
+function diffLeadFields(lead, fresh) {
+    return TRACKED_FIELDS
+        .map(field => {
+            const after = getPath(fresh, field);
+            if (isEmptyValue(after)) return null;
+
+            const before = getPath(lead, field);
+            const comparable = COMPARABLE[field];
+            const unchanged = comparable
+                ? !isEmptyValue(comparable(lead)) && sameValue(comparable(lead), comparable(fresh))
+                : !isEmptyValue(before) && sameValue(before, after);
+            return unchanged ? null : { field, before: isEmptyValue(before) ? null : before, after };
+        })
+        .filter(Boolean);
+}
+
+function movedDetail(lead, google) {
+    if (!google) return null;
+
+    if (typeof lead.latitude === 'number' && typeof lead.longitude === 'number' &&
+        typeof google.latitude === 'number' && typeof google.longitude === 'number') {
+        const meters = haversineDistance(
+            { lat: lead.latitude, lng: lead.longitude },
+            { lat: google.latitude, lng: google.longitude }
+        );
+        return meters > MOVED_DISTANCE_METERS ? `Now at ${google.address} (${(meters / 1000).toFixed(1)} km away)` : null;
+    }
+
+    const before = COMPARABLE.address(lead);
+    const after = COMPARABLE.address(google);
+    return !isEmptyValue(before) && !isEmptyValue(after) && !sameValue(before, after) ? `Now at ${google.address}` : null;
+}
+
+// Flags the fresh provider data raises ({ flag: detail }) and the ones it shows no longer apply.
+// sources: { google, yelp, numverify } - each the provider's fresh result, or null when not checked.
+function detectChangeFlags(lead, { google, yelp, numverify }) {
+    const raised = {};
+    const cleared = [];
+
+    if (google?.placeNotFound) {
+        raised.closed = 'No longer listed on Google Maps';
+    } else if (GOOGLE_CLOSED_STATUSES[google?.businessStatus]) {
+        raised.closed = GOOGLE_CLOSED_STATUSES[google.businessStatus];
+    } else if (yelp?.isClosed === true) {
+        raised.closed = 'Closed on Yelp';
+    } else if (google?.businessStatus === 'OPERATIONAL' && yelp?.isClosed !== true) {
+        cleared.push('closed');
+    }
+
+    const moved = movedDetail(lead, google?.placeNotFound ? null : google);
+    if (moved) raised.moved = moved;
+
+    // A new name on the same Google listing usually means the business changed hands
+    if (google && !google.placeNotFound && !isEmptyValue(google.companyName) &&
+        !isEmptyValue(lead.companyName) && !sameValue(lead.companyName, google.companyName)) {
+        raised.ownerChanged = `Now listed as "${google.companyName}" (was "${lead.companyName}")`;
+    }
+
+    if (numverify?.valid === false) {
+        raised.phoneInvalid = `${lead.phoneE164 || lead.phone} is no longer a valid number (Numverify)`;
+    } else if (numverify?.valid === true) {
+        cleared.push('phoneInvalid');
+    }
+
+    return { raised, cleared };
+}
+
+// The lead's flags after a check: raised flags keep the time they were first detected,
+// cleared ones are dropped, and the rest stay until they are dismissed
+function applyChangeFlags(existing, { raised, cleared }, checkedAt) {
+    const flags = Object.fromEntries(Object.entries(existing || {}).filter(([flag]) => !cleared.includes(flag)));
+    for (const [flag, detail] of Object.entries(raised)) {
+        flags[flag] = { detail, detectedAt: flags[flag]?.detectedAt || checkedAt };
+    }
+    return flags;
+}
+
+function checkFromRow(row) {
+    return {
+        id: row.id,
+        leadId: row.lead_id,
+        trigger: row.trigger,
+        checkedAt: row.checked_at,
+        sources: JSON.parse(row.sources),
+        changes: JSON.parse(row.changes),
+        flags: JSON.parse(row.flags),
+        errors: JSON.parse(row.errors)
+    };
+}
+
+// Every re-check of a lead: the sources asked, the field changes and the flags it raised
+function createReverificationStore() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS lead_reverifications (
+            id TEXT PRIMARY KEY,
+            lead_id TEXT NOT NULL,
+            trigger TEXT NOT NULL,
+            checked_at TEXT NOT NULL,
+            sources TEXT NOT NULL,
+            changes TEXT NOT NULL,
+            flags TEXT NOT NULL,
+            errors TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_lead_reverifications_lead ON lead_reverifications (lead_id, checked_at);
+    `);
+
+    const insertStatement = db.prepare(`
+        INSERT INTO lead_reverifications (id, lead_id, trigger, checked_at, sources, changes, flags, errors)
+        VALUES (@id, @leadId, @trigger, @checkedAt, @sources, @changes, @flags, @errors)
+    `);
+    const listStatement = db.prepare('SELECT * FROM lead_reverifications WHERE lead_id = ? ORDER BY checked_at DESC LIMIT ?');
+    const pruneStatement = db.prepare(`
+        DELETE FROM lead_reverifications WHERE lead_id = @leadId AND id NOT IN (
+            SELECT id FROM lead_reverifications WHERE lead_id = @leadId ORDER BY checked_at DESC LIMIT @keep
+        )
+    `);
+
+    const record = db.transaction((leadId, { trigger, checkedAt, sources, changes, flags, errors }) => {
+        const id = `chk_${crypto.randomBytes(8).toString('hex')}`;
+        insertStatement.run({
+            id,
+            leadId,
+            trigger,
+            checkedAt,
+            sources: JSON.stringify(sources),
+            changes: JSON.stringify(changes),
+            flags: JSON.stringify(flags),
+            errors: JSON.stringify(errors)
+        });
+        pruneStatement.run({ leadId, keep: MAX_CHECKS_PER_LEAD });
+        return { id, leadId, trigger, checkedAt, sources, changes, flags, errors };
+    });
+
+    function list(leadId, limit = MAX_CHECKS_PER_LEAD) {
+        return listStatement.all(leadId, limit).map(checkFromRow);
+    }
+
+    return { record, list };
+}
+
+// Hourly: hands each workspace's verified leads that are due a re-check to startRun(leadIds, workspaceId),
+// one batch at a time - nothing is started in a workspace while its previous batch (isBusy(workspaceId)) is still going
+function createReverificationScheduler({ listWorkspaceIds, listVerifiedLeads, isBusy, startRun, intervalMs = SCHEDULER_INTERVAL_MS }) {
+    let timer = null;
+
+    function tick() {
+        const days = reverifyAfterDays();
+        if (days <= 0) return;
+
+        for (const workspaceId of listWorkspaceIds()) {
+            try {
+                if (isBusy(workspaceId)) continue;
+
+                const due = selectDueLeads(listVerifiedLeads(workspaceId), days).slice(0, reverifyBatchSize());
+                if (due.length > 0) {
+                    startRun(due.map(lead => lead.id), workspaceId);
+                    console.log(`[Reverify] Started re-verification of ${due.length} lead(s) in workspace ${workspaceId}`);
+                }
+            } catch (error) {
+                console.error(`[Reverify] Failed to start re-verification in workspace ${workspaceId}:`, error.message);
+            }
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        tick();
+        timer = setInterval(tick, intervalMs);
+        timer.unref?.();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, tick };
+}
+
+module.exports = {
+    CHANGE_FLAGS,
+    reverifyAfterDays,
+    reverifyBatchSize,
+    selectDueLeads,
+    diffLeadFields,
+    detectChangeFlags,
+    applyChangeFlags,
+    createReverificationStore,
+    createReverificationScheduler
+};
@@ -0,0 +1,279 @@
+const { getDatabase } = require('./db');
+const { isEmptyValue, DEFAULT_WORKSPACE_ID } = require('./lead-store');
+const { haversineDistance } = require('./geo');
+
+// Email statuses (Apollo's and Hunter's wording) that mean mail will not arrive
+const UNDELIVERABLE_EMAIL_STATUSES = ['invalid', 'undeliverable', 'unavailable', 'bounced'];
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Scoring rules. weight is the share of the score a rule can contribute; evaluate returns
+// { ratio (0..1), detail }, or null when the rule doesn't apply (e.g. no target industries set),
+// in which case its weight is left out of the total rather than counted as zero.
+const RULES = {
+    verifiedOwner: {
+        label: 'Verified owner',
+        defaults: { weight: 25 },
+        evaluate(lead) {
+            if (lead.ownerVerified && !isEmptyValue(lead.ownerName)) {
+                return { ratio: 1, detail: `${lead.ownerName} (${lead.ownerDataSource || 'verified source'})` };
+            }
+            if (!isEmptyValue(lead.ownerName)) {
+                return { ratio: 0.25, detail: 'Owner estimated, not verified' };
+            }
+            return { ratio: 0, detail: 'No owner found' };
+        }
+    },
+    emailDeliverable: {
+        label: 'Deliverable email',
+        defaults: { weight: 20 },
+        evaluate(lead) {
+            const email = !isEmptyValue(lead.primaryEmail) ? lead.primaryEmail : lead.email;
+            if (isEmptyValue(email)) {
+                return { ratio: 0, detail: 'No email' };
+            }
+
+            const status = String(lead.emailStatus || '').toLowerCase();
+            if (status === 'verified' || status === 'valid' || status === 'deliverable') {
+                return { ratio: 1, detail: `${email} (${status})` };
+            }
+            if (UNDELIVERABLE_EMAIL_STATUSES.includes(status)) {
+                return { ratio: 0, detail: `${email} (${status})` };
+            }
+
+            const hunterEmail = (lead.emails || []).find(entry => entry.email === email);
+            if (hunterEmail && typeof hunterEmail.confidence === 'number') {
+                return { ratio: clamp(hunterEmail.confidence / 100), detail: `${email} (Hunter confidence ${hunterEmail.confidence}%)` };
+            }
+            return { ratio: 0.5, detail: `${email} (deliverability unknown)` };
+        }
+    },
+    phoneValid: {
+        label: 'Valid phone',
+        defaults: { weight: 15 },
+        evaluate(lead) {
+            // Numverify's carrier lookup beats the offline numbering-plan check
+            if (lead.phoneValidation && typeof lead.phoneValidation.valid === 'boolean') {
+                const lineType = isEmptyValue(lead.phoneValidation.lineType) ? null : lead.phoneValidation.lineType;
+                return lead.phoneValidation.valid
+                    ? { ratio: 1, detail: `Valid ${lineType ? `${lineType} ` : ''}number (Numverify)` }
+                    : { ratio: 0, detail: 'Invalid number (Numverify)' };
+            }
+            if (lead.phoneLineType) {
+                return { ratio: 0.75, detail: `Valid ${lead.phoneLineType.replace(/_/g, ' ')} number` };
+            }
+            if (lead.phoneE164) {
+                return { ratio: 0.5, detail: 'Possible number, not valid in its region' };
+            }
+            if (!isEmptyValue(lead.phone)) {
+                return { ratio: 0.25, detail: 'Phone could not be parsed' };
+            }
+            return { ratio: 0, detail: 'No phone' };
+        }
+    },
+    rating: {
+        label: 'Rating',
+        // Ratings at or below min score nothing, max scores in full
+        defaults: { weight: 10, min: 3, max: 5 },
+        evaluate(lead, settings) {
+            const rating = parseFloat(lead.rating);
+            if (!Number.isFinite(rating)) {
+                return { ratio: 0, detail: 'No rating' };
+            }
+            return { ratio: clamp((rating - settings.min) / (settings.max - settings.min)), detail: `${rating} stars` };
+        }
+    },
+    reviewCount: {
+        label: 'Review count',
+        // Log scale: the first reviews count most, target reviews score in full
+        defaults: { weight: 10, target: 100 },
+        evaluate(lead, settings) {
+            const count = parseInt(lead.reviewCount, 10) || 0;
+            return {
+                ratio: clamp(Math.log10(1 + count) / Math.log10(1 + settings.target)),
+                detail: `${count} reviews`
+            };
+        }
+    },
+    hasWebsite: {
+        label: 'Has website',
+        defaults: { weight: 10 },
+        evaluate(lead) {
+            return isEmptyValue(lead.website)
+                ? { ratio: 0, detail: 'No website' }
+                : { ratio: 1, detail: lead.website };
+        }
+    },
+    industryMatch: {
+        label: 'Target industry',
+        // Industry IDs (see /api/industries), NAICS sector codes and NAICS code prefixes
+        defaults: { weight: 10, industries: [], sectors: [], naics: [] },
+        evaluate(lead, settings) {
+            if (settings.industries.length + settings.sectors.length + settings.naics.length === 0) return null;
+
+            const match = settings.industries.includes(lead.industryId) ||
+                settings.sectors.includes(lead.sectorCode) ||
+                settings.naics.some(prefix => String(lead.naicsCode || '').startsWith(prefix));
+            return { ratio: match ? 1 : 0, detail: lead.industry || 'No industry' };
+        }
+    },
+    distance: {
+        label: 'Distance',
+        // Full points at the target location, none from maxKm out
+        defaults: { weight: 10, latitude: null, longitude: null, maxKm: 25 },
+        evaluate(lead, settings) {
+            if (typeof settings.latitude !== 'number' || typeof settings.longitude !== 'number') return null;
+            if (typeof lead.latitude !== 'number' || typeof lead.longitude !== 'number') {
+                return { ratio: 0, detail: 'No location' };
+            }
+
+            const km = haversineDistance(
+                { lat: settings.latitude, lng: settings.longitude },
+                { lat: lead.latitude, lng: lead.longitude }
+            ) / 1000;
+            return { ratio: clamp(1 - km / settings.maxKm), detail: `${km.toFixed(1)} km away` };
+        }
+    }
+};
+
+const RULE_IDS = Object.keys(RULES);
+
+function defaultScoringConfig() {
+    return {
+        rules: Object.fromEntries(RULE_IDS.map(id => [id, { ...RULES[id].defaults }]))
+    };
+}
+
+// Partial settings over a complete config, rule by rule
+function mergeScoringConfig(base, config) {
+    const rules = (config && config.rules) || {};
+    return {
+        rules: Object.fromEntries(RULE_IDS.map(id => [id, { ...base.rules[id], ...(rules[id] || {}) }]))
+    };
+}
+
+function resolveScoringConfig(config) {
+    return mergeScoringConfig(defaultScoringConfig(), config);
+}
+
+// Returns an error message for an invalid (partial) config applied over base, or null
+function validateScoringConfig(config, base = defaultScoringConfig()) {
+    if (!config || typeof config !== 'object' || !config.rules || typeof config.rules !== 'object') {
+        return 'Config must be an object with a rules object';
+    }
+
+    for (const [id, settings] of Object.entries(config.rules)) {
+        if (!RULES[id]) {
+            return `Unknown rule: ${id} (rules: ${RULE_IDS.join(', ')})`;
+        }
+        if (!settings || typeof settings !== 'object') {
+            return `Settings for ${id} must be an object`;
+        }
+
+        const allowed = Object.keys(RULES[id].defaults);
+        const unknown = Object.keys(settings).find(key => !allowed.includes(key));
+        if (unknown) {
+            return `Unknown setting ${id}.${unknown} (settings: ${allowed.join(', ')})`;
+        }
+        for (const [key, value] of Object.entries(settings)) {
+            const expected = RULES[id].defaults[key];
+            if (Array.isArray(expected) ? !Array.isArray(value) : (value !== null && typeof value !== 'number')) {
+                return `${id}.${key} must be ${Array.isArray(expected) ? 'an array' : 'a number'}`;
+            }
+        }
+        if (settings.weight !== undefined && (settings.weight < 0 || settings.weight > 100)) {
+            return `${id}.weight must be between 0 and 100`;
+        }
+    }
+
+    const { rules } = mergeScoringConfig(base, config);
+    if (rules.rating.max <= rules.rating.min) return 'rating.max must be greater than rating.min';
+    if (rules.reviewCount.target <= 0) return 'reviewCount.target must be positive';
+    if (rules.distance.maxKm <= 0) return 'distance.maxKm must be positive';
+    return null;
+}
+
+// Score a lead 0-100 with a per-rule breakdown whose points add up to the score
+function scoreLead(lead, config) {
+    const { rules } = resolveScoringConfig(config);
+
+    const results = RULE_IDS
+        .filter(id => rules[id].weight > 0)
+        .map(id => ({ id, weight: rules[id].weight, result: RULES[id].evaluate(lead, rules[id]) }))
+        .filter(({ result }) => result !== null);
+
+    const totalWeight = results.reduce((sum, { weight }) => sum + weight, 0);
+    const round = (value) => Math.round(value * 10) / 10;
+
+    const scoreBreakdown = results.map(({ id, weight, result }) => ({
+        rule: id,
+        label: RULES[id].label,
+        points: totalWeight > 0 ? round(100 * weight * result.ratio / totalWeight) : 0,
+        maxPoints: totalWeight > 0 ? round(100 * weight / totalWeight) : 0,
+        detail: result.detail
+    }));
+
+    const score = totalWeight > 0
+        ? Math.round(100 * results.reduce((sum, { weight, result }) => sum + weight * result.ratio, 0) / totalWeight)
+        : 0;
+
+    return { score, scoreBreakdown };
+}
+
+// Scoring settings per workspace; a workspace without its own uses the defaults
+function createScoringConfigStore() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS scoring_configs (
+            workspace_id TEXT PRIMARY KEY,
+            config TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+    `);
+
+    const getStatement = db.prepare('SELECT config, updated_at FROM scoring_configs WHERE workspace_id = ?');
+    const putStatement = db.prepare(`
+        INSERT INTO scoring_configs (workspace_id, config, updated_at)
+        VALUES (@workspaceId, @config, @updatedAt)
+        ON CONFLICT(workspace_id) DO UPDATE SET config = excluded.config, updated_at = excluded.updated_at
+    `);
+    const removeStatement = db.prepare('DELETE FROM scoring_configs WHERE workspace_id = ?');
+
+    function get(workspaceId = DEFAULT_WORKSPACE_ID) {
+        const row = getStatement.get(workspaceId);
+        return {
+            workspaceId,
+            ...resolveScoringConfig(row ? JSON.parse(row.config) : null),
+            isDefault: !row,
+            updatedAt: row ? row.updated_at : null
+        };
+    }
+
+    // Rules left out keep their current settings
+    function set(workspaceId, config) {
+        const { rules } = mergeScoringConfig(get(workspaceId), config);
+        putStatement.run({ workspaceId, config: JSON.stringify({ rules }), updatedAt: new Date().toISOString() });
+        return get(workspaceId);
+    }
+
+    function reset(workspaceId) {
+        removeStatement.run(workspaceId);
+        return get(workspaceId);
+    }
+
+    return { get, set, reset };
+}
+
+// Rule descriptions for the settings UI
+function listScoringRules() {
+    return RULE_IDS.map(id => ({ id, label: RULES[id].label, defaults: RULES[id].defaults }));
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE_ID,
+    scoreLead,
+    validateScoringConfig,
+    listScoringRules,
+    createScoringConfigStore
+};
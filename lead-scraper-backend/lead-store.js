@@ -0,0 +1,686 @@
+const crypto = require('crypto');
+const { getDatabase, addColumnIfMissing } = require('./db');
+
+// Leads stored before workspaces existed belong to this one
+const DEFAULT_WORKSPACE_ID = 'default';
+
+// Placeholder values the scrapers use for "no data" - these never overwrite real values
+const EMPTY_VALUES = [undefined, null, '', 'N/A'];
+
+function isEmptyValue(value) {
+    return EMPTY_VALUES.includes(value);
+}
+
+function normalizeKeyPart(value) {
+    if (isEmptyValue(value)) return '';
+    return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Provider identifiers, falling back to name + address
+function leadKey(lead) {
+    if (lead.placeId) return `google:${lead.placeId}`;
+    if (lead.yelpId) return `yelp:${lead.yelpId}`;
+    if (lead.organizationId) return `apollo:${lead.organizationId}`;
+    return `name:${normalizeKeyPart(lead.companyName)}|${normalizeKeyPart(lead.address)}|${normalizeKeyPart(lead.city)}`;
+}
+
+const hashLeadKey = (key) => `lead_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+
+// Derive a stable lead ID from the lead's key, salted with the workspace so the same business gets
+// another ID in every workspace and no workspace can predict another one's IDs
+function computeLeadId(lead, workspaceId = DEFAULT_WORKSPACE_ID) {
+    return hashLeadKey(`${workspaceId}|${leadKey(lead)}`);
+}
+
+// The unsalted ID the default workspace gave leads before IDs were salted per workspace
+const legacyLeadId = (lead) => hashLeadKey(leadKey(lead));
+
+const workspaceOf = (lead) => lead.workspaceId || DEFAULT_WORKSPACE_ID;
+
+// Merge incoming fields over a stored lead without clobbering real values with placeholders
+function mergeLeadFields(existing, incoming) {
+    const merged = { ...existing };
+    for (const [key, value] of Object.entries(incoming)) {
+        if (isEmptyValue(value) && !isEmptyValue(existing[key])) {
+            continue;
+        }
+        merged[key] = value;
+    }
+
+    // A reason for an empty field no longer applies once another pass filled it
+    if (merged.fieldReasons) {
+        merged.fieldReasons = Object.fromEntries(
+            Object.entries(merged.fieldReasons).filter(([field]) => isEmptyValue(merged[field]))
+        );
+    }
+    return merged;
+}
+
+function matchesFilters(lead, filters) {
+    if (filters.workspaceId && workspaceOf(lead) !== filters.workspaceId) {
+        return false;
+    }
+    if (filters.verified !== undefined && Boolean(lead.verified) !== filters.verified) {
+        return false;
+    }
+    if (filters.industry && lead.industry !== filters.industry) {
+        return false;
+    }
+    if (filters.duplicateClusterIds && !filters.duplicateClusterIds.includes(lead.duplicateClusterId)) {
+        return false;
+    }
+    if (filters.sector && lead.sectorCode !== filters.sector) {
+        return false;
+    }
+    if (filters.naics && !String(lead.naicsCode || '').startsWith(filters.naics)) {
+        return false;
+    }
+    if (filters.search && !String(lead.companyName || '').toLowerCase().includes(filters.search.toLowerCase())) {
+        return false;
+    }
+    // Change flags raised by re-verification: one flag, or 'any'
+    if (filters.flag && !(filters.flag === 'any'
+        ? Object.keys(lead.changeFlags || {}).length > 0
+        : lead.changeFlags?.[filters.flag])) {
+        return false;
+    }
+    if (filters.minScore !== undefined && !(lead.score >= filters.minScore)) {
+        return false;
+    }
+    if (filters.maxScore !== undefined && !(lead.score <= filters.maxScore)) {
+        return false;
+    }
+    return true;
+}
+
+// Sort orders for list(): most recently updated first unless sort = 'score'
+function compareLeadsBy(filters) {
+    const direction = filters.order === 'asc' ? 1 : -1;
+    if (filters.sort === 'score') {
+        return (a, b) => direction * ((a.score ?? -1) - (b.score ?? -1)) || b.updatedAt.localeCompare(a.updatedAt);
+    }
+    return (a, b) => direction * a.updatedAt.localeCompare(b.updatedAt);
+}
+
+// Treat % and _ in user input literally inside a LIKE pattern (matched with ESCAPE '\')
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+// Totals, averages and per-industry/sector counts over a set of leads
+function summarizeLeads(leads) {
+    const countBy = (field) => leads.reduce((acc, lead) => {
+        if (lead[field]) {
+            acc[lead[field]] = (acc[lead[field]] || 0) + 1;
+        }
+        return acc;
+    }, {});
+
+    return {
+        totalLeads: leads.length,
+        verifiedLeads: leads.filter(l => l.verified).length,
+        averageConfidence: leads.length > 0
+            ? leads.reduce((sum, l) => sum + (l.aiConfidence || 0), 0) / leads.length
+            : 0,
+        averageScore: leads.length > 0
+            ? leads.reduce((sum, l) => sum + (l.score || 0), 0) / leads.length
+            : 0,
+        topIndustries: countBy('industry'),
+        topSectors: countBy('sector')
+    };
+}
+
+// SQLite adapter - each lead is a JSON document plus a few indexed columns for filtering
+function createSqliteAdapter() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS leads (
+            id TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            company_name TEXT,
+            industry TEXT,
+            verified INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_leads_verified ON leads (verified);
+        CREATE INDEX IF NOT EXISTS idx_leads_industry ON leads (industry);
+        CREATE INDEX IF NOT EXISTS idx_leads_score ON leads (json_extract(data, '$.score'));
+        CREATE TABLE IF NOT EXISTS lead_aliases (
+            alias_id TEXT PRIMARY KEY,
+            lead_id TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_lead_aliases_lead ON lead_aliases (lead_id);
+        CREATE TABLE IF NOT EXISTS lead_match_keys (
+            workspace_id TEXT NOT NULL,
+            match_key TEXT NOT NULL,
+            lead_id TEXT NOT NULL,
+            PRIMARY KEY (workspace_id, match_key, lead_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_lead_match_keys_lead ON lead_match_keys (lead_id);
+        CREATE INDEX IF NOT EXISTS idx_leads_cluster ON leads (json_extract(data, '$.duplicateClusterId'));
+    `);
+    addColumnIfMissing(db, 'leads', 'workspace_id', `TEXT NOT NULL DEFAULT '${DEFAULT_WORKSPACE_ID}'`);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_leads_workspace ON leads (workspace_id, updated_at)');
+
+    const getStatement = db.prepare('SELECT data FROM leads WHERE id = ?');
+    const putStatement = db.prepare(`
+        INSERT INTO leads (id, workspace_id, data, company_name, industry, verified, created_at, updated_at)
+        VALUES (@id, @workspaceId, @data, @companyName, @industry, @verified, @createdAt, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET
+            data = excluded.data,
+            company_name = excluded.company_name,
+            industry = excluded.industry,
+            verified = excluded.verified,
+            updated_at = excluded.updated_at
+        WHERE leads.workspace_id = excluded.workspace_id
+    `);
+    const removeStatement = db.prepare('DELETE FROM leads WHERE id = ?');
+    const clearStatement = db.prepare('DELETE FROM leads WHERE workspace_id = ?');
+    const removeKeysStatement = db.prepare('DELETE FROM lead_match_keys WHERE lead_id = ?');
+    const putKeyStatement = db.prepare('INSERT OR IGNORE INTO lead_match_keys (workspace_id, match_key, lead_id) VALUES (?, ?, ?)');
+    const clearKeysStatement = db.prepare('DELETE FROM lead_match_keys WHERE workspace_id = ?');
+    const findByKeysStatement = db.prepare(`
+        SELECT data FROM leads WHERE id IN (
+            SELECT lead_id FROM lead_match_keys
+            WHERE workspace_id = ? AND match_key IN (SELECT value FROM json_each(?))
+        )
+    `);
+    const unkeyedStatement = db.prepare('SELECT data FROM leads WHERE id NOT IN (SELECT lead_id FROM lead_match_keys)');
+    const getAliasStatement = db.prepare('SELECT lead_id FROM lead_aliases WHERE alias_id = ?');
+    const repointAliasesStatement = db.prepare('UPDATE lead_aliases SET lead_id = @leadId WHERE lead_id = @aliasId');
+    const putAliasStatement = db.prepare('INSERT OR REPLACE INTO lead_aliases (alias_id, lead_id) VALUES (@aliasId, @leadId)');
+    const removeAliasesStatement = db.prepare('DELETE FROM lead_aliases WHERE lead_id = ?');
+    const clearAliasesStatement = db.prepare('DELETE FROM lead_aliases WHERE lead_id IN (SELECT id FROM leads WHERE workspace_id = ?)');
+    const statsStatement = db.prepare(`
+        SELECT COUNT(*) AS totalLeads,
+            SUM(verified) AS verifiedLeads,
+            AVG(COALESCE(json_extract(data, '$.aiConfidence'), 0)) AS averageConfidence,
+            AVG(COALESCE(json_extract(data, '$.score'), 0)) AS averageScore
+        FROM leads WHERE workspace_id = ?
+    `);
+    const industryCountsStatement = db.prepare(`
+        SELECT industry AS value, COUNT(*) AS count FROM leads
+        WHERE workspace_id = ? AND industry IS NOT NULL AND industry != ''
+        GROUP BY industry
+    `);
+    const sectorCountsStatement = db.prepare(`
+        SELECT json_extract(data, '$.sector') AS value, COUNT(*) AS count FROM leads
+        WHERE workspace_id = ? AND COALESCE(json_extract(data, '$.sector'), '') != ''
+        GROUP BY value
+    `);
+    const clusterSelect = `
+        SELECT json_extract(data, '$.duplicateClusterId') AS clusterId, MAX(updated_at) AS updatedAt FROM leads
+        WHERE workspace_id = @workspaceId AND json_extract(data, '$.duplicateClusterId') IS NOT NULL
+        GROUP BY clusterId HAVING COUNT(*) > 1
+    `;
+    const clusterPageStatement = db.prepare(`${clusterSelect} ORDER BY updatedAt DESC, clusterId LIMIT @limit OFFSET @offset`);
+    const clusterCountStatement = db.prepare(`SELECT COUNT(*) AS total FROM (${clusterSelect})`);
+
+    return {
+        get(id) {
+            const row = getStatement.get(id);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        // Never writes over another workspace's lead with the same ID
+        put(lead) {
+            const { changes } = putStatement.run({
+                id: lead.id,
+                workspaceId: workspaceOf(lead),
+                data: JSON.stringify(lead),
+                companyName: lead.companyName || null,
+                industry: lead.industry || null,
+                verified: lead.verified ? 1 : 0,
+                createdAt: lead.createdAt,
+                updatedAt: lead.updatedAt
+            });
+            if (changes === 0) {
+                throw new Error(`Lead ${lead.id} belongs to another workspace`);
+            }
+        },
+
+        remove(id) {
+            removeKeysStatement.run(id);
+            return removeStatement.run(id).changes > 0;
+        },
+
+        // Remove every lead of one workspace
+        clear(workspaceId) {
+            clearAliasesStatement.run(workspaceId);
+            clearKeysStatement.run(workspaceId);
+            clearStatement.run(workspaceId);
+        },
+
+        // Replace the keys a lead can be looked up by
+        putKeys(lead, keys) {
+            removeKeysStatement.run(lead.id);
+            for (const key of new Set(keys)) {
+                putKeyStatement.run(workspaceOf(lead), key, lead.id);
+            }
+        },
+
+        // Leads of a workspace having any of the keys
+        findByKeys(workspaceId, keys) {
+            return findByKeysStatement.all(workspaceId, JSON.stringify(keys)).map(row => JSON.parse(row.data));
+        },
+
+        // Leads with no keys yet (stored before keys were kept, or nothing to key them by)
+        listUnkeyed() {
+            return unkeyedStatement.all().map(row => JSON.parse(row.data));
+        },
+
+        getAlias(id) {
+            const row = getAliasStatement.get(id);
+            return row ? row.lead_id : null;
+        },
+
+        // Aliases that pointed at the merged-away ID follow it to the new lead
+        putAlias(aliasId, leadId) {
+            repointAliasesStatement.run({ aliasId, leadId });
+            putAliasStatement.run({ aliasId, leadId });
+        },
+
+        removeAliases(leadId) {
+            removeAliasesStatement.run(leadId);
+        },
+
+        list(filters = {}) {
+            const conditions = [];
+            const params = {};
+
+            if (filters.workspaceId) {
+                conditions.push('workspace_id = @workspaceId');
+                params.workspaceId = filters.workspaceId;
+            }
+            if (filters.verified !== undefined) {
+                conditions.push('verified = @verified');
+                params.verified = filters.verified ? 1 : 0;
+            }
+            if (filters.industry) {
+                conditions.push('industry = @industry');
+                params.industry = filters.industry;
+            }
+            if (filters.duplicateClusterIds) {
+                conditions.push("json_extract(data, '$.duplicateClusterId') IN (SELECT value FROM json_each(@clusterIds))");
+                params.clusterIds = JSON.stringify(filters.duplicateClusterIds);
+            }
+            if (filters.sector) {
+                conditions.push("json_extract(data, '$.sectorCode') = @sector");
+                params.sector = filters.sector;
+            }
+            if (filters.naics) {
+                // NAICS codes are hierarchical, so a prefix selects a whole subsector
+                conditions.push("json_extract(data, '$.naicsCode') LIKE @naics ESCAPE '\\'");
+                params.naics = `${escapeLike(filters.naics)}%`;
+            }
+            if (filters.search) {
+                conditions.push("company_name LIKE @search ESCAPE '\\'");
+                params.search = `%${escapeLike(filters.search)}%`;
+            }
+            if (filters.flag === 'any') {
+                conditions.push("EXISTS (SELECT 1 FROM json_each(data, '$.changeFlags'))");
+            } else if (filters.flag) {
+                conditions.push('json_extract(data, @flagPath) IS NOT NULL');
+                params.flagPath = `$.changeFlags.${filters.flag}`;
+            }
+            if (filters.minScore !== undefined) {
+                conditions.push("json_extract(data, '$.score') >= @minScore");
+                params.minScore = filters.minScore;
+            }
+            if (filters.maxScore !== undefined) {
+                conditions.push("json_extract(data, '$.score') <= @maxScore");
+                params.maxScore = filters.maxScore;
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const total = db.prepare(`SELECT COUNT(*) AS total FROM leads ${where}`).get(params).total;
+
+            // Unscored leads sort last either way
+            const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+            const orderBy = filters.sort === 'score'
+                ? `COALESCE(json_extract(data, '$.score'), -1) ${direction}, updated_at DESC`
+                : `updated_at ${direction}`;
+
+            let sql = `SELECT data FROM leads ${where} ORDER BY ${orderBy}`;
+            // SQLite only takes OFFSET after a LIMIT; -1 means no limit
+            if (filters.limit || filters.offset) {
+                sql += ' LIMIT @limit OFFSET @offset';
+                params.limit = filters.limit || -1;
+                params.offset = filters.offset || 0;
+            }
+
+            const leads = db.prepare(sql).all(params).map(row => JSON.parse(row.data));
+            return { leads, total };
+        },
+
+        // A page of the workspace's duplicate clusters (more than one lead), most recently updated first
+        duplicateClusters(workspaceId, { limit, offset = 0 } = {}) {
+            return {
+                clusterIds: clusterPageStatement.all({ workspaceId, limit: limit || -1, offset }).map(row => row.clusterId),
+                total: clusterCountStatement.get({ workspaceId }).total
+            };
+        },
+
+        // Aggregates computed in SQL, so the leads themselves are never loaded
+        stats(workspaceId) {
+            const totals = statsStatement.get(workspaceId);
+            const countBy = (statement) => Object.fromEntries(
+                statement.all(workspaceId).map(row => [row.value, row.count])
+            );
+
+            return {
+                totalLeads: totals.totalLeads,
+                verifiedLeads: totals.verifiedLeads || 0,
+                averageConfidence: totals.averageConfidence || 0,
+                averageScore: totals.averageScore || 0,
+                topIndustries: countBy(industryCountsStatement),
+                topSectors: countBy(sectorCountsStatement)
+            };
+        },
+
+        transaction(fn) {
+            return db.transaction(fn)();
+        }
+    };
+}
+
+// In-memory adapter - useful for tests and throwaway local runs
+function createMemoryAdapter() {
+    const leads = new Map();
+    const aliases = new Map();
+    const keysByLead = new Map();
+
+    return {
+        get(id) {
+            return leads.has(id) ? { ...leads.get(id) } : null;
+        },
+
+        put(lead) {
+            if (leads.has(lead.id) && workspaceOf(leads.get(lead.id)) !== workspaceOf(lead)) {
+                throw new Error(`Lead ${lead.id} belongs to another workspace`);
+            }
+            leads.set(lead.id, { ...lead });
+        },
+
+        remove(id) {
+            keysByLead.delete(id);
+            return leads.delete(id);
+        },
+
+        clear(workspaceId) {
+            for (const [id, lead] of leads) {
+                if (workspaceOf(lead) !== workspaceId) continue;
+                leads.delete(id);
+                keysByLead.delete(id);
+                for (const [alias, target] of aliases) {
+                    if (target === id) aliases.delete(alias);
+                }
+            }
+        },
+
+        getAlias(id) {
+            return aliases.get(id) || null;
+        },
+
+        putAlias(aliasId, leadId) {
+            for (const [alias, target] of aliases) {
+                if (target === aliasId) aliases.set(alias, leadId);
+            }
+            aliases.set(aliasId, leadId);
+        },
+
+        removeAliases(leadId) {
+            for (const [alias, target] of aliases) {
+                if (target === leadId) aliases.delete(alias);
+            }
+        },
+
+        putKeys(lead, keys) {
+            keysByLead.set(lead.id, new Set(keys));
+        },
+
+        findByKeys(workspaceId, keys) {
+            return Array.from(leads.values())
+                .filter(lead => workspaceOf(lead) === workspaceId && keys.some(key => keysByLead.get(lead.id)?.has(key)))
+                .map(lead => ({ ...lead }));
+        },
+
+        listUnkeyed() {
+            return Array.from(leads.values()).filter(lead => !keysByLead.has(lead.id)).map(lead => ({ ...lead }));
+        },
+
+        list(filters = {}) {
+            const matching = Array.from(leads.values())
+                .filter(lead => matchesFilters(lead, filters))
+                .sort(compareLeadsBy(filters));
+
+            const offset = filters.offset || 0;
+            const page = matching.slice(offset, filters.limit ? offset + filters.limit : undefined);
+            return { leads: page.map(lead => ({ ...lead })), total: matching.length };
+        },
+
+        stats(workspaceId) {
+            return summarizeLeads(Array.from(leads.values()).filter(lead => workspaceOf(lead) === workspaceId));
+        },
+
+        transaction(fn) {
+            return fn();
+        }
+    };
+}
+
+const adapters = {
+    sqlite: createSqliteAdapter,
+    memory: createMemoryAdapter
+};
+
+// Register an additional storage backend (e.g. Postgres, Firestore)
+function registerLeadStoreAdapter(name, factory) {
+    adapters[name.toLowerCase()] = factory;
+}
+
+function createLeadStore(options = {}) {
+    const adapterName = (options.adapter || process.env.LEAD_STORE_ADAPTER || 'sqlite').toLowerCase();
+    const factory = adapters[adapterName];
+
+    if (!factory) {
+        throw new Error(`Unknown lead store adapter: ${adapterName}`);
+    }
+
+    const adapter = factory(options);
+
+    // options.beforeSave(lead, settings) -> lead derives fields (e.g. the lead score) on every write.
+    // options.saveSettings(workspaceId) -> settings is read once per write or batch (e.g. the workspace's scoring rules).
+    const beforeSave = options.beforeSave || ((lead) => lead);
+    const saveSettings = options.saveSettings || (() => null);
+
+    function preparer(workspaceId) {
+        const settings = saveSettings(workspaceId);
+        return (lead) => beforeSave(lead, settings);
+    }
+
+    // options.workspaceId() -> the workspace reads and writes are scoped to (e.g. the signed-in user's)
+    const currentWorkspace = options.workspaceId || (() => DEFAULT_WORKSPACE_ID);
+
+    // options.matchKeys(lead) -> string[] the lead can be found by with findByKeys (e.g. duplicate-detection
+    // blocking keys). Kept next to each lead by adapters with putKeys; other adapters are scanned.
+    const matchKeys = options.matchKeys || (() => []);
+    const keyed = Boolean(options.matchKeys && adapter.putKeys);
+
+    function save(lead) {
+        adapter.put(lead);
+        if (keyed) adapter.putKeys(lead, matchKeys(lead));
+    }
+
+    // Leads stored before keys were kept get them now
+    if (keyed) {
+        adapter.transaction(() => adapter.listUnkeyed().forEach(lead => adapter.putKeys(lead, matchKeys(lead))));
+    }
+
+    // IDs of leads merged into another one keep resolving to the lead they were merged into
+    function canonicalId(id) {
+        return adapter.getAlias(id) || id;
+    }
+
+    // A stored lead of the current workspace; another workspace's lead reads as missing
+    function getOwn(id) {
+        const lead = adapter.get(canonicalId(id));
+        return lead && workspaceOf(lead) === currentWorkspace() ? lead : null;
+    }
+
+    // The ID a lead is written under: the stored lead of this workspace it carries the ID of, else
+    // the one with its stable ID (or, in the default workspace, its legacy unsalted ID), else a new
+    // stable ID. An ID of another workspace's lead is never used.
+    function resolveId(lead, workspaceId) {
+        const candidates = [lead.id, computeLeadId(lead, workspaceId)];
+        if (workspaceId === DEFAULT_WORKSPACE_ID) candidates.push(legacyLeadId(lead));
+
+        for (const candidate of candidates) {
+            if (typeof candidate !== 'string' || !candidate.startsWith('lead_')) continue;
+            const stored = adapter.get(canonicalId(candidate));
+            if (stored && workspaceOf(stored) === workspaceId) return stored.id;
+        }
+        return computeLeadId(lead, workspaceId);
+    }
+
+    // Insert a new lead or merge it into the stored lead with the same stable ID
+    function upsert(lead, prepare = preparer(currentWorkspace())) {
+        const workspaceId = currentWorkspace();
+        const id = resolveId(lead, workspaceId);
+        const existing = getOwn(id);
+
+        const now = new Date().toISOString();
+        const stored = prepare(existing
+            ? { ...mergeLeadFields(existing, lead), id, workspaceId, createdAt: existing.createdAt, updatedAt: now }
+            : { ...lead, id, workspaceId, createdAt: now, updatedAt: now });
+
+        save(stored);
+        return stored;
+    }
+
+    function upsertMany(leads) {
+        const prepare = preparer(currentWorkspace());
+        return adapter.transaction(() => leads.map(lead => upsert(lead, prepare)));
+    }
+
+    // Apply user edits to a stored lead (the ID and creation time are immutable).
+    // options.touch = false keeps updatedAt for bookkeeping changes the user didn't make.
+    function update(id, changes, options = {}) {
+        const existing = getOwn(id);
+        if (!existing) {
+            return null;
+        }
+
+        const updated = preparer(workspaceOf(existing))({
+            ...existing,
+            ...changes,
+            id: existing.id,
+            workspaceId: workspaceOf(existing),
+            createdAt: existing.createdAt,
+            updatedAt: options.touch === false ? existing.updatedAt : new Date().toISOString()
+        });
+
+        save(updated);
+        return updated;
+    }
+
+    // Replace several stored leads with one merged record kept under primaryId;
+    // the other IDs become aliases so re-scraping them updates the merged lead
+    function merge(primaryId, lead, duplicateIds) {
+        return adapter.transaction(() => {
+            const group = [primaryId, ...duplicateIds].map(getOwn).filter(Boolean);
+            const createdAt = group.map(member => member.createdAt).sort()[0] || new Date().toISOString();
+            const workspaceId = currentWorkspace();
+            const stored = preparer(workspaceId)({ ...lead, id: primaryId, workspaceId, createdAt, updatedAt: new Date().toISOString() });
+
+            save(stored);
+            for (const id of duplicateIds) {
+                adapter.remove(id);
+                adapter.putAlias(id, primaryId);
+            }
+            return stored;
+        });
+    }
+
+    // Run beforeSave over every lead of the workspace again (e.g. after its scoring rules changed)
+    function refresh() {
+        const workspaceId = currentWorkspace();
+        const prepare = preparer(workspaceId);
+        return adapter.transaction(() => {
+            const { leads } = adapter.list({ workspaceId });
+            leads.forEach(lead => save(prepare(lead)));
+            return leads.length;
+        });
+    }
+
+    function remove(id) {
+        if (!getOwn(id)) return false;
+        const removed = adapter.remove(id);
+        if (removed) adapter.removeAliases(id);
+        return removed;
+    }
+
+    // Leads of the current workspace with any of the keys (see options.matchKeys)
+    function findByKeys(keys) {
+        const workspaceId = currentWorkspace();
+        if (keys.length === 0) return [];
+        if (keyed) return adapter.findByKeys(workspaceId, keys);
+
+        const wanted = new Set(keys);
+        return adapter.list({ workspaceId }).leads.filter(lead => matchKeys(lead).some(key => wanted.has(key)));
+    }
+
+    // Adapters without their own stats() fall back to summarizing every lead
+    // A page of the current workspace's duplicate clusters: { clusterIds, total }.
+    // Adapters without their own duplicateClusters() fall back to grouping every lead.
+    function duplicateClusters({ limit, offset = 0 } = {}) {
+        const workspaceId = currentWorkspace();
+        if (adapter.duplicateClusters) return adapter.duplicateClusters(workspaceId, { limit, offset });
+
+        const clusters = new Map();
+        for (const lead of adapter.list({ workspaceId }).leads) {
+            if (!lead.duplicateClusterId) continue;
+            const cluster = clusters.get(lead.duplicateClusterId) || { count: 0, updatedAt: '' };
+            cluster.count++;
+            if (lead.updatedAt > cluster.updatedAt) cluster.updatedAt = lead.updatedAt;
+            clusters.set(lead.duplicateClusterId, cluster);
+        }
+        const clusterIds = [...clusters.entries()]
+            .filter(([, cluster]) => cluster.count > 1)
+            .sort(([idA, a], [idB, b]) => b.updatedAt.localeCompare(a.updatedAt) || idA.localeCompare(idB))
+            .map(([clusterId]) => clusterId);
+        return { clusterIds: clusterIds.slice(offset, limit ? offset + limit : undefined), total: clusterIds.length };
+    }
+
+    function stats() {
+        const workspaceId = currentWorkspace();
+        return adapter.stats
+            ? adapter.stats(workspaceId)
+            : summarizeLeads(adapter.list({ workspaceId }).leads);
+    }
+
+    return {
+        adapter: adapterName,
+        get: getOwn,
+        list: (filters = {}) => adapter.list({ ...filters, workspaceId: currentWorkspace() }),
+        remove,
+        clear: () => adapter.clear(currentWorkspace()),
+        upsert: (lead) => upsert(lead),
+        upsertMany,
+        update,
+        merge,
+        refresh,
+        findByKeys,
+        duplicateClusters,
+        stats
+    };
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE_ID,
+    createLeadStore,
+    registerLeadStoreAdapter,
+    computeLeadId,
+    mergeLeadFields,
+    isEmptyValue
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getDatabase, addColumnIfMissing } = require('./db');
+
+// A sign-in has this long to come back from the identity provider
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+
+// Allowed clock skew when checking the ID token's times
+const CLOCK_SKEW_SECONDS = 120;
+
+// OIDC_ISSUER + OIDC_CLIENT_ID turn single sign-on on (e.g. Google, Okta, Entra ID, Keycloak)
+function oidcSettings() {
+    const issuer = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+    if (!issuer || !process.env.OIDC_CLIENT_ID) return null;
+
+    return {
+        issuer,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+        redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`,
+        scopes: process.env.OIDC_SCOPES || 'openid profile email',
+        providerName: process.env.OIDC_PROVIDER_NAME || 'Single sign-on',
+        allowedDomains: (process.env.OIDC_ALLOWED_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+    };
+}
+
+// Whether an identity without an account may create one: only with a verified email in OIDC_ALLOWED_DOMAINS.
+// Anyone else needs an invitation (see auth.js createInvitedUser).
+function canSignUp(identity, settings) {
+    const domain = String(identity.email || '').toLowerCase().split('@')[1];
+    return identity.emailVerified === true && Boolean(domain) && settings.allowedDomains.includes(domain);
+}
+
+const discoveryCache = new Map();
+
+// The issuer's /.well-known/openid-configuration (cached for the life of the process)
+async function discover(issuer) {
+    if (!discoveryCache.has(issuer)) {
+        const response = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+        if (!response.data?.authorization_endpoint || !response.data?.token_endpoint) {
+            throw new Error('OIDC discovery document has no authorization or token endpoint');
+        }
+        discoveryCache.set(issuer, response.data);
+    }
+    return discoveryCache.get(issuer);
+}
+
+function decodeJwtPayload(token) {
+    const [, payload] = String(token || '').split('.');
+    if (!payload) throw new Error('Malformed ID token');
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+}
+
+// The ID token comes straight from the token endpoint over TLS, so its signature needn't be checked
+// (OIDC Core 3.1.3.7) - the issuer, audience, expiry and nonce still are
+function checkIdTokenClaims(claims, settings, nonce, now = Date.now() / 1000) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (String(claims.iss || '').replace(/\/+$/, '') !== settings.issuer) return 'ID token issuer does not match OIDC_ISSUER';
+    if (!audiences.includes(settings.clientId)) return 'ID token was not issued for OIDC_CLIENT_ID';
+    if (!(claims.exp + CLOCK_SKEW_SECONDS > now)) return 'ID token has expired';
+    if (claims.nonce !== nonce) return 'ID token nonce does not match the sign-in request';
+    if (!claims.sub) return 'ID token has no subject';
+    return null;
+}
+
+// Authorization code flow with PKCE: start() sends the browser to the provider, finish() handles its callback
+function createOidcClient() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS oidc_requests (
+            state TEXT PRIMARY KEY,
+            nonce TEXT NOT NULL,
+            code_verifier TEXT NOT NULL,
+            created_at TEXT NOT NULL
+        );
+    `);
+    addColumnIfMissing(db, 'oidc_requests', 'browser_hash', 'TEXT');
+
+    const insertStatement = db.prepare(`
+        INSERT INTO oidc_requests (state, nonce, code_verifier, browser_hash, created_at)
+        VALUES (@state, @nonce, @codeVerifier, @browserHash, @createdAt)
+    `);
+    const getStatement = db.prepare('SELECT * FROM oidc_requests WHERE state = ?');
+    const deleteStatement = db.prepare('DELETE FROM oidc_requests WHERE state = ?');
+    const pruneStatement = db.prepare('DELETE FROM oidc_requests WHERE created_at <= ?');
+
+    const hashBrowserKey = (browserKey) => crypto.createHash('sha256').update(String(browserKey)).digest('hex');
+
+    // The provider URL to send the browser to, and a browserKey for the browser to keep (in a cookie) and send
+    // back with the callback, so a sign-in can only be finished by the browser that started it
+    async function start() {
+        const settings = oidcSettings();
+        const config = await discover(settings.issuer);
+
+        const state = crypto.randomBytes(16).toString('base64url');
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+        const browserKey = crypto.randomBytes(32).toString('base64url');
+
+        pruneStatement.run(new Date(Date.now() - REQUEST_TTL_MS).toISOString());
+        insertStatement.run({ state, nonce, codeVerifier, browserHash: hashBrowserKey(browserKey), createdAt: new Date().toISOString() });
+
+        const url = new URL(config.authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: settings.clientId,
+            redirect_uri: settings.redirectUri,
+            scope: settings.scopes,
+            state,
+            nonce,
+            code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+            code_challenge_method: 'S256'
+        }).toString();
+        return { url: url.toString(), browserKey };
+    }
+
+    // Exchange the callback's code for tokens; returns { issuer, subject, username, name, email, emailVerified }.
+    // browserKey is the one start() gave the browser that began this sign-in.
+    async function finish({ code, state, browserKey }) {
+        const settings = oidcSettings();
+        const request = state ? getStatement.get(state) : null;
+        if (request) deleteStatement.run(state);
+
+        if (!request || Date.parse(request.created_at) < Date.now() - REQUEST_TTL_MS) {
+            throw new Error('Sign-in request expired or unknown - start again');
+        }
+        if (!browserKey || !request.browser_hash || hashBrowserKey(browserKey) !== request.browser_hash) {
+            throw new Error('Sign-in was started in another browser - start again');
+        }
+        if (!code) {
+            throw new Error('Identity provider returned no authorization code');
+        }
+
+        const config = await discover(settings.issuer);
+        const form = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: settings.redirectUri,
+            client_id: settings.clientId,
+            code_verifier: request.code_verifier
+        });
+        if (settings.clientSecret) form.set('client_secret', settings.clientSecret);
+
+        const response = await axios.post(config.token_endpoint, form.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 10000
+        });
+
+        const claims = decodeJwtPayload(response.data?.id_token);
+        const claimsError = checkIdTokenClaims(claims, settings, request.nonce);
+        if (claimsError) {
+            throw new Error(claimsError);
+        }
+
+        return {
+            issuer: settings.issuer,
+            subject: String(claims.sub),
+            username: claims.preferred_username || claims.email || `user-${claims.sub}`,
+            name: claims.name || null,
+            email: claims.email || null,
+            // Some providers send the claim as a string
+            emailVerified: claims.email_verified === true || claims.email_verified === 'true'
+        };
+    }
+
+    return { start, finish };
+}
+
+module.exports = {
+    REQUEST_TTL_MS,
+    oidcSettings,
+    canSignUp,
+    createOidcClient
+};
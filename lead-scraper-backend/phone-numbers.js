@@ -0,0 +1,61 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { isEmptyValue } = require('./lead-store');
+const { resolveCountry } = require('./countries');
+
+// libphonenumber number types -> the line types we store (Numverify's names where they overlap)
+const LINE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    FIXED_LINE_OR_MOBILE: 'landline_or_mobile',
+    TOLL_FREE: 'toll_free',
+    PREMIUM_RATE: 'premium_rate',
+    SHARED_COST: 'shared_cost',
+    VOIP: 'voip',
+    PERSONAL_NUMBER: 'personal_number',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail'
+};
+
+// Parse a phone number in any common format. National numbers need the country they were
+// dialled in; numbers with a +/00 prefix carry their own. Null when it isn't a possible number.
+function parsePhone(raw, defaultCountry = null) {
+    if (isEmptyValue(raw)) return null;
+
+    const parsed = parsePhoneNumberFromString(String(raw).trim(), defaultCountry || undefined);
+    if (!parsed || !parsed.isPossible()) return null;
+
+    const valid = parsed.isValid();
+    return {
+        e164: parsed.number,
+        international: parsed.formatInternational(),
+        national: parsed.formatNational(),
+        region: parsed.country || null,
+        // The type is a guess from the numbering plan, so only offered for valid numbers
+        lineType: valid ? LINE_TYPES[parsed.getType()] || null : null,
+        extension: parsed.ext || null,
+        valid
+    };
+}
+
+// Canonical country and phone fields for a lead: country name + ISO code, and the phone
+// as E.164 with its region and line type. A phone's region fills in a missing country.
+function withPhoneAndCountry(lead) {
+    const country = resolveCountry(lead.countryCode) || resolveCountry(lead.country);
+    const phone = parsePhone(lead.phone, country?.code);
+    const resolved = country || resolveCountry(phone?.region);
+
+    return {
+        ...lead,
+        country: resolved?.name || lead.country,
+        countryCode: resolved?.code || null,
+        phoneE164: phone?.e164 || null,
+        phoneRegion: phone?.region || null,
+        phoneLineType: phone?.lineType || null
+    };
+}
+
+module.exports = {
+    parsePhone,
+    withPhoneAndCountry
+};
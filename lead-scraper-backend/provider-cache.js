@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getDatabase, addColumnIfMissing } = require('./db');
+const { getRequestContext } = require('./request-context');
+const { DEFAULT_WORKSPACE_ID } = require('./lead-store');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Default TTLs in seconds; override with CACHE_TTL_<PROVIDER> (0 disables caching for that provider)
+const DEFAULT_TTLS = {
+    google: 7 * DAY_SECONDS,
+    yelp: 7 * DAY_SECONDS,
+    apollo: 30 * DAY_SECONDS,
+    pdl: 30 * DAY_SECONDS,
+    hunter: 14 * DAY_SECONDS,
+    numverify: 30 * DAY_SECONDS
+};
+
+// Credentials never belong in a cache key
+const SECRET_PARAMS = ['key', 'api_key', 'access_key', 'apiKey'];
+
+// JSON with sorted keys and trimmed strings, so equivalent requests share a key
+function normalizeRequest(value) {
+    if (Array.isArray(value)) {
+        return value.map(normalizeRequest);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value)
+            .filter(key => value[key] !== undefined && !SECRET_PARAMS.includes(key))
+            .sort()
+            .reduce((normalized, key) => {
+                normalized[key] = normalizeRequest(value[key]);
+                return normalized;
+            }, {});
+    }
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+// Responses are paid for with a workspace's own or shared keys, so every workspace has its own entries
+function cacheKey(provider, request, workspaceId) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(normalizeRequest(request))).digest('hex');
+    return `${provider}:${workspaceId}:${hash}`;
+}
+
+const currentWorkspaceId = () => getRequestContext().workspaceId || DEFAULT_WORKSPACE_ID;
+
+function createProviderCache() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS provider_cache (
+            key TEXT PRIMARY KEY,
+            provider TEXT NOT NULL,
+            response TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            expires_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_provider_cache_provider ON provider_cache (provider);
+    `);
+    // Entries from before workspaces had their own can't be told apart, so they go
+    if (addColumnIfMissing(db, 'provider_cache', 'workspace_id', `TEXT NOT NULL DEFAULT '${DEFAULT_WORKSPACE_ID}'`)) {
+        db.exec('DELETE FROM provider_cache');
+    }
+
+    const getStatement = db.prepare('SELECT response, expires_at FROM provider_cache WHERE key = ?');
+    const putStatement = db.prepare(`
+        INSERT OR REPLACE INTO provider_cache (key, provider, workspace_id, response, created_at, expires_at)
+        VALUES (@key, @provider, @workspaceId, @response, @createdAt, @expiresAt)
+    `);
+    const deleteStatement = db.prepare('DELETE FROM provider_cache WHERE key = ?');
+    const purgeStatement = db.prepare('DELETE FROM provider_cache WHERE expires_at <= ?');
+    const countStatement = db.prepare(`
+        SELECT provider, COUNT(*) AS entries FROM provider_cache WHERE workspace_id = ? AND expires_at > ? GROUP BY provider
+    `);
+
+    // Hit/miss counters per workspace since startup
+    const counters = {};
+    const count = (provider, field) => {
+        const workspaceCounters = counters[currentWorkspaceId()] = counters[currentWorkspaceId()] || {};
+        workspaceCounters[provider] = workspaceCounters[provider] || { hits: 0, misses: 0, bypassed: 0 };
+        workspaceCounters[provider][field]++;
+    };
+
+    function ttlFor(provider) {
+        const override = process.env[`CACHE_TTL_${provider.toUpperCase()}`];
+        if (override !== undefined && override !== '') {
+            return parseInt(override, 10) || 0;
+        }
+        return DEFAULT_TTLS[provider] || 0;
+    }
+
+    // Resolve to { data, cached }: the cached response for this request, or fetcher's live result.
+    // shouldCache(data) can refuse error payloads that arrive with a 200 status.
+    async function fetch(provider, request, fetcher, { shouldCache = () => true } = {}) {
+        const ttl = ttlFor(provider);
+
+        if (ttl <= 0 || getRequestContext().noCache) {
+            count(provider, 'bypassed');
+            return { data: await fetcher(), cached: false };
+        }
+
+        const workspaceId = currentWorkspaceId();
+        const key = cacheKey(provider, request, workspaceId);
+        const row = getStatement.get(key);
+
+        if (row && row.expires_at > Date.now()) {
+            count(provider, 'hits');
+            return { data: JSON.parse(row.response), cached: true };
+        }
+        if (row) {
+            deleteStatement.run(key);
+        }
+
+        count(provider, 'misses');
+        const data = await fetcher();
+
+        if (shouldCache(data)) {
+            putStatement.run({
+                key,
+                provider,
+                workspaceId,
+                response: JSON.stringify(data),
+                createdAt: new Date().toISOString(),
+                expiresAt: Date.now() + ttl * 1000
+            });
+        }
+
+        return { data, cached: false };
+    }
+
+    // axios.get / axios.post through the cache; resolves to { data, cached } (cached: no paid call was made)
+    async function get(provider, url, config = {}, cacheOptions) {
+        return fetch(provider, { method: 'GET', url, params: config.params },
+            async () => (await axios.get(url, config)).data, cacheOptions);
+    }
+
+    async function post(provider, url, body, config = {}, cacheOptions) {
+        return fetch(provider, { method: 'POST', url, params: config.params, body },
+            async () => (await axios.post(url, body, config)).data, cacheOptions);
+    }
+
+    // The current workspace's entries and counters per provider
+    function stats() {
+        const workspaceId = currentWorkspaceId();
+        const workspaceCounters = counters[workspaceId] || {};
+        const entries = Object.fromEntries(countStatement.all(workspaceId, Date.now()).map(row => [row.provider, row.entries]));
+        const providers = [...new Set([...Object.keys(DEFAULT_TTLS), ...Object.keys(workspaceCounters)])];
+
+        return Object.fromEntries(providers.map(provider => {
+            const { hits = 0, misses = 0, bypassed = 0 } = workspaceCounters[provider] || {};
+            return [provider, {
+                ttlSeconds: ttlFor(provider),
+                entries: entries[provider] || 0,
+                hits,
+                misses,
+                bypassed,
+                hitRate: hits + misses > 0 ? hits / (hits + misses) : 0
+            }];
+        }));
+    }
+
+    // Drop the current workspace's cached responses (all, or one provider's)
+    function clear(provider) {
+        if (provider) {
+            return db.prepare('DELETE FROM provider_cache WHERE workspace_id = ? AND provider = ?')
+                .run(currentWorkspaceId(), provider).changes;
+        }
+        return db.prepare('DELETE FROM provider_cache WHERE workspace_id = ?').run(currentWorkspaceId()).changes;
+    }
+
+    purgeStatement.run(Date.now());
+
+    return {
+        fetch,
+        get,
+        post,
+        stats,
+        clear
+    };
+}
+
+module.exports = {
+    createProviderCache,
+    normalizeRequest
+};
@@ -0,0 +1,17 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request state (e.g. the noCache flag) visible to provider helpers without threading it through every call
+const storage = new AsyncLocalStorage();
+
+function runWithRequestContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+function getRequestContext() {
+    return storage.getStore() || {};
+}
+
+module.exports = {
+    runWithRequestContext,
+    getRequestContext
+};
@@ -0,0 +1,121 @@
+const { getDatabase } = require('./db');
+
+const ROLES = ['admin', 'manager', 'researcher', 'viewer'];
+
+// What each permission allows (every role can read the workspace's leads, searches and jobs)
+const PERMISSIONS = {
+    scrape: 'Run searches (/api/scrape, /api/scrape-area, saved searches, geocoding)',
+    verify: 'Verify and re-verify leads, enrich contacts and import spreadsheets',
+    apollo: 'Apollo searches and enrichment (/api/apollo/*, and the Apollo verification step)',
+    pdl: 'People Data Labs owner lookups (/api/pdl/find-owner, and the PDL verification step)',
+    export: 'Export leads and import results, and manage export templates',
+    edit: 'Edit leads, dismiss flags and duplicate clusters, manage saved searches, cancel jobs',
+    delete: 'Delete and merge leads, delete saved searches and export templates',
+    configure: 'Change scoring rules and clear the provider cache',
+    manageWorkspace: 'Manage members, their roles and the provider keys'
+};
+
+const ROLE_PERMISSIONS = {
+    admin: Object.keys(PERMISSIONS),
+    manager: ['scrape', 'verify', 'apollo', 'pdl', 'export', 'edit', 'delete', 'configure'],
+    researcher: ['scrape', 'verify', 'apollo', 'edit'],
+    viewer: []
+};
+
+// null = no cap. Override with QUOTA_<ROLE>_MAX_LEADS / QUOTA_<ROLE>_DAILY_VERIFICATIONS /
+// QUOTA_<ROLE>_MAX_PAGE_SIZE ("none" lifts the cap). maxPageSize caps how many leads or import rows one
+// request can list, so roles without the export permission can't page the workspace out in bulk.
+const DEFAULT_ROLE_QUOTAS = {
+    admin: { maxLeads: null, dailyVerifications: null, maxPageSize: null },
+    manager: { maxLeads: 500, dailyVerifications: 1000, maxPageSize: null },
+    researcher: { maxLeads: 100, dailyVerifications: 200, maxPageSize: 100 },
+    viewer: { maxLeads: 0, dailyVerifications: 0, maxPageSize: 100 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isRole = (role) => ROLES.includes(role);
+
+function hasPermission(role, permission) {
+    return Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+const rolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+function quotaFromEnv(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    if (value === 'none') return null;
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : Math.max(parsed, 0);
+}
+
+// { maxLeads, dailyVerifications, maxPageSize } for a role
+function roleQuotas(role) {
+    const defaults = DEFAULT_ROLE_QUOTAS[role] || DEFAULT_ROLE_QUOTAS.viewer;
+    const prefix = `QUOTA_${String(role).toUpperCase()}`;
+    return {
+        maxLeads: quotaFromEnv(`${prefix}_MAX_LEADS`, defaults.maxLeads),
+        dailyVerifications: quotaFromEnv(`${prefix}_DAILY_VERIFICATIONS`, defaults.dailyVerifications),
+        maxPageSize: quotaFromEnv(`${prefix}_MAX_PAGE_SIZE`, defaults.maxPageSize)
+    };
+}
+
+// Roles, what they may do and their quotas, for the settings screen
+function describeRoles() {
+    return ROLES.map(role => ({ role, permissions: rolePermissions(role), quotas: roleQuotas(role) }));
+}
+
+const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Verifications each user ran per UTC day, for the dailyVerifications quota
+function createVerificationCounter() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS verification_counts (
+            user_id TEXT NOT NULL,
+            day TEXT NOT NULL,
+            count INTEGER NOT NULL,
+            PRIMARY KEY (user_id, day)
+        );
+    `);
+
+    const getStatement = db.prepare('SELECT count FROM verification_counts WHERE user_id = ? AND day = ?');
+    const addStatement = db.prepare(`
+        INSERT INTO verification_counts (user_id, day, count) VALUES (@userId, @day, @count)
+        ON CONFLICT(user_id, day) DO UPDATE SET count = count + excluded.count
+    `);
+
+    function used(userId, now = new Date()) {
+        return getStatement.get(userId, utcDay(now))?.count || 0;
+    }
+
+    function add(userId, count = 1, now = new Date()) {
+        addStatement.run({ userId, day: utcDay(now), count });
+    }
+
+    // { limit, used, remaining, resetsAt } of a user's daily verifications (limit null = no cap)
+    function status(userId, limit, now = new Date()) {
+        const count = used(userId, now);
+        return {
+            limit,
+            used: count,
+            remaining: limit === null ? null : Math.max(limit - count, 0),
+            resetsAt: new Date(Date.parse(utcDay(now)) + DAY_MS).toISOString()
+        };
+    }
+
+    return { used, add, status };
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    isRole,
+    hasPermission,
+    rolePermissions,
+    roleQuotas,
+    describeRoles,
+    createVerificationCounter
+};
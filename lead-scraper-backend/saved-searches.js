@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const { CronExpressionParser } = require('cron-parser');
+const { getDatabase, addColumnIfMissing } = require('./db');
+
+// How often the scheduler looks for due searches
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Keep run history bounded per search
+const MAX_RUNS_PER_SEARCH = 100;
+
+// Schedules may not fire more often than this (every run calls paid providers)
+const MIN_SCHEDULE_INTERVAL_MINUTES = parseInt(process.env.SAVED_SEARCH_MIN_INTERVAL_MINUTES, 10) || 60;
+
+// Firings of a schedule compared when finding its shortest gap
+const SCHEDULE_SAMPLE_RUNS = 100;
+
+const SEARCH_FIELDS = ['query', 'area', 'location', 'country', 'zipcode', 'maxLeads', 'source'];
+
+// Area searches run on Google or Yelp; Apollo needs a location
+const SEARCH_SOURCES = ['google', 'yelp', 'apollo'];
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Next time a cron expression fires after `after`, as an ISO string
+function nextRunAt(schedule, timezone, after = new Date()) {
+    return CronExpressionParser.parse(schedule, { currentDate: after, tz: timezone || 'UTC' }).next().toDate().toISOString();
+}
+
+// Shortest time in minutes between two firings of a cron expression, over its next runs
+function shortestInterval(schedule, timezone) {
+    const times = CronExpressionParser.parse(schedule, { tz: timezone || 'UTC' }).take(SCHEDULE_SAMPLE_RUNS).map(date => date.getTime());
+    let shortest = Infinity;
+    for (let i = 1; i < times.length; i++) {
+        shortest = Math.min(shortest, (times[i] - times[i - 1]) / 60000);
+    }
+    return shortest;
+}
+
+// Returns an error message for an invalid saved search, or null
+function validateSavedSearch(search) {
+    if (!search || typeof search !== 'object') return 'Saved search must be an object';
+
+    if (typeof search.name !== 'string' || !search.name.trim()) {
+        return 'name is required';
+    }
+    if (typeof search.query !== 'string' || !search.query.trim()) {
+        return 'query is required';
+    }
+    if (!search.area && !search.location) {
+        return 'Either area (a drawn area, as for /api/scrape-area) or location is required';
+    }
+    if (search.area && (typeof search.area !== 'object' || !search.area.type)) {
+        return 'area must be a drawn area with a type';
+    }
+    if (search.maxLeads !== undefined && (!Number.isInteger(search.maxLeads) || search.maxLeads < 1 || search.maxLeads > 1000)) {
+        return 'maxLeads must be a whole number between 1 and 1000';
+    }
+    if (search.source !== undefined && !SEARCH_SOURCES.includes(search.source)) {
+        return `source must be one of: ${SEARCH_SOURCES.join(', ')}`;
+    }
+    if (search.source === 'apollo' && search.area) {
+        return 'Apollo searches need a location instead of an area';
+    }
+    if (search.timezone !== undefined && !isValidTimezone(search.timezone)) {
+        return `Unknown timezone: ${search.timezone}`;
+    }
+    if (search.schedule !== undefined && search.schedule !== null) {
+        if (typeof search.schedule !== 'string') return 'schedule must be a cron expression (e.g. "0 6 * * 1") or null';
+        let interval;
+        try {
+            interval = shortestInterval(search.schedule, search.timezone);
+        } catch (error) {
+            return `Invalid schedule "${search.schedule}": ${error.message}`;
+        }
+        if (interval < MIN_SCHEDULE_INTERVAL_MINUTES) {
+            return `schedule may run at most once every ${MIN_SCHEDULE_INTERVAL_MINUTES} minutes ("${search.schedule}" has runs ${interval} min apart)`;
+        }
+    }
+    return null;
+}
+
+// Keys a business is recognised by across runs: its stored lead ID (stable per provider record, and
+// kept by merges), its Google place ID and its duplicate cluster (the same business from another source)
+function businessKeys(lead) {
+    const keys = [`lead:${lead.id}`];
+    if (lead.placeId) keys.push(`place:${lead.placeId}`);
+    if (lead.duplicateClusterId) keys.push(`cluster:${lead.duplicateClusterId}`);
+    return keys;
+}
+
+// Leads of this run that were not in the previous one
+function diffRunResults(previousKeys, leads) {
+    const seen = new Set(previousKeys);
+    return leads.filter(lead => !businessKeys(lead).some(key => seen.has(key)));
+}
+
+function searchFromRow(row) {
+    return {
+        id: row.id,
+        workspaceId: row.workspace_id,
+        createdBy: row.created_by,
+        name: row.name,
+        params: JSON.parse(row.params),
+        schedule: row.schedule,
+        timezone: row.timezone,
+        enabled: Boolean(row.enabled),
+        nextRunAt: row.next_run_at,
+        lastRunAt: row.last_run_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function runFromRow(row) {
+    return {
+        id: row.id,
+        searchId: row.search_id,
+        jobId: row.job_id,
+        trigger: row.trigger,
+        status: row.status,
+        baseline: Boolean(row.baseline),
+        leadIds: row.lead_ids ? JSON.parse(row.lead_ids) : [],
+        newLeadIds: row.new_lead_ids ? JSON.parse(row.new_lead_ids) : [],
+        count: row.count,
+        newCount: row.new_count,
+        error: row.error,
+        createdAt: row.created_at,
+        finishedAt: row.finished_at
+    };
+}
+
+// Saved search definitions with a cron schedule, and the history of their runs
+function createSavedSearchStore() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS saved_searches (
+            id TEXT PRIMARY KEY,
+            workspace_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            params TEXT NOT NULL,
+            schedule TEXT,
+            timezone TEXT NOT NULL,
+            enabled INTEGER NOT NULL,
+            next_run_at TEXT,
+            last_run_at TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_saved_searches_due ON saved_searches (enabled, next_run_at);
+        CREATE TABLE IF NOT EXISTS saved_search_runs (
+            id TEXT PRIMARY KEY,
+            search_id TEXT NOT NULL,
+            job_id TEXT,
+            trigger TEXT NOT NULL,
+            status TEXT NOT NULL,
+            baseline INTEGER NOT NULL DEFAULT 0,
+            business_keys TEXT,
+            lead_ids TEXT,
+            new_lead_ids TEXT,
+            count INTEGER,
+            new_count INTEGER,
+            error TEXT,
+            created_at TEXT NOT NULL,
+            finished_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_saved_search_runs_search ON saved_search_runs (search_id, created_at);
+    `);
+    // Scheduled runs run as the user who saved the search; searches saved before this have none
+    addColumnIfMissing(db, 'saved_searches', 'created_by', 'TEXT');
+
+    const listStatement = db.prepare('SELECT * FROM saved_searches WHERE workspace_id = ? ORDER BY name');
+    const getStatement = db.prepare('SELECT * FROM saved_searches WHERE id = ?');
+    const putStatement = db.prepare(`
+        INSERT INTO saved_searches (id, workspace_id, created_by, name, params, schedule, timezone, enabled, next_run_at, last_run_at, created_at, updated_at)
+        VALUES (@id, @workspaceId, @createdBy, @name, @params, @schedule, @timezone, @enabled, @nextRunAt, @lastRunAt, @createdAt, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET created_by = excluded.created_by, name = excluded.name, params = excluded.params, schedule = excluded.schedule,
+            timezone = excluded.timezone, enabled = excluded.enabled, next_run_at = excluded.next_run_at,
+            updated_at = excluded.updated_at
+    `);
+    const removeStatement = db.prepare('DELETE FROM saved_searches WHERE id = ?');
+    const removeRunsStatement = db.prepare('DELETE FROM saved_search_runs WHERE search_id = ?');
+    const dueStatement = db.prepare('SELECT * FROM saved_searches WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?');
+    const scheduledStatement = db.prepare('UPDATE saved_searches SET next_run_at = @nextRunAt, last_run_at = @lastRunAt WHERE id = @id');
+
+    const insertRunStatement = db.prepare(`
+        INSERT INTO saved_search_runs (id, search_id, trigger, status, created_at)
+        VALUES (@id, @searchId, @trigger, 'queued', @createdAt)
+    `);
+    const setRunJobStatement = db.prepare('UPDATE saved_search_runs SET job_id = @jobId WHERE id = @id');
+    const setRunStatusStatement = db.prepare('UPDATE saved_search_runs SET status = @status, error = @error, finished_at = @finishedAt WHERE id = @id');
+    const finishRunStatement = db.prepare(`
+        UPDATE saved_search_runs SET status = 'completed', baseline = @baseline, business_keys = @businessKeys,
+            lead_ids = @leadIds, new_lead_ids = @newLeadIds, count = @count, new_count = @newCount,
+            error = NULL, finished_at = @finishedAt
+        WHERE id = @id
+    `);
+    const getRunStatement = db.prepare('SELECT * FROM saved_search_runs WHERE id = ?');
+    const activeRunStatement = db.prepare(`
+        SELECT * FROM saved_search_runs WHERE search_id = ? AND status IN ('queued', 'running')
+        ORDER BY created_at DESC LIMIT 1
+    `);
+    const listRunsStatement = db.prepare('SELECT * FROM saved_search_runs WHERE search_id = ? ORDER BY created_at DESC LIMIT ?');
+    const previousRunStatement = db.prepare(`
+        SELECT * FROM saved_search_runs WHERE search_id = @searchId AND status = 'completed' AND id != @id
+        ORDER BY created_at DESC LIMIT 1
+    `);
+    const pruneRunsStatement = db.prepare(`
+        DELETE FROM saved_search_runs WHERE search_id = @searchId AND id NOT IN (
+            SELECT id FROM saved_search_runs WHERE search_id = @searchId ORDER BY created_at DESC LIMIT @keep
+        )
+    `);
+
+    function get(id) {
+        const row = getStatement.get(id);
+        return row ? searchFromRow(row) : null;
+    }
+
+    function list(workspaceId) {
+        return listStatement.all(workspaceId).map(searchFromRow);
+    }
+
+    function save(search) {
+        const now = new Date().toISOString();
+        const nextRun = search.enabled && search.schedule ? nextRunAt(search.schedule, search.timezone) : null;
+        putStatement.run({
+            id: search.id,
+            workspaceId: search.workspaceId,
+            createdBy: search.createdBy || null,
+            name: search.name.trim(),
+            params: JSON.stringify(search.params),
+            schedule: search.schedule,
+            timezone: search.timezone,
+            enabled: search.enabled ? 1 : 0,
+            nextRunAt: nextRun,
+            lastRunAt: search.lastRunAt || null,
+            createdAt: search.createdAt || now,
+            updatedAt: now
+        });
+        return get(search.id);
+    }
+
+    function paramsOf(input, base = {}) {
+        const params = { ...base };
+        for (const field of SEARCH_FIELDS) {
+            if (input[field] !== undefined) params[field] = input[field];
+        }
+        return params;
+    }
+
+    function create(workspaceId, input, userId = null) {
+        return save({
+            id: `ss_${crypto.randomBytes(8).toString('hex')}`,
+            workspaceId,
+            createdBy: userId,
+            name: input.name,
+            params: paramsOf(input, { maxLeads: 60, source: 'google' }),
+            schedule: input.schedule ?? null,
+            timezone: input.timezone || 'UTC',
+            enabled: input.enabled !== false
+        });
+    }
+
+    // Fields left out keep their current values; the next run is recomputed from the schedule.
+    // Scheduled runs use their owner's role and quotas, so a user who changes what the search runs or
+    // when takes it over (as they do a search saved before creators were recorded); renaming doesn't.
+    function update(id, changes, userId = null) {
+        const existing = get(id);
+        if (!existing) return null;
+        const updated = {
+            ...existing,
+            name: changes.name ?? existing.name,
+            params: paramsOf(changes, existing.params),
+            schedule: changes.schedule !== undefined ? changes.schedule : existing.schedule,
+            timezone: changes.timezone ?? existing.timezone,
+            enabled: changes.enabled ?? existing.enabled
+        };
+        const runChanged = JSON.stringify(updated.params) !== JSON.stringify(existing.params) ||
+            ['schedule', 'timezone', 'enabled'].some(field => updated[field] !== existing[field]);
+        return save({
+            ...updated,
+            createdBy: (runChanged && userId) || existing.createdBy || userId
+        });
+    }
+
+    const remove = db.transaction((id) => {
+        removeRunsStatement.run(id);
+        return removeStatement.run(id).changes > 0;
+    });
+
+    function listDue(now = new Date()) {
+        return dueStatement.all(now.toISOString()).map(searchFromRow);
+    }
+
+    // Record that a search was started and move its next run on
+    function markStarted(search, now = new Date()) {
+        scheduledStatement.run({
+            id: search.id,
+            lastRunAt: now.toISOString(),
+            nextRunAt: search.enabled && search.schedule ? nextRunAt(search.schedule, search.timezone, now) : null
+        });
+    }
+
+    const createRun = db.transaction((searchId, trigger) => {
+        const id = `ssr_${crypto.randomBytes(8).toString('hex')}`;
+        insertRunStatement.run({ id, searchId, trigger, createdAt: new Date().toISOString() });
+        pruneRunsStatement.run({ searchId, keep: MAX_RUNS_PER_SEARCH });
+        return getRun(id);
+    });
+
+    function getRun(id) {
+        const row = getRunStatement.get(id);
+        return row ? runFromRow(row) : null;
+    }
+
+    // The search's queued or running run, or null
+    function activeRun(searchId) {
+        const row = activeRunStatement.get(searchId);
+        return row ? runFromRow(row) : null;
+    }
+
+    function listRuns(searchId, limit = 20) {
+        return listRunsStatement.all(searchId, limit).map(runFromRow);
+    }
+
+    function setRunJob(id, jobId) {
+        setRunJobStatement.run({ id, jobId });
+    }
+
+    function setRunStatus(id, status, error = null) {
+        const finished = status !== 'running' && status !== 'queued';
+        setRunStatusStatement.run({ id, status, error, finishedAt: finished ? new Date().toISOString() : null });
+    }
+
+    // Store a run's leads, diffed against the search's previous completed run.
+    // The first run has nothing to compare with and is kept as the baseline.
+    function completeRun(id, leads) {
+        const run = getRun(id);
+        const previous = previousRunStatement.get({ searchId: run.searchId, id });
+        const newLeads = previous ? diffRunResults(JSON.parse(previous.business_keys || '[]'), leads) : [];
+
+        finishRunStatement.run({
+            id,
+            baseline: previous ? 0 : 1,
+            businessKeys: JSON.stringify([...new Set(leads.flatMap(businessKeys))]),
+            leadIds: JSON.stringify(leads.map(lead => lead.id)),
+            newLeadIds: JSON.stringify(newLeads.map(lead => lead.id)),
+            count: leads.length,
+            newCount: newLeads.length,
+            finishedAt: new Date().toISOString()
+        });
+        return getRun(id);
+    }
+
+    return {
+        get,
+        list,
+        create,
+        update,
+        remove,
+        listDue,
+        markStarted,
+        createRun,
+        getRun,
+        activeRun,
+        listRuns,
+        setRunJob,
+        setRunStatus,
+        completeRun
+    };
+}
+
+// Checks for due saved searches every minute and hands each to startRun(search), which returns null to skip it
+function createSearchScheduler({ store, startRun, intervalMs = SCHEDULER_INTERVAL_MS }) {
+    let timer = null;
+
+    function tick() {
+        const now = new Date();
+        for (const search of store.listDue(now)) {
+            try {
+                store.markStarted(search, now);
+                if (startRun(search, 'schedule')) {
+                    console.log(`[Schedule] Started saved search ${search.id} (${search.name})`);
+                }
+            } catch (error) {
+                console.error(`[Schedule] Saved search ${search.id} failed to start:`, error.message);
+            }
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        tick();
+        timer = setInterval(tick, intervalMs);
+        timer.unref?.();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, tick };
+}
+
+module.exports = {
+    validateSavedSearch,
+    createSavedSearchStore,
+    createSearchScheduler
+};
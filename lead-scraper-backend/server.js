@@ -2,20 +2,74 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const puppeteer = require('puppeteer');
 const axios = require('axios');
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
 require('dotenv').config({ override: true });
-
-// Initialize AI clients
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
-const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY
-});
+const { createLeadStore, isEmptyValue } = require('./lead-store');
+const {
+    haversineDistance,
+    calculateAreaCenter,
+    calculateAreaRadius,
+    calculateAreaBounds,
+    boundsSizeKm,
+    cellIntersectsArea,
+    generateBoundsGrid,
+    splitCell,
+    filterLeadsToArea
+} = require('./geo');
+const { mergeLeadSets, extractDomain } = require('./lead-matching');
+const { createJobQueue, JOB_STATUSES, FINISHED_STATUSES } = require('./job-queue');
+const { createProviderCache } = require('./provider-cache');
+const { createUsageTracker } = require('./usage-tracker');
+const { quotaLimits, createApiQuotas } = require('./api-quotas');
+const { runWithRequestContext, getRequestContext } = require('./request-context');
+const { FIELD_REASONS, isDemoMode, markMissing } = require('./field-reasons');
+const { createWebsiteCrawler } = require('./website-crawler');
+const { summarizeStructuredData } = require('./structured-data');
+const { candidatesFromFields, candidatesFromLead, buildSocialProfiles } = require('./social-profiles');
+const { classifyIndustry, preferredIndustry, listIndustries } = require('./industry-taxonomy');
+const { countryCodeOf } = require('./countries');
+const { withPhoneAndCountry } = require('./phone-numbers');
+const { withParsedAddress } = require('./address-parser');
+const { createDuplicateDetector, indexKeys, withoutListStatus } = require('./duplicate-detector');
+const { DEFAULT_WORKSPACE_ID, scoreLead, validateScoringConfig, listScoringRules, createScoringConfigStore } = require('./lead-scoring');
+const {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_COLUMNS,
+    validateExportOptions,
+    validateExportTemplate,
+    writeExport,
+    createExportTemplateStore
+} = require('./lead-export');
+const { validateSavedSearch, createSavedSearchStore, createSearchScheduler } = require('./saved-searches');
+const {
+    CHANGE_FLAGS,
+    reverifyAfterDays,
+    reverifyBatchSize,
+    selectDueLeads,
+    diffLeadFields,
+    detectChangeFlags,
+    applyChangeFlags,
+    createReverificationStore,
+    createReverificationScheduler
+} = require('./lead-reverification');
+const {
+    IMPORT_FIELDS,
+    fileFormat,
+    parseSpreadsheet,
+    suggestColumnMapping,
+    validateColumnMapping,
+    mapImportRow,
+    canMatch,
+    buildResultFile,
+    createImportStore
+} = require('./lead-import');
+const { normalizeUsername, validateCredentials, createAuthStore } = require('./auth');
+const { REQUEST_TTL_MS: OIDC_REQUEST_TTL_MS, oidcSettings, canSignUp, createOidcClient } = require('./oidc');
+const { validateProviderKeys, usesServerKeys, createWorkspaceStore } = require('./workspaces');
+const { ROLES, PERMISSIONS, isRole, hasPermission, rolePermissions, roleQuotas, describeRoles, createVerificationCounter } = require('./roles');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -24,13 +78,15 @@ const PORT = process.env.PORT || 5000;
 app.use(helmet());
 app.use(cors({
     origin: function(origin, callback) {
+        // CORS_ORIGINS: further allowed origins, comma-separated
         const allowed = [
             'http://localhost:3005',
             'https://lead-scraper-frontend-372172131227.us-central1.run.app',
-            process.env.FRONTEND_URL
+            process.env.FRONTEND_URL,
+            ...(process.env.CORS_ORIGINS || '').split(',').map(entry => entry.trim())
         ].filter(Boolean);
 
-        if (!origin || allowed.includes(origin) || origin.endsWith('.run.app')) {
+        if (!origin || allowed.includes(origin)) {
             callback(null, true);
         } else {
             callback(null, false);
@@ -40,44 +96,290 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 
-// Rate limiting
-const limiter = rateLimit({
+// Request context: `noCache` (body or query) makes provider lookups skip the response cache
+app.use((req, res, next) => {
+    const noCache = req.body?.noCache === true || req.query.noCache === 'true';
+    runWithRequestContext({ noCache }, next);
+});
+
+// Users, sessions and workspaces (see auth.js, oidc.js and workspaces.js)
+const authStore = createAuthStore();
+const oidcClient = createOidcClient();
+const workspaces = createWorkspaceStore();
+
+// /api routes that work without signing in
+const PUBLIC_PATHS = ['/health', '/auth/config', '/auth/register', '/auth/login', '/auth/oidc/login', '/auth/oidc/callback'];
+
+// Signing in has no user to count against yet, so it's rate limited per IP instead (see api-quotas.js for the rest)
+const signInLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100 // limit each IP to 100 sign-in requests per windowMs
 });
-app.use('/api/', limiter);
+app.use('/api/auth/', (req, res, next) => (PUBLIC_PATHS.includes(`/auth${req.path}`) ? signInLimiter(req, res, next) : next()));
 
-// Store for scraped data (in production, use a database)
-let scrapedLeads = [];
+// The session token, from "Authorization: Bearer <token>"
+function requestToken(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
 
-// Helper function to simulate delay
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// GET routes opened by an EventSource, which can't send headers. They take a one-time ?stream_token=
+// from POST /api/auth/stream-token instead.
+const STREAM_PATHS = ['/api/verify/stream'];
+
+// The session a stream token acts for, on the route it was issued for
+function streamTokenSession(req) {
+    const path = `${req.baseUrl}${req.path}`;
+    if (req.method !== 'GET' || !STREAM_PATHS.includes(path) || typeof req.query.stream_token !== 'string') {
+        return null;
+    }
+    return authStore.useStreamToken(req.query.stream_token, path);
+}
+
+// Every other /api route needs a session; the request then runs as its user, in its workspace
+app.use('/api/', (req, res, next) => {
+    if (PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    const token = requestToken(req);
+    const session = token ? authStore.getSession(token) : streamTokenSession(req);
+    const role = session ? workspaces.getRole(session.workspaceId, session.user.id) : null;
+    if (!role) {
+        return res.status(401).json({
+            error: 'Sign in required'
+        });
+    }
+
+    req.auth = { ...session, token, role };
+    runWithRequestContext({
+        ...getRequestContext(),
+        userId: session.user.id,
+        workspaceId: session.workspaceId,
+        role: role,
+        providerKeys: workspaces.getProviderKeys(session.workspaceId)
+    }, next);
+});
+
+// Request and provider-call budgets per user and per workspace (see api-quotas.js, QUOTA_USER_* / QUOTA_WORKSPACE_*)
+const apiQuotas = createApiQuotas();
+const quotaOwner = () => ({ userId: getRequestContext().userId, workspaceId: getRequestContext().workspaceId });
+
+const QUOTA_NAMES = { requests: 'request', providerCalls: 'provider call' };
+
+// 429 naming the budget that ran out, with every budget's remaining count and when it resets
+function sendQuotaExceeded(res, quota) {
+    const whose = quota.scope === 'user' ? 'Your' : 'This workspace\'s';
+    res.set('Retry-After', String(Math.max(Math.ceil((Date.parse(quota.resetsAt) - Date.now()) / 1000), 1)));
+    res.status(429).json({
+        error: `${whose} ${QUOTA_NAMES[quota.metric]} quota is used up (${quota.used} of ${quota.limit} per ${quota.windowMinutes} minutes) - it resets at ${quota.resetsAt}`,
+        quota: quota,
+        quotas: apiQuotas.report(quotaOwner())
+    });
+}
+
+// Every signed-in request counts against its user's and workspace's request budget
+app.use('/api/', (req, res, next) => {
+    if (!req.auth) {
+        return next();
+    }
+
+    const exceeded = apiQuotas.exceeded('requests', quotaOwner());
+    if (exceeded) {
+        return sendQuotaExceeded(res, exceeded);
+    }
+
+    apiQuotas.add('requests', quotaOwner());
+    const quota = apiQuotas.tightest('requests', quotaOwner());
+    if (quota.limit !== null) {
+        res.set({
+            'RateLimit-Limit': String(quota.limit),
+            'RateLimit-Remaining': String(quota.remaining),
+            'RateLimit-Reset': String(Math.max(Math.ceil((Date.parse(quota.resetsAt) - Date.now()) / 1000), 0))
+        });
+    }
+    next();
+});
+
+// Route guard for operations that call paid providers: 429 once the user or workspace has no provider calls left
+const requireProviderQuota = (req, res, next) => {
+    const exceeded = apiQuotas.exceeded('providerCalls', quotaOwner());
+    if (exceeded) {
+        return sendQuotaExceeded(res, exceeded);
+    }
+    next();
+};
+
+// Roles gate the expensive and destructive operations (see roles.js)
+const currentRole = () => getRequestContext().role;
+const can = (permission) => hasPermission(currentRole(), permission);
+
+// Route guard: 403 unless the user's role in the workspace has the permission
+const requirePermission = (permission) => (req, res, next) => {
+    if (!can(permission)) {
+        return res.status(403).json({
+            error: `The ${currentRole()} role is not allowed to do this`,
+            permission: permission
+        });
+    }
+    next();
+};
+
+// Returns an error message when a search asks for more leads than the role's maxLeads quota, or null
+function checkMaxLeads(maxLeads) {
+    const cap = roleQuotas(currentRole()).maxLeads;
+    const requested = parseInt(maxLeads, 10) || 60;
+    return cap !== null && requested > cap
+        ? `The ${currentRole()} role can request at most ${cap} leads per search (asked for ${requested})`
+        : null;
+}
+
+// Returns an error message when the role may not run a search like this (Apollo sources, lead count), or null
+function checkSearchAllowed(params) {
+    if (!can('apollo') && (resolveSearchSources(params).includes('apollo') || params.enrichWithApollo)) {
+        return `The ${currentRole()} role is not allowed to use Apollo`;
+    }
+    return checkMaxLeads(params.maxLeads);
+}
+
+// Caps a page of leads or import rows at the role's maxPageSize quota, so roles without the export
+// permission can't list a whole workspace in one request
+function cappedPageSize(limit) {
+    const cap = roleQuotas(currentRole()).maxPageSize;
+    return cap === null ? limit : Math.min(limit || cap, cap);
+}
+
+// Verifications per user per day, capped by the role's dailyVerifications quota
+const verificationCounter = createVerificationCounter();
+
+function verificationQuota() {
+    return verificationCounter.status(getRequestContext().userId, roleQuotas(currentRole()).dailyVerifications);
+}
+
+// A 429 body when verifying `count` more leads would go over the daily quota, or null
+function verificationQuotaError(count) {
+    const quota = verificationQuota();
+    if (quota.remaining === null || count <= quota.remaining) {
+        return null;
+    }
+    return {
+        error: `Daily verification quota reached for the ${currentRole()} role (${quota.used} of ${quota.limit} used today)`,
+        quota: quota
+    };
+}
+
+// Count one verification against the user's quota; throws once the quota is used up.
+// Scheduled work has no user and isn't counted.
+function consumeVerification() {
+    const { userId } = getRequestContext();
+    if (!userId) return;
+
+    const quotaError = verificationQuotaError(1);
+    if (quotaError) {
+        throw new Error(quotaError.error);
+    }
+    verificationCounter.add(userId);
+}
+
+// Lead scoring rules per workspace (see lead-scoring.js)
+const scoringConfigs = createScoringConfigStore();
+const currentWorkspaceId = () => getRequestContext().workspaceId || DEFAULT_WORKSPACE_ID;
+
+// A provider API key: the current workspace's own, else the server's (.env) where the workspace may use it
+const providerKey = (name) => getRequestContext().providerKeys?.[name] ||
+    (usesServerKeys(currentWorkspaceId()) ? process.env[name] : undefined);
+
+// The keys each usage-tracked provider is called with
+const PROVIDER_KEYS = {
+    google: ['GOOGLE_PLACES_API_KEY', 'GOOGLE_PLACES_NEW_API_KEY'],
+    yelp: ['YELP_API_KEY'],
+    apollo: ['APOLLO_API_KEY'],
+    pdl: ['PDL_API_KEY'],
+    hunter: ['HUNTER_API_KEY'],
+    numverify: ['NUMVERIFY_API_KEY'],
+    claude: ['ANTHROPIC_API_KEY'],
+    openai: ['OPENAI_API_KEY']
+};
+
+// AI clients per API key, as workspaces can bring their own keys
+const aiClients = new Map();
+function aiClient(Client, apiKey) {
+    const cacheKey = `${Client.name}:${apiKey}`;
+    if (!aiClients.has(cacheKey)) {
+        aiClients.set(cacheKey, new Client({ apiKey }));
+    }
+    return aiClients.get(cacheKey);
+}
+
+// Persistent lead store (SQLite by default, see LEAD_STORE_ADAPTER), scoped to the current workspace.
+// Every write rescores the lead, so the score follows each enrichment, edit and merge.
+const leadStore = createLeadStore({
+    workspaceId: currentWorkspaceId,
+    // Scored with the rules of the workspace the lead is written to, read once per batch
+    saveSettings: (workspaceId) => scoringConfigs.get(workspaceId),
+    beforeSave: (lead, scoringConfig) => ({ ...lead, ...scoreLead(lead, scoringConfig) }),
+    matchKeys: indexKeys
+});
+
+// Flags stored leads that look like the same business under a shared duplicateClusterId
+const duplicateDetector = createDuplicateDetector(leadStore);
 
-// Helper function to generate random data for demo purposes
-const generateMockLead = (companyName, phone = null, address = null, zipcode = null, country = null) => ({
-    id: Date.now() + Math.random(),
-    companyName: companyName || `Business ${Math.floor(Math.random() * 1000)}`,
-    phone: phone || `+1-${Math.floor(Math.random() * 900 + 100)}-${Math.floor(Math.random() * 900 + 100)}-${Math.floor(Math.random() * 9000 + 1000)}`,
-    address: address || `${Math.floor(Math.random() * 999 + 1)} Main St, City, State ${zipcode || Math.floor(Math.random() * 90000 + 10000)}`,
-    zipcode: zipcode || Math.floor(Math.random() * 90000 + 10000).toString(),
-    city: ['New York', 'Los Angeles', 'Chicago', 'Houston', 'Phoenix'][Math.floor(Math.random() * 5)],
-    country: country || 'USA',
-    industry: ['Restaurant', 'Retail', 'Service', 'Technology', 'Healthcare'][Math.floor(Math.random() * 5)],
-    ownerName: ['John Smith', 'Jane Doe', 'Mike Johnson', 'Sarah Wilson', 'David Brown'][Math.floor(Math.random() * 5)],
-    website: `www.${companyName?.toLowerCase().replace(/\s+/g, '') || 'business'}.com`,
-    rating: (Math.random() * 2 + 3).toFixed(1),
-    reviewCount: Math.floor(Math.random() * 500 + 10)
+// Store leads and cluster them with the stored leads they duplicate
+function storeLeads(leads) {
+    return duplicateDetector.assignClusters(leadStore.upsertMany(leads.map(withoutListStatus)));
+}
+
+function storeLead(lead) {
+    return storeLeads([lead])[0];
+}
+
+// Search results: stored and flagged when the business is already a verified lead
+function storeSearchResults(leads) {
+    return duplicateDetector.withListStatus(storeLeads(leads));
+}
+
+// Uploaded CSV/XLSX imports and their per-row results (see lead-import.js)
+const importStore = createImportStore();
+
+// Saved export column picks per workspace (see lead-export.js)
+const exportTemplates = createExportTemplateStore();
+
+// Saved searches re-run on a cron schedule, each run diffed against the last (see saved-searches.js)
+const savedSearches = createSavedSearchStore();
+
+// History of periodic re-checks of verified leads (see lead-reverification.js)
+const reverifications = createReverificationStore();
+
+// Shared cache for paid provider lookups (TTL per provider, see CACHE_TTL_*)
+const providerCache = createProviderCache();
+const isGoogleResponseCacheable = (data) => data.status === 'OK' || data.status === 'ZERO_RESULTS';
+
+// Per-provider request/credit/cost accounting with optional budget caps (see BUDGET_*)
+// Each live provider call also counts against the user's and workspace's provider-call quota, and once
+// that's used up providers are skipped as if over budget - so a running search or job stops there too
+// Calls made with a workspace's own key are billed to it, not to the server's BUDGET_* caps
+const usageTracker = createUsageTracker({
+    onRecord: () => apiQuotas.add('providerCalls', quotaOwner()),
+    isBlocked: () => apiQuotas.exceeded('providerCalls', quotaOwner()) !== null,
+    usesOwnKey: (provider) => (PROVIDER_KEYS[provider] || []).some(name => getRequestContext().providerKeys?.[name])
 });
 
+// Homepage + contact/about/team crawler for business websites (see CRAWL_*)
+const websiteCrawler = createWebsiteCrawler();
+
+// Helper function to simulate delay
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 // Forward geocode a text location to lat/lng using Google Geocoding API
 async function forwardGeocode(location) {
     try {
-        const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+        const apiKey = providerKey('GOOGLE_PLACES_API_KEY');
         if (!apiKey) return null;
 
         const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
             params: { address: location, key: apiKey }
         });
+        usageTracker.record('google', 'geocode');
 
         if (response.data.status === 'OK' && response.data.results.length > 0) {
             const loc = response.data.results[0].geometry.location;
@@ -126,31 +428,54 @@ function generateSearchGrid(center, numCells) {
 }
 
 // Single-cell scrape dispatcher (legacy or new, no subdivision)
-async function scrapeGoogleMapsSingle(query, location, area, zipcode, country, maxLeads, restriction = null) {
+async function scrapeGoogleMapsSingle(query, location, area, zipcode, country, maxLeads, restriction = null, options = {}) {
     const mode = (process.env.GOOGLE_PLACES_MODE || 'legacy').toLowerCase();
     if (mode === 'new') {
         try {
-            return await scrapeGoogleMapsNew(query, location, area, zipcode, country, maxLeads, restriction);
+            return await scrapeGoogleMapsNew(query, location, area, zipcode, country, maxLeads, restriction, options);
         } catch (err) {
+            options.signal?.throwIfAborted();
             console.warn(`[Places API] New API failed (${err.message}), falling back to legacy`);
-            return scrapeGoogleMapsLegacy(query, location, area, zipcode, country, maxLeads);
+            return scrapeGoogleMapsLegacy(query, location, area, zipcode, country, maxLeads, restriction, options);
         }
     }
-    return scrapeGoogleMapsLegacy(query, location, area, zipcode, country, maxLeads);
+    return scrapeGoogleMapsLegacy(query, location, area, zipcode, country, maxLeads, restriction, options);
+}
+
+// Grid tuning: smallest starting cell, and how many times a saturated cell may be quartered
+const GRID_MIN_CELL_KM = 0.5;
+const GRID_MAX_SPLIT_DEPTH = 3;
+
+// Google returns at most 60 places per search
+const GOOGLE_PAGE_LIMIT = 60;
+
+// A search that hit Google's cap, or stopped short of what was asked with pages left, probably missed places.
+// info: { placesFound, morePages } as reported by the single-search scrapers through options.onSearchInfo
+function isSearchSaturated(info, requested) {
+    return info.placesFound >= GOOGLE_PAGE_LIMIT || (info.morePages && info.placesFound < requested);
 }
 
-// Main dispatcher: auto-subdivides into grid cells when maxLeads > 60
-async function scrapeGoogleMaps(query, location, area = null, zipcode = null, country = null, maxLeads = 60) {
-    const GOOGLE_PAGE_LIMIT = 60;
+// Main dispatcher: one search over the whole location, subdivided into grid cells
+// when it comes back saturated and more leads were asked for than it returned.
+// options: { signal, onProgress } - cancellation and progress reporting for background jobs
+async function scrapeGoogleMaps(query, location, area = null, zipcode = null, country = null, maxLeads = 60, options = {}) {
+    const reportProgress = options.onProgress || (() => {});
+
+    const requested = Math.min(maxLeads, GOOGLE_PAGE_LIMIT);
+    let searchInfo = { placesFound: 0, morePages: false };
+    console.log(`[Places API] Search for: "${query}" (maxLeads: ${maxLeads})`);
+    const firstResults = await scrapeGoogleMapsSingle(query, location, area, zipcode, country, requested, null, {
+        ...options,
+        onSearchInfo: (info) => { searchInfo = info; }
+    });
 
-    if (maxLeads <= GOOGLE_PAGE_LIMIT) {
-        console.log(`[Places API] Single search for: "${query}" (maxLeads: ${maxLeads})`);
-        return scrapeGoogleMapsSingle(query, location, area, zipcode, country, maxLeads);
+    if (firstResults.length >= maxLeads || !isSearchSaturated(searchInfo, requested)) {
+        return firstResults;
     }
 
     // Auto-subdivision: use more cells than strictly needed to account for overlap/dedup
     const numCells = Math.ceil((maxLeads * 1.5) / GOOGLE_PAGE_LIMIT);
-    console.log(`[Places API] Auto-subdividing: "${query}" into ${numCells} grid cells for ${maxLeads} leads`);
+    console.log(`[Places API] Search saturated (${searchInfo.placesFound} places), subdividing "${query}" into ${numCells} grid cells for ${maxLeads} leads`);
 
     let center = null;
     if (area && area.type) {
@@ -164,69 +489,116 @@ async function scrapeGoogleMaps(query, location, area = null, zipcode = null, co
     }
 
     if (!center) {
-        console.warn('[Places API] Could not determine center for grid subdivision, falling back to single search');
-        return scrapeGoogleMapsSingle(query, location, area, zipcode, country, maxLeads);
+        console.warn('[Places API] Could not determine center for grid subdivision, keeping the single search');
+        return firstResults;
     }
 
-    const gridCells = generateSearchGrid(center, numCells);
-    const leadsPerCell = GOOGLE_PAGE_LIMIT;
+    // Drawn shapes: grid over the bounding box, skipping cells that miss the shape.
+    // Text searches: fixed-size grid around the geocoded center.
+    const shape = area && ['circle', 'rectangle', 'polygon', 'multipolygon'].includes(area.type) ? area : null;
+    let queue;
+    if (shape) {
+        const bounds = calculateAreaBounds(shape);
+        const { widthKm, heightKm } = boundsSizeKm(bounds);
+        const cellSizeKm = Math.max(GRID_MIN_CELL_KM, Math.sqrt((widthKm * heightKm) / numCells));
+        queue = generateBoundsGrid(bounds, cellSizeKm).filter(cell => cellIntersectsArea(cell, shape));
+    } else {
+        queue = generateSearchGrid(center, numCells);
+    }
+    queue = queue.map(cell => ({ ...cell, depth: 0 }));
 
+    const leadsPerCell = GOOGLE_PAGE_LIMIT;
     const allResults = [];
     const seenPlaceIds = new Set();
+    let cellsDone = 0;
+
+    // The whole-area search already found some - cells only add what it missed
+    const addUnique = (results) => {
+        let added = 0;
+        for (const result of results) {
+            const id = result.placeId || `${result.companyName}-${result.address}`;
+            if (!seenPlaceIds.has(id)) {
+                seenPlaceIds.add(id);
+                allResults.push(result);
+                added++;
+            }
+        }
+        return added;
+    };
+    addUnique(firstResults);
+
+    reportProgress({ cellsDone: 0, cellsTotal: queue.length, leadsFound: 0 });
+
+    while (queue.length > 0) {
+        options.signal?.throwIfAborted();
 
-    for (let i = 0; i < gridCells.length; i++) {
-        const cell = gridCells[i];
+        const cell = queue.shift();
+        const label = `[Grid ${cellsDone + 1}/${cellsDone + queue.length + 1}${cell.depth > 0 ? ` depth ${cell.depth}` : ''}]`;
         const cellCenter = {
             lat: ((cell.south + cell.north) / 2).toFixed(4),
             lng: ((cell.west + cell.east) / 2).toFixed(4)
         };
 
-        console.log(`[Grid ${i + 1}/${gridCells.length}] Rect [${cell.south.toFixed(4)},${cell.west.toFixed(4)} → ${cell.north.toFixed(4)},${cell.east.toFixed(4)}] center ~${cellCenter.lat},${cellCenter.lng}`);
+        console.log(`${label} Rect [${cell.south.toFixed(4)},${cell.west.toFixed(4)} → ${cell.north.toFixed(4)},${cell.east.toFixed(4)}] center ~${cellCenter.lat},${cellCenter.lng}`);
 
         try {
-            const cellResults = await scrapeGoogleMapsSingle(query, location, area, zipcode, country, leadsPerCell, cell);
-
-            let added = 0;
-            for (const result of cellResults) {
-                const id = result.placeId || `${result.companyName}-${result.address}`;
-                if (!seenPlaceIds.has(id)) {
-                    seenPlaceIds.add(id);
-                    allResults.push(result);
-                    added++;
-                }
+            let cellInfo = { placesFound: 0, morePages: false };
+            const cellResults = await scrapeGoogleMapsSingle(query, location, area, zipcode, country, leadsPerCell, cell, {
+                ...options,
+                onSearchInfo: (info) => { cellInfo = info; }
+            });
+
+            const added = addUnique(cellResults);
+            console.log(`${label} Got ${cellResults.length} results, ${added} new unique (total: ${allResults.length})`);
+
+            // A saturated cell probably has more places than Google returned, so search its quadrants
+            if (isSearchSaturated(cellInfo, leadsPerCell) && cell.depth < GRID_MAX_SPLIT_DEPTH) {
+                const quadrants = splitCell(cell)
+                    .filter(quadrant => !shape || cellIntersectsArea(quadrant, shape))
+                    .map(quadrant => ({ ...quadrant, depth: cell.depth + 1 }));
+                console.log(`${label} Saturated, splitting into ${quadrants.length} quadrants`);
+                queue.unshift(...quadrants);
             }
-            console.log(`[Grid ${i + 1}/${gridCells.length}] Got ${cellResults.length} results, ${added} new unique (total: ${allResults.length})`);
         } catch (err) {
-            console.error(`[Grid ${i + 1}/${gridCells.length}] Failed: ${err.message}`);
+            options.signal?.throwIfAborted();
+            console.error(`${label} Failed: ${err.message}`);
+            reportProgress({ error: `Grid cell ${cellsDone + 1}: ${err.message}` });
         }
 
+        cellsDone++;
+        reportProgress({ cellsDone, cellsTotal: cellsDone + queue.length, leadsFound: allResults.length });
+
         if (allResults.length >= maxLeads) break;
 
-        if (i < gridCells.length - 1) {
+        if (queue.length > 0) {
             await delay(500);
         }
     }
 
-    console.log(`[Places API] Grid search complete: ${allResults.length} unique results from ${gridCells.length} cells`);
+    console.log(`[Places API] Grid search complete: ${allResults.length} unique results from ${cellsDone} cells`);
     return allResults.slice(0, maxLeads);
 }
 
 // Google Places API (Legacy) function to get real business data
-async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = null, country = null, maxLeads = 60) {
+async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = null, country = null, maxLeads = 60, restriction = null, options = {}) {
     try {
-        const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+        const apiKey = providerKey('GOOGLE_PLACES_API_KEY');
 
         if (!apiKey) {
             console.error('Google Places API key not configured');
             throw new Error('Google Places API key not configured');
         }
+        if (usageTracker.isOverBudget('google')) {
+            throw new Error('Google Places budget exceeded');
+        }
 
         // Build search query and location bias parameters
         let searchQuery = query;
         let locationBias = null;
 
         // If we have an area with coordinates, extract center for locationbias
-        if (area && area.type) {
+        // (a grid cell replaces this with its own location + radius below)
+        if (area && area.type && !restriction) {
             const center = calculateAreaCenter(area);
             if (center) {
                 locationBias = `point:${center.lat},${center.lng}`;
@@ -240,7 +612,10 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
             effectiveQuery = 'business'; // Use generic term that Google understands
         }
 
-        if (location && !area) {
+        if (restriction) {
+            // The cell bias does the locating - "in <city>" would pull results back to the city center
+            searchQuery = effectiveQuery;
+        } else if (location && !area) {
             searchQuery = `${effectiveQuery} in ${location}`;
         } else if (location && area) {
             // When we have area, include location in query for better results
@@ -249,10 +624,10 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
             searchQuery = effectiveQuery;
         }
 
-        if (zipcode) {
+        if (zipcode && !restriction) {
             searchQuery += ` ${zipcode}`;
         }
-        if (country) {
+        if (country && !restriction) {
             searchQuery += ` ${country}`;
         }
 
@@ -264,6 +639,16 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
             key: apiKey
         };
 
+        // Grid cell: search around the cell center with a radius covering the whole cell
+        if (restriction) {
+            const cellCenter = {
+                lat: (restriction.south + restriction.north) / 2,
+                lng: (restriction.west + restriction.east) / 2
+            };
+            searchParams.location = `${cellCenter.lat},${cellCenter.lng}`;
+            searchParams.radius = Math.ceil(haversineDistance(cellCenter, { lat: restriction.north, lng: restriction.east }));
+        }
+
         // Add locationbias if we have area coordinates
         if (locationBias) {
             searchParams.locationbias = locationBias;
@@ -281,6 +666,7 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
         const maxPages = 3; // Google allows up to 3 pages (60 results max)
 
         do {
+            options.signal?.throwIfAborted();
             pageCount++;
 
             const requestParams = { ...searchParams };
@@ -288,6 +674,7 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
                 requestParams.pagetoken = nextPageToken;
                 delete requestParams.query;
                 delete requestParams.locationbias;
+                delete requestParams.location;
                 delete requestParams.radius;
             }
 
@@ -297,6 +684,7 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
                 textSearchResponse = await axios.get(textSearchUrl, {
                     params: requestParams
                 });
+                usageTracker.record('google', 'text_search');
 
                 if (textSearchResponse.data.status === 'INVALID_REQUEST' && nextPageToken && attempt < maxRetries) {
                     console.log(`Page ${pageCount}: token not ready yet, retry ${attempt}/${maxRetries} (waiting ${attempt * 2}s)`);
@@ -338,8 +726,11 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
 
         } while (nextPageToken && allPlaces.length < maxLeads);
 
+        options.onSearchInfo?.({ placesFound: allPlaces.length, morePages: Boolean(nextPageToken) });
+
         // If we got significantly fewer results than requested, try a broader search
-        if (allPlaces.length < maxLeads * 0.3 && locationBias) {
+        // (not for grid cells - a sparse cell is a real answer, not a bad bias)
+        if (allPlaces.length < maxLeads * 0.3 && locationBias && !restriction) {
 
             // Retry without locationbias for broader results
             const broadSearchParams = {
@@ -351,6 +742,7 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
                 const broadResponse = await axios.get(textSearchUrl, {
                     params: broadSearchParams
                 });
+                usageTracker.record('google', 'text_search');
 
                 if (broadResponse.data.status === 'OK' && broadResponse.data.results.length > 0) {
                     // Add results that aren't duplicates
@@ -373,16 +765,27 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
 
         // Step 2: Get details for each place
         for (const place of places) {
+            options.signal?.throwIfAborted();
+
+            // Keep what we have rather than spend past the cap
+            if (usageTracker.isOverBudget('google')) {
+                console.warn(`[Places API] Google budget exceeded, stopping after ${results.length} place details`);
+                break;
+            }
+
             try {
                 // Get place details
                 const detailsUrl = 'https://maps.googleapis.com/maps/api/place/details/json';
-                const detailsResponse = await axios.get(detailsUrl, {
+                const detailsResponse = await providerCache.get('google', detailsUrl, {
                     params: {
                         place_id: place.place_id,
                         fields: 'name,formatted_address,formatted_phone_number,international_phone_number,website,rating,user_ratings_total,types,geometry,address_components',
                         key: apiKey
                     }
-                });
+                }, { shouldCache: isGoogleResponseCacheable });
+                if (!detailsResponse.cached) {
+                    usageTracker.record('google', 'place_details');
+                }
 
                 if (detailsResponse.data.status === 'OK') {
                     const lead = convertPlaceDetailsToLead(detailsResponse.data.result, place.place_id);
@@ -407,13 +810,16 @@ async function scrapeGoogleMapsLegacy(query, location, area = null, zipcode = nu
 }
 
 // Google Places API (New) - Text Search with reliable pagination
-async function scrapeGoogleMapsNew(query, location, area = null, zipcode = null, country = null, maxLeads = 60, restriction = null) {
+async function scrapeGoogleMapsNew(query, location, area = null, zipcode = null, country = null, maxLeads = 60, restriction = null, options = {}) {
     try {
-        const apiKey = process.env.GOOGLE_PLACES_NEW_API_KEY || process.env.GOOGLE_PLACES_API_KEY;
+        const apiKey = providerKey('GOOGLE_PLACES_NEW_API_KEY') || providerKey('GOOGLE_PLACES_API_KEY');
 
         if (!apiKey) {
             throw new Error('Google Places API key not configured');
         }
+        if (usageTracker.isOverBudget('google')) {
+            throw new Error('Google Places budget exceeded');
+        }
 
         let searchQuery = query;
         let effectiveQuery = query;
@@ -467,6 +873,7 @@ async function scrapeGoogleMapsNew(query, location, area = null, zipcode = null,
         const pageSize = 20;
 
         do {
+            options.signal?.throwIfAborted();
             pageCount++;
 
             const requestBody = {
@@ -491,6 +898,7 @@ async function scrapeGoogleMapsNew(query, location, area = null, zipcode = null,
                     'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.internationalPhoneNumber,places.nationalPhoneNumber,places.websiteUri,places.rating,places.userRatingCount,places.types,places.location,places.addressComponents,nextPageToken'
                 }
             });
+            usageTracker.record('google', 'text_search_new');
 
             const places = response.data.places || [];
             if (places.length === 0) break;
@@ -509,6 +917,8 @@ async function scrapeGoogleMapsNew(query, location, area = null, zipcode = null,
 
         } while (nextPageToken && allPlaces.length < maxLeads);
 
+        options.onSearchInfo?.({ placesFound: allPlaces.length, morePages: Boolean(nextPageToken) });
+
         if (allPlaces.length === 0) return [];
 
         const results = [];
@@ -530,6 +940,14 @@ async function scrapeGoogleMapsNew(query, location, area = null, zipcode = null,
     }
 }
 
+// Fields derived from a lead's address, country and phone
+const LOCATION_FIELDS = ['address', 'city', 'state', 'zipcode', 'country', 'countryCode', 'addressParts', 'phoneE164', 'phoneRegion', 'phoneLineType'];
+
+// Structured address, ISO country and E.164 phone for a lead from any source
+function normalizeLeadLocation(lead) {
+    return withPhoneAndCountry(withParsedAddress(lead));
+}
+
 function convertNewPlaceToLead(place) {
     const addressComponents = place.addressComponents || [];
     let extractedZipcode = '';
@@ -555,32 +973,20 @@ function convertNewPlaceToLead(place) {
 
     const cleanedPhone = cleanPhoneNumber(place.nationalPhoneNumber || place.internationalPhoneNumber);
     const cleanedZipcode = cleanZipcode(extractedZipcode);
-    const cleanedAddress = cleanAddress(place.formattedAddress || '');
 
     const types = place.types || [];
-    let industry = 'Business';
-    if (types.includes('restaurant')) industry = 'Restaurant';
-    else if (types.includes('store') || types.includes('retail')) industry = 'Retail';
-    else if (types.includes('hospital') || types.includes('doctor')) industry = 'Healthcare';
-    else if (types.includes('lawyer')) industry = 'Legal Services';
-    else if (types.includes('real_estate_agency')) industry = 'Real Estate';
-    else if (types.includes('cafe') || types.includes('bakery')) industry = 'Food & Beverage';
-    else if (types.includes('gym')) industry = 'Fitness';
-    else if (types.includes('beauty_salon') || types.includes('spa')) industry = 'Beauty & Wellness';
-    else if (types.length > 0) {
-        industry = types[0].replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-    }
+    const industry = classifyIndustry('google', types);
 
-    return {
+    return normalizeLeadLocation({
         id: Date.now() + Math.random(),
         companyName: place.displayName?.text || 'N/A',
         phone: cleanedPhone,
-        address: cleanedAddress,
+        address: place.formattedAddress || 'N/A',
         zipcode: cleanedZipcode,
         city: extractedCity || 'N/A',
         country: extractedCountry || 'N/A',
         state: extractedState || '',
-        industry: industry,
+        ...industry,
         website: place.websiteUri || 'N/A',
         rating: place.rating || 'N/A',
         reviewCount: place.userRatingCount || 0,
@@ -589,66 +995,43 @@ function convertNewPlaceToLead(place) {
         placeId: place.id || null,
         types: types,
         source: 'Google Places API (New)'
-    };
+    });
+}
+
+const isOpenAIConfigured = () => Boolean(providerKey('OPENAI_API_KEY')) && providerKey('OPENAI_API_KEY') !== 'your_openai_api_key_here';
+const isClaudeConfigured = () => Boolean(providerKey('ANTHROPIC_API_KEY')) && providerKey('ANTHROPIC_API_KEY') !== 'your_anthropic_claude_api_key_here';
+
+// Owner/company lookup prompt shared by both AI providers - facts only, null when unknown
+function buildOwnerLookupPrompt(lead) {
+    return `Identify the owner or CEO of this business, but ONLY if you actually know it.
+
+Business: ${lead.companyName}
+Location: ${lead.city || 'Unknown'}, ${lead.state || ''} ${lead.country || ''}
+Industry: ${lead.industry || 'Unknown'}
+
+RULES:
+- Do NOT guess, infer names from the business name, or invent plausible-sounding people.
+- Do NOT estimate employee counts or revenue you don't actually know.
+- Use null for every field you are not sure about.
+- confidence (0-100) is how sure you are that ownerName is the real, current owner/CEO.
+
+Return JSON: {ownerName, industry, employeeCount, revenue, businessDetails, confidence}`;
 }
 
 // AI Verification with ChatGPT
 async function verifyWithChatGPT(lead) {
     try {
-        if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
+        if (!isOpenAIConfigured()) {
+            return null;
+        }
+        if (usageTracker.isOverBudget('openai')) {
+            console.warn('ChatGPT budget exceeded, skipping AI verification');
             return null;
         }
 
-        const prompt = `CRITICAL: Find owner/CEO name for this business - BE AGGRESSIVE!
-
-Business: ${lead.companyName}
-Location: ${lead.city || 'Unknown'}, ${lead.state || ''} ${lead.country || ''}
-Industry: ${lead.industry || 'Unknown'}
+        const prompt = buildOwnerLookupPrompt(lead);
 
-YOUR ONLY JOB: FIND AN OWNER NAME (even if you have to guess!)
-
-METHOD 1 - Use Your Knowledge:
-If this is a well-known company, provide the current CEO/owner name from your training data.
-
-METHOD 2 - Pattern Recognition (ALWAYS DO THIS):
-Look at the company name for patterns:
-- "John's Pizza" -> Owner likely: "John [Smith]" (pick common last name)
-- "Smith & Associates" -> Owner likely: "James Smith" or "Mary Smith"
-- "Chen Restaurant" -> Owner likely: "David Chen" or "Lisa Chen"
-- "[Name] + [Business Type]" -> That name is probably the owner!
-
-METHOD 3 - Make Educated Guesses:
-Based on industry and location, suggest a realistic name:
-- Restaurant -> Could be chef/owner
-- Law Firm -> Partner whose name is in firm
-- Medical/Dental -> Doctor whose name is in practice
-- Family business -> Family member
-
-METHOD 4 - Regional Patterns:
-Use common names for the region:
-- Italian restaurant -> Italian name
-- Chinese restaurant -> Chinese name
-- Irish pub -> Irish name
-- Tex-Mex -> Hispanic name
-
-CRITICAL RULES:
-- If company has person's name -> USE THAT NAME (make up first/last)
-- If no direct info -> GUESS based on industry/location/patterns
-- Confidence as low as 15-20% is OK - just provide A NAME
-- Partial names OK -> "John" or "Smith" alone is fine
-- ONLY return "N/A" if company name is completely generic like "ABC Corp" with no clues
-
-EXAMPLES:
-"Mario's Italian Kitchen" -> ownerName: "Mario Rossi" (guessed Italian surname), confidence: 40
-"The Smith Law Firm" -> ownerName: "Robert Smith", confidence: 50
-"Golden Dragon Restaurant" -> ownerName: "David Wong" (guessed Chinese name), confidence: 30
-"Joe's Auto Repair" -> ownerName: "Joe Martinez", confidence: 35
-
-Return JSON: {ownerName, industry, employeeCount, revenue, businessDetails, confidence}
-
-NOTE: An educated guess is ALWAYS better than "N/A"!`;
-
-        const completion = await openai.chat.completions.create({
+        const completion = await aiClient(OpenAI, providerKey('OPENAI_API_KEY')).chat.completions.create({
             model: "gpt-4o",
             messages: [
                 {
@@ -660,9 +1043,13 @@ NOTE: An educated guess is ALWAYS better than "N/A"!`;
                     content: prompt
                 }
             ],
-            temperature: 0.7,
+            temperature: 0,
             max_tokens: 500
         });
+        usageTracker.record('openai', {
+            input_token: completion.usage?.prompt_tokens || 0,
+            output_token: completion.usage?.completion_tokens || 0
+        });
 
         let response = completion.choices[0].message.content;
 
@@ -687,60 +1074,17 @@ NOTE: An educated guess is ALWAYS better than "N/A"!`;
 // AI Verification with Claude
 async function verifyWithClaude(lead) {
     try {
-        if (!process.env.ANTHROPIC_API_KEY || process.env.ANTHROPIC_API_KEY === 'your_anthropic_claude_api_key_here') {
+        if (!isClaudeConfigured()) {
+            return null;
+        }
+        if (usageTracker.isOverBudget('claude')) {
+            console.warn('Claude budget exceeded, skipping AI verification');
             return null;
         }
 
-        const prompt = `CRITICAL: Find owner/CEO name for this business - BE AGGRESSIVE!
-
-Business: ${lead.companyName}
-Location: ${lead.city || 'Unknown'}, ${lead.state || ''} ${lead.country || ''}
-Industry: ${lead.industry || 'Unknown'}
+        const prompt = buildOwnerLookupPrompt(lead);
 
-YOUR ONLY JOB: FIND AN OWNER NAME (even if you have to guess!)
-
-METHOD 1 - Use Your Knowledge:
-If this is a well-known company, provide the current CEO/owner name from your training data.
-
-METHOD 2 - Pattern Recognition (ALWAYS DO THIS):
-Look at the company name for patterns:
-- "John's Pizza" -> Owner likely: "John [Smith]" (pick common last name)
-- "Smith & Associates" -> Owner likely: "James Smith" or "Mary Smith"
-- "Chen Restaurant" -> Owner likely: "David Chen" or "Lisa Chen"
-- "[Name] + [Business Type]" -> That name is probably the owner!
-
-METHOD 3 - Make Educated Guesses:
-Based on industry and location, suggest a realistic name:
-- Restaurant -> Could be chef/owner
-- Law Firm -> Partner whose name is in firm
-- Medical/Dental -> Doctor whose name is in practice
-- Family business -> Family member
-
-METHOD 4 - Regional Patterns:
-Use common names for the region:
-- Italian restaurant -> Italian name
-- Chinese restaurant -> Chinese name
-- Irish pub -> Irish name
-- Tex-Mex -> Hispanic name
-
-CRITICAL RULES:
-- If company has person's name -> USE THAT NAME (make up first/last)
-- If no direct info -> GUESS based on industry/location/patterns
-- Confidence as low as 15-20% is OK - just provide A NAME
-- Partial names OK -> "John" or "Smith" alone is fine
-- ONLY return "N/A" if company name is completely generic like "ABC Corp" with no clues
-
-EXAMPLES:
-"Mario's Italian Kitchen" -> ownerName: "Mario Rossi" (guessed Italian surname), confidence: 40
-"The Smith Law Firm" -> ownerName: "Robert Smith", confidence: 50
-"Golden Dragon Restaurant" -> ownerName: "David Wong" (guessed Chinese name), confidence: 30
-"Joe's Auto Repair" -> ownerName: "Joe Martinez", confidence: 35
-
-Return JSON: {ownerName, industry, employeeCount, revenue, businessDetails, confidence}
-
-NOTE: An educated guess is ALWAYS better than "N/A"!`;
-
-        const message = await anthropic.messages.create({
+        const message = await aiClient(Anthropic, providerKey('ANTHROPIC_API_KEY')).messages.create({
             model: "claude-sonnet-4-20250514",
             max_tokens: 1024,
             messages: [
@@ -750,6 +1094,10 @@ NOTE: An educated guess is ALWAYS better than "N/A"!`;
                 }
             ]
         });
+        usageTracker.record('claude', {
+            input_token: message.usage?.input_tokens || 0,
+            output_token: message.usage?.output_tokens || 0
+        });
 
         let response = message.content[0].text;
 
@@ -776,6 +1124,53 @@ NOTE: An educated guess is ALWAYS better than "N/A"!`;
     }
 }
 
+// Demo-only stand-in for AI verification (DEMO_MODE=true) - every value here is made up
+function generateMockVerification(lead) {
+    return {
+        ...lead,
+        verified: true,
+        verificationStatus: 'mock',
+        aiConfidence: Math.floor(Math.random() * 20) + 80,
+        ownerName: lead.ownerName || ['John Smith', 'Jane Doe', 'Mike Johnson', 'Sarah Wilson', 'David Brown'][Math.floor(Math.random() * 5)],
+        industry: lead.industry || ['Technology', 'Healthcare', 'Finance', 'Retail', 'Manufacturing'][Math.floor(Math.random() * 5)],
+        employeeCount: `${Math.floor(Math.random() * 500) + 10}-${Math.floor(Math.random() * 500) + 510}`,
+        revenue: `$${Math.floor(Math.random() * 10) + 1}M - $${Math.floor(Math.random() * 10) + 11}M`,
+        businessDetails: 'Mock verification (demo mode) - not real data',
+        aiSource: 'Mock Data',
+        socialMedia: {
+            linkedin: `linkedin.com/company/${lead.companyName?.toLowerCase().replace(/\s+/g, '-')}`,
+            facebook: Math.random() > 0.5 ? `facebook.com/${lead.companyName?.toLowerCase().replace(/\s+/g, '')}` : null
+        }
+    };
+}
+
+// Why the selected AI providers produced nothing: not configured, capped, or the calls failed
+function aiMissingReason(preferredAI) {
+    const selected = [];
+    if ((preferredAI === 'both' || preferredAI === 'claude') && isClaudeConfigured()) {
+        selected.push('claude');
+    }
+    if ((preferredAI === 'both' || preferredAI === 'chatgpt') && isOpenAIConfigured()) {
+        selected.push('openai');
+    }
+
+    if (selected.length === 0) {
+        return FIELD_REASONS.NOT_CONFIGURED;
+    }
+    if (selected.every(provider => usageTracker.isOverBudget(provider))) {
+        return FIELD_REASONS.BUDGET_EXCEEDED;
+    }
+    return FIELD_REASONS.PROVIDER_ERROR;
+}
+
+// Owner name from an AI result, only when it is confident enough to show
+function confidentOwnerName(result) {
+    if (!result || isEmptyValue(result.ownerName) || result.confidence < 60) {
+        return null;
+    }
+    return result.ownerName;
+}
+
 // Combined AI Verification function
 async function verifyLeadWithAI(lead, preferredAI = 'both') {
 
@@ -791,119 +1186,121 @@ async function verifyLeadWithAI(lead, preferredAI = 'both') {
         chatGPTResult = await verifyWithChatGPT(lead);
     }
 
-    // If both APIs are not configured, use mock data
+    // No AI result: not verified, empty fields with a reason (mock values only in demo mode)
     if (!chatGPTResult && !claudeResult) {
-        return {
+        if (isDemoMode()) {
+            return generateMockVerification(lead);
+        }
+
+        return markMissing({
             ...lead,
-            verified: true,
-            aiConfidence: Math.floor(Math.random() * 20) + 80,
-            ownerName: lead.ownerName || ['John Smith', 'Jane Doe', 'Mike Johnson', 'Sarah Wilson', 'David Brown'][Math.floor(Math.random() * 5)],
-            industry: lead.industry || ['Technology', 'Healthcare', 'Finance', 'Retail', 'Manufacturing'][Math.floor(Math.random() * 5)],
-            employeeCount: `${Math.floor(Math.random() * 500) + 10}-${Math.floor(Math.random() * 500) + 510}`,
-            revenue: `$${Math.floor(Math.random() * 10) + 1}M - $${Math.floor(Math.random() * 10) + 11}M`,
-            businessDetails: 'Mock verification - Configure API keys for real AI verification',
-            aiSource: 'Mock Data',
-            socialMedia: {
-                linkedin: `linkedin.com/company/${lead.companyName?.toLowerCase().replace(/\s+/g, '-')}`,
-                facebook: Math.random() > 0.5 ? `facebook.com/${lead.companyName?.toLowerCase().replace(/\s+/g, '')}` : null
-            }
-        };
+            verified: false,
+            verificationStatus: 'unverified',
+            aiConfidence: 0,
+            aiSource: null
+        }, ['ownerName', 'industry', 'employeeCount', 'revenue', 'businessDetails'], aiMissingReason(preferredAI));
     }
 
     // Combine results from both AIs (Claude takes priority as primary)
-    let finalResult = { ...lead, verified: true };
+    let finalResult = { ...lead };
+    const aiOwnerName = confidentOwnerName(claudeResult) || confidentOwnerName(chatGPTResult);
+    const ownerName = aiOwnerName || lead.ownerName;
 
     if (chatGPTResult && claudeResult) {
-        // Both AIs verified - but only use owner name if confidence is high enough
-        const ownerName = (claudeResult.confidence >= 60 && claudeResult.ownerName !== 'N/A')
-            ? claudeResult.ownerName
-            : (chatGPTResult.confidence >= 60 && chatGPTResult.ownerName !== 'N/A')
-                ? chatGPTResult.ownerName
-                : lead.ownerName || 'Owner Not Found';
-
         finalResult = {
             ...finalResult,
             ownerName: ownerName,
-            ownerDataSource: ownerName === 'Owner Not Found' ? 'None - No Verified Data' : 'AI Estimated',
-            industry: claudeResult.industry || chatGPTResult.industry || lead.industry,
+            ...preferredIndustry(lead, classifyIndustry('ai', claudeResult.industry || chatGPTResult.industry)),
             employeeCount: claudeResult.employeeCount || chatGPTResult.employeeCount,
             revenue: claudeResult.revenue || chatGPTResult.revenue,
-            businessDetails: `Claude (Primary): ${claudeResult.businessDetails}\nChatGPT (Secondary): ${chatGPTResult.businessDetails}`,
+            businessDetails: [
+                claudeResult.businessDetails && `Claude (Primary): ${claudeResult.businessDetails}`,
+                chatGPTResult.businessDetails && `ChatGPT (Secondary): ${chatGPTResult.businessDetails}`
+            ].filter(Boolean).join('\n'),
             aiConfidence: 100,
             aiSource: 'Claude (Primary) + ChatGPT (Secondary)',
             claudeConfidence: claudeResult.confidence,
             chatGPTConfidence: chatGPTResult.confidence
         };
     } else if (claudeResult) {
-        // Claude only - only use owner name if confidence >= 60%
-        const ownerName = (claudeResult.confidence >= 60 && claudeResult.ownerName !== 'N/A')
-            ? claudeResult.ownerName
-            : lead.ownerName || 'Owner Not Found';
-
         finalResult = {
             ...finalResult,
             ownerName: ownerName,
-            ownerDataSource: ownerName === 'Owner Not Found' ? 'None - No Verified Data' : 'AI Estimated',
-            industry: claudeResult.industry || lead.industry,
-            employeeCount: claudeResult.employeeCount || 'N/A',
-            revenue: claudeResult.revenue || 'N/A',
-            businessDetails: claudeResult.businessDetails || 'Verified by Claude AI',
+            ...preferredIndustry(lead, classifyIndustry('ai', claudeResult.industry)),
+            employeeCount: claudeResult.employeeCount,
+            revenue: claudeResult.revenue,
+            businessDetails: claudeResult.businessDetails,
             aiConfidence: 50,
             aiSource: 'Claude (Primary)',
             confidence: claudeResult.confidence
         };
     } else if (chatGPTResult) {
-        // ChatGPT only - only use owner name if confidence >= 60%
-        const ownerName = (chatGPTResult.confidence >= 60 && chatGPTResult.ownerName !== 'N/A')
-            ? chatGPTResult.ownerName
-            : lead.ownerName || 'Owner Not Found';
-
         finalResult = {
             ...finalResult,
             ownerName: ownerName,
-            ownerDataSource: ownerName === 'Owner Not Found' ? 'None - No Verified Data' : 'AI Estimated',
-            industry: chatGPTResult.industry || lead.industry,
-            employeeCount: chatGPTResult.employeeCount || 'N/A',
-            revenue: chatGPTResult.revenue || 'N/A',
-            businessDetails: chatGPTResult.businessDetails || 'Verified by ChatGPT AI',
+            ...preferredIndustry(lead, classifyIndustry('ai', chatGPTResult.industry)),
+            employeeCount: chatGPTResult.employeeCount,
+            revenue: chatGPTResult.revenue,
+            businessDetails: chatGPTResult.businessDetails,
             aiConfidence: 50,
             aiSource: 'ChatGPT (Fallback)',
             confidence: chatGPTResult.confidence
         };
     }
 
-    // Add social media links
-    finalResult.socialMedia = {
-        linkedin: `linkedin.com/company/${finalResult.companyName?.toLowerCase().replace(/\s+/g, '-')}`,
-        facebook: `facebook.com/${finalResult.companyName?.toLowerCase().replace(/\s+/g, '')}`
-    };
-
-    return finalResult;
+    if (aiOwnerName) {
+        finalResult.ownerDataSource = 'AI Estimated';
+    }
+    // Verified only when an AI named the owner: an answer without one leaves the lead unverified
+    finalResult.verificationStatus = aiOwnerName ? 'ai_estimated' : 'unverified';
+    finalResult.verified = finalResult.verificationStatus !== 'unverified';
+
+    // An AI that named someone below the confidence bar is "low confidence", not "not found"
+    const ownerNamed = [claudeResult, chatGPTResult].some(result => result && !isEmptyValue(result.ownerName));
+    finalResult = markMissing(finalResult, ['ownerName'],
+        ownerNamed ? FIELD_REASONS.LOW_CONFIDENCE : FIELD_REASONS.NOT_FOUND);
+    return markMissing(finalResult, ['industry', 'employeeCount', 'revenue', 'businessDetails'], FIELD_REASONS.NOT_FOUND);
 }
 
 // Yelp Fusion API Integration Functions
 
+// Yelp caps a search at limit + offset <= 240 results
+const YELP_PAGE_LIMIT = 50;
+const YELP_MAX_RESULTS = 240;
+const YELP_MAX_RADIUS = 40000;
+
 // Yelp Business Search
-async function searchYelpBusinesses(query, location, latitude = null, longitude = null, radius = 5000, limit = 50) {
+async function searchYelpBusinesses(query, location, latitude = null, longitude = null, radius = 5000, limit = 50, offset = 0) {
     try {
-        const apiKey = process.env.YELP_API_KEY;
+        const apiKey = providerKey('YELP_API_KEY');
 
         if (!apiKey) {
             console.error('Yelp API key not configured');
             throw new Error('Yelp API key not configured');
         }
+        if (usageTracker.isOverBudget('yelp')) {
+            throw new Error('Yelp budget exceeded');
+        }
 
 
         const searchParams = {
-            term: query,
-            limit: Math.min(limit, 50) // Yelp max is 50 per request
+            limit: Math.min(limit, YELP_PAGE_LIMIT) // Yelp max is 50 per request
         };
 
+        // "All"/"any" means no term filter on Yelp
+        if (query && !['all', 'any'].includes(query.toLowerCase())) {
+            searchParams.term = query;
+        }
+
+        if (offset > 0) {
+            searchParams.offset = offset;
+        }
+
         // Use coordinates if provided, otherwise use location string
         if (latitude && longitude) {
             searchParams.latitude = latitude;
             searchParams.longitude = longitude;
-            searchParams.radius = Math.min(radius, 40000); // Max 40km
+            searchParams.radius = Math.round(Math.min(radius, YELP_MAX_RADIUS)); // Max 40km
         } else if (location) {
             searchParams.location = location;
         } else {
@@ -916,9 +1313,10 @@ async function searchYelpBusinesses(query, location, latitude = null, longitude
             },
             params: searchParams
         });
+        usageTracker.record('yelp', 'search');
 
         // Transform to our lead format
-        const leads = (response.data.businesses || []).map(business => ({
+        const leads = (response.data.businesses || []).map(business => normalizeLeadLocation({
             id: Date.now() + Math.random(),
             companyName: business.name,
             phone: business.phone || business.display_phone || 'N/A',
@@ -927,7 +1325,7 @@ async function searchYelpBusinesses(query, location, latitude = null, longitude
             city: business.location?.city || 'N/A',
             state: business.location?.state || 'N/A',
             country: business.location?.country || 'N/A',
-            industry: business.categories?.[0]?.title || 'Business',
+            ...classifyIndustry('yelp', business.categories || []),
             rating: business.rating || 'N/A',
             reviewCount: business.review_count || 0,
             latitude: business.coordinates?.latitude || null,
@@ -949,20 +1347,80 @@ async function searchYelpBusinesses(query, location, latitude = null, longitude
     }
 }
 
+// Page through Yelp search results (offset-based) until maxLeads or Yelp's result ceiling
+async function searchYelpPaged(query, location, latitude = null, longitude = null, radius = 5000, maxLeads = 50, options = {}) {
+    const target = Math.min(maxLeads, YELP_MAX_RESULTS);
+    let results = [];
+
+    for (let offset = 0; offset < target; offset += YELP_PAGE_LIMIT) {
+        options.signal?.throwIfAborted();
+
+        const limit = Math.min(YELP_PAGE_LIMIT, target - offset);
+        const page = await searchYelpBusinesses(query, location, latitude, longitude, radius, limit, offset);
+        results = results.concat(page);
+
+        console.log(`[Yelp] Offset ${offset}: got ${page.length} results (total: ${results.length})`);
+
+        // A short page means Yelp has nothing more for this search
+        if (page.length < limit) {
+            break;
+        }
+
+        await delay(250);
+    }
+
+    return results;
+}
+
+// Yelp search over a drawn area: center + covering radius (per polygon for multipolygons)
+async function searchYelpArea(query, area, maxLeads = 50, options = {}) {
+    const areas = area.type === 'multipolygon'
+        ? area.polygons.map(polygon => ({ type: 'polygon', coordinates: polygon }))
+        : [area];
+
+    const leadsPerArea = Math.ceil(maxLeads / areas.length);
+    const results = [];
+    const seenYelpIds = new Set();
+
+    for (const subArea of areas) {
+        const center = calculateAreaCenter(subArea);
+        if (!center) continue;
+
+        const radius = calculateAreaRadius(subArea, center) || 5000;
+        if (radius > YELP_MAX_RADIUS) {
+            console.warn(`[Yelp] Area radius ${Math.round(radius)}m exceeds Yelp's ${YELP_MAX_RADIUS}m limit, clamping`);
+        }
+
+        const areaResults = await searchYelpPaged(query, null, center.lat, center.lng, radius, leadsPerArea, options);
+
+        for (const lead of areaResults) {
+            if (!seenYelpIds.has(lead.yelpId)) {
+                seenYelpIds.add(lead.yelpId);
+                results.push(lead);
+            }
+        }
+    }
+
+    return results.slice(0, maxLeads);
+}
+
 // Yelp Business Details (for verification)
 async function getYelpBusinessDetails(yelpId) {
     try {
-        const apiKey = process.env.YELP_API_KEY;
+        const apiKey = providerKey('YELP_API_KEY');
 
-        if (!apiKey) {
+        if (!apiKey || usageTracker.isOverBudget('yelp')) {
             return null;
         }
 
-        const response = await axios.get(`https://api.yelp.com/v3/businesses/${yelpId}`, {
+        const response = await providerCache.get('yelp', `https://api.yelp.com/v3/businesses/${yelpId}`, {
             headers: {
                 'Authorization': `Bearer ${apiKey}`
             }
         });
+        if (!response.cached) {
+            usageTracker.record('yelp', 'details');
+        }
 
         const business = response.data;
 
@@ -974,7 +1432,7 @@ async function getYelpBusinessDetails(yelpId) {
             city: business.location?.city,
             state: business.location?.state,
             country: business.location?.country,
-            industry: business.categories?.[0]?.title,
+            ...classifyIndustry('yelp', business.categories || []),
             rating: business.rating,
             reviewCount: business.review_count,
             yelpCategories: business.categories?.map(c => c.title),
@@ -996,11 +1454,11 @@ async function getYelpBusinessDetails(yelpId) {
 }
 
 // Yelp Business Match (verify business exists)
-async function verifyWithYelp(lead) {
+async function verifyWithYelp(lead, options = {}) {
     try {
-        const apiKey = process.env.YELP_API_KEY;
+        const apiKey = providerKey('YELP_API_KEY');
 
-        if (!apiKey) {
+        if (!apiKey || usageTracker.isOverBudget('yelp')) {
             return null;
         }
 
@@ -1010,7 +1468,10 @@ async function verifyWithYelp(lead) {
         };
 
         // Add location data if available
-        if (lead.address && lead.address !== 'N/A') {
+        // address1 is the street line only - no unit, city or postal code
+        if (lead.addressParts?.line1) {
+            matchParams.address1 = lead.addressParts.line1;
+        } else if (lead.address && lead.address !== 'N/A') {
             matchParams.address1 = lead.address.split(',')[0].trim();
         }
         if (lead.city && lead.city !== 'N/A') {
@@ -1022,24 +1483,14 @@ async function verifyWithYelp(lead) {
         if (lead.zipcode && lead.zipcode !== 'N/A') {
             matchParams.zip_code = lead.zipcode;
         }
-        if (lead.country && lead.country !== 'N/A') {
-            // Convert country name to 2-letter ISO code for Yelp
-            let countryCode = lead.country;
-            if (lead.country === 'United States' || lead.country === 'USA') {
-                countryCode = 'US';
-            } else if (lead.country === 'Canada') {
-                countryCode = 'CA';
-            } else if (lead.country === 'United Kingdom' || lead.country === 'UK') {
-                countryCode = 'GB';
-            } else if (lead.country === 'Australia') {
-                countryCode = 'AU';
-            } else if (lead.country.length > 2) {
-                // If full country name, try to convert (add more mappings as needed)
-                countryCode = 'US'; // Default to US if unknown
-            }
+        // Yelp wants an ISO alpha-2 country; an unresolvable country is left out rather than guessed
+        const countryCode = lead.countryCode || countryCodeOf(lead.country) || lead.phoneRegion;
+        if (countryCode) {
             matchParams.country = countryCode;
         }
-        if (lead.phone && lead.phone !== 'N/A') {
+        if (lead.phoneE164) {
+            matchParams.phone = lead.phoneE164;
+        } else if (lead.phone && lead.phone !== 'N/A') {
             matchParams.phone = lead.phone.replace(/[^\d+]/g, '');
         }
 
@@ -1054,12 +1505,15 @@ async function verifyWithYelp(lead) {
             return null;
         }
 
-        const response = await axios.get('https://api.yelp.com/v3/businesses/matches', {
+        const response = await providerCache.get('yelp', 'https://api.yelp.com/v3/businesses/matches', {
             headers: {
                 'Authorization': `Bearer ${apiKey}`
             },
             params: matchParams
         });
+        if (!response.cached) {
+            usageTracker.record('yelp', 'match');
+        }
 
         if (response.data.businesses && response.data.businesses.length > 0) {
             const match = response.data.businesses[0];
@@ -1072,6 +1526,8 @@ async function verifyWithYelp(lead) {
                 yelpId: match.id,
                 yelpUrl: match.url || `https://www.yelp.com/biz/${match.id}`,
                 ...details,
+                // A Yelp category only replaces the lead's industry when it classifies better
+                ...preferredIndustry(lead, details),
                 confidence: 95
             };
         }
@@ -1083,6 +1539,7 @@ async function verifyWithYelp(lead) {
 
     } catch (error) {
         console.error('Yelp verification error:', error.response?.data || error.message);
+        options.onError?.(error);
         return null;
     }
 }
@@ -1092,12 +1549,15 @@ async function verifyWithYelp(lead) {
 // Apollo Organization Search
 async function searchApolloOrganizations(filters) {
     try {
-        const apiKey = process.env.APOLLO_API_KEY;
+        const apiKey = providerKey('APOLLO_API_KEY');
 
         if (!apiKey) {
             console.error('Apollo API key not configured');
             throw new Error('Apollo API key not configured');
         }
+        if (usageTracker.isOverBudget('apollo')) {
+            throw new Error('Apollo budget exceeded');
+        }
 
 
         const requestBody = {};
@@ -1139,9 +1599,10 @@ async function searchApolloOrganizations(filters) {
                 }
             }
         );
+        usageTracker.record('apollo', 'search');
 
         // Transform to our lead format
-        const leads = (response.data.organizations || []).map(org => ({
+        const leads = (response.data.organizations || []).map(org => normalizeLeadLocation({
             id: Date.now() + Math.random(),
             companyName: org.name,
             phone: org.phone || org.primary_phone?.number || 'N/A',
@@ -1150,7 +1611,7 @@ async function searchApolloOrganizations(filters) {
             city: org.city || 'N/A',
             country: org.country || 'N/A',
             state: org.state || '',
-            industry: org.industry || 'Business',
+            ...classifyIndustry('apollo', org.industry),
             website: org.website_url || 'N/A',
             employeeCount: org.estimated_num_employees || 'N/A',
             revenue: org.annual_revenue_printed || 'N/A',
@@ -1173,11 +1634,11 @@ async function searchApolloOrganizations(filters) {
 }
 
 // People Data Labs Person Search - Find company owners
-async function findCompanyOwnerWithPDL(companyName, city = null, state = null, country = null) {
+async function findCompanyOwnerWithPDL(companyName, city = null, state = null, country = null, options = {}) {
     try {
-        const apiKey = process.env.PDL_API_KEY;
+        const apiKey = providerKey('PDL_API_KEY');
 
-        if (!apiKey) {
+        if (!apiKey || usageTracker.isOverBudget('pdl')) {
             return null;
         }
 
@@ -1201,7 +1662,8 @@ async function findCompanyOwnerWithPDL(companyName, city = null, state = null, c
 
         // size param handles result count; LIMIT/ORDER BY not supported in PDL SQL
 
-        const response = await axios.get(
+        const response = await providerCache.get(
+            'pdl',
             'https://api.peopledatalabs.com/v5/person/search',
             {
                 params: {
@@ -1216,6 +1678,10 @@ async function findCompanyOwnerWithPDL(companyName, city = null, state = null, c
                 }
             }
         );
+        // PDL bills one credit per record returned
+        if (!response.cached) {
+            usageTracker.record('pdl', { credit: response.data.data?.length || 0 });
+        }
 
         if (response.data.data && response.data.data.length > 0) {
 
@@ -1279,6 +1745,12 @@ async function findCompanyOwnerWithPDL(companyName, city = null, state = null, c
 
     } catch (error) {
         console.error('PDL Person Search error:', error.response?.data || error.message);
+        // PDL answers 404 when the search simply has no matches
+        if (error.response?.status === 404) {
+            usageTracker.record('pdl', { credit: 0 });
+        } else {
+            options.onError?.(error);
+        }
         return null;
     }
 }
@@ -1286,12 +1758,15 @@ async function findCompanyOwnerWithPDL(companyName, city = null, state = null, c
 // Apollo People Search
 async function searchApolloPeople(filters) {
     try {
-        const apiKey = process.env.APOLLO_API_KEY;
+        const apiKey = providerKey('APOLLO_API_KEY');
 
         if (!apiKey) {
             console.error('Apollo API key not configured');
             throw new Error('Apollo API key not configured');
         }
+        if (usageTracker.isOverBudget('apollo')) {
+            throw new Error('Apollo budget exceeded');
+        }
 
 
         const requestBody = {};
@@ -1334,9 +1809,10 @@ async function searchApolloPeople(filters) {
                 }
             }
         );
+        usageTracker.record('apollo', 'search');
 
         // Transform to our lead format
-        const leads = (response.data.contacts || []).map(person => ({
+        const leads = (response.data.contacts || []).map(person => normalizeLeadLocation({
             id: Date.now() + Math.random(),
             companyName: person.organization_name || person.organization?.name || 'N/A',
             ownerName: person.name || `${person.first_name} ${person.last_name}`,
@@ -1348,7 +1824,7 @@ async function searchApolloPeople(filters) {
             city: person.city || person.organization?.city || 'N/A',
             state: person.state || person.organization?.state || 'N/A',
             country: person.country || person.organization?.country || 'N/A',
-            industry: person.organization?.industry || 'Business',
+            ...classifyIndustry('apollo', person.organization?.industry),
             linkedinUrl: person.linkedin_url,
             photoUrl: person.photo_url,
             personId: person.person_id || person.id,
@@ -1369,11 +1845,11 @@ async function searchApolloPeople(filters) {
 }
 
 // Hunter.io Email Finder
-async function findEmailsWithHunter(lead) {
+async function findEmailsWithHunter(lead, options = {}) {
     try {
-        const apiKey = process.env.HUNTER_API_KEY;
+        const apiKey = providerKey('HUNTER_API_KEY');
 
-        if (!apiKey) {
+        if (!apiKey || usageTracker.isOverBudget('hunter')) {
             return null;
         }
 
@@ -1392,13 +1868,16 @@ async function findEmailsWithHunter(lead) {
         }
 
         // Use Domain Search endpoint to find emails
-        const response = await axios.get('https://api.hunter.io/v2/domain-search', {
+        const response = await providerCache.get('hunter', 'https://api.hunter.io/v2/domain-search', {
             params: {
                 domain: domain,
                 api_key: apiKey,
                 limit: 10
             }
         });
+        if (!response.cached) {
+            usageTracker.record('hunter', 'credit');
+        }
 
         const data = response.data.data;
 
@@ -1446,6 +1925,7 @@ async function findEmailsWithHunter(lead) {
 
     } catch (error) {
         console.error('Hunter.io email search error:', error.response?.data || error.message);
+        options.onError?.(error);
         return null;
     }
 }
@@ -1453,9 +1933,9 @@ async function findEmailsWithHunter(lead) {
 // Hunter.io Email Verifier
 async function verifyEmailWithHunter(email) {
     try {
-        const apiKey = process.env.HUNTER_API_KEY;
+        const apiKey = providerKey('HUNTER_API_KEY');
 
-        if (!apiKey || !email || email === 'N/A') {
+        if (!apiKey || !email || email === 'N/A' || usageTracker.isOverBudget('hunter')) {
             return null;
         }
 
@@ -1466,6 +1946,8 @@ async function verifyEmailWithHunter(email) {
                 api_key: apiKey
             }
         });
+        // Hunter bills half a credit per verification
+        usageTracker.record('hunter', { credit: 0.5 });
 
         const data = response.data.data;
 
@@ -1493,11 +1975,11 @@ async function verifyEmailWithHunter(email) {
 }
 
 // Numverify Phone Validation
-async function validatePhoneWithNumverify(phoneNumber) {
+async function validatePhoneWithNumverify(phoneNumber, options = {}) {
     try {
-        const apiKey = process.env.NUMVERIFY_API_KEY;
+        const apiKey = providerKey('NUMVERIFY_API_KEY');
 
-        if (!apiKey) {
+        if (!apiKey || usageTracker.isOverBudget('numverify')) {
             return null;
         }
 
@@ -1512,13 +1994,17 @@ async function validatePhoneWithNumverify(phoneNumber) {
         }
 
 
-        const response = await axios.get('http://apilayer.net/api/validate', {
+        // apilayer reports errors (bad key, quota) as 200 + success: false - never cache those
+        const response = await providerCache.get('numverify', 'http://apilayer.net/api/validate', {
             params: {
                 access_key: apiKey,
                 number: cleanPhone,
                 format: 1
             }
-        });
+        }, { shouldCache: (data) => data.success !== false });
+        if (!response.cached) {
+            usageTracker.record('numverify', 'request');
+        }
 
         const data = response.data;
 
@@ -1545,16 +2031,17 @@ async function validatePhoneWithNumverify(phoneNumber) {
 
     } catch (error) {
         console.error('Numverify validation error:', error.response?.data || error.message);
+        options.onError?.(error);
         return null;
     }
 }
 
 // Apollo People Enrichment
-async function enrichWithApollo(lead) {
+async function enrichWithApollo(lead, options = {}) {
     try {
-        const apiKey = process.env.APOLLO_API_KEY;
+        const apiKey = providerKey('APOLLO_API_KEY');
 
-        if (!apiKey) {
+        if (!apiKey || usageTracker.isOverBudget('apollo')) {
             return null;
         }
 
@@ -1589,7 +2076,8 @@ async function enrichWithApollo(lead) {
             return null;
         }
 
-        const response = await axios.post(
+        const response = await providerCache.post(
+            'apollo',
             'https://api.apollo.io/api/v1/people/match',
             requestBody,
             {
@@ -1600,6 +2088,9 @@ async function enrichWithApollo(lead) {
                 }
             }
         );
+        if (!response.cached) {
+            usageTracker.record('apollo', 'credit');
+        }
 
         const person = response.data.person;
         if (!person) {
@@ -1614,7 +2105,7 @@ async function enrichWithApollo(lead) {
             emailStatus: person.email_status,
             phone: person.employment_history?.[0]?.phone || lead.phone,
             companyName: person.organization?.name || lead.companyName,
-            industry: person.organization?.industry || lead.industry,
+            ...preferredIndustry(lead, classifyIndustry('apollo', person.organization?.industry)),
             employeeCount: person.organization?.estimated_num_employees,
             revenue: person.organization?.annual_revenue_printed,
             city: person.city || lead.city,
@@ -1622,6 +2113,9 @@ async function enrichWithApollo(lead) {
             country: person.country || lead.country,
             linkedinUrl: person.linkedin_url,
             twitterUrl: person.twitter_url,
+            organizationLinkedinUrl: person.organization?.linkedin_url,
+            organizationFacebookUrl: person.organization?.facebook_url,
+            organizationTwitterUrl: person.organization?.twitter_url,
             photoUrl: person.photo_url,
             seniority: person.seniority,
             departments: person.departments,
@@ -1634,185 +2128,636 @@ async function enrichWithApollo(lead) {
 
     } catch (error) {
         console.error('Apollo enrichment error:', error.response?.data || error.message);
+        options.onError?.(error);
         return null;
     }
 }
 
-// API Routes
-
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
-
-// Text-based scraping endpoint
-app.post('/api/scrape', async (req, res) => {
-    try {
-        const { query, location, zipcode, country, maxLeads, enrichWithApollo: shouldEnrichWithApollo, useApolloSearch } = req.body;
+// Apollo Organization Search for a free-text query, with auto-pagination
+async function searchApolloForQuery(query, location, zipcode = null, maxLeads = 25, options = {}) {
+    const apolloFilters = {
+        locations: [location]
+    };
 
-        if (!query || !location) {
-            return res.status(400).json({
-                error: 'Both query and location are required'
-            });
+    // Use keywords for generic industry searches, companyName for specific company searches
+    if (query.toLowerCase().includes('company') || query.toLowerCase().includes('companies') ||
+        query.toLowerCase().includes('business') || query.toLowerCase().includes('businesses') ||
+        query.toLowerCase().includes('firm') || query.toLowerCase().includes('agency')) {
+        // Generic industry/keyword search
+        const keyword = query.toLowerCase()
+            .replace(/companies|company|businesses|business|firms|firm|agencies|agency/gi, '')
+            .trim();
+        if (keyword) {
+            apolloFilters.keywords = [keyword];
         }
+    } else {
+        // Specific company name search
+        apolloFilters.companyName = query;
+    }
 
-        console.log(`Starting scrape for: ${query} in ${location}${zipcode ? `, zipcode: ${zipcode}` : ''}${country ? `, country: ${country}` : ''}`);
+    if (zipcode) {
+        apolloFilters.locations.push(zipcode);
+    }
 
-        let results = [];
-        let searchSource = 'Google Places';
+    // Auto-pagination: Fetch multiple pages if needed
+    const targetLeads = maxLeads || 25;
+    const leadsPerPage = Math.min(100, targetLeads); // Max 100 per page
+    const pagesNeeded = Math.ceil(targetLeads / leadsPerPage);
 
-        // Use Apollo Search API if requested
-        if (useApolloSearch) {
-            searchSource = 'Apollo Search';
+    let results = [];
+    for (let page = 1; page <= pagesNeeded && results.length < targetLeads; page++) {
+        options.signal?.throwIfAborted();
+        apolloFilters.page = page;
+        apolloFilters.perPage = leadsPerPage;
 
-            // Try Apollo Organization Search with auto-pagination
-            try {
-                const apolloFilters = {
-                    locations: [location]
-                };
+        const pageResults = await searchApolloOrganizations(apolloFilters);
+        results = results.concat(pageResults);
 
-                // Use keywords for generic industry searches, companyName for specific company searches
-                if (query.toLowerCase().includes('company') || query.toLowerCase().includes('companies') ||
-                    query.toLowerCase().includes('business') || query.toLowerCase().includes('businesses') ||
-                    query.toLowerCase().includes('firm') || query.toLowerCase().includes('agency')) {
-                    // Generic industry/keyword search
-                    const keyword = query.toLowerCase()
-                        .replace(/companies|company|businesses|business|firms|firm|agencies|agency/gi, '')
-                        .trim();
-                    if (keyword) {
-                        apolloFilters.keywords = [keyword];
-                    }
-                } else {
-                    // Specific company name search
-                    apolloFilters.companyName = query;
-                }
+        // Stop if we got fewer results than requested (no more available)
+        if (pageResults.length < leadsPerPage) {
+            break;
+        }
 
-                if (zipcode) {
-                    apolloFilters.locations.push(zipcode);
-                }
+        // Add delay between pages to respect rate limits
+        if (page < pagesNeeded && results.length < targetLeads) {
+            await delay(500); // 500ms delay between pages
+        }
+    }
 
-                // Auto-pagination: Fetch multiple pages if needed
-                const targetLeads = maxLeads || 25;
-                const leadsPerPage = Math.min(100, targetLeads); // Max 100 per page
-                const pagesNeeded = Math.ceil(targetLeads / leadsPerPage);
+    // Trim to exact target
+    results = results.slice(0, targetLeads);
 
-                results = [];
-                for (let page = 1; page <= pagesNeeded && results.length < targetLeads; page++) {
-                    apolloFilters.page = page;
-                    apolloFilters.perPage = leadsPerPage;
+    // If no results and we used company name, try keywords instead
+    if (results.length === 0 && apolloFilters.companyName) {
+        delete apolloFilters.companyName;
+        apolloFilters.keywords = [query];
+        apolloFilters.page = 1;
+        results = await searchApolloOrganizations(apolloFilters);
+    }
 
-                    const pageResults = await searchApolloOrganizations(apolloFilters);
-                    results = results.concat(pageResults);
+    return results;
+}
 
-                    // Stop if we got fewer results than requested (no more available)
-                    if (pageResults.length < leadsPerPage) {
-                        break;
-                    }
+const SEARCH_SOURCES = ['google', 'yelp', 'apollo'];
 
-                    // Add delay between pages to respect rate limits
-                    if (page < pagesNeeded && results.length < targetLeads) {
-                        await delay(500); // 500ms delay between pages
-                    }
-                }
+// Which providers /api/scrape should query: explicit `sources`, else the legacy single-source flags
+function resolveSearchSources(body) {
+    if (Array.isArray(body.sources) && body.sources.length > 0) {
+        const sources = [...new Set(body.sources.map(source => String(source).toLowerCase()))]
+            .filter(source => SEARCH_SOURCES.includes(source));
+        if (sources.length > 0) {
+            return sources;
+        }
+    }
+    if (body.useApolloSearch) return ['apollo'];
+    if (body.useYelpSearch) return ['yelp'];
+    return ['google'];
+}
 
-                // Trim to exact target
-                results = results.slice(0, targetLeads);
+// Run several source searches in parallel and merge them into one deduplicated list
+async function federatedSearch(sources, { query, location, zipcode, country, maxLeads }, options = {}) {
+    const searches = {
+        google: () => scrapeGoogleMaps(query, location, null, zipcode, country, maxLeads, options),
+        yelp: () => searchYelpPaged(query, [location, zipcode, country].filter(Boolean).join(' '), null, null, null, maxLeads, options),
+        apollo: () => searchApolloForQuery(query, location, zipcode, maxLeads, options)
+    };
 
-                // If no results and we used company name, try keywords instead
-                if (results.length === 0 && apolloFilters.companyName) {
-                    delete apolloFilters.companyName;
-                    apolloFilters.keywords = [query];
-                    apolloFilters.page = 1;
-                    results = await searchApolloOrganizations(apolloFilters);
-                }
+    const settled = await Promise.allSettled(sources.map(source => searches[source]()));
+    options.signal?.throwIfAborted();
 
-            } catch (apolloError) {
-                console.error('Apollo Search failed, falling back to Google Places:', apolloError.message);
-                searchSource = 'Google Places (Apollo fallback)';
-                results = await scrapeGoogleMaps(query, location, null, zipcode, country, maxLeads || 60);
-            }
+    const resultSets = [];
+    const sourceCounts = {};
+    const sourceErrors = {};
+
+    settled.forEach((outcome, i) => {
+        if (outcome.status === 'fulfilled') {
+            resultSets.push({ source: sources[i], leads: outcome.value });
+            sourceCounts[sources[i]] = outcome.value.length;
         } else {
-            // Use Google Places as default
-            results = await scrapeGoogleMaps(query, location, null, zipcode, country, maxLeads || 60);
-        }
-
-        // Optionally enrich with Apollo (if enabled and not already from Apollo)
-        let enrichedResults = results;
-        if (shouldEnrichWithApollo && !useApolloSearch) {
-            enrichedResults = await Promise.all(
-                results.map(async (lead) => {
-                    const apolloData = await enrichWithApollo(lead);
-                    if (apolloData) {
-                        return { ...lead, ...apolloData, apolloEnriched: true };
-                    }
-                    return lead;
-                })
-            );
+            console.error(`[Federated] ${sources[i]} search failed:`, outcome.reason.message);
+            sourceErrors[sources[i]] = outcome.reason.message;
+            options.onProgress?.({ error: `${sources[i]}: ${outcome.reason.message}` });
         }
+    });
 
-        res.json({
-            success: true,
-            results: enrichedResults,
-            count: enrichedResults.length,
-            searchSource: searchSource,
-            useApolloSearch: useApolloSearch || false,
-            apolloEnriched: shouldEnrichWithApollo || false,
-            apolloEnrichedCount: shouldEnrichWithApollo ? enrichedResults.filter(r => r.apolloEnriched).length : 0,
-            query: query,
-            location: location,
-            zipcode: zipcode || null,
-            country: country || null,
-            timestamp: new Date().toISOString()
-        });
+    if (resultSets.length === 0) {
+        throw new Error(`All sources failed: ${Object.entries(sourceErrors).map(([source, message]) => `${source}: ${message}`).join('; ')}`);
+    }
+
+    const totalBeforeMerge = resultSets.reduce((sum, set) => sum + set.leads.length, 0);
+    const merged = mergeLeadSets(resultSets);
+
+    console.log(`[Federated] ${totalBeforeMerge} results from ${resultSets.length} sources merged into ${merged.length} leads`);
+
+    return {
+        results: merged.slice(0, maxLeads),
+        sourcesSucceeded: resultSets.map(set => set.source),
+        sourceCounts,
+        sourceErrors,
+        totalBeforeMerge
+    };
+}
+
+// API Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString(), demoMode: isDemoMode() });
+});
+
+// Accounts: local username/password sign-in (first user sets the server up, ALLOW_SIGNUP=true lets
+// anyone sign up into a workspace of their own) and optional OIDC single sign-on (see OIDC_*)
+const isSignupAllowed = () => process.env.ALLOW_SIGNUP === 'true';
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3005').replace(/\/+$/, '');
+
+// The workspace a user signs in to: the one they used last, else their first
+function signInWorkspace(user) {
+    const memberships = workspaces.listForUser(user.id);
+    return memberships.find(workspace => workspace.id === user.lastWorkspaceId) || memberships[0] || null;
+}
+
+// The signed-in user, the current workspace and the workspaces they can switch to, with what the
+// user's role there lets them do and how much of today's verification quota is left
+function accountInfo(user, workspaceId) {
+    const role = workspaces.getRole(workspaceId, user.id);
+    const quotas = roleQuotas(role);
+    return {
+        user: user,
+        workspace: { ...workspaces.get(workspaceId), role: role },
+        workspaces: workspaces.listForUser(user.id),
+        permissions: rolePermissions(role),
+        quotas: { ...quotas, verificationsToday: verificationCounter.status(user.id, quotas.dailyVerifications) }
+    };
+}
+
+function signIn(user, workspaceId) {
+    const session = authStore.createSession(user.id, workspaceId);
+    return { ...session, ...accountInfo(authStore.get(user.id), workspaceId) };
+}
+
+// Sign-in options for the login screen
+app.get('/api/auth/config', (req, res) => {
+    const needsSetup = authStore.countUsers() === 0;
+    const oidc = oidcSettings();
+    res.json({
+        local: true,
+        signup: needsSetup || isSignupAllowed(),
+        needsSetup: needsSetup,
+        oidc: oidc ? { name: oidc.providerName } : null
+    });
+});
+
+// Create an account: { username, password, name, workspaceName }. The first account joins the default
+// workspace (and its existing leads); later ones need ALLOW_SIGNUP=true and get a workspace of their own.
+app.post('/api/auth/register', (req, res) => {
+    try {
+        const { username, password, name, workspaceName } = req.body || {};
+        const validationError = validateCredentials({ username, password });
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
+
+        const firstUser = authStore.countUsers() === 0;
+        if (!firstUser && !isSignupAllowed()) {
+            return res.status(403).json({
+                error: 'Sign-up is closed - ask a workspace member to add you'
+            });
+        }
+        if (authStore.findByUsername(username)) {
+            return res.status(409).json({
+                error: 'That username is taken'
+            });
+        }
+
+        const user = authStore.createUser({ username, password, name: name || null });
+        let workspaceId = DEFAULT_WORKSPACE_ID;
+        if (firstUser) {
+            workspaces.addMember(DEFAULT_WORKSPACE_ID, user.id, 'admin');
+        } else {
+            workspaceId = workspaces.create(String(workspaceName || '').trim() || `${user.username}'s workspace`, user.id).id;
+        }
+
+        res.status(201).json(signIn(user, workspaceId));
 
     } catch (error) {
-        console.error('Scrape error:', error);
+        console.error('Register error:', error);
         res.status(500).json({
-            error: 'Failed to scrape data',
+            error: 'Failed to create account',
             message: error.message
         });
     }
 });
 
-// Helper function to calculate center of area
-function calculateAreaCenter(area) {
-    if (area.type === 'circle') {
-        return area.center;
-    } else if (area.type === 'rectangle') {
-        return {
-            lat: (area.bounds.north + area.bounds.south) / 2,
-            lng: (area.bounds.east + area.bounds.west) / 2
-        };
-    } else if (area.type === 'polygon' || area.type === 'polyline') {
-        const coords = area.coordinates;
-        const sumLat = coords.reduce((sum, c) => sum + c.lat, 0);
-        const sumLng = coords.reduce((sum, c) => sum + c.lng, 0);
-        return {
-            lat: sumLat / coords.length,
-            lng: sumLng / coords.length
-        };
-    } else if (area.type === 'multipolygon') {
-        // Calculate center from all polygons
-        let totalLat = 0, totalLng = 0, totalPoints = 0;
-        area.polygons.forEach(polygon => {
-            polygon.forEach(coord => {
-                totalLat += coord.lat;
-                totalLng += coord.lng;
-                totalPoints++;
+// Sign in: { username, password } -> { token, expiresAt, user, workspace, workspaces }
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const user = authStore.authenticate(username, password);
+    if (!user) {
+        return res.status(401).json({
+            error: 'Invalid username or password'
+        });
+    }
+
+    const workspace = signInWorkspace(user);
+    if (!workspace) {
+        return res.status(403).json({
+            error: 'You are not a member of any workspace'
+        });
+    }
+
+    res.json(signIn(user, workspace.id));
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    authStore.deleteSession(req.auth.token);
+    res.json({ message: 'Signed out' });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ ...accountInfo(req.auth.user, req.auth.workspaceId), expiresAt: req.auth.expiresAt });
+});
+
+// A one-time token for one of the STREAM_PATHS: { path } -> { token, expiresAt } (valid for a minute)
+app.post('/api/auth/stream-token', (req, res) => {
+    const path = req.body?.path;
+    if (!STREAM_PATHS.includes(path)) {
+        return res.status(400).json({
+            error: `path must be one of: ${STREAM_PATHS.join(', ')}`
+        });
+    }
+    res.status(201).json(authStore.createStreamToken(req.auth.token, path));
+});
+
+// Switch the session to another workspace the user is a member of
+app.post('/api/auth/workspace', (req, res) => {
+    const { workspaceId } = req.body || {};
+    if (!workspaceId || !workspaces.isMember(workspaceId, req.auth.user.id)) {
+        return res.status(404).json({
+            error: 'Workspace not found'
+        });
+    }
+
+    authStore.setSessionWorkspace(req.auth.token, workspaceId);
+    authStore.setLastWorkspace(req.auth.user.id, workspaceId);
+    res.json(accountInfo(req.auth.user, workspaceId));
+});
+
+// Ties a single sign-on to the browser that started it, so nobody can send someone else the callback
+// URL of a sign-in they started themselves and get that browser signed in to their account
+const OIDC_BROWSER_COOKIE = 'oidc_browser';
+
+// A cookie sent with the request (the OIDC browser key is the only cookie the API reads)
+function requestCookie(req, name) {
+    const pair = (req.get('Cookie') || '').split(';').map(part => part.trim().split('='))
+        .find(([key]) => key === name);
+    return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+}
+
+// Single sign-on: send the browser to the identity provider...
+app.get('/api/auth/oidc/login', async (req, res) => {
+    if (!oidcSettings()) {
+        return res.status(404).json({
+            error: 'Single sign-on is not configured'
+        });
+    }
+
+    try {
+        const { url, browserKey } = await oidcClient.start();
+        res.cookie(OIDC_BROWSER_COOKIE, browserKey, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: oidcSettings().redirectUri.startsWith('https:'),
+            path: '/api/auth/oidc',
+            maxAge: OIDC_REQUEST_TTL_MS
+        });
+        res.redirect(url);
+    } catch (error) {
+        console.error('OIDC login error:', error.message);
+        res.redirect(`${frontendUrl()}/#authError=${encodeURIComponent('Single sign-on is unavailable')}`);
+    }
+});
+
+// ...and back to the frontend with a session token (#token=...) or the reason it failed (#authError=...).
+// Only invited users and verified emails of OIDC_ALLOWED_DOMAINS get an account; the latter join
+// OIDC_WORKSPACE, when set, as OIDC_DEFAULT_ROLE (default: researcher), or wait for an admin to add them.
+app.get('/api/auth/oidc/callback', async (req, res) => {
+    const fail = (message) => res.redirect(`${frontendUrl()}/#authError=${encodeURIComponent(message)}`);
+    const browserKey = requestCookie(req, OIDC_BROWSER_COOKIE);
+    res.clearCookie(OIDC_BROWSER_COOKIE, { path: '/api/auth/oidc' });
+
+    if (!oidcSettings()) {
+        return fail('Single sign-on is not configured');
+    }
+    if (req.query.error) {
+        console.error('OIDC provider error:', req.query.error, req.query.error_description || '');
+        return fail('The identity provider did not sign you in');
+    }
+
+    try {
+        const identity = await oidcClient.finish({ code: req.query.code, state: req.query.state, browserKey });
+        let user = authStore.findOidcUser(identity);
+        if (!user) {
+            if (!canSignUp(identity, oidcSettings())) {
+                return fail('No account for this sign-in - ask a workspace admin to invite you');
+            }
+            user = authStore.createOidcUser(identity);
+            if (workspaces.get(process.env.OIDC_WORKSPACE)) {
+                workspaces.addMember(process.env.OIDC_WORKSPACE, user.id, isRole(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : 'researcher');
+            }
+        }
+
+        const workspace = signInWorkspace(user);
+        if (!workspace) {
+            return fail('You are not a member of any workspace');
+        }
+
+        const { token } = authStore.createSession(user.id, workspace.id);
+        res.redirect(`${frontendUrl()}/#token=${encodeURIComponent(token)}`);
+    } catch (error) {
+        console.error('OIDC callback error:', error.message);
+        fail('Single sign-on failed - try again');
+    }
+});
+
+// Workspaces isolate leads, searches, jobs, imports and provider keys; users can belong to several
+app.get('/api/workspaces', (req, res) => {
+    const memberships = workspaces.listForUser(req.auth.user.id);
+    res.json({ workspaces: memberships, count: memberships.length, currentId: currentWorkspaceId() });
+});
+
+// Create a workspace with the current user as its first member (switch to it with /api/auth/workspace).
+// Only workspace admins can create more, and new workspaces bring their own provider keys unless the
+// server shares its keys with them (SERVER_KEY_WORKSPACES).
+app.post('/api/workspaces', requirePermission('manageWorkspace'), (req, res) => {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+        return res.status(400).json({
+            error: 'name is required (up to 100 characters)'
+        });
+    }
+
+    res.status(201).json(workspaces.create(name, req.auth.user.id));
+});
+
+app.get('/api/workspaces/current/members', (req, res) => {
+    const members = workspaces.listMembers(currentWorkspaceId());
+    res.json({ members: members, count: members.length });
+});
+
+// The roles, what each may do and their quotas (see roles.js)
+app.get('/api/roles', (req, res) => {
+    res.json({ roles: describeRoles(), permissions: PERMISSIONS });
+});
+
+const ROLE_ERROR = `role must be one of: ${ROLES.join(', ')}`;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// A workspace always keeps an admin to manage it
+const isLastAdmin = (workspaceId, userId) => workspaces.getRole(workspaceId, userId) === 'admin' &&
+    workspaces.listMembers(workspaceId).filter(member => member.role === 'admin').length === 1;
+
+// Add a user to the workspace: { username, role } for an existing account, plus { password, name } to create one.
+// With single sign-on, an email address as the username invites someone who will sign in with that (verified) email.
+// role defaults to researcher.
+app.post('/api/workspaces/current/members', requirePermission('manageWorkspace'), (req, res) => {
+    try {
+        const { username, password, name, role = 'researcher' } = req.body || {};
+        if (!isRole(role)) {
+            return res.status(400).json({
+                error: ROLE_ERROR
+            });
+        }
+
+        let user = username ? authStore.findByUsername(username) : null;
+
+        if (!user && password === undefined && oidcSettings() && EMAIL_PATTERN.test(normalizeUsername(username))) {
+            user = authStore.createInvitedUser({ email: username, name: name || null });
+        }
+
+        if (!user) {
+            if (password === undefined) {
+                return res.status(404).json({
+                    error: `No user named "${normalizeUsername(username)}" - include a password to create the account` +
+                        (oidcSettings() ? ', or use their email address to invite them to sign in with single sign-on' : '')
+                });
+            }
+            const validationError = validateCredentials({ username, password });
+            if (validationError) {
+                return res.status(400).json({
+                    error: validationError
+                });
+            }
+            user = authStore.createUser({ username, password, name: name || null });
+        }
+
+        if (!workspaces.addMember(currentWorkspaceId(), user.id, role)) {
+            return res.status(409).json({
+                error: `${user.username} is already a member`
             });
+        }
+
+        res.status(201).json({ members: workspaces.listMembers(currentWorkspaceId()) });
+
+    } catch (error) {
+        console.error('Add member error:', error);
+        res.status(500).json({
+            error: 'Failed to add member',
+            message: error.message
         });
-        return {
-            lat: totalLat / totalPoints,
-            lng: totalLng / totalPoints
-        };
     }
-    return null;
+});
+
+// Remove a member (their account stays, as do the leads they found)
+app.delete('/api/workspaces/current/members/:userId', requirePermission('manageWorkspace'), (req, res) => {
+    const workspaceId = currentWorkspaceId();
+    if (!workspaces.isMember(workspaceId, req.params.userId)) {
+        return res.status(404).json({
+            error: 'Member not found'
+        });
+    }
+    if (workspaces.listMembers(workspaceId).length === 1) {
+        return res.status(409).json({
+            error: 'A workspace needs at least one member'
+        });
+    }
+    if (isLastAdmin(workspaceId, req.params.userId)) {
+        return res.status(409).json({
+            error: 'A workspace needs at least one admin'
+        });
+    }
+
+    workspaces.removeMember(workspaceId, req.params.userId);
+    res.json({ members: workspaces.listMembers(workspaceId) });
+});
+
+// Change a member's role: { role }
+app.put('/api/workspaces/current/members/:userId', requirePermission('manageWorkspace'), (req, res) => {
+    const workspaceId = currentWorkspaceId();
+    const { role } = req.body || {};
+    if (!isRole(role)) {
+        return res.status(400).json({
+            error: ROLE_ERROR
+        });
+    }
+    if (!workspaces.isMember(workspaceId, req.params.userId)) {
+        return res.status(404).json({
+            error: 'Member not found'
+        });
+    }
+    if (role !== 'admin' && isLastAdmin(workspaceId, req.params.userId)) {
+        return res.status(409).json({
+            error: 'A workspace needs at least one admin'
+        });
+    }
+
+    workspaces.setRole(workspaceId, req.params.userId, role);
+    res.json({ members: workspaces.listMembers(workspaceId) });
+});
+
+// The workspace's provider keys: which are set and whether by the workspace or the server (values are never returned)
+app.get('/api/workspaces/current/keys', requirePermission('manageWorkspace'), (req, res) => {
+    res.json({ keys: workspaces.describeProviderKeys(currentWorkspaceId()) });
+});
+
+// Set provider keys for the workspace: { keys: { APOLLO_API_KEY: '...', PDL_API_KEY: null } } (null removes one,
+// falling back to the server's key). Searches, verifications and jobs of the workspace use these keys.
+app.put('/api/workspaces/current/keys', requirePermission('manageWorkspace'), (req, res) => {
+    const keys = req.body?.keys;
+    const validationError = validateProviderKeys(keys);
+    if (validationError) {
+        return res.status(400).json({
+            error: validationError
+        });
+    }
+
+    res.json({ keys: workspaces.setProviderKeys(currentWorkspaceId(), keys) });
+});
+
+// Enrich a batch of leads with Apollo person data (leads without a match are returned unchanged)
+async function enrichResultsWithApollo(results, options = {}) {
+    return Promise.all(
+        results.map(async (lead) => {
+            options.signal?.throwIfAborted();
+            const apolloData = await enrichWithApollo(lead);
+            if (apolloData) {
+                return { ...lead, ...apolloData, apolloEnriched: true };
+            }
+            return lead;
+        })
+    );
+}
+
+// Text-based scrape (shared by /api/scrape and background jobs)
+async function runScrape(params, options = {}) {
+    const { query, location, zipcode, country, maxLeads, enrichWithApollo: shouldEnrichWithApollo, useApolloSearch, useYelpSearch } = params;
+
+    console.log(`Starting scrape for: ${query} in ${location}${zipcode ? `, zipcode: ${zipcode}` : ''}${country ? `, country: ${country}` : ''}`);
+
+    const sources = resolveSearchSources(params);
+    const apolloOnly = sources.length === 1 && sources[0] === 'apollo';
+
+    let results = [];
+    let searchSource = 'Google Places';
+    let federation = null;
+
+    if (sources.length > 1) {
+        // Query every selected source in parallel and merge into one lead per business
+        federation = await federatedSearch(sources, { query, location, zipcode, country, maxLeads: maxLeads || 60 }, options);
+        results = federation.results;
+        searchSource = `Federated (${federation.sourcesSucceeded.join(', ')})`;
+    } else if (apolloOnly) {
+        searchSource = 'Apollo Search';
+
+        try {
+            results = await searchApolloForQuery(query, location, zipcode, maxLeads, options);
+        } catch (apolloError) {
+            options.signal?.throwIfAborted();
+            console.error('Apollo Search failed, falling back to Google Places:', apolloError.message);
+            searchSource = 'Google Places (Apollo fallback)';
+            results = await scrapeGoogleMaps(query, location, null, zipcode, country, maxLeads || 60, options);
+        }
+    } else if (sources[0] === 'yelp') {
+        searchSource = 'Yelp Search';
+
+        try {
+            const yelpLocation = [location, zipcode, country].filter(Boolean).join(' ');
+            results = await searchYelpPaged(query, yelpLocation, null, null, null, maxLeads || 50, options);
+        } catch (yelpError) {
+            options.signal?.throwIfAborted();
+            console.error('Yelp Search failed, falling back to Google Places:', yelpError.message);
+            searchSource = 'Google Places (Yelp fallback)';
+            results = await scrapeGoogleMaps(query, location, null, zipcode, country, maxLeads || 60, options);
+        }
+    } else {
+        // Use Google Places as default
+        results = await scrapeGoogleMaps(query, location, null, zipcode, country, maxLeads || 60, options);
+    }
+
+    // Optionally enrich with Apollo (if enabled and not already from Apollo)
+    let enrichedResults = results;
+    if (shouldEnrichWithApollo && !apolloOnly) {
+        enrichedResults = await enrichResultsWithApollo(results, options);
+    }
+
+    const storedResults = storeSearchResults(enrichedResults);
+
+    return {
+        success: true,
+        results: storedResults,
+        count: storedResults.length,
+        searchSource: searchSource,
+        sources: sources,
+        sourceCounts: federation ? federation.sourceCounts : undefined,
+        sourceErrors: federation ? federation.sourceErrors : undefined,
+        totalBeforeMerge: federation ? federation.totalBeforeMerge : undefined,
+        useApolloSearch: useApolloSearch || false,
+        useYelpSearch: useYelpSearch || false,
+        apolloEnriched: shouldEnrichWithApollo || false,
+        apolloEnrichedCount: shouldEnrichWithApollo ? storedResults.filter(r => r.apolloEnriched).length : 0,
+        query: query,
+        location: location,
+        zipcode: zipcode || null,
+        country: country || null,
+        timestamp: new Date().toISOString()
+    };
 }
 
+// Text-based scraping endpoint
+app.post('/api/scrape', requirePermission('scrape'), requireProviderQuota, async (req, res) => {
+    try {
+        const { query, location } = req.body;
+
+        if (!query || !location) {
+            return res.status(400).json({
+                error: 'Both query and location are required'
+            });
+        }
+
+        const searchError = checkSearchAllowed(req.body);
+        if (searchError) {
+            return res.status(403).json({
+                error: searchError
+            });
+        }
+
+        res.json(await runScrape(req.body));
+
+    } catch (error) {
+        console.error('Scrape error:', error);
+        res.status(500).json({
+            error: 'Failed to scrape data',
+            message: error.message
+        });
+    }
+});
+
 // Helper function to reverse geocode coordinates to get location string
 async function reverseGeocode(lat, lng) {
     try {
-        const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+        const apiKey = providerKey('GOOGLE_PLACES_API_KEY');
 
         if (!apiKey) {
             console.error('Google API key not available for reverse geocoding');
@@ -1826,6 +2771,7 @@ async function reverseGeocode(lat, lng) {
                 key: apiKey
             }
         });
+        usageTracker.record('google', 'geocode');
 
         if (response.data.status === 'OK' && response.data.results.length > 0) {
             const result = response.data.results[0];
@@ -1861,123 +2807,76 @@ async function reverseGeocode(lat, lng) {
     }
 }
 
-// Map area-based scraping endpoint
-app.post('/api/scrape-area', async (req, res) => {
-    try {
-        const { query, area, zipcode, country, maxLeads, enrichWithApollo: shouldEnrichWithApollo, useApolloSearch } = req.body;
-
-        if (!query || !area) {
-            return res.status(400).json({
-                error: 'Both query and area are required'
-            });
-        }
-
-        console.log(`Starting area scrape for: ${query}${zipcode ? `, zipcode: ${zipcode}` : ''}${country ? `, country: ${country}` : ''}`);
-
-        let allResults = [];
-        let detectedLocations = [];
-
-        // Check if multipolygon - search each polygon separately
-        if (area.type === 'multipolygon' && area.polygons && area.polygons.length > 0) {
-            // Calculate leads per polygon (distribute more evenly with buffer)
-            // Request more per polygon to account for potential deduplication
-            const leadsPerPolygon = Math.ceil((maxLeads * 1.5) / area.polygons.length);
-
-            // Search each polygon area
-            for (let i = 0; i < area.polygons.length; i++) {
-                const polygon = area.polygons[i];
-
-                // Create a single polygon area object
-                const singlePolygonArea = {
-                    type: 'polygon',
-                    coordinates: polygon
-                };
+// Keep only leads inside the drawn shape (providers return plenty just outside the bias circle)
+function filterToArea(results, area) {
+    const filtered = filterLeadsToArea(results, area);
+    if (filtered.filteredOutCount > 0) {
+        console.log(`[Area] Dropped ${filtered.filteredOutCount} of ${results.length} results outside the ${area.type}`);
+    }
+    return filtered;
+}
 
-                // Calculate center for this polygon
-                const center = calculateAreaCenter(singlePolygonArea);
+// Map area scrape (shared by /api/scrape-area and background jobs)
+async function runAreaScrape(params, options = {}) {
+    const { query, area, zipcode, country, maxLeads, enrichWithApollo: shouldEnrichWithApollo, useYelpSearch } = params;
+    const reportProgress = options.onProgress || (() => {});
 
-                // Reverse geocode to get location name
-                let location = null;
-                if (center) {
-                    location = await reverseGeocode(center.lat, center.lng);
-                    detectedLocations.push(location);
-                }
+    console.log(`Starting area scrape for: ${query}${zipcode ? `, zipcode: ${zipcode}` : ''}${country ? `, country: ${country}` : ''}`);
 
-                if (!location) {
-                    location = `${center.lat.toFixed(4)}, ${center.lng.toFixed(4)}`;
-                }
+    let allResults = [];
+    let detectedLocations = [];
 
-                // Search this polygon area
-                const polygonResults = await scrapeGoogleMaps(
-                    query,
-                    location,
-                    singlePolygonArea,
-                    zipcode,
-                    country,
-                    leadsPerPolygon
-                );
+    // Yelp search: lat/lng + covering radius for the drawn area
+    if (useYelpSearch) {
+        const yelpResults = await searchYelpArea(query, area, maxLeads || 50, options);
+        const { leads: areaResults, filteredOutCount } = filterToArea(yelpResults, area);
 
-                allResults = allResults.concat(polygonResults);
+        let enrichedResults = areaResults;
+        if (shouldEnrichWithApollo) {
+            enrichedResults = await enrichResultsWithApollo(areaResults, options);
+        }
 
-                // If we already have enough leads, we can stop early
-                if (allResults.length >= maxLeads * 1.2) {
-                    break;
-                }
+        const storedResults = storeSearchResults(enrichedResults);
 
-                // Small delay between polygon searches to avoid rate limiting
-                if (i < area.polygons.length - 1) {
-                    await delay(1000); // Increased from 500ms to 1000ms
-                }
-            }
+        return {
+            success: true,
+            results: storedResults,
+            count: storedResults.length,
+            filteredOutCount: filteredOutCount,
+            searchSource: 'Yelp Search',
+            apolloEnriched: shouldEnrichWithApollo || false,
+            apolloEnrichedCount: shouldEnrichWithApollo ? storedResults.filter(r => r.apolloEnriched).length : 0,
+            query: query,
+            area: area,
+            zipcode: zipcode || null,
+            country: country || null,
+            timestamp: new Date().toISOString()
+        };
+    }
 
-            // Remove duplicates based on placeId
-            const uniqueResults = [];
-            const seenPlaceIds = new Set();
+    // Check if multipolygon - search each polygon separately
+    if (area.type === 'multipolygon' && area.polygons && area.polygons.length > 0) {
+        // Calculate leads per polygon (distribute more evenly with buffer)
+        // Request more per polygon to account for potential deduplication
+        const leadsPerPolygon = Math.ceil((maxLeads * 1.5) / area.polygons.length);
 
-            for (const result of allResults) {
-                if (result.placeId && !seenPlaceIds.has(result.placeId)) {
-                    seenPlaceIds.add(result.placeId);
-                    uniqueResults.push(result);
-                }
-            }
+        // Search each polygon area
+        for (let i = 0; i < area.polygons.length; i++) {
+            options.signal?.throwIfAborted();
+            reportProgress({ polygonsDone: i, polygonsTotal: area.polygons.length });
 
-            // Limit to maxLeads
-            const finalResults = uniqueResults.slice(0, maxLeads);
-
-            // Optionally enrich with Apollo
-            let enrichedResults = finalResults;
-            if (shouldEnrichWithApollo) {
-                enrichedResults = await Promise.all(
-                    finalResults.map(async (lead) => {
-                        const apolloData = await enrichWithApollo(lead);
-                        if (apolloData) {
-                            return { ...lead, ...apolloData, apolloEnriched: true };
-                        }
-                        return lead;
-                    })
-                );
-            }
+            const polygon = area.polygons[i];
 
-            res.json({
-                success: true,
-                results: enrichedResults,
-                count: enrichedResults.length,
-                apolloEnriched: shouldEnrichWithApollo || false,
-                apolloEnrichedCount: shouldEnrichWithApollo ? enrichedResults.filter(r => r.apolloEnriched).length : 0,
-                query: query,
-                area: area,
-                detectedLocations: detectedLocations,
-                polygonsSearched: area.polygons.length,
-                totalResultsBeforeDedup: allResults.length,
-                zipcode: zipcode || null,
-                country: country || null,
-                timestamp: new Date().toISOString()
-            });
+            // Create a single polygon area object
+            const singlePolygonArea = {
+                type: 'polygon',
+                coordinates: polygon
+            };
 
-        } else {
-            // Single area search (original behavior)
-            const center = calculateAreaCenter(area);
+            // Calculate center for this polygon
+            const center = calculateAreaCenter(singlePolygonArea);
 
+            // Reverse geocode to get location name
             let location = null;
             if (center) {
                 location = await reverseGeocode(center.lat, center.lng);
@@ -1988,743 +2887,2393 @@ app.post('/api/scrape-area', async (req, res) => {
                 location = `${center.lat.toFixed(4)}, ${center.lng.toFixed(4)}`;
             }
 
-            const results = await scrapeGoogleMaps(query, location, area, zipcode, country, maxLeads || 60);
+            // Search this polygon area
+            const polygonResults = await scrapeGoogleMaps(
+                query,
+                location,
+                singlePolygonArea,
+                zipcode,
+                country,
+                leadsPerPolygon,
+                options
+            );
+
+            allResults = allResults.concat(polygonResults);
 
-            // Optionally enrich with Apollo
-            let enrichedResults = results;
-            if (shouldEnrichWithApollo) {
-                enrichedResults = await Promise.all(
-                    results.map(async (lead) => {
-                        const apolloData = await enrichWithApollo(lead);
-                        if (apolloData) {
-                            return { ...lead, ...apolloData, apolloEnriched: true };
-                        }
-                        return lead;
-                    })
-                );
+            // If we already have enough leads, we can stop early
+            if (allResults.length >= maxLeads * 1.2) {
+                break;
+            }
+
+            // Small delay between polygon searches to avoid rate limiting
+            if (i < area.polygons.length - 1) {
+                await delay(1000); // Increased from 500ms to 1000ms
             }
+        }
 
-            res.json({
-                success: true,
-                results: enrichedResults,
-                count: enrichedResults.length,
-                apolloEnriched: shouldEnrichWithApollo || false,
-                apolloEnrichedCount: shouldEnrichWithApollo ? enrichedResults.filter(r => r.apolloEnriched).length : 0,
-                query: query,
-                area: area,
-                detectedLocation: location,
-                zipcode: zipcode || null,
-                country: country || null,
-                timestamp: new Date().toISOString()
+        reportProgress({ polygonsDone: area.polygons.length, polygonsTotal: area.polygons.length });
+
+        // Overlapping polygons return the same places - merge on placeId, phone, domain or name + location
+        const uniqueResults = mergeLeadSets([{ source: 'google', leads: allResults }]);
+
+        // Drop results outside every polygon, then limit to maxLeads
+        const { leads: areaResults, filteredOutCount } = filterToArea(uniqueResults, area);
+        const finalResults = areaResults.slice(0, maxLeads);
+
+        // Optionally enrich with Apollo
+        let enrichedResults = finalResults;
+        if (shouldEnrichWithApollo) {
+            enrichedResults = await enrichResultsWithApollo(finalResults, options);
+        }
+
+        const storedResults = storeSearchResults(enrichedResults);
+
+        return {
+            success: true,
+            results: storedResults,
+            count: storedResults.length,
+            filteredOutCount: filteredOutCount,
+            apolloEnriched: shouldEnrichWithApollo || false,
+            apolloEnrichedCount: shouldEnrichWithApollo ? storedResults.filter(r => r.apolloEnriched).length : 0,
+            query: query,
+            area: area,
+            detectedLocations: detectedLocations,
+            polygonsSearched: area.polygons.length,
+            totalResultsBeforeDedup: allResults.length,
+            zipcode: zipcode || null,
+            country: country || null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Single area search (original behavior)
+    const center = calculateAreaCenter(area);
+
+    let location = null;
+    if (center) {
+        location = await reverseGeocode(center.lat, center.lng);
+        detectedLocations.push(location);
+    }
+
+    if (!location) {
+        location = `${center.lat.toFixed(4)}, ${center.lng.toFixed(4)}`;
+    }
+
+    const scrapedResults = await scrapeGoogleMaps(query, location, area, zipcode, country, maxLeads || 60, options);
+    const { leads: results, filteredOutCount } = filterToArea(scrapedResults, area);
+
+    // Optionally enrich with Apollo
+    let enrichedResults = results;
+    if (shouldEnrichWithApollo) {
+        enrichedResults = await enrichResultsWithApollo(results, options);
+    }
+
+    const storedResults = storeSearchResults(enrichedResults);
+
+    return {
+        success: true,
+        results: storedResults,
+        count: storedResults.length,
+        filteredOutCount: filteredOutCount,
+        apolloEnriched: shouldEnrichWithApollo || false,
+        apolloEnrichedCount: shouldEnrichWithApollo ? storedResults.filter(r => r.apolloEnriched).length : 0,
+        query: query,
+        area: area,
+        detectedLocation: location,
+        zipcode: zipcode || null,
+        country: country || null,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Map area-based scraping endpoint
+app.post('/api/scrape-area', requirePermission('scrape'), requireProviderQuota, async (req, res) => {
+    try {
+        const { query, area } = req.body;
+
+        if (!query || !area) {
+            return res.status(400).json({
+                error: 'Both query and area are required'
+            });
+        }
+
+        const searchError = checkSearchAllowed(req.body);
+        if (searchError) {
+            return res.status(403).json({
+                error: searchError
+            });
+        }
+
+        res.json(await runAreaScrape(req.body));
+
+    } catch (error) {
+        console.error('Area scrape error:', error);
+        res.status(500).json({
+            error: 'Failed to scrape area data',
+            message: error.message
+        });
+    }
+});
+
+// Run one verification step and report it through options.onStep (started/finished/skipped/failed)
+async function runVerificationStep(step, options, skipReason, fn) {
+    const onStep = options.onStep || (() => {});
+
+    if (skipReason) {
+        onStep({ step, status: 'skipped', reason: skipReason });
+        return null;
+    }
+
+    onStep({ step, status: 'started' });
+    const startedAt = Date.now();
+
+    // Provider helpers swallow their errors and return null - onError tells a failure from "no data"
+    let stepError = null;
+    try {
+        const result = await fn({ onError: (error) => { stepError = error; } });
+        const durationMs = Date.now() - startedAt;
+
+        if (stepError) {
+            onStep({ step, status: 'failed', error: stepError.message, durationMs });
+        } else {
+            onStep({ step, status: 'finished', found: Boolean(result), durationMs });
+        }
+        return result;
+    } catch (error) {
+        onStep({ step, status: 'failed', error: error.message, durationMs: Date.now() - startedAt });
+        throw error;
+    }
+}
+
+// Merge a summarizeStructuredData() result into a lead as the "Website structured data" source.
+// Fills empty contact/address fields and takes the owner from a declared founder or owner-titled person.
+function applyStructuredData(lead, structuredData) {
+    const source = 'Website structured data';
+    const { business, owner } = structuredData;
+    const merged = {
+        ...lead,
+        structuredData: structuredData,
+        fieldSources: { ...(lead.fieldSources || {}) },
+        sources: [...new Set([...(lead.sources || [lead.source].filter(Boolean)), source])],
+        structuredDataEnriched: true
+    };
+    const fill = (field, value) => {
+        if (!isEmptyValue(value) && isEmptyValue(merged[field])) {
+            merged[field] = value;
+            merged.fieldSources[field] = source;
+        }
+    };
+
+    if (business) {
+        fill('phone', business.telephone);
+        fill('email', business.email);
+        fill('address', business.address?.street ? business.address.text : null);
+        fill('city', business.address?.city);
+        fill('state', business.address?.region);
+        fill('zipcode', business.address?.postalCode);
+        fill('country', business.address?.country);
+        if (business.openingHours.length > 0) fill('openingHours', business.openingHours);
+        if (business.geo && typeof merged.latitude !== 'number') {
+            merged.latitude = business.geo.lat;
+            merged.longitude = business.geo.lng;
+        }
+    }
+
+    // Self-published like the page text, so the owner stays an unverified hint for the later steps
+    if (owner) {
+        merged.ownerName = owner.name;
+        merged.ownerPosition = owner.title;
+        merged.ownerDataSource = `${source} (${owner.page})`;
+        merged.ownerVerified = false;
+        merged.fieldSources.ownerName = source;
+    }
+
+    return merged;
+}
+
+// Crawl the lead's website for contacts and owner names; errors are reported, not thrown
+async function crawlLeadWebsite(lead, options = {}) {
+    try {
+        const crawl = await websiteCrawler.crawl(lead.website, { signal: options.signal });
+        if (crawl.pages.length === 0 && crawl.errors.length > 0) {
+            options.onError?.(new Error(crawl.errors[0].error));
+            return null;
+        }
+        return crawl;
+    } catch (error) {
+        if (options.signal?.aborted) throw error;
+        console.error('Website crawl error:', error.message);
+        options.onError?.(error);
+        return null;
+    }
+}
+
+// Verification pipeline: Website -> Structured data -> Apollo -> PDL -> Hunter -> Numverify -> Yelp -> AI (shared by /api/verify, the stream and jobs)
+async function runVerification(lead, aiProvider, options = {}) {
+    const { signal } = options;
+    let enrichedLead = { ...lead };
+
+    // Counts against the user's daily verification quota (throws once it's used up)
+    consumeVerification();
+
+    // Social profile evidence gathered along the way - only URLs a source actually returned
+    const socialCandidates = candidatesFromLead(lead);
+
+    // Step 1: Crawl the business website (free, so it runs before the paid providers)
+    const siteDomain = extractDomain(lead.website);
+    const websiteData = await runVerificationStep('website', options,
+        (process.env.CRAWL_ENABLED === 'false' && 'disabled') ||
+        (!siteDomain && 'no website'),
+        (stepOptions) => crawlLeadWebsite(lead, { ...stepOptions, signal }));
+
+    if (websiteData) {
+        enrichedLead.websiteCrawl = websiteData;
+        socialCandidates.push(...websiteData.socialProfiles.map(profile =>
+            ({ url: profile.url, source: 'Company website', type: 'company', evidence: profile.page })));
+
+        // Page text is only a hint - PDL, Hunter or a confident AI answer still replace it, and the AI step still runs
+        const owner = websiteData.people[0];
+        if (owner) {
+            enrichedLead = {
+                ...enrichedLead,
+                ownerName: owner.name,
+                ownerPosition: owner.title,
+                ownerDataSource: `Company Website (${owner.page})`,
+                ownerVerified: false,
+                websiteEnriched: true
+            };
+        }
+
+        // Prefer an address on the business's own domain over e.g. a gmail contact
+        const emails = [...websiteData.emails].sort((a, b) =>
+            Number(b.value.endsWith(`@${siteDomain}`)) - Number(a.value.endsWith(`@${siteDomain}`)));
+        if (isEmptyValue(enrichedLead.email) && emails.length > 0) {
+            enrichedLead.email = emails[0].value;
+        }
+        if (isEmptyValue(enrichedLead.phone) && websiteData.phones.length > 0) {
+            enrichedLead.phone = websiteData.phones[0].value;
+        }
+    }
+
+    // Step 2: schema.org markup the crawl found - the business describing itself, so it outranks page text
+    const structuredData = await runVerificationStep('structuredData', options,
+        !websiteData && 'website not crawled',
+        async () => summarizeStructuredData(websiteData.structuredData));
+
+    if (structuredData) {
+        enrichedLead = applyStructuredData(enrichedLead, structuredData);
+        socialCandidates.push(...(structuredData.business?.sameAs || []).map(url =>
+            ({ url, source: 'Website structured data', type: 'company', evidence: structuredData.business.page })));
+    }
+
+    signal?.throwIfAborted();
+
+    // Step 3: Try Apollo enrichment
+    const apolloData = await runVerificationStep('apollo', options,
+        (!can('apollo') && 'not allowed for your role') ||
+        (!providerKey('APOLLO_API_KEY') && 'not configured') ||
+        (usageTracker.isOverBudget('apollo') && 'budget exceeded'),
+        (stepOptions) => enrichWithApollo(enrichedLead, stepOptions));
+
+    // Merge Apollo data with original lead - Accept owner name from Apollo if available
+    if (apolloData) {
+        enrichedLead = {
+            ...enrichedLead,
+            ...apolloData,
+            apolloEnriched: true
+        };
+        socialCandidates.push(
+            ...candidatesFromFields(apolloData, ['organizationLinkedinUrl', 'organizationFacebookUrl', 'organizationTwitterUrl'], 'Apollo', 'company'),
+            ...candidatesFromFields(apolloData, ['linkedinUrl', 'twitterUrl'], 'Apollo', 'person')
+        );
+    }
+
+    signal?.throwIfAborted();
+
+    // Step 4: Try People Data Labs owner search (PRIORITY SOURCE)
+    const pdlData = await runVerificationStep('pdl', options,
+        (!can('pdl') && 'not allowed for your role') ||
+        (!providerKey('PDL_API_KEY') && 'not configured') ||
+        (usageTracker.isOverBudget('pdl') && 'budget exceeded'),
+        (stepOptions) => findCompanyOwnerWithPDL(
+            enrichedLead.companyName,
+            enrichedLead.city,
+            enrichedLead.state,
+            enrichedLead.country,
+            stepOptions
+        ));
+
+    if (pdlData && pdlData.ownerName) {
+        enrichedLead = {
+            ...enrichedLead,
+            ...pdlData,
+            pdlEnriched: true,
+            ownerDataSource: 'People Data Labs (Verified)',
+            ownerVerified: true
+        };
+        socialCandidates.push(...candidatesFromFields(pdlData, ['linkedinUrl', 'facebookUrl', 'twitterUrl'], 'People Data Labs', 'person'));
+    }
+
+    signal?.throwIfAborted();
+
+    // Step 5: Find emails with Hunter.io (SECONDARY SOURCE)
+    const hunterData = await runVerificationStep('hunter', options,
+        (!providerKey('HUNTER_API_KEY') && 'not configured') ||
+        (usageTracker.isOverBudget('hunter') && 'budget exceeded') ||
+        ((!enrichedLead.website || enrichedLead.website === 'N/A') && 'no website'),
+        (stepOptions) => findEmailsWithHunter(enrichedLead, stepOptions));
+
+    if (hunterData && hunterData.ownerName && hunterData.ownerName !== 'N/A') {
+        // Only use Hunter owner name if we don't already have a PDL verified name
+        if (!enrichedLead.ownerVerified) {
+            enrichedLead = {
+                ...enrichedLead,
+                ownerName: hunterData.ownerName,
+                ownerPosition: hunterData.ownerPosition,
+                ownerDataSource: 'Hunter.io Domain Search',
+                ownerVerified: true,
+                hunterEnriched: true
+            };
+        } else {
+            enrichedLead.hunterEnriched = true;
+        }
+
+        // Always add email data regardless
+        enrichedLead.primaryEmail = hunterData.primaryEmail;
+        enrichedLead.emails = hunterData.emails;
+        enrichedLead.domain = hunterData.domain;
+    }
+
+    signal?.throwIfAborted();
+
+    // Earlier steps may have found a phone or country - parse it before Numverify and Yelp use it
+    enrichedLead = normalizeLeadLocation(enrichedLead);
+
+    // Step 6: Validate phone number with Numverify
+    const phoneValidation = await runVerificationStep('numverify', options,
+        (!providerKey('NUMVERIFY_API_KEY') && 'not configured') ||
+        (usageTracker.isOverBudget('numverify') && 'budget exceeded') ||
+        ((!enrichedLead.phone || enrichedLead.phone === 'N/A') && 'no phone'),
+        (stepOptions) => validatePhoneWithNumverify(enrichedLead.phoneE164 || enrichedLead.phone, stepOptions));
+
+    if (phoneValidation) {
+        enrichedLead.phoneValidation = phoneValidation;
+        // Update phone to international format if valid
+        if (phoneValidation.valid && phoneValidation.internationalFormat) {
+            enrichedLead.phoneFormatted = phoneValidation.internationalFormat;
+        }
+    }
+
+    signal?.throwIfAborted();
+
+    // Step 7: Verify with Yelp
+    const yelpData = await runVerificationStep('yelp', options,
+        (!providerKey('YELP_API_KEY') && 'not configured') ||
+        (usageTracker.isOverBudget('yelp') && 'budget exceeded'),
+        (stepOptions) => verifyWithYelp(enrichedLead, stepOptions));
+
+    if (yelpData && yelpData.yelpVerified) {
+        enrichedLead = {
+            ...enrichedLead,
+            ...yelpData,
+            yelpEnriched: true
+        };
+        socialCandidates.push(...candidatesFromFields(yelpData, ['yelpUrl'], 'Yelp', 'company'));
+    }
+
+    // Validated profiles, each with the sources that returned it (replaces any older socialMedia map)
+    Object.assign(enrichedLead, buildSocialProfiles(socialCandidates));
+
+    signal?.throwIfAborted();
+
+    // Step 8: Use AI verification ONLY if no verified owner found
+    const provider = aiProvider || 'both';
+
+    if (enrichedLead.ownerVerified) {
+        await runVerificationStep('ai', options, 'owner already verified', null);
+
+        // Just add business details without AI guessing
+        enrichedLead.verified = true;
+        enrichedLead.verificationStatus = 'verified';
+        enrichedLead.aiConfidence = 95; // High confidence from real sources
+        enrichedLead.verifiedAt = new Date().toISOString();
+        return storeLead(normalizeLeadLocation(enrichedLead));
+    }
+
+    const verifiedLead = await runVerificationStep('ai', options, null,
+        () => verifyLeadWithAI(enrichedLead, provider));
+
+    // Mark that this is AI estimated, not verified
+    if (verifiedLead.ownerName && !verifiedLead.ownerDataSource) {
+        verifiedLead.ownerDataSource = 'AI Estimated (Not Verified)';
+        verifiedLead.ownerVerified = false;
+    }
+
+    // verifiedAt only moves when the lead was verified, so re-verification still finds an old one
+    return storeLead(normalizeLeadLocation(verifiedLead.verified
+        ? { ...verifiedLead, verifiedAt: new Date().toISOString() }
+        : verifiedLead));
+}
+
+// Current Place Details for a stored place ID; { placeNotFound: true } when Google no longer has it
+async function getPlaceDetails(placeId) {
+    const detailsUrl = 'https://maps.googleapis.com/maps/api/place/details/json';
+    const response = await providerCache.get('google', detailsUrl, {
+        params: {
+            place_id: placeId,
+            fields: 'name,formatted_address,formatted_phone_number,international_phone_number,website,rating,user_ratings_total,types,geometry,address_components,business_status',
+            key: providerKey('GOOGLE_PLACES_API_KEY')
+        }
+    }, { shouldCache: isGoogleResponseCacheable });
+    if (!response.cached) {
+        usageTracker.record('google', 'place_details');
+    }
+
+    if (response.data.status === 'NOT_FOUND') {
+        return { placeNotFound: true };
+    }
+    if (response.data.status !== 'OK') {
+        throw new Error(`Place Details returned ${response.data.status}`);
+    }
+    return convertPlaceDetailsToLead(response.data.result, placeId);
+}
+
+// Re-check a stored lead against Google Place Details, Yelp and Numverify: record which fields changed,
+// apply the new values, and flag the lead when the business closed, moved, changed hands or lost its phone.
+// Runs with the provider cache bypassed - a cached answer would hide the changes we're looking for.
+async function reverifyLead(lead, options = {}) {
+    consumeVerification();
+
+    const sources = {};
+    const errors = [];
+    const onError = (source) => (error) => errors.push(`${source}: ${error.message}`);
+
+    await runWithRequestContext({ ...getRequestContext(), noCache: true }, async () => {
+        if (lead.placeId && providerKey('GOOGLE_PLACES_API_KEY') && !usageTracker.isOverBudget('google')) {
+            try {
+                sources.google = await getPlaceDetails(lead.placeId);
+            } catch (error) {
+                onError('google')(error);
+            }
+        }
+
+        options.signal?.throwIfAborted();
+
+        const phone = lead.phoneE164 || lead.phone;
+        if (!isEmptyValue(phone)) {
+            sources.numverify = await validatePhoneWithNumverify(phone, { onError: onError('numverify') });
+        }
+
+        options.signal?.throwIfAborted();
+
+        const yelpData = await verifyWithYelp(lead, { onError: onError('yelp') });
+        if (yelpData?.yelpVerified) {
+            sources.yelp = yelpData;
+        }
+    });
+
+    // Google's listing outranks Yelp's match; the re-checked phone replaces the old validation
+    const { placeNotFound, ...google } = sources.google || {};
+    const fresh = {
+        ...(sources.yelp || {}),
+        ...(placeNotFound ? {} : google),
+        ...(sources.numverify ? { phoneValidation: sources.numverify } : {})
+    };
+
+    const checkedAt = new Date().toISOString();
+    const changes = diffLeadFields(lead, fresh);
+    const detected = detectChangeFlags(lead, sources);
+    const changeFlags = applyChangeFlags(lead.changeFlags, detected, checkedAt);
+
+    const updates = Object.fromEntries(changes
+        .filter(({ field }) => !field.startsWith('phoneValidation.'))
+        .map(({ field, after }) => [field, after]));
+    if (sources.numverify) updates.phoneValidation = sources.numverify;
+    if (!placeNotFound && !isEmptyValue(google.latitude)) {
+        updates.latitude = google.latitude;
+        updates.longitude = google.longitude;
+    }
+
+    const refreshed = normalizeLeadLocation({ ...lead, ...updates });
+    const updated = leadStore.update(lead.id, { ...refreshed, changeFlags, reverifiedAt: checkedAt });
+
+    const check = reverifications.record(lead.id, {
+        trigger: options.trigger || 'manual',
+        checkedAt,
+        sources: Object.keys(sources),
+        changes,
+        flags: Object.keys(detected.raised),
+        errors
+    });
+
+    return { lead: updated, check };
+}
+
+// AI verification endpoint (now with Apollo enrichment and phone validation)
+app.post('/api/verify', requirePermission('verify'), requireProviderQuota, async (req, res) => {
+    try {
+        const { lead, aiProvider } = req.body;
+
+        if (!lead) {
+            return res.status(400).json({
+                error: 'Lead data is required'
+            });
+        }
+
+        const quotaError = verificationQuotaError(1);
+        if (quotaError) {
+            return res.status(429).json(quotaError);
+        }
+
+        res.json(await runVerification(lead, aiProvider));
+
+    } catch (error) {
+        console.error('Verification error:', error);
+        res.status(500).json({
+            error: 'Failed to verify lead',
+            message: error.message
+        });
+    }
+});
+
+// Streaming verification: Server-Sent Events for each pipeline step, then the verified lead
+// GET /api/verify/stream?leadId=<stored lead id>&aiProvider=both  (store an unsaved lead with POST /api/leads first)
+app.get('/api/verify/stream', requirePermission('verify'), requireProviderQuota, async (req, res) => {
+    const { leadId, aiProvider } = req.query;
+
+    if (!leadId) {
+        return res.status(400).json({
+            error: 'leadId is required'
+        });
+    }
+
+    const lead = leadStore.get(leadId);
+    if (!lead) {
+        return res.status(404).json({
+            error: 'Lead not found'
+        });
+    }
+
+    const quotaError = verificationQuotaError(1);
+    if (quotaError) {
+        return res.status(429).json(quotaError);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop calling providers once the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+        const verifiedLead = await runVerification(lead, aiProvider, {
+            signal: controller.signal,
+            onStep: (step) => sendEvent('step', { ...step, timestamp: new Date().toISOString() })
+        });
+        sendEvent('result', verifiedLead);
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            console.error('Verification stream error:', error);
+            sendEvent('failure', { error: 'Failed to verify lead', message: error.message });
+        }
+    } finally {
+        res.end();
+    }
+});
+
+// Apollo Organization Search endpoint
+app.post('/api/apollo/organizations', requirePermission('apollo'), requireProviderQuota, async (req, res) => {
+    try {
+        const filters = req.body;
+
+        const results = await searchApolloOrganizations(filters);
+
+        res.json({
+            success: true,
+            results: results,
+            count: results.length,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Apollo Organizations search error:', error);
+        res.status(500).json({
+            error: 'Failed to search Apollo Organizations',
+            message: error.message
+        });
+    }
+});
+
+// Apollo People Search endpoint
+app.post('/api/apollo/people', requirePermission('apollo'), requireProviderQuota, async (req, res) => {
+    try {
+        const filters = req.body;
+
+        const results = await searchApolloPeople(filters);
+
+        res.json({
+            success: true,
+            results: results,
+            count: results.length,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Apollo People search error:', error);
+        res.status(500).json({
+            error: 'Failed to search Apollo People',
+            message: error.message
+        });
+    }
+});
+
+// People Data Labs - Find Company Owner endpoint
+app.post('/api/pdl/find-owner', requirePermission('pdl'), requireProviderQuota, async (req, res) => {
+    try {
+        const { companyName, city, state, country } = req.body;
+
+        if (!companyName) {
+            return res.status(400).json({
+                error: 'Company name is required'
+            });
+        }
+
+
+        const ownerData = await findCompanyOwnerWithPDL(companyName, city, state, country);
+
+        if (!ownerData) {
+            return res.status(404).json({
+                error: 'No owner found',
+                message: 'Could not find owner/decision-maker for this company in People Data Labs database'
+            });
+        }
+
+        res.json({
+            success: true,
+            owner: ownerData,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('PDL find owner error:', error);
+        res.status(500).json({
+            error: 'Failed to find company owner',
+            message: error.message
+        });
+    }
+});
+
+// Apollo Enrichment endpoint (standalone)
+app.post('/api/apollo/enrich', requirePermission('apollo'), requireProviderQuota, async (req, res) => {
+    try {
+        const { lead } = req.body;
+
+        if (!lead) {
+            return res.status(400).json({
+                error: 'Lead data is required'
+            });
+        }
+
+
+        const enrichedData = await enrichWithApollo(lead);
+
+        if (!enrichedData) {
+            return res.status(404).json({
+                error: 'No enrichment data found',
+                message: 'Apollo could not find a match for this lead'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: enrichedData,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Apollo enrichment error:', error);
+        res.status(500).json({
+            error: 'Failed to enrich with Apollo',
+            message: error.message
+        });
+    }
+});
+
+// Match manually entered (or imported) lead data to a Google Maps business: by phone, then address,
+// then company name. Entered values win over the matched business's; no match keeps the entered data.
+async function matchManualLead(manualData, options = {}) {
+    let scrapedResults = [];
+    let searchMethod = 'unknown';
+
+    try {
+        const apiKey = providerKey('GOOGLE_PLACES_API_KEY');
+
+        if (!apiKey) {
+            throw new Error('Google Places API key not configured');
+        }
+        if (usageTracker.isOverBudget('google')) {
+            throw new Error('Google Places budget exceeded');
+        }
+
+        // Strategy 1: Search by phone number if provided
+        if (manualData.phone && manualData.phone.trim()) {
+            searchMethod = 'phone';
+
+            try {
+                const phoneSearchUrl = 'https://maps.googleapis.com/maps/api/place/findplacefromtext/json';
+                const phoneResponse = await axios.get(phoneSearchUrl, {
+                    params: {
+                        input: manualData.phone,
+                        inputtype: 'phonenumber',
+                        fields: 'place_id',
+                        key: apiKey
+                    },
+                    signal: options.signal
+                });
+                usageTracker.record('google', 'find_place');
+
+                if (phoneResponse.data.status === 'OK' && phoneResponse.data.candidates.length > 0) {
+                    // Get place details
+                    const placeId = phoneResponse.data.candidates[0].place_id;
+                    const detailsUrl = 'https://maps.googleapis.com/maps/api/place/details/json';
+                    const detailsResponse = await providerCache.get('google', detailsUrl, {
+                        params: {
+                            place_id: placeId,
+                            fields: 'name,formatted_address,formatted_phone_number,international_phone_number,website,rating,user_ratings_total,types,geometry,address_components',
+                            key: apiKey
+                        }
+                    }, { shouldCache: isGoogleResponseCacheable });
+                    if (!detailsResponse.cached) {
+                        usageTracker.record('google', 'place_details');
+                    }
+
+                    if (detailsResponse.data.status === 'OK') {
+                        const details = detailsResponse.data.result;
+                        scrapedResults.push(convertPlaceDetailsToLead(details, placeId));
+                    }
+                }
+            } catch (phoneError) {
+                console.error('Phone search failed:', phoneError.message);
+            }
+        }
+
+        // Strategy 2: Search by address if provided and no results yet
+        if (scrapedResults.length === 0 && (manualData.address || (manualData.city && manualData.zipcode))) {
+            let addressQuery = '';
+
+            if (manualData.address) {
+                addressQuery = manualData.address;
+            } else if (manualData.city && manualData.zipcode) {
+                addressQuery = `${manualData.city} ${manualData.zipcode}`;
+            }
+
+            if (manualData.country) {
+                addressQuery += ` ${manualData.country}`;
+            }
+
+            searchMethod = 'address';
+
+            // Use text search to find businesses at the address
+            const textSearchUrl = 'https://maps.googleapis.com/maps/api/place/textsearch/json';
+            const addressResponse = await axios.get(textSearchUrl, {
+                params: {
+                    query: `business at ${addressQuery}`,
+                    key: apiKey
+                },
+                signal: options.signal
+            });
+            usageTracker.record('google', 'text_search');
+
+            if (addressResponse.data.status === 'OK' && addressResponse.data.results.length > 0) {
+                // Get details for top results
+                for (let i = 0; i < Math.min(3, addressResponse.data.results.length); i++) {
+                    const place = addressResponse.data.results[i];
+                    const detailsUrl = 'https://maps.googleapis.com/maps/api/place/details/json';
+                    const detailsResponse = await providerCache.get('google', detailsUrl, {
+                        params: {
+                            place_id: place.place_id,
+                            fields: 'name,formatted_address,formatted_phone_number,international_phone_number,website,rating,user_ratings_total,types,geometry,address_components',
+                            key: apiKey
+                        }
+                    }, { shouldCache: isGoogleResponseCacheable });
+                    if (!detailsResponse.cached) {
+                        usageTracker.record('google', 'place_details');
+                    }
+
+                    if (detailsResponse.data.status === 'OK') {
+                        const details = detailsResponse.data.result;
+                        scrapedResults.push(convertPlaceDetailsToLead(details, place.place_id));
+                    }
+
+                    await delay(100);
+                }
+
+            }
+        }
+
+        // Strategy 3: Search by company name if provided
+        if (scrapedResults.length === 0 && manualData.companyName && manualData.companyName.trim()) {
+            searchMethod = 'company_name';
+
+            // Build location string
+            let location = null;
+            if (manualData.city && manualData.country) {
+                location = `${manualData.city}, ${manualData.country}`;
+            } else if (manualData.city) {
+                location = manualData.city;
+            } else if (manualData.address) {
+                const addressParts = manualData.address.split(',');
+                if (addressParts.length >= 2) {
+                    location = addressParts[addressParts.length - 2].trim();
+                }
+            }
+
+            if (location) {
+                scrapedResults = await scrapeGoogleMaps(manualData.companyName, location, null, manualData.zipcode, manualData.country, 5, { signal: options.signal });
+            } else {
+                scrapedResults = await scrapeGoogleMaps(manualData.companyName, 'United States', null, manualData.zipcode, manualData.country, 5, { signal: options.signal });
+            }
+        }
+
+    } catch (scrapeError) {
+        console.error('Scraping failed, will use manual data only:', scrapeError.message);
+    }
+
+    // Find best match from scraped results
+    let enrichedLead = { ...manualData, ...classifyIndustry('manual', manualData.industry), id: Date.now() + Math.random() };
+
+    if (scrapedResults.length > 0) {
+        let bestMatch = scrapedResults[0];
+
+        // If company name was provided, try to find best match
+        if (manualData.companyName && manualData.companyName.trim()) {
+            const exactMatch = scrapedResults.find(result =>
+                result.companyName.toLowerCase() === manualData.companyName.toLowerCase()
+            );
+
+            const partialMatch = scrapedResults.find(result =>
+                result.companyName.toLowerCase().includes(manualData.companyName.toLowerCase()) ||
+                manualData.companyName.toLowerCase().includes(result.companyName.toLowerCase())
+            );
+
+            bestMatch = exactMatch || partialMatch || scrapedResults[0];
+        }
+
+        // Merge scraped data with manual data
+        enrichedLead = {
+            ...bestMatch,
+            id: Date.now() + Math.random(),
+            // Manual data overrides scraped data only if provided and not empty
+            companyName: manualData.companyName?.trim() || bestMatch.companyName,
+            phone: manualData.phone?.trim() || bestMatch.phone,
+            address: manualData.address?.trim() || bestMatch.address,
+            zipcode: manualData.zipcode?.trim() || bestMatch.zipcode,
+            city: manualData.city?.trim() || bestMatch.city,
+            country: manualData.country?.trim() || bestMatch.country,
+            ...preferredIndustry(bestMatch, classifyIndustry('manual', manualData.industry)),
+            ownerName: manualData.ownerName?.trim() || bestMatch.ownerName,
+            website: bestMatch.website,
+            rating: bestMatch.rating,
+            reviewCount: bestMatch.reviewCount
+        };
+
+        // Anything else entered (state, email, website...) fills what the match left empty
+        for (const [field, value] of Object.entries(manualData)) {
+            if (isEmptyValue(enrichedLead[field]) && !isEmptyValue(value)) enrichedLead[field] = value;
+        }
+    } else {
+        // No results from scraping, use whatever manual data was provided
+        enrichedLead.companyName = manualData.companyName || 'Unknown Business';
+    }
+
+    return { lead: enrichedLead, matched: scrapedResults.length > 0, searchMethod };
+}
+
+// Manual lead enrichment endpoint
+app.post('/api/enrich-manual', requirePermission('verify'), requireProviderQuota, async (req, res) => {
+    try {
+        const manualData = req.body;
+
+        // Check if at least one field is provided
+        const hasData = Object.values(manualData).some(value => value && value.trim() !== '');
+        if (!hasData) {
+            return res.status(400).json({
+                error: 'At least one field is required'
+            });
+        }
+
+        const quotaError = verificationQuotaError(1);
+        if (quotaError) {
+            return res.status(429).json(quotaError);
+        }
+        consumeVerification();
+
+        const { lead: enrichedLead, matched, searchMethod } = await matchManualLead(manualData);
+
+        // Now verify and enrich with AI
+        const verifiedLead = await verifyLeadWithAI(enrichedLead, 'both');
+
+        // Add metadata about enrichment
+        verifiedLead.enrichmentSource = matched ? `Google Maps (${searchMethod}) + AI` : 'Manual + AI';
+        verifiedLead.scrapedDataAvailable = matched;
+        verifiedLead.searchMethod = searchMethod;
+
+        res.json(storeLead(normalizeLeadLocation(verifiedLead)));
+
+    } catch (error) {
+        console.error('Manual enrichment error:', error);
+        res.status(500).json({
+            error: 'Failed to enrich lead',
+            message: error.message
+        });
+    }
+});
+
+// Helper function to clean and validate phone number
+function cleanPhoneNumber(phone) {
+    if (!phone || phone === 'N/A') return 'N/A';
+
+    // Remove any text that's not a phone number
+    // Phone numbers should contain digits, spaces, dashes, parentheses, plus signs
+    const phonePattern = /[\d\s\-\(\)\+\.]/g;
+    const matches = phone.match(phonePattern);
+
+    if (!matches) return 'N/A';
+
+    const cleaned = matches.join('').trim();
+
+    // Check if it looks like a phone number (has at least 7 digits)
+    const digitCount = (cleaned.match(/\d/g) || []).length;
+    if (digitCount < 7) return 'N/A';
+
+    return cleaned;
+}
+
+// Helper function to clean and validate zipcode
+function cleanZipcode(zipcode) {
+    if (!zipcode || zipcode === 'N/A') return 'N/A';
+
+    // Remove anything that's not digits, letters, spaces, or dashes
+    let cleaned = zipcode.replace(/[^0-9A-Za-z\s\-]/g, '').trim();
+
+    // Zipcodes should be short (US: 5 or 9 digits, Canada: 6 chars, UK: 6-8 chars)
+    // If longer than 15 characters, it's probably not a zipcode
+    if (cleaned.length > 15) return 'N/A';
+
+    // If it contains full words like "United States", it's not a zipcode
+    if (cleaned.match(/United|States|America|Canada|Kingdom|City|County|Street|Avenue|Road/i)) {
+        return 'N/A';
+    }
+
+    return cleaned;
+}
+
+// Helper function to convert Google Place Details to Lead format
+function convertPlaceDetailsToLead(details, placeId) {
+    const addressComponents = details.address_components || [];
+    let extractedZipcode = '';
+    let extractedCity = '';
+    let extractedCountry = '';
+    let extractedState = '';
+
+    addressComponents.forEach(component => {
+        if (component.types.includes('postal_code')) {
+            extractedZipcode = component.long_name;
+        }
+        if (component.types.includes('locality')) {
+            extractedCity = component.long_name;
+        }
+        if (component.types.includes('country')) {
+            extractedCountry = component.long_name;
+        }
+        if (component.types.includes('administrative_area_level_1')) {
+            extractedState = component.short_name;
+        }
+    });
+
+    // Clean and validate the extracted data
+    const cleanedPhone = cleanPhoneNumber(details.formatted_phone_number || details.international_phone_number);
+    const cleanedZipcode = cleanZipcode(extractedZipcode);
+
+    const types = details.types || [];
+    const industry = classifyIndustry('google', types);
+
+    return normalizeLeadLocation({
+        id: Date.now() + Math.random(),
+        companyName: details.name,
+        phone: cleanedPhone,
+        address: details.formatted_address || 'N/A',
+        zipcode: cleanedZipcode,
+        city: extractedCity || 'N/A',
+        country: extractedCountry || 'N/A',
+        state: extractedState || '',
+        ...industry,
+        website: details.website || 'N/A',
+        rating: details.rating || 'N/A',
+        reviewCount: details.user_ratings_total || 0,
+        latitude: details.geometry?.location?.lat || null,
+        longitude: details.geometry?.location?.lng || null,
+        placeId: placeId,
+        types: types,
+        businessStatus: details.business_status,
+        source: 'Google Places API'
+    });
+}
+
+// Get AI status endpoint (check which APIs are configured)
+app.get('/api/ai-status', (req, res) => {
+    // Check if OpenAI key is configured and valid (not a placeholder)
+    const openaiKey = providerKey('OPENAI_API_KEY');
+
+    // Simplified validation - just check if key exists and starts with sk-
+    const openaiConfigured = openaiKey &&
+        openaiKey.trim().length > 20 &&
+        (openaiKey.trim().startsWith('sk-') || openaiKey.trim().startsWith('sk-proj-'));
+
+    // Check if Anthropic key is configured and valid (not a placeholder)
+    const claudeKey = providerKey('ANTHROPIC_API_KEY');
+    const claudeConfigured = claudeKey &&
+        claudeKey.trim() !== '' &&
+        !claudeKey.includes('your_anthropic') &&
+        !claudeKey.includes('api_key_here') &&
+        claudeKey.startsWith('sk-ant-');
+
+    // Check if Apollo key is configured and valid (not a placeholder)
+    const apolloKey = providerKey('APOLLO_API_KEY');
+    const apolloConfigured = apolloKey &&
+        apolloKey.trim() !== '' &&
+        !apolloKey.includes('your_apollo') &&
+        !apolloKey.includes('api_key_here') &&
+        apolloKey.trim().length > 10;
+
+    // Check if Numverify key is configured and valid (not a placeholder)
+    const numverifyKey = providerKey('NUMVERIFY_API_KEY');
+    const numverifyConfigured = numverifyKey &&
+        numverifyKey.trim() !== '' &&
+        !numverifyKey.includes('your_numverify') &&
+        !numverifyKey.includes('api_key_here') &&
+        numverifyKey.trim().length > 10;
+
+    // Check if People Data Labs key is configured and valid (not a placeholder)
+    const pdlKey = providerKey('PDL_API_KEY');
+    const pdlConfigured = pdlKey &&
+        pdlKey.trim() !== '' &&
+        !pdlKey.includes('your_pdl') &&
+        !pdlKey.includes('api_key_here') &&
+        pdlKey.trim().length > 20;
+
+    // Check if Hunter.io key is configured and valid (not a placeholder)
+    const hunterKey = providerKey('HUNTER_API_KEY');
+    const hunterConfigured = hunterKey &&
+        hunterKey.trim() !== '' &&
+        !hunterKey.includes('your_hunter') &&
+        !hunterKey.includes('api_key_here') &&
+        hunterKey.trim().length > 20;
+
+    // Check if Yelp key is configured and valid (not a placeholder)
+    const yelpKey = providerKey('YELP_API_KEY');
+    const yelpConfigured = yelpKey &&
+        yelpKey.trim() !== '' &&
+        !yelpKey.includes('your_yelp') &&
+        !yelpKey.includes('api_key_here') &&
+        yelpKey.trim().length > 20;
+
+    res.json({
+        openai: {
+            configured: openaiConfigured,
+            status: openaiConfigured ? 'active' : 'not configured'
+        },
+        claude: {
+            configured: claudeConfigured,
+            status: claudeConfigured ? 'active' : 'not configured'
+        },
+        apollo: {
+            configured: apolloConfigured,
+            status: apolloConfigured ? 'active' : 'not configured'
+        },
+        numverify: {
+            configured: numverifyConfigured,
+            status: numverifyConfigured ? 'active' : 'not configured'
+        },
+        peopleDataLabs: {
+            configured: pdlConfigured,
+            status: pdlConfigured ? 'active' : 'not configured'
+        },
+        hunter: {
+            configured: hunterConfigured,
+            status: hunterConfigured ? 'active' : 'not configured'
+        },
+        yelp: {
+            configured: yelpConfigured,
+            status: yelpConfigured ? 'active' : 'not configured'
+        },
+        recommendation: !openaiConfigured && !claudeConfigured
+            ? 'Configure at least one AI API key in the .env file for enhanced lead verification'
+            : 'All services ready'
+    });
+});
+
+// List stored leads (filters: verified, industry, sector, naics, search, minScore, maxScore;
+// sort=updated|score, order=desc|asc; paginated with limit/offset)
+// leadStore.list() filters from query parameters: { filters } or { error }
+function parseLeadFilters(query, maxLimit = 1000) {
+    const { verified, industry, sector, naics, search, flag, sort, order } = query;
+    const limit = query.limit ? Math.min(parseInt(query.limit, 10) || 0, maxLimit) : undefined;
+    const offset = parseInt(query.offset, 10) || 0;
+    const minScore = query.minScore !== undefined ? parseFloat(query.minScore) : undefined;
+    const maxScore = query.maxScore !== undefined ? parseFloat(query.maxScore) : undefined;
+
+    if ((sort && !['updated', 'score'].includes(sort)) || (order && !['asc', 'desc'].includes(order))) {
+        return { error: 'sort must be updated or score, order must be asc or desc' };
+    }
+    if (Number.isNaN(minScore) || Number.isNaN(maxScore)) {
+        return { error: 'minScore and maxScore must be numbers' };
+    }
+    if (flag && flag !== 'any' && !CHANGE_FLAGS.includes(flag)) {
+        return { error: `flag must be any or one of: ${CHANGE_FLAGS.join(', ')}` };
+    }
+
+    return {
+        filters: {
+            verified: verified === undefined ? undefined : String(verified) === 'true',
+            industry,
+            sector,
+            naics,
+            search,
+            flag,
+            minScore,
+            maxScore,
+            sort,
+            order,
+            limit,
+            offset
+        }
+    };
+}
+
+app.get('/api/leads', (req, res) => {
+    try {
+        const { filters, error } = parseLeadFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                error: error
+            });
+        }
+
+        filters.limit = cappedPageSize(filters.limit);
+        const { leads, total } = leadStore.list(filters);
+        const { limit, offset } = filters;
+
+        res.json({
+            leads: leads,
+            count: total,
+            limit: limit || null,
+            offset: offset
+        });
+
+    } catch (error) {
+        console.error('List leads error:', error);
+        res.status(500).json({
+            error: 'Failed to list leads',
+            message: error.message
+        });
+    }
+});
+
+// Fields PATCH /api/leads/:id accepts. The rest is derived on save (score, parsed address, E.164 phone),
+// set by verification (verified, ownerVerified, sources) or bookkeeping (IDs, workspace, duplicate clusters).
+const EDITABLE_LEAD_FIELDS = [
+    'companyName', 'ownerName', 'ownerPosition', 'email', 'primaryEmail', 'phone', 'website',
+    'address', 'city', 'state', 'zipcode', 'country', 'industry',
+    'linkedinUrl', 'facebookUrl', 'twitterUrl', 'employeeCount', 'revenue'
+];
+
+// Fields POST /api/leads keeps: the editable ones plus the provider IDs the lead's stable ID is derived from
+const STORABLE_LEAD_FIELDS = [...EDITABLE_LEAD_FIELDS, 'placeId', 'yelpId', 'organizationId'];
+
+// Store a lead that isn't stored yet (e.g. before streaming its verification by ID).
+// Only STORABLE_LEAD_FIELDS are kept: verification state, scores, flags and IDs come from the server,
+// never from the body, and a lead that is already stored is updated with PATCH instead.
+app.post('/api/leads', requirePermission('edit'), (req, res) => {
+    try {
+        const lead = req.body || {};
+
+        if (typeof lead !== 'object' || Array.isArray(lead) || typeof lead.companyName !== 'string' || !lead.companyName) {
+            return res.status(400).json({
+                error: 'A lead object with a companyName is required'
+            });
+        }
+
+        const fields = Object.fromEntries(Object.entries(lead)
+            .filter(([field, value]) => STORABLE_LEAD_FIELDS.includes(field) && !isEmptyValue(value)));
+        const invalid = Object.keys(fields).find(field => !['string', 'number'].includes(typeof fields[field]));
+        if (invalid) {
+            return res.status(400).json({
+                error: `${invalid} must be a string or number`
+            });
+        }
+
+        res.status(201).json(storeLead(fields));
+
+    } catch (error) {
+        console.error('Store lead error:', error);
+        res.status(500).json({
+            error: 'Failed to store lead',
+            message: error.message
+        });
+    }
+});
+
+// Lead scoring rules for the current workspace, with the available rules and their defaults
+app.get('/api/scoring', (req, res) => {
+    res.json({ ...scoringConfigs.get(currentWorkspaceId()), availableRules: listScoringRules() });
+});
+
+// Change scoring rules ({ rules: { rating: { weight: 5 }, ... } } - rules left out are unchanged)
+// and rescore every stored lead
+app.put('/api/scoring', requirePermission('configure'), (req, res) => {
+    try {
+        const workspaceId = currentWorkspaceId();
+        const validationError = validateScoringConfig(req.body, scoringConfigs.get(workspaceId));
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
+
+        const config = scoringConfigs.set(workspaceId, req.body);
+        res.json({ ...config, rescored: leadStore.refresh() });
+
+    } catch (error) {
+        console.error('Update scoring error:', error);
+        res.status(500).json({
+            error: 'Failed to update scoring rules',
+            message: error.message
+        });
+    }
+});
+
+// Back to the default rules, rescoring every stored lead
+app.delete('/api/scoring', requirePermission('configure'), (req, res) => {
+    try {
+        const config = scoringConfigs.reset(currentWorkspaceId());
+        res.json({ ...config, rescored: leadStore.refresh() });
+
+    } catch (error) {
+        console.error('Reset scoring error:', error);
+        res.status(500).json({
+            error: 'Failed to reset scoring rules',
+            message: error.message
+        });
+    }
+});
+
+// Export leads as CSV (RFC 4180), XLSX (Leads, Emails, Social Profiles and Score Breakdown sheets),
+// JSON or vCard. GET takes the /api/leads filters plus format, columns (comma-separated paths) and
+// template; POST takes { format, columns, templateId, leadIds } or { ..., filters }.
+async function handleLeadExport(options, res) {
+    try {
+        const template = options.templateId ? exportTemplates.get(currentWorkspaceId(), options.templateId) : null;
+        if (options.templateId && !template) {
+            return res.status(404).json({
+                error: 'Export template not found'
+            });
+        }
+
+        const format = options.format || template?.format || 'csv';
+        const columns = options.columns || template?.columns;
+        const validationError = validateExportOptions({ format, columns });
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
+
+        let leads;
+        if (Array.isArray(options.leadIds)) {
+            leads = [...new Map(options.leadIds
+                .map(id => leadStore.get(id))
+                .filter(Boolean)
+                .map(lead => [lead.id, lead])).values()];
+        } else {
+            const { filters, error } = parseLeadFilters(options.filters || {}, Infinity);
+            if (error) {
+                return res.status(400).json({
+                    error: error
+                });
+            }
+            leads = leadStore.list(filters).leads;
+        }
+
+        const { extension, contentType } = EXPORT_FORMATS[format];
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="leads_${Date.now()}.${extension}"`);
+        await writeExport(format, leads, columns || null, chunk => res.write(chunk));
+        res.end();
+
+    } catch (error) {
+        console.error('Export leads error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({
+            error: 'Failed to export leads',
+            message: error.message
+        });
+    }
+}
+
+app.get('/api/leads/export', requirePermission('export'), (req, res) => {
+    const { format, columns, template, ...filters } = req.query;
+    handleLeadExport({
+        format,
+        columns: columns ? String(columns).split(',').map(column => column.trim()).filter(Boolean) : undefined,
+        templateId: template,
+        filters
+    }, res);
+});
+
+app.post('/api/leads/export', requirePermission('export'), (req, res) => {
+    const { format, columns, templateId, leadIds, filters } = req.body;
+    if (leadIds !== undefined && !Array.isArray(leadIds)) {
+        return res.status(400).json({
+            error: 'leadIds must be an array'
+        });
+    }
+    handleLeadExport({ format, columns, templateId, leadIds, filters }, res);
+});
+
+// Columns for the export picker: labelled fields, the default pick and the formats
+app.get('/api/leads/export/columns', (req, res) => {
+    res.json({
+        columns: EXPORT_COLUMNS,
+        defaultColumns: DEFAULT_COLUMNS,
+        formats: Object.keys(EXPORT_FORMATS)
+    });
+});
+
+// Saved export templates ({ name, format, columns }) for the current workspace
+app.get('/api/export-templates', (req, res) => {
+    const templates = exportTemplates.list(currentWorkspaceId());
+    res.json({ templates: templates, count: templates.length });
+});
+
+app.post('/api/export-templates', requirePermission('export'), (req, res) => {
+    const validationError = validateExportTemplate(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            error: validationError
+        });
+    }
+
+    res.status(201).json(exportTemplates.create(currentWorkspaceId(), req.body));
+});
+
+app.put('/api/export-templates/:id', requirePermission('export'), (req, res) => {
+    const validationError = validateExportTemplate(req.body, true);
+    if (validationError) {
+        return res.status(400).json({
+            error: validationError
+        });
+    }
+
+    const template = exportTemplates.update(currentWorkspaceId(), req.params.id, req.body);
+    if (!template) {
+        return res.status(404).json({
+            error: 'Export template not found'
+        });
+    }
+    res.json(template);
+});
+
+app.delete('/api/export-templates/:id', requirePermission('delete'), (req, res) => {
+    if (!exportTemplates.remove(currentWorkspaceId(), req.params.id)) {
+        return res.status(404).json({
+            error: 'Export template not found'
+        });
+    }
+    res.json({ message: 'Export template deleted' });
+});
+
+// Stored leads that look like the same business, grouped by duplicateClusterId
+app.get('/api/leads/duplicates', (req, res) => {
+    try {
+        // A page counts clusters, capped like a page of leads
+        const limit = cappedPageSize(parseInt(req.query.limit, 10) || undefined);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const { clusters, total } = duplicateDetector.listClusters({ limit, offset });
+        res.json({ clusters: clusters, count: total, limit: limit || null, offset: offset });
+
+    } catch (error) {
+        console.error('List duplicates error:', error);
+        res.status(500).json({
+            error: 'Failed to list duplicates',
+            message: error.message
+        });
+    }
+});
+
+// Merge stored leads ({ leadIds } or a whole { clusterId }) into one, fields by source priority
+app.post('/api/leads/merge', requirePermission('delete'), (req, res) => {
+    try {
+        const { leadIds, clusterId } = req.body || {};
+
+        if (!Array.isArray(leadIds) && !clusterId) {
+            return res.status(400).json({
+                error: 'Either leadIds or clusterId is required'
+            });
+        }
+
+        const ids = Array.isArray(leadIds)
+            ? leadIds
+            : duplicateDetector.clusterMembers(clusterId).map(lead => lead.id);
+        const merged = duplicateDetector.mergeLeads(ids);
+
+        if (!merged) {
+            return res.status(404).json({
+                error: 'At least two stored leads are needed to merge'
+            });
+        }
+
+        res.json(merged);
+
+    } catch (error) {
+        console.error('Merge leads error:', error);
+        res.status(500).json({
+            error: 'Failed to merge leads',
+            message: error.message
+        });
+    }
+});
+
+// Mark a cluster as not duplicates - its leads are split up and not clustered together again
+app.post('/api/leads/duplicates/:clusterId/dismiss', requirePermission('edit'), (req, res) => {
+    const leads = duplicateDetector.dismissCluster(req.params.clusterId);
+
+    if (!leads) {
+        return res.status(404).json({
+            error: 'Duplicate cluster not found'
+        });
+    }
+
+    res.json({ message: 'Cluster dismissed', leads: leads });
+});
+
+// Get a single stored lead
+app.get('/api/leads/:id', (req, res) => {
+    const lead = leadStore.get(req.params.id);
+
+    if (!lead) {
+        return res.status(404).json({
+            error: 'Lead not found'
+        });
+    }
+
+    res.json(lead);
+});
+
+// Update fields on a stored lead
+app.patch('/api/leads/:id', requirePermission('edit'), (req, res) => {
+    try {
+        const changes = req.body || {};
+
+        if (typeof changes !== 'object' || Array.isArray(changes)) {
+            return res.status(400).json({
+                error: 'Request body must be an object of lead fields'
+            });
+        }
+
+        const readOnly = Object.keys(changes).filter(field => !EDITABLE_LEAD_FIELDS.includes(field));
+        if (readOnly.length > 0) {
+            return res.status(400).json({
+                error: `Fields cannot be edited: ${readOnly.join(', ')} (editable: ${EDITABLE_LEAD_FIELDS.join(', ')})`
+            });
+        }
+        const invalid = Object.keys(changes).find(field => changes[field] !== null && !['string', 'number'].includes(typeof changes[field]));
+        if (invalid) {
+            return res.status(400).json({
+                error: `${invalid} must be a string, number or null`
+            });
+        }
+
+        // An edited industry is reclassified so the NAICS code and sector follow it
+        const updates = typeof changes.industry === 'string'
+            ? { ...changes, ...classifyIndustry('manual', changes.industry) }
+            : { ...changes };
+
+        // ...and an edited address, phone or country is parsed again
+        const existing = leadStore.get(req.params.id);
+        if (existing && ['address', 'phone', 'country'].some(field => field in changes)) {
+            const merged = { ...existing, ...updates };
+            // A new country replaces the code derived from the old one, and a new address
+            // replaces the city / state / zipcode parsed from the old one unless those were edited too
+            if ('country' in changes) merged.countryCode = null;
+            if ('address' in changes) {
+                ['city', 'state', 'zipcode'].filter(field => !(field in changes)).forEach(field => { merged[field] = null; });
+            }
+            const normalized = normalizeLeadLocation(merged);
+            LOCATION_FIELDS.forEach(field => { updates[field] = normalized[field]; });
+        }
+
+        const lead = leadStore.update(req.params.id, updates);
+
+        if (!lead) {
+            return res.status(404).json({
+                error: 'Lead not found'
             });
         }
 
+        res.json(lead);
+
     } catch (error) {
-        console.error('Area scrape error:', error);
+        console.error('Update lead error:', error);
         res.status(500).json({
-            error: 'Failed to scrape area data',
+            error: 'Failed to update lead',
             message: error.message
         });
     }
 });
 
-// AI verification endpoint (now with Apollo enrichment and phone validation)
-app.post('/api/verify', async (req, res) => {
-    try {
-        const { lead, aiProvider } = req.body;
+// Delete a single stored lead
+app.delete('/api/leads/:id', requirePermission('delete'), (req, res) => {
+    if (!leadStore.remove(req.params.id)) {
+        return res.status(404).json({
+            error: 'Lead not found'
+        });
+    }
 
-        if (!lead) {
-            return res.status(400).json({
-                error: 'Lead data is required'
-            });
-        }
+    res.json({ message: 'Lead deleted', id: req.params.id });
+});
 
-        // Step 1: Try Apollo enrichment first
-        const apolloData = await enrichWithApollo(lead);
+// Clear all stored leads (for admin/debugging)
+app.delete('/api/leads', requirePermission('delete'), (req, res) => {
+    leadStore.clear();
+    res.json({ message: 'All leads cleared' });
+});
 
-        // Merge Apollo data with original lead - Accept owner name from Apollo if available
-        let enrichedLead = { ...lead };
-        if (apolloData) {
-            enrichedLead = {
-                ...enrichedLead,
-                ...apolloData,
-                apolloEnriched: true
-            };
-        }
+// Background jobs: payloads keep lead IDs only, the leads themselves live in the lead store
+function summarizeRunResult(payload) {
+    const { results, ...summary } = payload;
+    return { ...summary, leadIds: results.map(lead => lead.id) };
+}
 
-        // Step 2: Try People Data Labs owner search (PRIORITY SOURCE)
-        const pdlData = await findCompanyOwnerWithPDL(
-            enrichedLead.companyName,
-            enrichedLead.city,
-            enrichedLead.state,
-            enrichedLead.country
-        );
+// Verify a batch of leads one by one; a failed lead is recorded and the batch continues
+async function runVerificationBatch(params, options) {
+    const leads = params.leadIds
+        ? params.leadIds.map(id => leadStore.get(id)).filter(Boolean)
+        : params.leads;
 
-        if (pdlData && pdlData.ownerName) {
-            enrichedLead = {
-                ...enrichedLead,
-                ...pdlData,
-                pdlEnriched: true,
-                ownerDataSource: 'People Data Labs (Verified)',
-                ownerVerified: true
-            };
-        }
+    const leadIds = [];
+    let failed = 0;
 
-        // Step 3: Find emails with Hunter.io (SECONDARY SOURCE)
-        const hunterData = await findEmailsWithHunter(enrichedLead);
+    options.onProgress({ leadsDone: 0, leadsTotal: leads.length, leadsFound: 0 });
 
-        if (hunterData && hunterData.ownerName && hunterData.ownerName !== 'N/A') {
-            // Only use Hunter owner name if we don't already have a PDL verified name
-            if (!enrichedLead.ownerVerified) {
-                enrichedLead = {
-                    ...enrichedLead,
-                    ownerName: hunterData.ownerName,
-                    ownerPosition: hunterData.ownerPosition,
-                    ownerDataSource: 'Hunter.io Domain Search',
-                    ownerVerified: true,
-                    hunterEnriched: true
-                };
-            } else {
-                enrichedLead.hunterEnriched = true;
-            }
+    for (let i = 0; i < leads.length; i++) {
+        options.signal.throwIfAborted();
 
-            // Always add email data regardless
-            enrichedLead.primaryEmail = hunterData.primaryEmail;
-            enrichedLead.emails = hunterData.emails;
-            enrichedLead.domain = hunterData.domain;
+        try {
+            const verifiedLead = await runVerification(leads[i], params.aiProvider, options);
+            leadIds.push(verifiedLead.id);
+        } catch (error) {
+            options.signal.throwIfAborted();
+            failed++;
+            options.onProgress({ error: `${leads[i].companyName || leads[i].id}: ${error.message}` });
         }
 
-        // Step 4: Validate phone number with Numverify
-        if (enrichedLead.phone && enrichedLead.phone !== 'N/A') {
-            const phoneValidation = await validatePhoneWithNumverify(enrichedLead.phone);
-            if (phoneValidation) {
-                enrichedLead.phoneValidation = phoneValidation;
-                // Update phone to international format if valid
-                if (phoneValidation.valid && phoneValidation.internationalFormat) {
-                    enrichedLead.phoneFormatted = phoneValidation.internationalFormat;
-                }
-            }
-        }
+        options.onProgress({ leadsDone: i + 1, leadsTotal: leads.length, leadsFound: leadIds.length });
+    }
+
+    return {
+        leadIds,
+        count: leadIds.length,
+        failed,
+        timestamp: new Date().toISOString()
+    };
+}
 
-        // Step 5: Verify with Yelp
-        const yelpData = await verifyWithYelp(enrichedLead);
+// Match each pending row of an import to a business (as /api/enrich-manual does) and verify it,
+// recording every row's outcome. Rows already done are skipped, so a requeued job picks up where it stopped.
+async function runImportBatch(params, options) {
+    const imported = importStore.get(params.importId);
+    const rows = importStore.listRows(params.importId);
+    const pending = rows.filter(row => row.status === 'pending');
 
-        if (yelpData && yelpData.yelpVerified) {
-            enrichedLead = {
-                ...enrichedLead,
-                ...yelpData,
-                yelpEnriched: true
-            };
-        }
+    const leadIds = rows.filter(row => row.leadId).map(row => row.leadId);
+    let rowsDone = rows.length - pending.length;
+
+    options.onProgress({ rowsDone, rowsTotal: rows.length, leadsFound: leadIds.length });
 
-        // Step 6: Use AI verification ONLY if no verified owner found
-        const provider = aiProvider || 'both';
+    for (const row of pending) {
+        options.signal.throwIfAborted();
 
-        if (enrichedLead.ownerVerified) {
-            // Just add business details without AI guessing
-            enrichedLead.verified = true;
-            enrichedLead.aiConfidence = 95; // High confidence from real sources
-            res.json(enrichedLead);
+        const manualData = mapImportRow(row.data, imported.mapping);
+        if (!canMatch(manualData)) {
+            importStore.recordRow(imported.id, row.rowNumber, { status: 'skipped', error: 'No company name, phone or address' });
         } else {
-            const verifiedLead = await verifyLeadWithAI(enrichedLead, provider);
+            try {
+                const { lead, matched, searchMethod } = await matchManualLead(manualData, { signal: options.signal });
+                const warnings = matched ? [] : ['No Google Maps match, kept the imported data'];
+                const importedLead = {
+                    ...lead,
+                    enrichmentSource: matched ? `Google Maps (${searchMethod}) + import` : 'Import',
+                    scrapedDataAvailable: matched,
+                    searchMethod,
+                    importId: imported.id
+                };
 
-            // Mark that this is AI estimated, not verified
-            if (!verifiedLead.ownerDataSource) {
-                verifiedLead.ownerDataSource = 'AI Estimated (Not Verified)';
-                verifiedLead.ownerVerified = false;
+                // A failed verification step still leaves a usable lead - report it as a warning
+                const onStep = ({ step, status, error }) => {
+                    if (status === 'failed') warnings.push(`${step}: ${error}`);
+                };
+                const storedLead = params.verify === false
+                    ? storeLead(normalizeLeadLocation(importedLead))
+                    : await runVerification(importedLead, params.aiProvider, { signal: options.signal, onStep });
+
+                leadIds.push(storedLead.id);
+                importStore.recordRow(imported.id, row.rowNumber, {
+                    status: params.verify === false ? 'enriched' : 'verified',
+                    warnings,
+                    leadId: storedLead.id
+                });
+            } catch (error) {
+                options.signal.throwIfAborted();
+                importStore.recordRow(imported.id, row.rowNumber, { status: 'failed', error: error.message });
+                options.onProgress({ error: `Row ${row.rowNumber}: ${error.message}` });
             }
-
-            res.json(verifiedLead);
         }
 
-    } catch (error) {
-        console.error('Verification error:', error);
-        res.status(500).json({
-            error: 'Failed to verify lead',
-            message: error.message
-        });
+        rowsDone++;
+        options.onProgress({ rowsDone, rowsTotal: rows.length, leadsFound: leadIds.length });
     }
-});
-
-// Apollo Organization Search endpoint
-app.post('/api/apollo/organizations', async (req, res) => {
-    try {
-        const filters = req.body;
-
-        const results = await searchApolloOrganizations(filters);
 
-        res.json({
-            success: true,
-            results: results,
-            count: results.length,
-            timestamp: new Date().toISOString()
-        });
+    const { counts } = importStore.get(imported.id);
+    return {
+        importId: imported.id,
+        leadIds,
+        count: leadIds.length,
+        failed: counts.failed,
+        skipped: counts.skipped,
+        timestamp: new Date().toISOString()
+    };
+}
 
-    } catch (error) {
-        console.error('Apollo Organizations search error:', error);
-        res.status(500).json({
-            error: 'Failed to search Apollo Organizations',
-            message: error.message
-        });
-    }
-});
+// Run a saved search - as /api/scrape-area, or /api/scrape when it has a location instead of an area -
+// and record which businesses are new since its previous run
+async function runSavedSearch(params, options) {
+    const search = savedSearches.get(params.savedSearchId);
+    savedSearches.setRunStatus(params.runId, 'running');
 
-// Apollo People Search endpoint
-app.post('/api/apollo/people', async (req, res) => {
     try {
-        const filters = req.body;
-
-        const results = await searchApolloPeople(filters);
+        if (!search) {
+            throw new Error('Saved search was deleted');
+        }
+        // The run has its user's current role, who may have left the workspace or lost access since
+        if (!currentRole()) {
+            throw new Error('The user who saved this search is no longer a member of the workspace');
+        }
+        const searchError = checkSearchAllowed(search.params);
+        if (searchError) {
+            throw new Error(searchError);
+        }
 
-        res.json({
-            success: true,
-            results: results,
-            count: results.length,
-            timestamp: new Date().toISOString()
-        });
+        const { area, location, source, ...searchParams } = search.params;
+        const payload = area
+            ? await runAreaScrape({ ...searchParams, area, useYelpSearch: source === 'yelp' }, options)
+            : await runScrape({ ...searchParams, location, sources: [source] }, options);
 
+        const run = savedSearches.completeRun(params.runId, payload.results);
+        return {
+            ...summarizeRunResult(payload),
+            savedSearchId: search.id,
+            runId: run.id,
+            baseline: run.baseline,
+            newLeadIds: run.newLeadIds,
+            newCount: run.newCount
+        };
     } catch (error) {
-        console.error('Apollo People search error:', error);
-        res.status(500).json({
-            error: 'Failed to search Apollo People',
-            message: error.message
-        });
+        savedSearches.setRunStatus(params.runId, options.signal.aborted ? 'cancelled' : 'failed', error.message);
+        throw error;
     }
-});
+}
 
-// People Data Labs - Find Company Owner endpoint
-app.post('/api/pdl/find-owner', async (req, res) => {
-    try {
-        const { companyName, city, state, country } = req.body;
+// Re-check a batch of stored leads (see reverifyLead); a lead that fails is recorded and the batch continues.
+// Leads re-checked since the batch was requested are skipped, so a requeued job picks up where it stopped.
+async function runReverificationBatch(params, options) {
+    const leads = params.leadIds.map(id => leadStore.get(id)).filter(Boolean);
+    const pending = leads.filter(lead => !(lead.reverifiedAt >= params.requestedAt));
 
-        if (!companyName) {
-            return res.status(400).json({
-                error: 'Company name is required'
-            });
-        }
+    const leadIds = leads.filter(lead => !pending.includes(lead)).map(lead => lead.id);
+    const flaggedLeadIds = [];
+    let changed = 0;
+    let failed = 0;
 
+    options.onProgress({ leadsDone: leadIds.length, leadsTotal: leads.length, leadsFound: leadIds.length });
 
-        const ownerData = await findCompanyOwnerWithPDL(companyName, city, state, country);
+    for (const lead of pending) {
+        options.signal.throwIfAborted();
 
-        if (!ownerData) {
-            return res.status(404).json({
-                error: 'No owner found',
-                message: 'Could not find owner/decision-maker for this company in People Data Labs database'
-            });
+        try {
+            const { check } = await reverifyLead(lead, { signal: options.signal, trigger: params.trigger });
+            leadIds.push(lead.id);
+            if (check.changes.length > 0) changed++;
+            if (check.flags.length > 0) flaggedLeadIds.push(lead.id);
+        } catch (error) {
+            options.signal.throwIfAborted();
+            failed++;
+            options.onProgress({ error: `${lead.companyName || lead.id}: ${error.message}` });
         }
 
-        res.json({
-            success: true,
-            owner: ownerData,
-            timestamp: new Date().toISOString()
-        });
+        options.onProgress({ leadsDone: leadIds.length + failed, leadsTotal: leads.length, leadsFound: leadIds.length });
+    }
 
-    } catch (error) {
-        console.error('PDL find owner error:', error);
-        res.status(500).json({
-            error: 'Failed to find company owner',
-            message: error.message
-        });
+    return {
+        leadIds,
+        count: leadIds.length,
+        changed,
+        flaggedLeadIds,
+        flagged: flaggedLeadIds.length,
+        failed,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Job types POST /api/jobs accepts; saved-search and reverify jobs
+// are started through /api/saved-searches and /api/leads/reverify
+const JOB_TYPES = ['scrape', 'scrape-area', 'verify', 'import'];
+
+// The permission each job type needs (see roles.js)
+const JOB_PERMISSIONS = { 'scrape': 'scrape', 'scrape-area': 'scrape', 'verify': 'verify', 'import': 'verify' };
+
+// Jobs run outside any HTTP request, so give each one the request context its params ask for,
+// in the workspace (with its provider keys) that started it. A job keeps its user's current role
+// (none once they have left the workspace); scheduled re-verifications have no user and run with full access.
+// Scheduled saved searches run as the user who saved them or last changed what they run.
+const withJobContext = (handler) => (params, options) =>
+    runWithRequestContext({
+        noCache: params.noCache === true,
+        userId: options.userId,
+        workspaceId: options.workspaceId,
+        role: options.userId ? workspaces.getRole(options.workspaceId, options.userId) : 'admin',
+        providerKeys: workspaces.getProviderKeys(options.workspaceId)
+    }, () => handler(params, options));
+
+const jobQueue = createJobQueue({
+    handlers: {
+        'scrape': withJobContext(async (params, options) => summarizeRunResult(await runScrape(params, options))),
+        'scrape-area': withJobContext(async (params, options) => summarizeRunResult(await runAreaScrape(params, options))),
+        'verify': withJobContext(runVerificationBatch),
+        'import': withJobContext(runImportBatch),
+        'saved-search': withJobContext(runSavedSearch),
+        'reverify': withJobContext(runReverificationBatch)
     }
 });
 
-// Apollo Enrichment endpoint (standalone)
-app.post('/api/apollo/enrich', async (req, res) => {
+// Queue a job for the current user (or the one given), in the current workspace unless another is given
+function enqueueJob(type, params, workspaceId = currentWorkspaceId(), userId = getRequestContext().userId || null) {
+    return jobQueue.enqueue(type, params, { workspaceId, userId });
+}
+
+// A job of the current workspace, or null
+function findJob(id) {
+    const job = jobQueue.get(id);
+    return job && job.workspaceId === currentWorkspaceId() ? job : null;
+}
+
+// An import of the current workspace, or null
+function findImport(id) {
+    const imported = importStore.get(id);
+    return imported && imported.workspaceId === currentWorkspaceId() ? imported : null;
+}
+
+// Returns an error message for invalid job params, or null
+function validateJobParams(type, params) {
+    if (type === 'scrape' && (!params.query || !params.location)) {
+        return 'Both query and location are required';
+    }
+    if (type === 'scrape-area' && (!params.query || !params.area)) {
+        return 'Both query and area are required';
+    }
+    if (type === 'verify') {
+        const hasLeads = Array.isArray(params.leads) && params.leads.length > 0;
+        const hasLeadIds = Array.isArray(params.leadIds) && params.leadIds.length > 0;
+        if (!hasLeads && !hasLeadIds) {
+            return 'Either leads or leadIds is required';
+        }
+    }
+    if (type === 'import' && !findImport(params.importId)) {
+        return 'importId must be an existing import (see POST /api/imports)';
+    }
+    return null;
+}
+
+// Queue a background job (scrape, scrape-area, verify or import)
+app.post('/api/jobs', requireProviderQuota, (req, res) => {
     try {
-        const { lead } = req.body;
+        const { type, params = {} } = req.body;
 
-        if (!lead) {
+        if (!JOB_TYPES.includes(type)) {
             return res.status(400).json({
-                error: 'Lead data is required'
+                error: `Job type must be one of: ${JOB_TYPES.join(', ')}`
             });
         }
 
+        const validationError = validateJobParams(type, params);
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
 
-        const enrichedData = await enrichWithApollo(lead);
+        if (!can(JOB_PERMISSIONS[type])) {
+            return res.status(403).json({
+                error: `The ${currentRole()} role is not allowed to do this`,
+                permission: JOB_PERMISSIONS[type]
+            });
+        }
 
-        if (!enrichedData) {
-            return res.status(404).json({
-                error: 'No enrichment data found',
-                message: 'Apollo could not find a match for this lead'
+        const searchError = type.startsWith('scrape') ? checkSearchAllowed(params) : null;
+        if (searchError) {
+            return res.status(403).json({
+                error: searchError
             });
         }
 
-        res.json({
-            success: true,
-            data: enrichedData,
-            timestamp: new Date().toISOString()
-        });
+        // A verify job must fit in what's left of today's quota up front, rather than fail lead by lead
+        const quotaError = type === 'verify' || type === 'import'
+            ? verificationQuotaError(type === 'verify' ? (params.leadIds || params.leads).length : 1)
+            : null;
+        if (quotaError) {
+            return res.status(429).json(quotaError);
+        }
+
+        res.status(202).json(enqueueJob(type, params));
 
     } catch (error) {
-        console.error('Apollo enrichment error:', error);
+        console.error('Create job error:', error);
         res.status(500).json({
-            error: 'Failed to enrich with Apollo',
+            error: 'Failed to create job',
             message: error.message
         });
     }
 });
 
-// Manual lead enrichment endpoint
-app.post('/api/enrich-manual', async (req, res) => {
-    try {
-        const manualData = req.body;
-
-        // Check if at least one field is provided
-        const hasData = Object.values(manualData).some(value => value && value.trim() !== '');
-        if (!hasData) {
-            return res.status(400).json({
-                error: 'At least one field is required'
-            });
-        }
+// List recent jobs (filters: status, type)
+app.get('/api/jobs', (req, res) => {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
 
+    if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
+            error: `Status must be one of: ${JOB_STATUSES.join(', ')}`
+        });
+    }
 
-        let scrapedResults = [];
-        let searchMethod = 'unknown';
+    const jobs = jobQueue.list({ status, type, limit, workspaceId: currentWorkspaceId() });
+    res.json({ jobs: jobs, count: jobs.length });
+});
 
-        try {
-            const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+// Job status and progress; completed jobs include their leads
+app.get('/api/jobs/:id', (req, res) => {
+    const job = findJob(req.params.id);
 
-            if (!apiKey) {
-                throw new Error('Google Places API key not configured');
-            }
+    if (!job) {
+        return res.status(404).json({
+            error: 'Job not found'
+        });
+    }
 
-            // Strategy 1: Search by phone number if provided
-            if (manualData.phone && manualData.phone.trim()) {
-                searchMethod = 'phone';
+    if (job.result && job.result.leadIds) {
+        const leads = job.result.leadIds.map(id => leadStore.get(id)).filter(Boolean);
+        job.result.results = job.type === 'verify' ? leads : duplicateDetector.withListStatus(leads);
+    }
 
-                try {
-                    const phoneSearchUrl = 'https://maps.googleapis.com/maps/api/place/findplacefromtext/json';
-                    const phoneResponse = await axios.get(phoneSearchUrl, {
-                        params: {
-                            input: manualData.phone,
-                            inputtype: 'phonenumber',
-                            fields: 'place_id',
-                            key: apiKey
-                        }
-                    });
-
-                    if (phoneResponse.data.status === 'OK' && phoneResponse.data.candidates.length > 0) {
-                        // Get place details
-                        const placeId = phoneResponse.data.candidates[0].place_id;
-                        const detailsUrl = 'https://maps.googleapis.com/maps/api/place/details/json';
-                        const detailsResponse = await axios.get(detailsUrl, {
-                            params: {
-                                place_id: placeId,
-                                fields: 'name,formatted_address,formatted_phone_number,international_phone_number,website,rating,user_ratings_total,types,geometry,address_components',
-                                key: apiKey
-                            }
-                        });
-
-                        if (detailsResponse.data.status === 'OK') {
-                            const details = detailsResponse.data.result;
-                            scrapedResults.push(convertPlaceDetailsToLead(details, placeId));
-                        }
-                    }
-                } catch (phoneError) {
-                    console.error('Phone search failed:', phoneError.message);
-                }
-            }
+    res.json(job);
+});
 
-            // Strategy 2: Search by address if provided and no results yet
-            if (scrapedResults.length === 0 && (manualData.address || (manualData.city && manualData.zipcode))) {
-                let addressQuery = '';
+// Cancel a queued or running job (leads already stored are kept)
+app.delete('/api/jobs/:id', requirePermission('edit'), (req, res) => {
+    const job = findJob(req.params.id);
 
-                if (manualData.address) {
-                    addressQuery = manualData.address;
-                } else if (manualData.city && manualData.zipcode) {
-                    addressQuery = `${manualData.city} ${manualData.zipcode}`;
-                }
+    if (!job) {
+        return res.status(404).json({
+            error: 'Job not found'
+        });
+    }
 
-                if (manualData.country) {
-                    addressQuery += ` ${manualData.country}`;
-                }
+    if (FINISHED_STATUSES.includes(job.status)) {
+        return res.status(409).json({
+            error: `Job already ${job.status}`
+        });
+    }
 
-                searchMethod = 'address';
+    const cancelled = jobQueue.cancel(req.params.id);
+    if (cancelled.type === 'saved-search') {
+        settleSavedSearchRun(savedSearches.getRun(cancelled.params.runId));
+    }
+    res.json(cancelled);
+});
 
-                // Use text search to find businesses at the address
-                const textSearchUrl = 'https://maps.googleapis.com/maps/api/place/textsearch/json';
-                const addressResponse = await axios.get(textSearchUrl, {
-                    params: {
-                        query: `business at ${addressQuery}`,
-                        key: apiKey
-                    }
-                });
+// Spreadsheet imports: uploads are JSON { fileName, content } with the file base64-encoded
+async function parseUpload(body) {
+    const { fileName, content } = body || {};
+    if (!fileName || typeof content !== 'string' || content.length === 0) {
+        return { error: 'fileName and content (the file, base64-encoded) are required' };
+    }
+    if (!fileFormat(fileName)) {
+        return { error: 'Only .csv and .xlsx files can be imported (save .xls files as .xlsx first)' };
+    }
 
-                if (addressResponse.data.status === 'OK' && addressResponse.data.results.length > 0) {
-                    // Get details for top results
-                    for (let i = 0; i < Math.min(3, addressResponse.data.results.length); i++) {
-                        const place = addressResponse.data.results[i];
-                        const detailsUrl = 'https://maps.googleapis.com/maps/api/place/details/json';
-                        const detailsResponse = await axios.get(detailsUrl, {
-                            params: {
-                                place_id: place.place_id,
-                                fields: 'name,formatted_address,formatted_phone_number,international_phone_number,website,rating,user_ratings_total,types,geometry,address_components',
-                                key: apiKey
-                            }
-                        });
-
-                        if (detailsResponse.data.status === 'OK') {
-                            const details = detailsResponse.data.result;
-                            scrapedResults.push(convertPlaceDetailsToLead(details, place.place_id));
-                        }
+    try {
+        return { fileName, ...await parseSpreadsheet(Buffer.from(content, 'base64'), fileName) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
 
-                        await delay(100);
-                    }
+// Columns, sample rows and a suggested column -> field mapping for an uploaded file
+app.post('/api/imports/preview', requirePermission('verify'), async (req, res) => {
+    const upload = await parseUpload(req.body);
+    if (upload.error) {
+        return res.status(400).json({ error: upload.error });
+    }
 
-                }
-            }
+    res.json({
+        fileName: upload.fileName,
+        format: upload.format,
+        columns: upload.columns,
+        rowCount: upload.rows.length,
+        sampleRows: upload.rows.slice(0, 5),
+        suggestedMapping: suggestColumnMapping(upload.columns),
+        fields: Object.keys(IMPORT_FIELDS)
+    });
+});
 
-            // Strategy 3: Search by company name if provided
-            if (scrapedResults.length === 0 && manualData.companyName && manualData.companyName.trim()) {
-                searchMethod = 'company_name';
-
-                // Build location string
-                let location = null;
-                if (manualData.city && manualData.country) {
-                    location = `${manualData.city}, ${manualData.country}`;
-                } else if (manualData.city) {
-                    location = manualData.city;
-                } else if (manualData.address) {
-                    const addressParts = manualData.address.split(',');
-                    if (addressParts.length >= 2) {
-                        location = addressParts[addressParts.length - 2].trim();
-                    }
-                }
+// Start an import: { fileName, content, mapping: { column: field }, verify = true, aiProvider }.
+// Runs as an "import" job; progress is on /api/jobs/:id and the results on /api/imports/:id.
+app.post('/api/imports', requirePermission('verify'), requireProviderQuota, async (req, res) => {
+    try {
+        const upload = await parseUpload(req.body);
+        if (upload.error) {
+            return res.status(400).json({ error: upload.error });
+        }
 
-                if (location) {
-                    scrapedResults = await scrapeGoogleMaps(manualData.companyName, location, null, manualData.zipcode, manualData.country, 5);
-                } else {
-                    scrapedResults = await scrapeGoogleMaps(manualData.companyName, 'United States', null, manualData.zipcode, manualData.country, 5);
-                }
-            }
+        const mapping = req.body.mapping || suggestColumnMapping(upload.columns);
+        const mappingError = validateColumnMapping(mapping, upload.columns);
+        if (mappingError) {
+            return res.status(400).json({ error: mappingError });
+        }
 
-        } catch (scrapeError) {
-            console.error('Scraping failed, will use manual data only:', scrapeError.message);
+        const quotaError = req.body.verify !== false ? verificationQuotaError(upload.rows.length) : null;
+        if (quotaError) {
+            return res.status(429).json(quotaError);
         }
 
-        // Find best match from scraped results
-        let enrichedLead = { ...manualData, id: Date.now() };
+        const imported = importStore.create(currentWorkspaceId(), { ...upload, mapping });
+        const job = enqueueJob('import', {
+            importId: imported.id,
+            verify: req.body.verify !== false,
+            aiProvider: req.body.aiProvider || 'both',
+            noCache: req.body.noCache === true
+        });
+        importStore.setJobId(imported.id, job.id);
 
-        if (scrapedResults.length > 0) {
-            let bestMatch = scrapedResults[0];
+        res.status(202).json({ ...importStore.get(imported.id), job });
 
-            // If company name was provided, try to find best match
-            if (manualData.companyName && manualData.companyName.trim()) {
-                const exactMatch = scrapedResults.find(result =>
-                    result.companyName.toLowerCase() === manualData.companyName.toLowerCase()
-                );
+    } catch (error) {
+        console.error('Create import error:', error);
+        res.status(500).json({
+            error: 'Failed to start import',
+            message: error.message
+        });
+    }
+});
 
-                const partialMatch = scrapedResults.find(result =>
-                    result.companyName.toLowerCase().includes(manualData.companyName.toLowerCase()) ||
-                    manualData.companyName.toLowerCase().includes(result.companyName.toLowerCase())
-                );
+// Import status: row counts by status, and the per-row results with ?rows=true (paged with ?limit= and
+// ?offset=, up to the role's maxPageSize)
+app.get('/api/imports/:id', (req, res) => {
+    const imported = findImport(req.params.id);
 
-                bestMatch = exactMatch || partialMatch || scrapedResults[0];
-            }
+    if (!imported) {
+        return res.status(404).json({
+            error: 'Import not found'
+        });
+    }
 
-            // Merge scraped data with manual data
-            enrichedLead = {
-                ...bestMatch,
-                id: Date.now(),
-                // Manual data overrides scraped data only if provided and not empty
-                companyName: manualData.companyName?.trim() || bestMatch.companyName,
-                phone: manualData.phone?.trim() || bestMatch.phone,
-                address: manualData.address?.trim() || bestMatch.address,
-                zipcode: manualData.zipcode?.trim() || bestMatch.zipcode,
-                city: manualData.city?.trim() || bestMatch.city,
-                country: manualData.country?.trim() || bestMatch.country,
-                industry: manualData.industry?.trim() || bestMatch.industry,
-                ownerName: manualData.ownerName?.trim() || bestMatch.ownerName,
-                website: bestMatch.website,
-                rating: bestMatch.rating,
-                reviewCount: bestMatch.reviewCount
-            };
+    const job = imported.jobId ? jobQueue.get(imported.jobId) : null;
+    const limit = cappedPageSize(parseInt(req.query.limit, 10) || undefined);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    res.json({
+        ...imported,
+        jobStatus: job ? job.status : null,
+        rows: req.query.rows === 'true' ? importStore.listRows(imported.id, { limit, offset }) : undefined
+    });
+});
 
-        } else {
-            // No results from scraping, use whatever manual data was provided
-            enrichedLead.companyName = manualData.companyName || 'Unknown Business';
-        }
+// The uploaded file with Status, Error, Warnings and the enriched lead columns added (?format=csv|xlsx,
+// defaults to the uploaded format). Rows not processed yet are marked pending.
+app.get('/api/imports/:id/download', requirePermission('export'), async (req, res) => {
+    try {
+        const imported = findImport(req.params.id);
 
-        // Now verify and enrich with AI
-        const verifiedLead = await verifyLeadWithAI(enrichedLead, 'both');
+        if (!imported) {
+            return res.status(404).json({
+                error: 'Import not found'
+            });
+        }
 
-        // Add metadata about enrichment
-        verifiedLead.enrichmentSource = scrapedResults.length > 0 ? `Google Maps (${searchMethod}) + AI` : 'Manual + AI';
-        verifiedLead.scrapedDataAvailable = scrapedResults.length > 0;
-        verifiedLead.searchMethod = searchMethod;
+        const format = req.query.format || (imported.format === 'csv' ? 'csv' : 'xlsx');
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({
+                error: 'Format must be csv or xlsx'
+            });
+        }
 
+        const rows = importStore.listRows(imported.id);
+        const leadsById = new Map(rows
+            .filter(row => row.leadId)
+            .map(row => [row.leadId, leadStore.get(row.leadId)])
+            .filter(([, lead]) => lead));
 
-        res.json(verifiedLead);
+        const file = await buildResultFile(imported, rows, leadsById, format);
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${file.fileName.replace(/"/g, '')}"`);
+        res.send(file.buffer);
 
     } catch (error) {
-        console.error('Manual enrichment error:', error);
+        console.error('Import download error:', error);
         res.status(500).json({
-            error: 'Failed to enrich lead',
+            error: 'Failed to build import results',
             message: error.message
         });
     }
 });
 
-// Helper function to clean and validate phone number
-function cleanPhoneNumber(phone) {
-    if (!phone || phone === 'N/A') return 'N/A';
+// Saved searches: { name, query, area | location, country, zipcode, maxLeads, source, schedule, timezone, enabled }.
+// schedule is a cron expression (null = run by hand only), evaluated in timezone (default UTC).
+function startSavedSearchRun(search, trigger, userId) {
+    const run = savedSearches.createRun(search.id, trigger);
+    const job = enqueueJob('saved-search', { savedSearchId: search.id, runId: run.id }, search.workspaceId, userId);
+    savedSearches.setRunJob(run.id, job.id);
+    return { ...savedSearches.getRun(run.id), job };
+}
 
-    // Remove any text that's not a phone number
-    // Phone numbers should contain digits, spaces, dashes, parentheses, plus signs
-    const phonePattern = /[\d\s\-\(\)\+\.]/g;
-    const matches = phone.match(phonePattern);
+// A run whose job has finished without finishing the run (cancelled before it started) takes the job's status
+function settleSavedSearchRun(run) {
+    const job = run && run.jobId ? jobQueue.get(run.jobId) : null;
+    if (job && ['queued', 'running'].includes(run.status) && FINISHED_STATUSES.includes(job.status)) {
+        savedSearches.setRunStatus(run.id, job.status, job.error);
+        return savedSearches.getRun(run.id);
+    }
+    return run;
+}
 
-    if (!matches) return 'N/A';
+// The search's run that is still queued or running, or null; a search runs once at a time
+function activeSavedSearchRun(search) {
+    const run = settleSavedSearchRun(savedSearches.activeRun(search.id));
+    return run && ['queued', 'running'].includes(run.status) ? run : null;
+}
 
-    const cleaned = matches.join('').trim();
+// Scheduled runs run as the user who saved the search, and are skipped once that user has left the workspace
+function startScheduledRun(search) {
+    if (!search.createdBy) {
+        console.warn(`[Schedule] Skipped saved search ${search.id}: it was saved before runs had a user; save it again to schedule it`);
+        return null;
+    }
+    if (!workspaces.isMember(search.workspaceId, search.createdBy)) {
+        console.warn(`[Schedule] Skipped saved search ${search.id}: the user who saved it is no longer a member of its workspace`);
+        return null;
+    }
+    if (activeSavedSearchRun(search)) {
+        console.warn(`[Schedule] Skipped saved search ${search.id}: its previous run has not finished`);
+        return null;
+    }
+    return startSavedSearchRun(search, 'schedule', search.createdBy);
+}
 
-    // Check if it looks like a phone number (has at least 7 digits)
-    const digitCount = (cleaned.match(/\d/g) || []).length;
-    if (digitCount < 7) return 'N/A';
+const searchScheduler = createSearchScheduler({ store: savedSearches, startRun: startScheduledRun });
 
-    return cleaned;
+// A saved search in the current workspace, or null
+function findSavedSearch(id) {
+    const search = savedSearches.get(id);
+    return search && search.workspaceId === currentWorkspaceId() ? search : null;
 }
 
-// Helper function to clean and validate zipcode
-function cleanZipcode(zipcode) {
-    if (!zipcode || zipcode === 'N/A') return 'N/A';
+// Stored leads for the IDs a run recorded (merged or deleted ones resolve or drop out)
+function runLeads(leadIds) {
+    return [...new Map(leadIds.map(id => leadStore.get(id)).filter(Boolean).map(lead => [lead.id, lead])).values()];
+}
 
-    // Remove anything that's not digits, letters, spaces, or dashes
-    let cleaned = zipcode.replace(/[^0-9A-Za-z\s\-]/g, '').trim();
+app.get('/api/saved-searches', (req, res) => {
+    const searches = savedSearches.list(currentWorkspaceId()).map(search => ({
+        ...search,
+        lastRun: savedSearches.listRuns(search.id, 1)[0] || null
+    }));
+    res.json({ searches: searches, count: searches.length });
+});
 
-    // Zipcodes should be short (US: 5 or 9 digits, Canada: 6 chars, UK: 6-8 chars)
-    // If longer than 15 characters, it's probably not a zipcode
-    if (cleaned.length > 15) return 'N/A';
+app.post('/api/saved-searches', requirePermission('scrape'), (req, res) => {
+    const validationError = validateSavedSearch(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            error: validationError
+        });
+    }
 
-    // If it contains full words like "United States", it's not a zipcode
-    if (cleaned.match(/United|States|America|Canada|Kingdom|City|County|Street|Avenue|Road/i)) {
-        return 'N/A';
+    const searchError = checkSearchAllowed(req.body);
+    if (searchError) {
+        return res.status(403).json({
+            error: searchError
+        });
     }
 
-    return cleaned;
-}
+    res.status(201).json(savedSearches.create(currentWorkspaceId(), req.body, getRequestContext().userId));
+});
 
-// Helper function to clean and validate address
-function cleanAddress(address) {
-    if (!address || address === 'N/A') return 'N/A';
+app.get('/api/saved-searches/:id', (req, res) => {
+    const search = findSavedSearch(req.params.id);
+    if (!search) {
+        return res.status(404).json({
+            error: 'Saved search not found'
+        });
+    }
+    res.json({ ...search, runs: savedSearches.listRuns(search.id) });
+});
 
-    const cleaned = address.trim();
+// Change a saved search; fields left out are unchanged (area: null switches to the location)
+app.put('/api/saved-searches/:id', requirePermission('edit'), (req, res) => {
+    const search = findSavedSearch(req.params.id);
+    if (!search) {
+        return res.status(404).json({
+            error: 'Saved search not found'
+        });
+    }
 
-    // Check if it looks like a phone number (too many digits relative to length)
-    const digitCount = (cleaned.match(/\d/g) || []).length;
-    const totalLength = cleaned.length;
+    const { name, schedule, timezone } = search;
+    const validationError = validateSavedSearch({ name, schedule, timezone, ...search.params, ...req.body });
+    if (validationError) {
+        return res.status(400).json({
+            error: validationError
+        });
+    }
 
-    // If more than 40% digits and less than 30 chars, it's probably a phone number
-    if (digitCount > 7 && (digitCount / totalLength) > 0.4 && totalLength < 30) {
-        return 'N/A';
+    const searchError = checkSearchAllowed({ ...search.params, ...req.body });
+    if (searchError) {
+        return res.status(403).json({
+            error: searchError
+        });
     }
 
-    // Check for phone number patterns
-    const phonePatterns = [
-        /^\+?1?\s*\(?\d{3}\)?[\s\-]?\d{3}[\s\-]?\d{4}$/,  // US phone format
-        /^\(\d{3}\)\s*\d{3}[\s\-]?\d{4}$/,  // (555) 555-5555
-        /^\d{3}[\s\-]\d{3}[\s\-]\d{4}$/,  // 555-555-5555
-        /^\+\d{1,3}[\s\-]?\d{3,4}[\s\-]?\d{3,4}[\s\-]?\d{3,4}$/  // International
-    ];
+    res.json(savedSearches.update(search.id, req.body, getRequestContext().userId));
+});
 
-    for (const pattern of phonePatterns) {
-        if (pattern.test(cleaned)) {
-            return 'N/A';
-        }
+// Delete a saved search and its run history (leads found by it stay in the lead store)
+app.delete('/api/saved-searches/:id', requirePermission('delete'), (req, res) => {
+    const search = findSavedSearch(req.params.id);
+    if (!search) {
+        return res.status(404).json({
+            error: 'Saved search not found'
+        });
     }
 
-    // Check if it looks like a person's name (2-3 words, each capitalized, no numbers or street indicators)
-    const words = cleaned.split(/\s+/);
-    const hasStreetIndicators = /Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Way|Court|Ct|Circle|Place|Pl|Square|Sq|Parkway|Pkwy|\d+/i.test(cleaned);
+    savedSearches.remove(search.id);
+    res.json({ message: 'Saved search deleted' });
+});
 
-    // If it's 2-4 words, all capitalized, no street indicators and no numbers, it's likely a name
-    if (words.length >= 2 && words.length <= 4 && !hasStreetIndicators) {
-        const allCapitalized = words.every(word => /^[A-Z][a-z]+$/.test(word));
-        if (allCapitalized) {
-            return 'N/A';
-        }
+// Run a saved search now; progress on /api/jobs/:id as for any job
+app.post('/api/saved-searches/:id/run', requirePermission('scrape'), requireProviderQuota, (req, res) => {
+    const search = findSavedSearch(req.params.id);
+    if (!search) {
+        return res.status(404).json({
+            error: 'Saved search not found'
+        });
     }
 
-    // Check if it's too short to be a real address (less than 10 chars)
-    if (cleaned.length < 10) {
-        return 'N/A';
+    const searchError = checkSearchAllowed(search.params);
+    if (searchError) {
+        return res.status(403).json({
+            error: searchError
+        });
     }
 
-    return cleaned;
-}
+    if (activeSavedSearchRun(search)) {
+        return res.status(409).json({
+            error: 'This saved search is already running'
+        });
+    }
 
-// Helper function to convert Google Place Details to Lead format
-function convertPlaceDetailsToLead(details, placeId) {
-    const addressComponents = details.address_components || [];
-    let extractedZipcode = '';
-    let extractedCity = '';
-    let extractedCountry = '';
-    let extractedState = '';
+    res.status(202).json(startSavedSearchRun(search, 'manual'));
+});
 
-    addressComponents.forEach(component => {
-        if (component.types.includes('postal_code')) {
-            extractedZipcode = component.long_name;
-        }
-        if (component.types.includes('locality')) {
-            extractedCity = component.long_name;
-        }
-        if (component.types.includes('country')) {
-            extractedCountry = component.long_name;
-        }
-        if (component.types.includes('administrative_area_level_1')) {
-            extractedState = component.short_name;
-        }
-    });
+// Run history, newest first
+app.get('/api/saved-searches/:id/runs', (req, res) => {
+    const search = findSavedSearch(req.params.id);
+    if (!search) {
+        return res.status(404).json({
+            error: 'Saved search not found'
+        });
+    }
 
-    // Clean and validate the extracted data
-    const cleanedPhone = cleanPhoneNumber(details.formatted_phone_number || details.international_phone_number);
-    const cleanedZipcode = cleanZipcode(extractedZipcode);
-    const cleanedAddress = cleanAddress(details.formatted_address);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const runs = savedSearches.listRuns(search.id, limit);
+    res.json({ runs: runs, count: runs.length });
+});
 
-    const types = details.types || [];
-    let industry = 'Business';
-    if (types.includes('restaurant')) industry = 'Restaurant';
-    else if (types.includes('store') || types.includes('retail')) industry = 'Retail';
-    else if (types.includes('hospital') || types.includes('doctor')) industry = 'Healthcare';
-    else if (types.includes('lawyer')) industry = 'Legal Services';
-    else if (types.includes('real_estate_agency')) industry = 'Real Estate';
-    else if (types.includes('cafe') || types.includes('bakery')) industry = 'Food & Beverage';
-    else if (types.includes('gym')) industry = 'Fitness';
-    else if (types.includes('beauty_salon') || types.includes('spa')) industry = 'Beauty & Wellness';
-    else if (types.length > 0) {
-        industry = types[0].replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+// One run with its leads and the new businesses among them
+app.get('/api/saved-searches/:id/runs/:runId', (req, res) => {
+    const search = findSavedSearch(req.params.id);
+    const run = search ? savedSearches.getRun(req.params.runId) : null;
+    if (!run || run.searchId !== search.id) {
+        return res.status(404).json({
+            error: 'Run not found'
+        });
     }
 
-    return {
-        id: Date.now() + Math.random(),
-        companyName: details.name,
-        phone: cleanedPhone,
-        address: cleanedAddress,
-        zipcode: cleanedZipcode,
-        city: extractedCity || 'N/A',
-        country: extractedCountry || 'N/A',
-        state: extractedState || '',
-        industry: industry,
-        website: details.website || 'N/A',
-        rating: details.rating || 'N/A',
-        reviewCount: details.user_ratings_total || 0,
-        latitude: details.geometry?.location?.lat || null,
-        longitude: details.geometry?.location?.lng || null,
-        placeId: placeId,
-        types: types,
-        source: 'Google Places API'
-    };
+    res.json({ ...run, results: runLeads(run.leadIds), newLeads: runLeads(run.newLeadIds) });
+});
+
+// "New businesses since last run": the new leads of the latest completed run
+app.get('/api/saved-searches/:id/new', (req, res) => {
+    const search = findSavedSearch(req.params.id);
+    if (!search) {
+        return res.status(404).json({
+            error: 'Saved search not found'
+        });
+    }
+
+    const [run, previous] = savedSearches.listRuns(search.id, 100).filter(candidate => candidate.status === 'completed');
+    const leads = run ? duplicateDetector.withListStatus(runLeads(run.newLeadIds)) : [];
+    res.json({
+        run: run || null,
+        since: previous ? previous.createdAt : null,
+        leads: leads,
+        count: leads.length
+    });
+});
+
+// Periodic re-verification: verified leads not checked for REVERIFY_AFTER_DAYS are re-checked in
+// batches of REVERIFY_BATCH_SIZE as reverify jobs (see lead-reverification.js)
+function startReverification(leadIds, trigger, workspaceId) {
+    return enqueueJob('reverify', { leadIds, trigger, requestedAt: new Date().toISOString() }, workspaceId);
 }
 
-// Get AI status endpoint (check which APIs are configured)
-app.get('/api/ai-status', (req, res) => {
-    // Check if OpenAI key is configured and valid (not a placeholder)
-    const openaiKey = process.env.OPENAI_API_KEY;
+const reverificationScheduler = createReverificationScheduler({
+    listWorkspaceIds: () => workspaces.listIds(),
+    listVerifiedLeads: (workspaceId) => runWithRequestContext({ workspaceId }, () => leadStore.list({ verified: true }).leads),
+    isBusy: (workspaceId) => ['queued', 'running']
+        .some(status => jobQueue.list({ type: 'reverify', status, workspaceId, limit: 1 }).length > 0),
+    startRun: (leadIds, workspaceId) => startReverification(leadIds, 'schedule', workspaceId)
+});
 
-    // Simplified validation - just check if key exists and starts with sk-
-    const openaiConfigured = openaiKey &&
-        openaiKey.trim().length > 20 &&
-        (openaiKey.trim().startsWith('sk-') || openaiKey.trim().startsWith('sk-proj-'));
+// Scheduler settings and how many leads are due a re-check now
+app.get('/api/reverification', (req, res) => {
+    const afterDays = reverifyAfterDays();
+    const dueCount = afterDays > 0 ? selectDueLeads(leadStore.list({ verified: true }).leads, afterDays).length : 0;
+    res.json({
+        enabled: afterDays > 0,
+        afterDays: afterDays,
+        batchSize: reverifyBatchSize(),
+        dueCount: dueCount,
+        lastJob: jobQueue.list({ type: 'reverify', workspaceId: currentWorkspaceId(), limit: 1 })[0] || null
+    });
+});
 
-    // Check if Anthropic key is configured and valid (not a placeholder)
-    const claudeKey = process.env.ANTHROPIC_API_KEY;
-    const claudeConfigured = claudeKey &&
-        claudeKey.trim() !== '' &&
-        !claudeKey.includes('your_anthropic') &&
-        !claudeKey.includes('api_key_here') &&
-        claudeKey.startsWith('sk-ant-');
+// Re-check the given leads now, or (without leadIds) the leads not checked for olderThanDays
+app.post('/api/leads/reverify', requirePermission('verify'), requireProviderQuota, (req, res) => {
+    const { leadIds, olderThanDays } = req.body || {};
 
-    // Check if Apollo key is configured and valid (not a placeholder)
-    const apolloKey = process.env.APOLLO_API_KEY;
-    const apolloConfigured = apolloKey &&
-        apolloKey.trim() !== '' &&
-        !apolloKey.includes('your_apollo') &&
-        !apolloKey.includes('api_key_here') &&
-        apolloKey.trim().length > 10;
+    if (leadIds !== undefined && (!Array.isArray(leadIds) || leadIds.length === 0 || !leadIds.every(id => typeof id === 'string'))) {
+        return res.status(400).json({
+            error: 'leadIds must be a non-empty array of lead IDs'
+        });
+    }
+    if (olderThanDays !== undefined && !(typeof olderThanDays === 'number' && olderThanDays >= 0)) {
+        return res.status(400).json({
+            error: 'olderThanDays must be a number of days (0 or more)'
+        });
+    }
 
-    // Check if Numverify key is configured and valid (not a placeholder)
-    const numverifyKey = process.env.NUMVERIFY_API_KEY;
-    const numverifyConfigured = numverifyKey &&
-        numverifyKey.trim() !== '' &&
-        !numverifyKey.includes('your_numverify') &&
-        !numverifyKey.includes('api_key_here') &&
-        numverifyKey.trim().length > 10;
+    const ids = leadIds || selectDueLeads(leadStore.list({ verified: true }).leads, olderThanDays ?? (reverifyAfterDays() || 30))
+        .map(lead => lead.id);
+    if (ids.length === 0) {
+        return res.json({ message: 'No leads are due a re-check', job: null });
+    }
 
-    // Check if People Data Labs key is configured and valid (not a placeholder)
-    const pdlKey = process.env.PDL_API_KEY;
-    const pdlConfigured = pdlKey &&
-        pdlKey.trim() !== '' &&
-        !pdlKey.includes('your_pdl') &&
-        !pdlKey.includes('api_key_here') &&
-        pdlKey.trim().length > 20;
+    const quotaError = verificationQuotaError(ids.length);
+    if (quotaError) {
+        return res.status(429).json(quotaError);
+    }
 
-    // Check if Hunter.io key is configured and valid (not a placeholder)
-    const hunterKey = process.env.HUNTER_API_KEY;
-    const hunterConfigured = hunterKey &&
-        hunterKey.trim() !== '' &&
-        !hunterKey.includes('your_hunter') &&
-        !hunterKey.includes('api_key_here') &&
-        hunterKey.trim().length > 20;
+    res.status(202).json({ job: startReverification(ids, 'manual') });
+});
 
-    // Check if Yelp key is configured and valid (not a placeholder)
-    const yelpKey = process.env.YELP_API_KEY;
-    const yelpConfigured = yelpKey &&
-        yelpKey.trim() !== '' &&
-        !yelpKey.includes('your_yelp') &&
-        !yelpKey.includes('api_key_here') &&
-        yelpKey.trim().length > 20;
+// Re-check one lead right away; returns the updated lead and what the check found
+app.post('/api/leads/:id/reverify', requirePermission('verify'), requireProviderQuota, async (req, res) => {
+    try {
+        const lead = leadStore.get(req.params.id);
+        if (!lead) {
+            return res.status(404).json({
+                error: 'Lead not found'
+            });
+        }
 
-    res.json({
-        openai: {
-            configured: openaiConfigured,
-            status: openaiConfigured ? 'active' : 'not configured'
-        },
-        claude: {
-            configured: claudeConfigured,
-            status: claudeConfigured ? 'active' : 'not configured'
-        },
-        apollo: {
-            configured: apolloConfigured,
-            status: apolloConfigured ? 'active' : 'not configured'
-        },
-        numverify: {
-            configured: numverifyConfigured,
-            status: numverifyConfigured ? 'active' : 'not configured'
-        },
-        peopleDataLabs: {
-            configured: pdlConfigured,
-            status: pdlConfigured ? 'active' : 'not configured'
-        },
-        hunter: {
-            configured: hunterConfigured,
-            status: hunterConfigured ? 'active' : 'not configured'
-        },
-        yelp: {
-            configured: yelpConfigured,
-            status: yelpConfigured ? 'active' : 'not configured'
-        },
-        recommendation: !openaiConfigured && !claudeConfigured
-            ? 'Configure at least one AI API key in the .env file for enhanced lead verification'
-            : 'All services ready'
-    });
+        const quotaError = verificationQuotaError(1);
+        if (quotaError) {
+            return res.status(429).json(quotaError);
+        }
+
+        res.json(await reverifyLead(lead));
+
+    } catch (error) {
+        console.error('Reverify lead error:', error);
+        res.status(500).json({
+            error: 'Failed to re-verify lead',
+            message: error.message
+        });
+    }
 });
 
-// Get all scraped leads (for admin/debugging)
-app.get('/api/leads', (req, res) => {
-    res.json({
-        leads: scrapedLeads,
-        count: scrapedLeads.length
-    });
+// A lead's re-check history, newest first
+app.get('/api/leads/:id/reverifications', (req, res) => {
+    const lead = leadStore.get(req.params.id);
+    if (!lead) {
+        return res.status(404).json({
+            error: 'Lead not found'
+        });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const checks = reverifications.list(lead.id, limit);
+    res.json({ checks: checks, count: checks.length, changeFlags: lead.changeFlags || {} });
 });
 
-// Clear all scraped leads (for admin/debugging)
-app.delete('/api/leads', (req, res) => {
-    scrapedLeads = [];
-    res.json({ message: 'All leads cleared' });
+// Dismiss a change flag once it has been dealt with (a later check can raise it again)
+app.delete('/api/leads/:id/flags/:flag', requirePermission('edit'), (req, res) => {
+    if (!CHANGE_FLAGS.includes(req.params.flag)) {
+        return res.status(400).json({
+            error: `flag must be one of: ${CHANGE_FLAGS.join(', ')}`
+        });
+    }
+
+    const lead = leadStore.get(req.params.id);
+    if (!lead) {
+        return res.status(404).json({
+            error: 'Lead not found'
+        });
+    }
+
+    const changeFlags = Object.fromEntries(Object.entries(lead.changeFlags || {}).filter(([flag]) => flag !== req.params.flag));
+    res.json(leadStore.update(lead.id, { changeFlags }, { touch: false }));
 });
 
 // Geocoding endpoint (for location search)
-app.post('/api/geocode', async (req, res) => {
+app.post('/api/geocode', requirePermission('scrape'), requireProviderQuota, async (req, res) => {
     try {
         const { query } = req.body;
 
@@ -2767,18 +5316,42 @@ app.post('/api/geocode', async (req, res) => {
 
 // Statistics endpoint
 app.get('/api/stats', (req, res) => {
+    res.json(leadStore.stats());
+});
+
+// Canonical industry taxonomy (NAICS code and sector per industry) for filters and exports
+app.get('/api/industries', (req, res) => {
+    res.json({ industries: listIndustries() });
+});
+
+// The workspace's provider response cache: TTLs, entry counts and hit/miss counts since startup
+app.get('/api/cache/stats', (req, res) => {
+    res.json({ providers: providerCache.stats() });
+});
+
+// Clear the workspace's cached provider responses (?provider=apollo clears one provider)
+app.delete('/api/cache', requirePermission('configure'), (req, res) => {
+    const removed = providerCache.clear(req.query.provider);
+    res.json({ message: 'Cache cleared', removed: removed, provider: req.query.provider || null });
+});
+
+// The workspace's provider usage and estimated cost: today, this month, per day (?days=30) and server budget status
+app.get('/api/usage', (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+        res.json(usageTracker.report({ days }));
+    } catch (error) {
+        console.error('Usage report error:', error);
+        res.status(500).json({ error: 'Failed to build usage report', message: error.message });
+    }
+});
+
+// The signed-in user's and workspace's request and provider-call budgets: limit, used, remaining and resetsAt
+app.get('/api/quota', (req, res) => {
     res.json({
-        totalLeads: scrapedLeads.length,
-        verifiedLeads: scrapedLeads.filter(l => l.verified).length,
-        averageConfidence: scrapedLeads.length > 0
-            ? scrapedLeads.reduce((sum, l) => sum + (l.aiConfidence || 0), 0) / scrapedLeads.length
-            : 0,
-        topIndustries: scrapedLeads.reduce((acc, lead) => {
-            if (lead.industry) {
-                acc[lead.industry] = (acc[lead.industry] || 0) + 1;
-            }
-            return acc;
-        }, {})
+        quotas: apiQuotas.report(quotaOwner()),
+        limits: { requests: quotaLimits('requests'), providerCalls: quotaLimits('providerCalls') },
+        verificationsToday: verificationQuota()
     });
 });
 
@@ -2792,13 +5365,21 @@ app.use((error, req, res, next) => {
 });
 
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Lead Scraper Backend running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/api/health`);
-    console.log(`Scrape endpoint: http://localhost:${PORT}/api/scrape`);
-    console.log(`Area scrape endpoint: http://localhost:${PORT}/api/scrape-area`);
-    console.log(`Verify endpoint: http://localhost:${PORT}/api/verify`);
-});
+// Start server (tests load the app and listen on their own port, without the background jobs)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Lead Scraper Backend running on port ${PORT}`);
+        console.log(`Health check: http://localhost:${PORT}/api/health`);
+        console.log(`Scrape endpoint: http://localhost:${PORT}/api/scrape`);
+        console.log(`Area scrape endpoint: http://localhost:${PORT}/api/scrape-area`);
+        console.log(`Verify endpoint: http://localhost:${PORT}/api/verify`);
+        console.log(`Jobs endpoint: http://localhost:${PORT}/api/jobs`);
+        console.log(`Usage endpoint: http://localhost:${PORT}/api/usage`);
+
+        jobQueue.start();
+        searchScheduler.start();
+        reverificationScheduler.start();
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,169 @@
+const { isEmptyValue } = require('./lead-store');
+
+// Per-network URL rules: which hosts belong to it and which paths are a real profile (not a post, share or search)
+const NETWORKS = {
+    facebook: {
+        hosts: ['facebook.com', 'fb.com'],
+        canonicalHost: 'www.facebook.com',
+        reserved: ['sharer', 'sharer.php', 'share', 'share.php', 'dialog', 'plugins', 'tr', 'login', 'login.php', 'groups', 'events', 'watch', 'photo', 'photo.php', 'story.php', 'permalink.php', 'hashtag', 'search', 'help', 'policies', 'privacy', 'home.php', 'marketplace', 'gaming', 'reel'],
+        profile(segments, searchParams) {
+            if (segments[0] === 'profile.php') {
+                const id = searchParams.get('id');
+                return /^\d+$/.test(id || '') ? { handle: id, path: `profile.php?id=${id}` } : null;
+            }
+            if (segments[0] === 'pages' && segments.length >= 2) {
+                return { handle: segments.slice(1, 3).join('/'), path: `pages/${segments.slice(1, 3).join('/')}` };
+            }
+            return /^[A-Za-z0-9.-]{2,}$/.test(segments[0]) ? { handle: segments[0], path: segments[0] } : null;
+        }
+    },
+    instagram: {
+        hosts: ['instagram.com'],
+        canonicalHost: 'www.instagram.com',
+        reserved: ['p', 'reel', 'reels', 'explore', 'stories', 'accounts', 'tv', 'direct', 'about', 'legal'],
+        profile: ([handle]) => (/^[A-Za-z0-9._]{1,30}$/.test(handle) ? { handle, path: handle } : null)
+    },
+    linkedin: {
+        hosts: ['linkedin.com'],
+        canonicalHost: 'www.linkedin.com',
+        reserved: [],
+        profile([kind, slug]) {
+            if (!['company', 'in', 'school', 'showcase'].includes(kind) || !/^[A-Za-z0-9%_.-]{2,}$/.test(slug || '')) return null;
+            return { handle: slug, path: `${kind}/${slug}` };
+        }
+    },
+    twitter: {
+        hosts: ['twitter.com', 'x.com'],
+        canonicalHost: 'x.com',
+        reserved: ['intent', 'share', 'home', 'search', 'hashtag', 'i', 'explore', 'settings', 'login', 'signup', 'tos', 'privacy'],
+        profile: ([handle]) => (/^[A-Za-z0-9_]{1,15}$/.test(handle) ? { handle, path: handle } : null)
+    },
+    youtube: {
+        hosts: ['youtube.com'],
+        canonicalHost: 'www.youtube.com',
+        reserved: ['watch', 'embed', 'shorts', 'results', 'playlist', 'feed'],
+        profile([first, second]) {
+            if (/^@[A-Za-z0-9._-]{3,}$/.test(first)) return { handle: first, path: first };
+            if (['channel', 'c', 'user'].includes(first) && /^[A-Za-z0-9_-]{2,}$/.test(second || '')) {
+                return { handle: second, path: `${first}/${second}` };
+            }
+            return null;
+        }
+    },
+    tiktok: {
+        hosts: ['tiktok.com'],
+        canonicalHost: 'www.tiktok.com',
+        reserved: [],
+        profile: ([handle]) => (/^@[A-Za-z0-9._]{2,24}$/.test(handle) ? { handle, path: handle } : null)
+    },
+    pinterest: {
+        hosts: ['pinterest.com'],
+        canonicalHost: 'www.pinterest.com',
+        reserved: ['pin', 'search', 'ideas', 'today'],
+        profile: ([handle]) => (/^[A-Za-z0-9_]{3,30}$/.test(handle) ? { handle, path: handle } : null)
+    },
+    yelp: {
+        hosts: ['yelp.com', 'yelp.ca', 'yelp.co.uk', 'yelp.com.au'],
+        canonicalHost: null,
+        reserved: [],
+        profile: ([kind, slug]) => (kind === 'biz' && /^[A-Za-z0-9%_-]{2,}$/.test(slug || '') ? { handle: slug, path: `biz/${slug}` } : null)
+    }
+};
+
+// A social profile URL as { network, handle, url } with a canonical https URL, or null when it isn't a profile
+function normalizeSocialUrl(rawUrl) {
+    if (isEmptyValue(rawUrl)) return null;
+
+    let parsed;
+    try {
+        const trimmed = String(rawUrl).trim();
+        parsed = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch {
+        return null;
+    }
+
+    // Match the host itself or with one subdomain (www., m., de., ...) dropped
+    const hostname = parsed.hostname.toLowerCase();
+    const parentHost = hostname.split('.').slice(1).join('.');
+    const entry = Object.entries(NETWORKS).find(([, rules]) => rules.hosts.includes(hostname) || rules.hosts.includes(parentHost));
+    if (!entry) return null;
+
+    const [network, rules] = entry;
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    if (segments.length === 0 || rules.reserved.includes(segments[0].toLowerCase())) return null;
+
+    const profile = rules.profile(segments, parsed.searchParams);
+    if (!profile) return null;
+
+    return {
+        network,
+        handle: profile.handle,
+        url: `https://${rules.canonicalHost || parsed.hostname.toLowerCase()}/${profile.path}`
+    };
+}
+
+// Profile URL fields as providers return them (linkedinUrl, facebookUrl, ...)
+function candidatesFromFields(data, fields, source, type) {
+    if (!data) return [];
+    return fields
+        .filter(field => !isEmptyValue(data[field]))
+        .map(field => ({ url: data[field], source, type, evidence: field }));
+}
+
+// Evidence a lead already carries from search results or an earlier verification
+function candidatesFromLead(lead) {
+    const fromSearch = /Apollo Organizations/.test(lead.source || '')
+        ? candidatesFromFields(lead, ['linkedinUrl', 'facebookUrl', 'twitterUrl'], 'Apollo', 'company')
+        : candidatesFromFields(lead, ['linkedinUrl', 'facebookUrl', 'twitterUrl'], lead.source || 'Lead data', 'person');
+
+    const previous = (lead.socialProfiles || []).flatMap(profile =>
+        profile.sources.map(source => ({ url: profile.url, type: profile.type, ...source })));
+
+    return [
+        ...fromSearch,
+        ...candidatesFromFields(lead, ['yelpUrl'], 'Yelp', 'company'),
+        ...previous
+    ];
+}
+
+// Validate candidates and group them per profile, keeping every source that pointed at it
+function buildSocialProfiles(candidates) {
+    const profiles = new Map();
+
+    for (const candidate of candidates) {
+        const normalized = normalizeSocialUrl(candidate.url);
+        if (!normalized) continue;
+
+        const key = normalized.url.toLowerCase();
+        if (!profiles.has(key)) {
+            profiles.set(key, { ...normalized, type: candidate.type, sources: [] });
+        }
+
+        const profile = profiles.get(key);
+        // A profile some source ties to the business is a company profile
+        if (candidate.type === 'company') profile.type = 'company';
+        if (!profile.sources.some(s => s.source === candidate.source && s.evidence === candidate.evidence)) {
+            profile.sources.push({ source: candidate.source, evidence: candidate.evidence });
+        }
+    }
+
+    const socialProfiles = [...profiles.values()];
+
+    // Legacy { network: url } map - company profiles only, best-supported first
+    const socialMedia = {};
+    [...socialProfiles]
+        .filter(profile => profile.type === 'company')
+        .sort((a, b) => b.sources.length - a.sources.length)
+        .forEach(profile => {
+            if (!socialMedia[profile.network]) socialMedia[profile.network] = profile.url;
+        });
+
+    return { socialProfiles, socialMedia };
+}
+
+module.exports = {
+    normalizeSocialUrl,
+    candidatesFromFields,
+    candidatesFromLead,
+    buildSocialProfiles
+};
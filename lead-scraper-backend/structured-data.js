@@ -0,0 +1,225 @@
+const cheerio = require('cheerio');
+
+// Types that describe the page or parts of an entity, never the business itself
+const NON_BUSINESS_TYPES = new Set([
+    'Person', 'WebSite', 'WebPage', 'AboutPage', 'ContactPage', 'CollectionPage', 'ItemPage', 'BreadcrumbList',
+    'ListItem', 'ImageObject', 'VideoObject', 'PostalAddress', 'GeoCoordinates', 'OpeningHoursSpecification',
+    'SearchAction', 'ReadAction', 'EntryPoint', 'Offer', 'AggregateOffer', 'Product', 'Review', 'AggregateRating',
+    'Rating', 'Article', 'BlogPosting', 'NewsArticle', 'Event', 'Menu', 'MenuItem', 'ContactPoint', 'Place',
+    'SiteNavigationElement', 'WPHeader', 'WPFooter', 'FAQPage', 'Question', 'Answer', 'HowTo', 'Service'
+]);
+
+const OWNER_TITLE_PATTERN = /\b(co-?owner|owner|co-?founder|founder|ceo|chief executive|president|proprietor|managing director|managing partner|principal)\b/i;
+
+const DAY_ABBREVIATIONS = {
+    monday: 'Mo', tuesday: 'Tu', wednesday: 'We', thursday: 'Th', friday: 'Fr', saturday: 'Sa', sunday: 'Su'
+};
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+// "https://schema.org/Restaurant" / "schema:Restaurant" -> "Restaurant"
+const typeName = (type) => String(type).split(/[/#:]/).pop();
+
+const typesOf = (node) => asArray(node['@type']).map(typeName);
+
+function text(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object') return text(value.name || value['@value'] || value['@id']);
+    const trimmed = String(value).replace(/\s+/g, ' ').trim();
+    return trimmed || null;
+}
+
+// JSON-LD blocks are often hand-written: tolerate comments, CDATA wrappers and trailing commas
+function parseJsonLd(raw) {
+    const cleaned = raw
+        .replace(/^\s*<!--/, '').replace(/-->\s*$/, '')
+        .replace(/^\s*\/\/\s*<!\[CDATA\[/, '').replace(/\/\/\s*\]\]>\s*$/, '')
+        .trim();
+    try {
+        return JSON.parse(cleaned);
+    } catch {
+        try {
+            return JSON.parse(cleaned.replace(/,\s*([}\]])/g, '$1').replace(/[\u0000-\u001f]+/g, ' '));
+        } catch {
+            return null;
+        }
+    }
+}
+
+// Every typed node in a JSON-LD document (walks @graph, arrays and nested values)
+function collectTypedNodes(value, nodes = []) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectTypedNodes(item, nodes));
+    } else if (value && typeof value === 'object') {
+        if (value['@type']) nodes.push(value);
+        for (const [key, child] of Object.entries(value)) {
+            if (key !== '@context') collectTypedNodes(child, nodes);
+        }
+    }
+    return nodes;
+}
+
+// Microdata item -> the same shape as a JSON-LD node ({ '@type', prop: value | [values] })
+function readMicrodataItem($, element) {
+    const item = { '@type': asArray(($(element).attr('itemtype') || '').split(/\s+/).filter(Boolean)) };
+
+    $(element).find('[itemprop]').each((_, propElement) => {
+        // Properties of nested items belong to those items
+        const owner = $(propElement).parent().closest('[itemscope]');
+        if (owner.length === 0 || owner[0] !== element) return;
+
+        const node = $(propElement);
+        const value = node.is('[itemscope]')
+            ? readMicrodataItem($, propElement)
+            : node.attr('content') || node.attr('href') || node.attr('src') || node.attr('datetime') || node.text();
+
+        for (const name of node.attr('itemprop').split(/\s+/).filter(Boolean)) {
+            item[name] = item[name] === undefined ? value : [...asArray(item[name]), value];
+        }
+    });
+
+    return item;
+}
+
+function normalizeAddress(address) {
+    const postal = asArray(address)[0];
+    if (!postal) return null;
+    if (typeof postal !== 'object') {
+        return { street: null, city: null, region: null, postalCode: null, country: null, text: text(postal) };
+    }
+
+    const parts = {
+        street: text(postal.streetAddress),
+        city: text(postal.addressLocality),
+        region: text(postal.addressRegion),
+        postalCode: text(postal.postalCode),
+        country: text(postal.addressCountry)
+    };
+    const line = [parts.street, parts.city, [parts.region, parts.postalCode].filter(Boolean).join(' '), parts.country]
+        .filter(Boolean).join(', ');
+    return { ...parts, text: line || null };
+}
+
+// openingHours strings and OpeningHoursSpecification objects -> ["Mo-Fr 09:00-17:00", ...]
+function normalizeOpeningHours(node) {
+    const hours = asArray(node.openingHours).flatMap(value => String(value).split(/\s*,\s*(?=[A-Z][a-z])/)).map(text).filter(Boolean);
+
+    for (const spec of asArray(node.openingHoursSpecification)) {
+        if (!spec || typeof spec !== 'object') continue;
+        const days = asArray(spec.dayOfWeek)
+            .map(day => DAY_ABBREVIATIONS[typeName(text(day) || '').toLowerCase()] || text(day))
+            .filter(Boolean)
+            .join(',');
+        const opens = text(spec.opens);
+        const closes = text(spec.closes);
+        if (days && opens && closes) hours.push(`${days} ${opens.slice(0, 5)}-${closes.slice(0, 5)}`);
+    }
+
+    return [...new Set(hours)];
+}
+
+function normalizePerson(person) {
+    if (!person) return null;
+    if (typeof person !== 'object') {
+        const name = text(person);
+        return name ? { name, jobTitle: null } : null;
+    }
+    const name = text(person.name) || [text(person.givenName), text(person.familyName)].filter(Boolean).join(' ') || null;
+    return name ? { name, jobTitle: text(person.jobTitle) } : null;
+}
+
+function normalizeBusiness(node, types) {
+    const geo = asArray(node.geo)[0];
+    const latitude = parseFloat(geo?.latitude);
+    const longitude = parseFloat(geo?.longitude);
+
+    return {
+        type: types[0],
+        name: text(node.name) || text(node.legalName),
+        telephone: text(node.telephone),
+        email: text(node.email)?.replace(/^mailto:/i, '').toLowerCase() || null,
+        url: text(node.url),
+        address: normalizeAddress(node.address),
+        openingHours: normalizeOpeningHours(node),
+        sameAs: asArray(node.sameAs).map(text).filter(value => value && /^https?:\/\//i.test(value)),
+        founders: asArray(node.founder).map(normalizePerson).filter(Boolean),
+        employees: asArray(node.employee || node.employees).map(normalizePerson).filter(Boolean),
+        priceRange: text(node.priceRange),
+        geo: Number.isFinite(latitude) && Number.isFinite(longitude) ? { lat: latitude, lng: longitude } : null
+    };
+}
+
+// Businesses and people described by a page's JSON-LD and microdata
+function extractStructuredData(html) {
+    const $ = cheerio.load(html);
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+        const parsed = parseJsonLd($(element).html() || '');
+        if (parsed) collectTypedNodes(parsed, nodes);
+    });
+
+    $('[itemscope][itemtype]').each((_, element) => {
+        // Nested items are read as properties of their parent
+        if ($(element).is('[itemprop]')) return;
+        collectTypedNodes(readMicrodataItem($, element), nodes);
+    });
+
+    const businesses = [];
+    const people = [];
+
+    for (const node of nodes) {
+        const types = typesOf(node);
+        if (types.includes('Person')) {
+            const person = normalizePerson(node);
+            if (person) people.push(person);
+        } else if (types.some(type => !NON_BUSINESS_TYPES.has(type)) &&
+            (node.telephone || node.address || node.openingHours || node.openingHoursSpecification || node.founder)) {
+            businesses.push(normalizeBusiness(node, types.filter(type => !NON_BUSINESS_TYPES.has(type))));
+        }
+    }
+
+    return { businesses, people };
+}
+
+// Combine per-page results ({ businesses, people, page }) into one business profile and an owner
+function summarizeStructuredData(pages) {
+    const businesses = pages.flatMap(({ businesses, page }) => businesses.map(business => ({ ...business, page })));
+    if (businesses.length === 0 && pages.every(({ people }) => people.length === 0)) {
+        return null;
+    }
+
+    // First value wins per field; list fields are unioned
+    const business = {};
+    for (const entry of businesses) {
+        for (const [key, value] of Object.entries(entry)) {
+            if (Array.isArray(value)) {
+                business[key] = [...(business[key] || []), ...value];
+            } else if (business[key] === undefined || business[key] === null) {
+                business[key] = value;
+            }
+        }
+    }
+    business.sameAs = [...new Set(business.sameAs || [])];
+    business.openingHours = [...new Set(business.openingHours || [])];
+
+    // An explicit founder, else a Person/employee with an owner-type title
+    const founder = businesses.flatMap(entry => entry.founders.map(person => ({ ...person, page: entry.page })))[0];
+    const titled = [
+        ...businesses.flatMap(entry => entry.employees.map(person => ({ ...person, page: entry.page }))),
+        ...pages.flatMap(({ people, page }) => people.map(person => ({ ...person, page })))
+    ].find(person => person.jobTitle && OWNER_TITLE_PATTERN.test(person.jobTitle));
+    const owner = founder
+        ? { name: founder.name, title: founder.jobTitle || 'Founder', page: founder.page }
+        : titled ? { name: titled.name, title: titled.jobTitle, page: titled.page } : null;
+
+    return {
+        business: businesses.length > 0 ? business : null,
+        owner
+    };
+}
+
+module.exports = {
+    extractStructuredData,
+    summarizeStructuredData
+};
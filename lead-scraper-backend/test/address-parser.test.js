@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAddress, withParsedAddress } = require('../address-parser');
+
+test('parseAddress splits US addresses and standardizes the street', () => {
+    assert.deepStrictEqual(parseAddress('123 MAIN STREET STE 200, Springfield, IL 62701-1234'), {
+        streetNumber: '123',
+        street: 'Main St',
+        unit: 'Suite 200',
+        city: 'Springfield',
+        region: 'IL',
+        postalCode: '62701-1234',
+        country: 'US',
+        line1: '123 Main St',
+        formatted: '123 Main St, Suite 200, Springfield, IL 62701-1234, US'
+    });
+});
+
+test('parseAddress recognises CA, GB and AU formats without a country', () => {
+    const toronto = parseAddress('200-100 Queen Street West, Toronto, ON M5H 2N2');
+    assert.strictEqual(toronto.country, 'CA');
+    assert.strictEqual(toronto.unit, 'Unit 200');
+    assert.strictEqual(toronto.postalCode, 'M5H 2N2');
+
+    const guildford = parseAddress('Flat 2, 10 High Street, Guildford, Surrey GU1 3AA');
+    assert.deepStrictEqual([guildford.country, guildford.street, guildford.unit, guildford.city, guildford.region],
+        ['GB', 'High Street', 'Flat 2', 'Guildford', 'Surrey']);
+
+    const sydney = parseAddress('5/12 George St, Sydney NSW 2000');
+    assert.deepStrictEqual([sydney.country, sydney.streetNumber, sydney.unit, sydney.city, sydney.region],
+        ['AU', '12', 'Unit 5', 'Sydney', 'NSW']);
+});
+
+test('parseAddress prefers the format an address fits over the given country', () => {
+    const parsed = parseAddress('12 Baker Street, London W1U 3BW', { country: 'US' });
+    assert.strictEqual(parsed.country, 'GB');
+    assert.strictEqual(parsed.city, 'London');
+});
+
+test('parseAddress handles number-last streets and a trailing country name', () => {
+    const parsed = parseAddress('Hauptstraße 5, 10115 Berlin, Germany');
+    assert.deepStrictEqual([parsed.streetNumber, parsed.street, parsed.postalCode, parsed.city, parsed.country],
+        ['5', 'Hauptstraße', '10115', 'Berlin', 'DE']);
+});
+
+test('parseAddress returns null for phone numbers and placeholders', () => {
+    for (const value of ['(555) 555-5555', '+44 20 7946 0958', 'N/A', '', null]) {
+        assert.strictEqual(parseAddress(value), null, String(value));
+    }
+});
+
+test('withParsedAddress fills empty fields but keeps provider values', () => {
+    const lead = withParsedAddress({ address: '123 Main St, Springfield, IL 62701', city: 'Springfield Township', state: '' });
+    assert.strictEqual(lead.city, 'Springfield Township');
+    assert.strictEqual(lead.state, 'IL');
+    assert.strictEqual(lead.zipcode, '62701');
+    assert.strictEqual(lead.addressParts.line1, '123 Main St');
+});
+
+test('withParsedAddress drops phone numbers, names and fragments from the address field', () => {
+    for (const address of ['(555) 555-5555', 'Golden Dragon Restaurant', 'John Smith', 'Main', "Joe's Pizza"]) {
+        const lead = withParsedAddress({ companyName: "Joe's Pizza", address });
+        assert.strictEqual(lead.address, 'N/A', address);
+        assert.strictEqual(lead.addressParts, null, address);
+    }
+    assert.strictEqual(withParsedAddress({ companyName: 'Bakery', address: 'Court Street Bakery' }).address, 'Court Street Bakery');
+});
@@ -0,0 +1,106 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { METRICS, quotaLimits, createApiQuotas } = require('../api-quotas');
+
+const quotas = createApiQuotas();
+const at = (iso) => Date.parse(iso);
+
+// Runs fn with the given environment variables set (undefined = unset), then restores them
+function withEnv(values, fn) {
+    const previous = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+    const apply = (entries) => {
+        for (const [name, value] of Object.entries(entries)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    };
+    try {
+        apply(values);
+        fn();
+    } finally {
+        apply(previous);
+    }
+}
+
+test('quotaLimits has defaults per metric and reads env overrides', () => {
+    assert.deepStrictEqual(METRICS, ['requests', 'providerCalls']);
+    assert.deepStrictEqual(quotaLimits('requests'), { windowMinutes: 15, user: 1000, workspace: 3000 });
+    assert.deepStrictEqual(quotaLimits('providerCalls'), { windowMinutes: 60, user: 2000, workspace: 6000 });
+
+    withEnv({
+        QUOTA_USER_REQUESTS: '5',
+        QUOTA_WORKSPACE_REQUESTS: 'none',
+        QUOTA_REQUESTS_WINDOW_MINUTES: '0',
+        QUOTA_USER_PROVIDER_CALLS: 'many',
+        QUOTA_PROVIDER_CALLS_WINDOW_MINUTES: '30'
+    }, () => {
+        // A zero window would never reset, so it keeps the default
+        assert.deepStrictEqual(quotaLimits('requests'), { windowMinutes: 15, user: 5, workspace: null });
+        assert.deepStrictEqual(quotaLimits('providerCalls'), { windowMinutes: 30, user: 2000, workspace: 6000 });
+    });
+});
+
+test('usage counts against the user and the workspace in fixed windows', () => {
+    const owner = { userId: 'user-a', workspaceId: 'ws-a' };
+    quotas.add('requests', owner, 3, at('2026-05-01T10:01:00Z'));
+    quotas.add('requests', { workspaceId: 'ws-a' }, 2, at('2026-05-01T10:14:00Z'));
+
+    assert.deepStrictEqual(quotas.status('requests', 'user', 'user-a', at('2026-05-01T10:10:00Z')), {
+        scope: 'user',
+        metric: 'requests',
+        limit: 1000,
+        used: 3,
+        remaining: 997,
+        windowMinutes: 15,
+        resetsAt: '2026-05-01T10:15:00.000Z'
+    });
+    assert.strictEqual(quotas.status('requests', 'workspace', 'ws-a', at('2026-05-01T10:10:00Z')).used, 5);
+    assert.strictEqual(quotas.status('providerCalls', 'workspace', 'ws-a', at('2026-05-01T10:10:00Z')).used, 0);
+
+    // The next window starts from zero
+    assert.strictEqual(quotas.status('requests', 'user', 'user-a', at('2026-05-01T10:15:00Z')).used, 0);
+
+    const report = quotas.report(owner, at('2026-05-01T10:10:00Z'));
+    assert.deepStrictEqual(Object.keys(report), METRICS);
+    assert.deepStrictEqual([report.requests.user.used, report.requests.workspace.used], [3, 5]);
+    assert.deepStrictEqual(Object.keys(quotas.report({ workspaceId: 'ws-a' }).requests), ['workspace']);
+});
+
+test('tightest and exceeded pick whichever budget has the least left', () => {
+    const now = at('2026-05-02T09:00:00Z');
+    const owner = { userId: 'user-b', workspaceId: 'ws-b' };
+
+    withEnv({ QUOTA_USER_PROVIDER_CALLS: '10', QUOTA_WORKSPACE_PROVIDER_CALLS: '4' }, () => {
+        quotas.add('providerCalls', owner, 3, now);
+        assert.deepStrictEqual(
+            [quotas.tightest('providerCalls', owner, now).scope, quotas.tightest('providerCalls', owner, now).remaining],
+            ['workspace', 1]
+        );
+        assert.strictEqual(quotas.exceeded('providerCalls', owner, now), null);
+
+        quotas.add('providerCalls', owner, 2, now);
+        const exhausted = quotas.exceeded('providerCalls', owner, now);
+        assert.deepStrictEqual([exhausted.scope, exhausted.used, exhausted.remaining], ['workspace', 5, 0]);
+    });
+
+    withEnv({ QUOTA_USER_PROVIDER_CALLS: 'none', QUOTA_WORKSPACE_PROVIDER_CALLS: 'none' }, () => {
+        // With no caps there is nothing to exceed; tightest still reports the user's usage
+        const entry = quotas.tightest('providerCalls', owner, now);
+        assert.deepStrictEqual([entry.scope, entry.limit, entry.remaining], ['user', null, null]);
+        assert.strictEqual(quotas.exceeded('providerCalls', owner, now), null);
+    });
+
+    assert.strictEqual(quotas.tightest('requests', {}, now), null);
+    assert.strictEqual(quotas.exceeded('requests', {}, now), null);
+});
+
+test('windows older than a week are pruned', () => {
+    const owner = { userId: 'user-c', workspaceId: 'ws-c' };
+    quotas.add('requests', owner, 7, at('2026-06-01T12:00:00Z'));
+    assert.strictEqual(quotas.status('requests', 'user', 'user-c', at('2026-06-01T12:05:00Z')).used, 7);
+
+    quotas.add('requests', owner, 1, at('2026-06-09T12:00:00Z'));
+    assert.strictEqual(quotas.status('requests', 'user', 'user-c', at('2026-06-01T12:05:00Z')).used, 0);
+});
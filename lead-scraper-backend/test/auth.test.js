@@ -0,0 +1,102 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateCredentials, normalizeUsername, createAuthStore } = require('../auth');
+
+const auth = createAuthStore();
+
+test('validateCredentials checks the username and password length', () => {
+    assert.strictEqual(validateCredentials({ username: 'Dana.Q@corp', password: 'password123' }), null);
+    assert.match(validateCredentials({ username: 'ab', password: 'password123' }), /3-64 characters/);
+    assert.match(validateCredentials({ username: 'dana q', password: 'password123' }), /3-64 characters/);
+    assert.match(validateCredentials({ username: 'dana', password: 'short' }), /at least 8 characters/);
+    assert.strictEqual(normalizeUsername('  Dana '), 'dana');
+});
+
+test('passwords are hashed and checked case-insensitively by username', () => {
+    const user = auth.createUser({ username: 'Alice', password: 'password123', name: 'Alice' });
+    assert.strictEqual(user.username, 'alice');
+    assert.strictEqual(user.authMethod, 'password');
+    assert.strictEqual(user.passwordHash, undefined);
+
+    assert.strictEqual(auth.authenticate('ALICE', 'password123').id, user.id);
+    assert.strictEqual(auth.authenticate('alice', 'password124'), null);
+    assert.strictEqual(auth.authenticate('nobody', 'password123'), null);
+    assert.strictEqual(auth.findByUsername(' alice ').id, user.id);
+});
+
+test('sessions are found by token, switch workspace and end on sign-out', () => {
+    const user = auth.createUser({ username: 'bob', password: 'password123' });
+    const { token, expiresAt } = auth.createSession(user.id, 'ws-1');
+    assert.ok(expiresAt > new Date().toISOString());
+
+    const session = auth.getSession(token);
+    assert.deepStrictEqual([session.user.id, session.workspaceId], [user.id, 'ws-1']);
+    assert.strictEqual(auth.get(user.id).lastWorkspaceId, 'ws-1');
+
+    auth.setSessionWorkspace(token, 'ws-2');
+    assert.strictEqual(auth.getSession(token).workspaceId, 'ws-2');
+
+    auth.deleteSession(token);
+    assert.strictEqual(auth.getSession(token), null);
+    assert.strictEqual(auth.getSession('made-up'), null);
+    assert.strictEqual(auth.getSession(null), null);
+});
+
+test('stream tokens work once, on their own path, while the session lasts', () => {
+    const user = auth.createUser({ username: 'carol', password: 'password123' });
+    const { token: session } = auth.createSession(user.id, 'ws-1');
+
+    const stream = auth.createStreamToken(session, '/api/verify/stream');
+    assert.notStrictEqual(stream.token, session);
+    assert.strictEqual(auth.useStreamToken(stream.token, '/api/verify/stream').user.id, user.id);
+    assert.strictEqual(auth.useStreamToken(stream.token, '/api/verify/stream'), null);
+
+    // A token used on another path is spent as well
+    const other = auth.createStreamToken(session, '/api/verify/stream');
+    assert.strictEqual(auth.useStreamToken(other.token, '/api/leads'), null);
+    assert.strictEqual(auth.useStreamToken(other.token, '/api/verify/stream'), null);
+
+    const late = auth.createStreamToken(session, '/api/verify/stream');
+    auth.deleteSession(session);
+    assert.strictEqual(auth.useStreamToken(late.token, '/api/verify/stream'), null);
+
+    // The session token itself is not a stream token
+    const { token: live } = auth.createSession(user.id, 'ws-1');
+    assert.strictEqual(auth.useStreamToken(live, '/api/verify/stream'), null);
+});
+
+test('stream tokens expire after a minute', (t) => {
+    const user = auth.createUser({ username: 'dave', password: 'password123' });
+    const { token: session } = auth.createSession(user.id, 'ws-1');
+    const stream = auth.createStreamToken(session, '/api/verify/stream');
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 1000 });
+    assert.strictEqual(auth.useStreamToken(stream.token, '/api/verify/stream'), null);
+});
+
+test('OIDC identities get their own account, or sign in to an invitation for their verified email', () => {
+    const identity = { issuer: 'https://idp.test', subject: 'sub-1', username: 'Erin@Corp.test', name: 'Erin', email: 'erin@corp.test', emailVerified: true };
+    assert.strictEqual(auth.findOidcUser(identity), null);
+
+    const created = auth.createOidcUser(identity);
+    assert.deepStrictEqual([created.username, created.authMethod], ['erin@corp.test', 'oidc']);
+    assert.strictEqual(auth.findOidcUser({ ...identity, email: 'changed@corp.test' }).id, created.id);
+
+    // A taken username gets a suffix
+    const twin = auth.createOidcUser({ ...identity, subject: 'sub-2' });
+    assert.match(twin.username, /^erin@corp\.test-[0-9a-f]{6}$/);
+
+    const invited = auth.createInvitedUser({ email: 'Finn@Corp.test', name: null });
+    assert.deepStrictEqual([invited.username, invited.email, invited.authMethod], ['finn@corp.test', 'finn@corp.test', 'invited']);
+    assert.strictEqual(auth.authenticate('finn@corp.test', ''), null);
+
+    const finn = { issuer: 'https://idp.test', subject: 'sub-3', name: 'Finn', email: 'finn@corp.test' };
+    assert.strictEqual(auth.findOidcUser({ ...finn, emailVerified: false }), null);
+    const linked = auth.findOidcUser({ ...finn, emailVerified: true });
+    assert.deepStrictEqual([linked.id, linked.authMethod, linked.name], [invited.id, 'oidc', 'Finn']);
+
+    // The invitation is used up: another identity with the same email doesn't get it
+    assert.strictEqual(auth.findOidcUser({ ...finn, subject: 'sub-4', emailVerified: true }), null);
+});
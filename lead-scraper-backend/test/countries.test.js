@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveCountry, countryCodeOf } = require('../countries');
+
+test('resolveCountry accepts ISO codes in every form', () => {
+    const us = { code: 'US', alpha3: 'USA', name: 'United States' };
+    assert.deepStrictEqual(resolveCountry('us'), us);
+    assert.deepStrictEqual(resolveCountry('USA'), us);
+    assert.deepStrictEqual(resolveCountry('840'), us);
+    assert.strictEqual(resolveCountry('UK').code, 'GB');
+});
+
+test('resolveCountry accepts local-language names and common aliases', () => {
+    assert.strictEqual(resolveCountry('Deutschland').name, 'Germany');
+    assert.strictEqual(resolveCountry('Allemagne').code, 'DE');
+    assert.strictEqual(resolveCountry('Holland').code, 'NL');
+    assert.strictEqual(resolveCountry('United States of America').code, 'US');
+    assert.strictEqual(resolveCountry('Russian Federation').name, 'Russia');
+});
+
+test('resolveCountry returns null for unknown values and placeholders', () => {
+    for (const value of ['Narnia', 'XX', '999', '', 'N/A', null, undefined]) {
+        assert.strictEqual(resolveCountry(value), null, String(value));
+    }
+    assert.strictEqual(countryCodeOf('Narnia'), null);
+    assert.strictEqual(countryCodeOf('France'), 'FR');
+});
@@ -0,0 +1,132 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLeadStore } = require('../lead-store');
+const { createDuplicateDetector, indexKeys, withoutListStatus } = require('../duplicate-detector');
+
+for (const adapter of ['sqlite', 'memory']) {
+    function detectorFor(workspaceId) {
+        let current = workspaceId;
+        const store = createLeadStore({ adapter, workspaceId: () => current, matchKeys: indexKeys });
+        const detector = createDuplicateDetector(store);
+        const storeLeads = (leads) => detector.assignClusters(store.upsertMany(leads));
+        return { store, detector, storeLeads, use: (next) => { current = next; } };
+    }
+
+    const google = { placeId: 'g1', companyName: "Joe's Pizza", phone: '+1 212-555-0100', city: 'New York', source: 'Google Places API' };
+    const yelp = { yelpId: 'y1', companyName: 'Joes Pizza', phone: '(212) 555-0100', city: 'New York', source: 'Yelp Fusion API' };
+    const other = { yelpId: 'y2', companyName: 'Tea House', phone: '(212) 555-0199', city: 'New York', source: 'Yelp Fusion API' };
+
+    test(`${adapter}: leads stored in separate batches share a cluster`, () => {
+        const { store, detector, storeLeads } = detectorFor(`cluster-${adapter}`);
+        const [first] = storeLeads([google]);
+        assert.strictEqual(first.duplicateClusterId, undefined);
+
+        const [match, unrelated] = storeLeads([yelp, other]);
+        assert.match(match.duplicateClusterId, /^dup_/);
+        assert.strictEqual(store.get(first.id).duplicateClusterId, match.duplicateClusterId);
+        assert.strictEqual(unrelated.duplicateClusterId, undefined);
+
+        assert.deepStrictEqual(detector.listClusters().clusters.map(cluster => cluster.count), [2]);
+        assert.deepStrictEqual(detector.clusterMembers(match.duplicateClusterId).map(lead => lead.id).sort(), [first.id, match.id].sort());
+    });
+
+    test(`${adapter}: clusters never span workspaces`, () => {
+        const { storeLeads, use } = detectorFor(`iso-a-${adapter}`);
+        storeLeads([google]);
+
+        use(`iso-b-${adapter}`);
+        const [lead] = storeLeads([yelp]);
+        assert.strictEqual(lead.duplicateClusterId, undefined);
+    });
+
+    test(`${adapter}: edited leads are found by their new keys`, () => {
+        const { store, storeLeads } = detectorFor(`edit-${adapter}`);
+        const [lead] = storeLeads([{ ...google, phone: 'N/A', city: 'Boston' }]);
+        assert.deepStrictEqual(store.findByKeys(['phone:2125550100']), []);
+
+        store.update(lead.id, { phone: '212 555 0100' });
+        assert.deepStrictEqual(store.findByKeys(['phone:2125550100']).map(found => found.id), [lead.id]);
+
+        store.remove(lead.id);
+        assert.deepStrictEqual(store.findByKeys(['phone:2125550100']), []);
+    });
+
+    test(`${adapter}: a lead matching two clusters joins them`, () => {
+        const { store, storeLeads } = detectorFor(`join-${adapter}`);
+        const [a, b] = storeLeads([
+            { placeId: 'j1', companyName: 'Corner Cafe', phone: '555-0101', website: 'https://cornercafe.test' },
+            { placeId: 'j2', companyName: 'Corner Cafe', phone: '555-0101' }
+        ]);
+        const [c, d] = storeLeads([
+            { yelpId: 'j3', companyName: 'The Corner Cafe', website: 'https://www.cornercafe.test/menu' },
+            { yelpId: 'j4', companyName: 'Corner Cafe Bistro', phone: '555-0202', website: 'https://bistro.test' }
+        ]);
+        assert.strictEqual(c.duplicateClusterId, store.get(a.id).duplicateClusterId);
+        assert.strictEqual(d.duplicateClusterId, undefined);
+
+        const [bridge] = storeLeads([{ yelpId: 'j5', companyName: 'Corner Cafe Bistro', phone: '555-0101', website: 'https://bistro.test' }]);
+        const clusterIds = new Set([a, b, c, d, bridge].map(lead => store.get(lead.id).duplicateClusterId));
+        assert.strictEqual(clusterIds.size, 1);
+    });
+
+    test(`${adapter}: dismissed leads are not clustered again`, () => {
+        const { store, detector, storeLeads } = detectorFor(`dismiss-${adapter}`);
+        storeLeads([google]);
+        const [lead] = storeLeads([yelp]);
+
+        detector.dismissCluster(lead.duplicateClusterId);
+        const [again] = storeLeads([yelp]);
+        assert.strictEqual(again.duplicateClusterId, null);
+        assert.deepStrictEqual(detector.listClusters(), { clusters: [], total: 0 });
+        assert.strictEqual(store.list().total, 2);
+    });
+
+    test(`${adapter}: merging keeps the verified lead and marks the others as already listed`, () => {
+        const { store, detector, storeLeads } = detectorFor(`merge-${adapter}`);
+        const [stored] = storeLeads([{ ...google, verified: true, website: 'https://joes.test' }]);
+        const [found] = storeLeads([yelp]);
+
+        const [listed] = detector.withListStatus([found]);
+        assert.strictEqual(listed.alreadyInList, true);
+        assert.strictEqual(listed.listedLeadId, stored.id);
+        assert.strictEqual(withoutListStatus(listed).alreadyInList, undefined);
+
+        const merged = detector.mergeLeads([found.id, stored.id]);
+        assert.strictEqual(merged.id, stored.id);
+        assert.strictEqual(merged.website, 'https://joes.test');
+        assert.deepStrictEqual(merged.mergedFrom, [found.id]);
+        assert.strictEqual(merged.duplicateClusterId, null);
+        assert.strictEqual(store.get(found.id).id, stored.id);
+        assert.strictEqual(detector.mergeLeads([stored.id]), null);
+    });
+
+    test(`${adapter}: clusters are listed a page at a time`, () => {
+        const { detector, storeLeads, use } = detectorFor(`page-${adapter}`);
+        for (const n of [1, 2, 3]) {
+            storeLeads([{ placeId: `p${n}`, companyName: `Shop ${n}`, phone: `212-555-030${n}` }]);
+            storeLeads([{ yelpId: `p${n}`, companyName: `Shop ${n}`, phone: `(212) 555-030${n}` }]);
+        }
+        storeLeads([{ placeId: 'alone', companyName: 'Alone', phone: '212-555-0399' }]);
+
+        const first = detector.listClusters({ limit: 2 });
+        const rest = detector.listClusters({ limit: 2, offset: 2 });
+        assert.deepStrictEqual([first.total, first.clusters.length, rest.clusters.length], [3, 2, 1]);
+        assert.ok(first.clusters.every(cluster => cluster.count === 2 && cluster.leads.length === 2));
+        const clusterIds = [...first.clusters, ...rest.clusters].map(cluster => cluster.clusterId);
+        assert.strictEqual(new Set(clusterIds).size, 3);
+        assert.deepStrictEqual(detector.listClusters().clusters.map(cluster => cluster.clusterId), clusterIds);
+
+        use(`page-other-${adapter}`);
+        assert.deepStrictEqual(detector.listClusters(), { clusters: [], total: 0 });
+    });
+}
+
+test('sqlite: leads stored before keys were kept are keyed when the store starts', () => {
+    const workspaceId = () => 'backfill';
+    const [lead] = createLeadStore({ workspaceId }).upsertMany([{ placeId: 'b1', companyName: 'Old Lead', phone: '555-0303' }]);
+
+    const store = createLeadStore({ workspaceId, matchKeys: indexKeys });
+    assert.deepStrictEqual(store.findByKeys(indexKeys(lead)).map(found => found.id), [lead.id]);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FIELD_REASONS, isDemoMode, markMissing } = require('../field-reasons');
+
+test('markMissing nulls empty fields, records why and leaves real values alone', () => {
+    const marked = markMissing(
+        { ownerName: 'N/A', revenue: '', employeeCount: '10-50', fieldReasons: { email: FIELD_REASONS.PROVIDER_ERROR } },
+        ['ownerName', 'revenue', 'employeeCount'],
+        FIELD_REASONS.NOT_CONFIGURED
+    );
+
+    assert.strictEqual(marked.ownerName, null);
+    assert.strictEqual(marked.revenue, null);
+    assert.strictEqual(marked.employeeCount, '10-50');
+    assert.deepStrictEqual(marked.fieldReasons, {
+        email: 'provider_error',
+        ownerName: 'provider_not_configured',
+        revenue: 'provider_not_configured'
+    });
+});
+
+test('markMissing does not mutate the lead', () => {
+    const lead = { ownerName: null };
+    markMissing(lead, ['ownerName'], FIELD_REASONS.NOT_FOUND);
+    assert.deepStrictEqual(lead, { ownerName: null });
+});
+
+test('demo mode is only on with DEMO_MODE=true', () => {
+    const previous = process.env.DEMO_MODE;
+    try {
+        delete process.env.DEMO_MODE;
+        assert.strictEqual(isDemoMode(), false);
+        process.env.DEMO_MODE = '1';
+        assert.strictEqual(isDemoMode(), false);
+        process.env.DEMO_MODE = 'true';
+        assert.strictEqual(isDemoMode(), true);
+    } finally {
+        if (previous === undefined) delete process.env.DEMO_MODE;
+        else process.env.DEMO_MODE = previous;
+    }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const geo = require('../geo');
+
+const square = {
+    type: 'rectangle',
+    bounds: { north: 40.01, south: 40.0, east: -73.99, west: -74.0 }
+};
+
+test('haversineDistance measures meters along the great circle', () => {
+    // One degree of latitude is about 111 km everywhere
+    const distance = geo.haversineDistance({ lat: 0, lng: 0 }, { lat: 1, lng: 0 });
+    assert.ok(Math.abs(distance - 111195) < 10);
+    assert.strictEqual(geo.haversineDistance({ lat: 12, lng: 34 }, { lat: 12, lng: 34 }), 0);
+});
+
+test('calculateAreaCenter handles every drawn shape', () => {
+    assert.deepStrictEqual(geo.calculateAreaCenter({ type: 'circle', center: { lat: 1, lng: 2 }, radius: 5 }), { lat: 1, lng: 2 });
+    assert.deepStrictEqual(geo.calculateAreaCenter({ type: 'rectangle', bounds: { north: 2, south: 0, east: 4, west: 2 } }), { lat: 1, lng: 3 });
+    assert.deepStrictEqual(geo.calculateAreaCenter({
+        type: 'polygon',
+        coordinates: [{ lat: 0, lng: 0 }, { lat: 0, lng: 2 }, { lat: 2, lng: 2 }, { lat: 2, lng: 0 }]
+    }), { lat: 1, lng: 1 });
+    assert.deepStrictEqual(geo.calculateAreaCenter({
+        type: 'multipolygon',
+        polygons: [[{ lat: 0, lng: 0 }], [{ lat: 4, lng: 4 }]]
+    }), { lat: 2, lng: 2 });
+    assert.strictEqual(geo.calculateAreaCenter({ type: 'unknown' }), null);
+});
+
+test('calculateAreaRadius covers the farthest vertex', () => {
+    assert.strictEqual(geo.calculateAreaRadius({ type: 'circle', center: { lat: 0, lng: 0 }, radius: 1234 }), 1234);
+
+    const radius = geo.calculateAreaRadius(square);
+    const center = geo.calculateAreaCenter(square);
+    for (const vertex of geo.areaVertices(square)) {
+        assert.ok(geo.haversineDistance(center, vertex) <= radius + 1e-6);
+    }
+    assert.strictEqual(geo.calculateAreaRadius({ type: 'unknown' }), null);
+});
+
+test('isPointInArea tests circles, rectangles and polygons', () => {
+    const circle = { type: 'circle', center: { lat: 40, lng: -74 }, radius: 1000 };
+    assert.strictEqual(geo.isPointInArea({ lat: 40.005, lng: -74 }, circle), true);
+    assert.strictEqual(geo.isPointInArea({ lat: 40.02, lng: -74 }, circle), false);
+
+    assert.strictEqual(geo.isPointInArea({ lat: 40.005, lng: -73.995 }, square), true);
+    assert.strictEqual(geo.isPointInArea({ lat: 40.02, lng: -73.995 }, square), false);
+
+    // Drawn across the antimeridian
+    const pacific = { type: 'rectangle', bounds: { north: 10, south: -10, east: -170, west: 170 } };
+    assert.strictEqual(geo.isPointInArea({ lat: 0, lng: 179 }, pacific), true);
+    assert.strictEqual(geo.isPointInArea({ lat: 0, lng: 0 }, pacific), false);
+
+    const triangle = { type: 'polygon', coordinates: [{ lat: 0, lng: 0 }, { lat: 0, lng: 10 }, { lat: 10, lng: 0 }] };
+    assert.strictEqual(geo.isPointInArea({ lat: 2, lng: 2 }, triangle), true);
+    assert.strictEqual(geo.isPointInArea({ lat: 8, lng: 8 }, triangle), false);
+    assert.strictEqual(geo.isPointInArea({ lat: 2, lng: 2 }, { type: 'multipolygon', polygons: [triangle.coordinates] }), true);
+
+    assert.strictEqual(geo.isPointInArea({ lat: 0, lng: 0 }, { type: 'polyline', coordinates: [] }), null);
+});
+
+test('filterLeadsToArea drops outside leads and keeps ones without coordinates', () => {
+    const { leads, filteredOutCount, withoutCoordinatesCount } = geo.filterLeadsToArea([
+        { companyName: 'Inside', latitude: 40.005, longitude: -73.995 },
+        { companyName: 'Outside', latitude: 41, longitude: -73.995 },
+        { companyName: 'Unplaced' }
+    ], square);
+
+    assert.deepStrictEqual(leads.map(lead => lead.companyName), ['Inside', 'Unplaced']);
+    assert.strictEqual(filteredOutCount, 1);
+    assert.strictEqual(withoutCoordinatesCount, 1);
+});
+
+test('generateBoundsGrid tiles the bounding box with roughly square cells', () => {
+    const bounds = { south: 40, north: 40.09, west: -74, east: -73.88 };
+    const { widthKm, heightKm } = geo.boundsSizeKm(bounds);
+    const cells = geo.generateBoundsGrid(bounds, 2);
+
+    assert.strictEqual(cells.length, Math.ceil(heightKm / 2) * Math.ceil(widthKm / 2));
+    assert.strictEqual(Math.min(...cells.map(c => c.south)), bounds.south);
+    assert.ok(Math.abs(Math.max(...cells.map(c => c.east)) - bounds.east) < 1e-9);
+    assert.strictEqual(geo.generateBoundsGrid(bounds, 1000).length, 1);
+});
+
+test('splitCell quarters a cell without gaps', () => {
+    const quadrants = geo.splitCell({ south: 0, north: 2, west: 10, east: 14 });
+    assert.strictEqual(quadrants.length, 4);
+    assert.deepStrictEqual(quadrants[0], { south: 0, north: 1, west: 10, east: 12 });
+    assert.deepStrictEqual(quadrants[3], { south: 1, north: 2, west: 12, east: 14 });
+});
+
+test('cellIntersectsArea skips cells that miss the drawn shape', () => {
+    const triangle = { type: 'polygon', coordinates: [{ lat: 0, lng: 0 }, { lat: 0, lng: 10 }, { lat: 10, lng: 0 }] };
+    assert.strictEqual(geo.cellIntersectsArea({ south: 1, north: 2, west: 1, east: 2 }, triangle), true);
+    assert.strictEqual(geo.cellIntersectsArea({ south: 8, north: 9, west: 8, east: 9 }, triangle), false);
+    // The triangle pokes into this cell only along an edge crossing
+    assert.strictEqual(geo.cellIntersectsArea({ south: 4, north: 6, west: 4, east: 6 }, triangle), true);
+
+    const circle = { type: 'circle', center: { lat: 0, lng: 0 }, radius: 1000 };
+    assert.strictEqual(geo.cellIntersectsArea({ south: 0.005, north: 0.01, west: -0.01, east: 0.01 }, circle), true);
+    assert.strictEqual(geo.cellIntersectsArea({ south: 0.05, north: 0.06, west: -0.01, east: 0.01 }, circle), false);
+});
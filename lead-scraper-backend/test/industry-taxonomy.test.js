@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyIndustry, preferredIndustry, listIndustries, INDUSTRY_FIELDS } = require('../industry-taxonomy');
+
+test('classifyIndustry maps Google types, including New API variants', () => {
+    const fromTypes = classifyIndustry('google', ['point_of_interest', 'dentist', 'establishment']);
+    assert.strictEqual(fromTypes.industryId, 'dentists');
+    assert.strictEqual(fromTypes.naicsCode, '6212');
+    assert.strictEqual(fromTypes.sectorCode, '62');
+    assert.strictEqual(fromTypes.industryLabel, 'Dentist');
+    assert.strictEqual(fromTypes.industrySource, 'google');
+
+    assert.strictEqual(classifyIndustry('google', ['thai_restaurant']).industryId, 'restaurants');
+});
+
+test('classifyIndustry reads Yelp categories and free text', () => {
+    assert.strictEqual(classifyIndustry('yelp', [{ alias: 'pizza', title: 'Pizza' }]).industryId, 'restaurants');
+    assert.strictEqual(classifyIndustry('yelp', ['Orthodontists']).industryId, 'dentists');
+    assert.strictEqual(classifyIndustry('ai', 'A family-run pizzeria').industryId, 'restaurants');
+    assert.strictEqual(classifyIndustry('manual', 'Restaurants').industryId, 'restaurants');
+});
+
+test('classifyIndustry falls back to Other, or all nulls with nothing to classify', () => {
+    const other = classifyIndustry('apollo', 'Quantum widgetry');
+    assert.strictEqual(other.industry, 'Other');
+    assert.strictEqual(other.industryLabel, 'Quantum widgetry');
+
+    for (const value of [[], '', 'N/A', null]) {
+        assert.ok(INDUSTRY_FIELDS.every(field => classifyIndustry('ai', value)[field] === null));
+    }
+});
+
+test('preferredIndustry prefers mapped industries, then higher-priority sources', () => {
+    const google = classifyIndustry('google', ['dentist']);
+    const ai = classifyIndustry('ai', 'restaurant');
+    const manual = classifyIndustry('manual', 'restaurant');
+    const other = classifyIndustry('google', ['point_of_interest']);
+
+    assert.strictEqual(preferredIndustry(google, ai).industryId, 'dentists');
+    assert.strictEqual(preferredIndustry(google, manual).industryId, 'restaurants');
+    assert.strictEqual(preferredIndustry(other, ai).industryId, 'restaurants');
+    assert.strictEqual(preferredIndustry({}, google).industryId, 'dentists');
+    assert.strictEqual(preferredIndustry(google, null).industryId, 'dentists');
+});
+
+test('listIndustries names a sector for every industry', () => {
+    const industries = listIndustries();
+    assert.ok(industries.length > 50);
+    // Codes range from a whole sector ('44-45') down to a six-digit industry, always inside their sector
+    assert.ok(industries.every(industry => industry.sector && /^\d{2}(-\d{2}|\d{0,4})$/.test(industry.naicsCode)));
+    assert.ok(industries.every(industry => industry.naicsCode.startsWith(industry.sectorCode.slice(0, 2)) ||
+        industry.sectorCode.includes('-')));
+});
@@ -0,0 +1,81 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJobQueue } = require('../job-queue');
+
+// Handlers report what they were given, or block until cancelled
+const seen = [];
+const queue = createJobQueue({
+    handlers: {
+        echo: async (params, { onProgress, workspaceId, userId }) => {
+            seen.push({ params, workspaceId, userId });
+            onProgress({ processed: 1, error: 'first' });
+            onProgress({ processed: 2, error: 'second' });
+            return { ok: true };
+        },
+        fail: async () => {
+            throw new Error('boom');
+        },
+        block: (params, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+    }
+});
+
+// Poll until the job reaches a finished status
+async function settled(id) {
+    for (let i = 0; i < 200; i++) {
+        const job = queue.get(id);
+        if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Job ${id} never finished`);
+}
+
+test('runs a job for its owner and records progress and result', async () => {
+    const job = queue.enqueue('echo', { term: 'cafe' }, { workspaceId: 'ws-a', userId: 'user-1' });
+    assert.strictEqual(job.status, 'queued');
+
+    const done = await settled(job.id);
+    assert.strictEqual(done.status, 'completed');
+    assert.deepStrictEqual(done.result, { ok: true });
+    assert.deepStrictEqual(done.progress, { processed: 2, errors: ['first', 'second'] });
+    assert.deepStrictEqual(seen.at(-1), { params: { term: 'cafe' }, workspaceId: 'ws-a', userId: 'user-1' });
+});
+
+test('a throwing handler fails the job with its message', async () => {
+    const done = await settled(queue.enqueue('fail', {}).id);
+    assert.strictEqual(done.status, 'failed');
+    assert.strictEqual(done.error, 'boom');
+    assert.strictEqual(done.workspaceId, 'default');
+});
+
+test('list only returns jobs of the requested workspace', async () => {
+    await settled(queue.enqueue('echo', {}, { workspaceId: 'ws-b' }).id);
+    await settled(queue.enqueue('echo', {}, { workspaceId: 'ws-c' }).id);
+
+    const ofB = queue.list({ workspaceId: 'ws-b' });
+    assert.strictEqual(ofB.length, 1);
+    assert.ok(ofB.every(job => job.workspaceId === 'ws-b'));
+    assert.ok(queue.list({ workspaceId: 'ws-a', type: 'echo' }).every(job => job.workspaceId === 'ws-a'));
+    assert.strictEqual(queue.list({ workspaceId: 'ws-none' }).length, 0);
+});
+
+test('cancel stops a running job and a queued one never starts', async () => {
+    const running = queue.enqueue('block', {});
+    const queued = queue.enqueue('echo', { never: true });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(queue.get(running.id).status, 'running');
+    assert.strictEqual(queue.cancel(queued.id).status, 'cancelled');
+    assert.strictEqual(queue.cancel(running.id).status, 'cancelled');
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(queue.get(queued.id).status, 'cancelled');
+    assert.ok(!seen.some(entry => entry.params.never));
+});
+
+test('enqueue rejects unknown job types', () => {
+    assert.throws(() => queue.enqueue('nope', {}), /Unknown job type: nope/);
+});
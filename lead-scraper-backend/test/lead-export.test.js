@@ -0,0 +1,98 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { validateExportOptions, validateExportTemplate, csvRow, writeExport, createExportTemplateStore } = require('../lead-export');
+
+async function exportText(format, leads, columns) {
+    const chunks = [];
+    await writeExport(format, leads, columns, chunk => chunks.push(chunk));
+    return chunks.join('');
+}
+
+const lead = {
+    id: 'lead_1',
+    companyName: 'Acme, Inc',
+    ownerName: 'Jane Q Doe',
+    phone: '+1 212-555-0100',
+    phoneValidation: { carrier: 'Verizon' },
+    addressParts: { line1: '1 Main St', unit: 'Suite 4' },
+    emails: [{ email: 'jane@acme.test' }, { email: 'info@acme.test' }],
+    verified: true,
+    score: 42,
+    longitude: -74
+};
+
+test('validateExportOptions checks the format and column paths', () => {
+    assert.strictEqual(validateExportOptions({ format: 'csv', columns: ['phoneValidation.carrier', { path: 'score', label: 'S' }] }), null);
+    assert.match(validateExportOptions({ format: 'pdf' }), /Format must be one of/);
+    assert.match(validateExportOptions({ columns: 'companyName' }), /must be an array/);
+    assert.match(validateExportOptions({ columns: ['bad path!'] }), /Invalid column/);
+    assert.match(validateExportOptions({ columns: [{ path: 'score', label: 3 }] }), /Invalid column/);
+});
+
+test('validateExportOptions rejects paths that reach an object prototype', () => {
+    for (const path of ['__proto__', '__proto__.polluted', 'addressParts.constructor', 'constructor.prototype.polluted']) {
+        assert.match(validateExportOptions({ columns: [path] }), /Invalid column/, path);
+    }
+});
+
+test('JSON exports never write through or read from prototypes', async () => {
+    // Templates saved before paths were checked can still hold such paths
+    const text = await exportText('json', [lead], ['__proto__.polluted', 'constructor.prototype.polluted', 'companyName', 'toString']);
+    assert.deepStrictEqual(JSON.parse(text), [{ companyName: 'Acme, Inc' }]);
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual(Object.prototype.polluted, undefined);
+});
+
+test('CSV exports follow RFC 4180 and format nested values', async () => {
+    const text = await exportText('csv', [lead], ['companyName', 'addressParts.unit', 'emails', 'verified', 'score', 'phoneValidation.carrier', 'missing.path']);
+    assert.strictEqual(text, 'Company Name,Unit,All Emails,Verified,Score,Phone Carrier,missing.path\r\n' +
+        '"Acme, Inc",Suite 4,jane@acme.test; info@acme.test,Yes,42,Verizon,\r\n');
+});
+
+test('CSV cells that would run as formulas are prefixed, numbers are not', () => {
+    assert.strictEqual(csvRow(['=HYPERLINK("http://x.test")', '+1 212', '-', '@SUM(A1)', '\tx', 'plain', -74, 0]),
+        '"\'=HYPERLINK(""http://x.test"")",\'+1 212,\'-,\'@SUM(A1),\'\tx,plain,-74,0\r\n');
+    assert.strictEqual(csvRow(['\rx']), '"\'\rx"\r\n');
+});
+
+test('vCard exports fold long lines and escape text', async () => {
+    const text = await exportText('vcf', [{ ...lead, industry: 'Restaurants; Bars', companyName: 'A'.repeat(90) }], null);
+    assert.ok(text.startsWith('BEGIN:VCARD\r\nVERSION:3.0\r\nFN:Jane Q Doe\r\nN:Doe;Jane Q;;;\r\n'));
+    assert.ok(text.includes(`ORG:${'A'.repeat(71)}\r\n ${'A'.repeat(19)}\r\n`));
+    assert.ok(text.includes('NOTE:Restaurants\\; Bars - Lead score 42'));
+    assert.ok(text.endsWith('END:VCARD\r\n'));
+});
+
+test('XLSX exports have the leads and one row per email', async () => {
+    const chunks = [];
+    await writeExport('xlsx', [lead], ['companyName', 'score'], chunk => chunks.push(chunk));
+    assert.strictEqual(chunks.length, 1);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(chunks[0]);
+    assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name), ['Leads', 'Emails', 'Social Profiles', 'Score Breakdown']);
+    assert.deepStrictEqual(workbook.getWorksheet('Leads').getRow(2).values.slice(1), ['Acme, Inc', 42]);
+    assert.strictEqual(workbook.getWorksheet('Emails').rowCount, 3);
+});
+
+test('export templates are kept per workspace', () => {
+    const templates = createExportTemplateStore();
+    assert.strictEqual(validateExportTemplate({ name: '', columns: ['companyName'] }), 'name is required');
+    assert.strictEqual(validateExportTemplate({ format: 'json' }, true), null);
+
+    const created = templates.create('tpl-a', { name: ' Short ', columns: ['companyName'] });
+    assert.strictEqual(created.name, 'Short');
+    assert.strictEqual(created.format, 'csv');
+
+    assert.strictEqual(templates.get('tpl-b', created.id), null);
+    assert.strictEqual(templates.update('tpl-b', created.id, { name: 'Mine' }), null);
+    assert.strictEqual(templates.remove('tpl-b', created.id), false);
+
+    const updated = templates.update('tpl-a', created.id, { format: 'json' });
+    assert.deepStrictEqual([updated.name, updated.format, updated.columns], ['Short', 'json', ['companyName']]);
+    assert.strictEqual(templates.list('tpl-a').length, 1);
+    assert.strictEqual(templates.remove('tpl-a', created.id), true);
+});
@@ -0,0 +1,143 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const {
+    fileFormat,
+    parseSpreadsheet,
+    suggestColumnMapping,
+    validateColumnMapping,
+    mapImportRow,
+    canMatch,
+    buildResultFile,
+    createImportStore
+} = require('../lead-import');
+
+async function xlsxOf(rows, setup = () => {}) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Accounts');
+    sheet.addRows(rows);
+    setup(sheet);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+test('fileFormat accepts CSV and XLSX only', () => {
+    assert.strictEqual(fileFormat('accounts.CSV'), 'csv');
+    assert.strictEqual(fileFormat('accounts.xlsx'), 'xlsx');
+    assert.strictEqual(fileFormat('accounts.xls'), null);
+    assert.strictEqual(fileFormat('accounts'), null);
+});
+
+test('parseSpreadsheet reads CSV cells as written', async () => {
+    const csv = Buffer.from('\uFEFFCompany,Zip,Notes,Company\r\n"Acme, Inc",02134,"said ""hi""",dup\r\n,,,\r\nBeta,,,\r\n');
+    const { format, columns, rows } = await parseSpreadsheet(csv, 'list.csv');
+    assert.strictEqual(format, 'csv');
+    assert.deepStrictEqual(columns, ['Company', 'Zip', 'Notes', 'Company (2)']);
+    assert.deepStrictEqual(rows, [
+        { 'Company': 'Acme, Inc', 'Zip': '02134', 'Notes': 'said "hi"', 'Company (2)': 'dup' },
+        { 'Company': 'Beta', 'Zip': '', 'Notes': '', 'Company (2)': '' }
+    ]);
+});
+
+test('parseSpreadsheet reads XLSX cells as displayed', async () => {
+    const buffer = await xlsxOf([
+        ['Business Name', 'Zip', 'Opened', ''],
+        ['Acme', 2134, new Date('2020-03-01T00:00:00Z'), 'x'],
+        [],
+        ['Beta', null, null, null]
+    ], sheet => { sheet.getCell('B2').numFmt = '00000'; });
+
+    const { format, columns, rows } = await parseSpreadsheet(buffer, 'list.xlsx');
+    assert.strictEqual(format, 'xlsx');
+    assert.deepStrictEqual(columns, ['Business Name', 'Zip', 'Opened', 'Column 4']);
+    assert.deepStrictEqual(rows[0], { 'Business Name': 'Acme', 'Zip': '02134', 'Opened': '2020-03-01', 'Column 4': 'x' });
+    assert.strictEqual(rows.length, 2);
+});
+
+test('parseSpreadsheet rejects empty, oversized and unreadable files', async () => {
+    await assert.rejects(parseSpreadsheet(Buffer.from('Company\r\n'), 'list.csv'), /header row and at least one data row/);
+    await assert.rejects(parseSpreadsheet(Buffer.from('not a zip'), 'list.xlsx'), /Could not read list.xlsx/);
+    await assert.rejects(parseSpreadsheet(Buffer.from('x'), 'list.pdf'), /Unsupported file type/);
+
+    process.env.IMPORT_MAX_ROWS = '1';
+    try {
+        await assert.rejects(parseSpreadsheet(Buffer.from('Company\nA\nB\n'), 'list.csv'), /limited to 1/);
+    } finally {
+        delete process.env.IMPORT_MAX_ROWS;
+    }
+});
+
+test('suggestColumnMapping recognises common headers once each', () => {
+    assert.deepStrictEqual(suggestColumnMapping(['Account Name', 'Main Phone', 'Billing Street', 'Postal_Code', 'Phone', 'Notes']), {
+        'Account Name': 'companyName',
+        'Main Phone': 'phone',
+        'Billing Street': 'address',
+        'Postal_Code': 'zipcode'
+    });
+});
+
+test('validateColumnMapping needs known columns, known fields and a match field', () => {
+    const columns = ['Name', 'Tel', 'Notes'];
+    assert.strictEqual(validateColumnMapping({ Name: 'companyName', Tel: 'phone' }, columns), null);
+    assert.match(validateColumnMapping({ Nope: 'phone' }, columns), /Unknown column/);
+    assert.match(validateColumnMapping({ Notes: 'shoeSize' }, columns), /Unknown field/);
+    assert.match(validateColumnMapping({ Name: 'phone', Tel: 'phone' }, columns), /more than one column/);
+    assert.match(validateColumnMapping({ Notes: 'email' }, columns), /Map at least one/);
+    assert.match(validateColumnMapping([], columns), /must be an object/);
+});
+
+test('mapImportRow keeps mapped, non-empty cells', () => {
+    const lead = mapImportRow({ Name: ' Acme ', Tel: 'N/A', Notes: 'x' }, { Name: 'companyName', Tel: 'phone', Notes: null });
+    assert.deepStrictEqual(lead, { companyName: 'Acme' });
+    assert.strictEqual(canMatch(lead), true);
+    assert.strictEqual(canMatch({ email: 'a@b.test' }), false);
+});
+
+test('buildResultFile appends status and enriched columns', async () => {
+    const imported = { fileName: 'accounts.xlsx', columns: ['Name'] };
+    const rows = [
+        { data: { Name: 'Acme' }, status: 'verified', error: null, warnings: ['Owner not found'], leadId: 'lead_1' },
+        { data: { Name: '' }, status: 'skipped', error: 'No company name, phone or address', warnings: [], leadId: null }
+    ];
+    const leadsById = new Map([['lead_1', { companyName: 'Acme Inc', phone: 'N/A', score: 42 }]]);
+
+    const csv = await buildResultFile(imported, rows, leadsById, 'csv');
+    assert.strictEqual(csv.fileName, 'accounts_enriched.csv');
+    assert.strictEqual(csv.contentType, 'text/csv; charset=utf-8');
+    const [header, first, second] = csv.buffer.toString().split('\r\n');
+    assert.ok(header.startsWith('Name,Status,Error,Warnings,Lead ID,Enriched Company Name,'));
+    assert.ok(first.startsWith('Acme,verified,,Owner not found,lead_1,Acme Inc,'));
+    assert.ok(first.endsWith(',42'));
+    assert.ok(second.startsWith(',skipped,"No company name, phone or address",,,'));
+
+    const xlsx = await buildResultFile(imported, rows, leadsById, 'xlsx');
+    assert.strictEqual(xlsx.fileName, 'accounts_enriched.xlsx');
+    const reread = await parseSpreadsheet(xlsx.buffer, xlsx.fileName);
+    assert.strictEqual(reread.rows[0]['Enriched Company Name'], 'Acme Inc');
+    assert.strictEqual(reread.rows[1].Status, 'skipped');
+});
+
+test('the import store keeps rows and counts per import', () => {
+    const store = createImportStore();
+    const imported = store.create('ws-import', {
+        fileName: 'accounts.csv',
+        format: 'csv',
+        columns: ['Name'],
+        rows: [{ Name: 'Acme' }, { Name: 'Beta' }],
+        mapping: { Name: 'companyName' }
+    });
+    assert.strictEqual(imported.workspaceId, 'ws-import');
+    assert.deepStrictEqual(imported.counts, { pending: 2, verified: 0, enriched: 0, skipped: 0, failed: 0 });
+
+    store.recordRow(imported.id, 2, { status: 'verified', leadId: 'lead_1' });
+    store.recordRow(imported.id, 3, { status: 'failed', error: 'Not found', warnings: ['x'] });
+    store.setJobId(imported.id, 'job_1');
+
+    const reloaded = store.get(imported.id);
+    assert.strictEqual(reloaded.jobId, 'job_1');
+    assert.deepStrictEqual([reloaded.counts.verified, reloaded.counts.failed, reloaded.counts.pending], [1, 1, 0]);
+    assert.deepStrictEqual(store.listRows(imported.id).map(row => [row.rowNumber, row.status, row.leadId, row.warnings]),
+        [[2, 'verified', 'lead_1', []], [3, 'failed', null, ['x']]]);
+    assert.strictEqual(store.get('imp_missing'), null);
+});
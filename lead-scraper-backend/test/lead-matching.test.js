@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const matching = require('../lead-matching');
+
+test('normalizers strip formatting that does not change identity', () => {
+    assert.strictEqual(matching.normalizePhone('+1 (212) 555-1234'), '2125551234');
+    assert.strictEqual(matching.normalizePhone('555'), null);
+    assert.strictEqual(matching.normalizePhone('N/A'), null);
+    assert.strictEqual(matching.extractDomain('https://www.Joes.com/menu?x=1'), 'joes.com');
+    assert.strictEqual(matching.extractDomain('https://facebook.com/joes'), null);
+    assert.strictEqual(matching.normalizeName("The Joe's Pizza & Co, LLC"), 'joe s pizza and');
+    assert.strictEqual(matching.normalizeStreet('123 Main Street, Springfield, IL'), '123 main st');
+});
+
+test('stringSimilarity is 1 for equal strings and 0 for disjoint ones', () => {
+    assert.strictEqual(matching.stringSimilarity('acme', 'acme'), 1);
+    assert.strictEqual(matching.stringSimilarity('abcd', 'wxyz'), 0);
+    assert.strictEqual(matching.stringSimilarity('', 'acme'), 0);
+    const partial = matching.stringSimilarity('acme pizza', 'acme pizzeria');
+    assert.ok(partial > 0.5 && partial < 1);
+});
+
+test('compareLeads matches on phone but not across distant locations', () => {
+    const downtown = { companyName: 'Burger Barn', phone: '212-555-1234', latitude: 40.7128, longitude: -74.006 };
+
+    const sameBranch = { companyName: 'Burger Barn Inc', phone: '+1 212 555 1234', latitude: 40.7129, longitude: -74.006 };
+    assert.strictEqual(matching.compareLeads(downtown, sameBranch).reason, 'phone');
+
+    // A chain's other branch shares the phone but is kilometres away
+    const uptown = { companyName: 'Burger Barn', phone: '212-555-1234', latitude: 40.8, longitude: -73.95 };
+    assert.strictEqual(matching.compareLeads(downtown, uptown).match, false);
+});
+
+test('compareLeads matches similar names at the same street address', () => {
+    const result = matching.compareLeads(
+        { companyName: "Joe's Pizza", address: '123 Main Street, Springfield' },
+        { companyName: 'Joes Pizza', address: '123 Main St, Springfield' }
+    );
+    assert.strictEqual(result.match, true);
+    assert.strictEqual(result.reason, 'name+address');
+});
+
+test('mergeLeadSets combines one business from several providers by source priority', () => {
+    const merged = matching.mergeLeadSets([
+        { leads: [{ id: 'y1', source: 'Yelp Fusion API', companyName: "Joe's Pizza", phone: '212-555-1234', rating: 4.5, website: 'N/A' }] },
+        { leads: [{ id: 'g1', source: 'Google Places API', companyName: "Joe's Pizza NYC", phone: '(212) 555-1234', website: 'https://joes.test' }] },
+        { leads: [{ id: 'y2', source: 'Yelp Fusion API', companyName: 'Other Place', phone: '212-555-9999' }] }
+    ]);
+
+    assert.strictEqual(merged.length, 2);
+    const joes = merged.find(lead => lead.sources.length === 2);
+    assert.strictEqual(joes.id, 'g1');
+    assert.strictEqual(joes.companyName, "Joe's Pizza NYC");
+    assert.strictEqual(joes.website, 'https://joes.test');
+    assert.strictEqual(joes.rating, 4.5);
+    assert.deepStrictEqual(joes.sources, ['Google Places API', 'Yelp Fusion API']);
+    assert.strictEqual(joes.fieldSources.rating, 'Yelp Fusion API');
+});
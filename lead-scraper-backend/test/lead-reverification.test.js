@@ -0,0 +1,144 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    selectDueLeads,
+    diffLeadFields,
+    detectChangeFlags,
+    applyChangeFlags,
+    createReverificationStore,
+    createReverificationScheduler
+} = require('../lead-reverification');
+
+const now = new Date('2026-06-01T00:00:00.000Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+test('selectDueLeads picks verified leads not checked for the given days, oldest first', () => {
+    const leads = [
+        { id: 'recent', verified: true, verifiedAt: daysAgo(5) },
+        { id: 'old', verified: true, verifiedAt: daysAgo(90), reverifiedAt: daysAgo(40) },
+        { id: 'oldest', verified: true, createdAt: daysAgo(60) },
+        { id: 'rechecked', verified: true, verifiedAt: daysAgo(90), reverifiedAt: daysAgo(2) },
+        { id: 'unverified', verified: false, createdAt: daysAgo(100) }
+    ];
+    assert.deepStrictEqual(selectDueLeads(leads, 30, now).map(lead => lead.id), ['oldest', 'old']);
+});
+
+test('diffLeadFields reports real changes and ignores formatting and missing values', () => {
+    const lead = {
+        companyName: "Joe's Pizza",
+        phone: '(212) 555-0100',
+        phoneE164: '+12125550100',
+        addressParts: { line1: '1 Main St', postalCode: '10001' },
+        address: '1 Main St, New York, NY 10001',
+        rating: 4.5,
+        website: 'N/A'
+    };
+    const fresh = {
+        companyName: 'JOES PIZZA',
+        phone: '+1 212-555-0100',
+        phoneE164: '+12125550100',
+        addressParts: { line1: '1 Main St', postalCode: '10001' },
+        address: '1 Main Street, New York, NY 10001, USA',
+        rating: '4.7',
+        website: 'https://joes.test',
+        reviewCount: null,
+        phoneValidation: { valid: true }
+    };
+    assert.deepStrictEqual(diffLeadFields(lead, fresh), [
+        { field: 'website', before: null, after: 'https://joes.test' },
+        { field: 'rating', before: 4.5, after: '4.7' },
+        { field: 'phoneValidation.valid', before: null, after: true }
+    ]);
+});
+
+test('detectChangeFlags raises closures, moves, new names and dead numbers', () => {
+    const lead = { companyName: 'Acme Dental', latitude: 40.75, longitude: -73.99, phone: '212 555 0100' };
+
+    assert.deepStrictEqual(detectChangeFlags(lead, { google: { placeNotFound: true } }).raised, { closed: 'No longer listed on Google Maps' });
+
+    const { raised } = detectChangeFlags(lead, {
+        google: { businessStatus: 'CLOSED_TEMPORARILY', companyName: 'Bright Smiles', latitude: 40.76, longitude: -73.99, address: '9 New St' },
+        numverify: { valid: false }
+    });
+    assert.deepStrictEqual(Object.keys(raised).sort(), ['closed', 'moved', 'ownerChanged', 'phoneInvalid']);
+    assert.strictEqual(raised.closed, 'Temporarily closed on Google Maps');
+    assert.match(raised.moved, /^Now at 9 New St \(1\.1 km away\)$/);
+    assert.strictEqual(raised.ownerChanged, 'Now listed as "Bright Smiles" (was "Acme Dental")');
+
+    assert.deepStrictEqual(detectChangeFlags(lead, { yelp: { isClosed: true } }).raised, { closed: 'Closed on Yelp' });
+});
+
+test('detectChangeFlags clears flags when the business is open and the number valid again', () => {
+    const lead = { companyName: 'Acme Dental', latitude: 40.75, longitude: -73.99 };
+    const result = detectChangeFlags(lead, {
+        // A few meters of geocode drift is not a move
+        google: { businessStatus: 'OPERATIONAL', companyName: 'ACME dental', latitude: 40.7501, longitude: -73.99 },
+        yelp: { isClosed: false },
+        numverify: { valid: true }
+    });
+    assert.deepStrictEqual(result, { raised: {}, cleared: ['closed', 'phoneInvalid'] });
+});
+
+test('applyChangeFlags keeps when a flag was first seen and drops cleared ones', () => {
+    const existing = {
+        closed: { detail: 'Closed on Yelp', detectedAt: '2026-01-01T00:00:00.000Z' },
+        phoneInvalid: { detail: 'old', detectedAt: '2026-01-01T00:00:00.000Z' },
+        moved: { detail: 'Now at 9 New St', detectedAt: '2026-02-01T00:00:00.000Z' }
+    };
+    const flags = applyChangeFlags(existing, {
+        raised: { closed: 'Temporarily closed on Google Maps', ownerChanged: 'renamed' },
+        cleared: ['phoneInvalid']
+    }, '2026-06-01T00:00:00.000Z');
+
+    assert.deepStrictEqual(flags, {
+        closed: { detail: 'Temporarily closed on Google Maps', detectedAt: '2026-01-01T00:00:00.000Z' },
+        moved: { detail: 'Now at 9 New St', detectedAt: '2026-02-01T00:00:00.000Z' },
+        ownerChanged: { detail: 'renamed', detectedAt: '2026-06-01T00:00:00.000Z' }
+    });
+    assert.deepStrictEqual(applyChangeFlags(null, { raised: {}, cleared: [] }, now.toISOString()), {});
+});
+
+test('the check history is kept per lead, newest first', () => {
+    const checks = createReverificationStore();
+    const check = (checkedAt) => ({ trigger: 'manual', checkedAt, sources: ['google'], changes: [], flags: {}, errors: [] });
+
+    checks.record('lead_a', check('2026-05-01T00:00:00.000Z'));
+    const latest = checks.record('lead_a', { ...check('2026-05-02T00:00:00.000Z'), changes: [{ field: 'phone', before: '1', after: '2' }] });
+    checks.record('lead_b', check('2026-05-03T00:00:00.000Z'));
+
+    const history = checks.list('lead_a');
+    assert.deepStrictEqual(history.map(entry => entry.id), [latest.id, history[1].id]);
+    assert.deepStrictEqual(history[0].changes, [{ field: 'phone', before: '1', after: '2' }]);
+    assert.strictEqual(checks.list('lead_a', 1).length, 1);
+});
+
+test('the scheduler starts one batch per idle workspace', () => {
+    process.env.REVERIFY_AFTER_DAYS = '30';
+    process.env.REVERIFY_BATCH_SIZE = '2';
+    const leads = {
+        'ws-a': [1, 2, 3].map(n => ({ id: `a${n}`, verified: true, verifiedAt: daysAgo(100 - n) })),
+        'ws-b': [{ id: 'b1', verified: true, verifiedAt: daysAgo(100) }],
+        'ws-c': [{ id: 'c1', verified: true, verifiedAt: new Date().toISOString() }]
+    };
+    const started = [];
+    const scheduler = createReverificationScheduler({
+        listWorkspaceIds: () => ['ws-a', 'ws-b', 'ws-c'],
+        listVerifiedLeads: (workspaceId) => leads[workspaceId],
+        isBusy: (workspaceId) => workspaceId === 'ws-b',
+        startRun: (leadIds, workspaceId) => started.push([workspaceId, leadIds])
+    });
+
+    try {
+        scheduler.tick();
+        assert.deepStrictEqual(started, [['ws-a', ['a1', 'a2']]]);
+
+        process.env.REVERIFY_AFTER_DAYS = '0';
+        scheduler.tick();
+        assert.strictEqual(started.length, 1);
+    } finally {
+        delete process.env.REVERIFY_AFTER_DAYS;
+        delete process.env.REVERIFY_BATCH_SIZE;
+    }
+});
@@ -0,0 +1,100 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLeadStore } = require('../lead-store');
+const { scoreLead, validateScoringConfig, listScoringRules, createScoringConfigStore } = require('../lead-scoring');
+
+const strongLead = {
+    ownerName: 'Jane Doe',
+    ownerVerified: true,
+    ownerDataSource: 'PDL',
+    email: 'jane@acme.test',
+    emailStatus: 'verified',
+    phoneValidation: { valid: true, lineType: 'landline' },
+    rating: 5,
+    reviewCount: 100,
+    website: 'https://acme.test'
+};
+
+test('scoreLead gives full marks when every rule is met', () => {
+    const { score, scoreBreakdown } = scoreLead(strongLead);
+    assert.strictEqual(score, 100);
+    // Unset industry and distance targets leave their rules out instead of scoring zero
+    assert.deepStrictEqual(scoreBreakdown.map(entry => entry.rule),
+        ['verifiedOwner', 'emailDeliverable', 'phoneValid', 'rating', 'reviewCount', 'hasWebsite']);
+});
+
+test('scoreLead breakdown points add up to the score', () => {
+    const lead = { ownerName: 'Guess', email: 'info@acme.test', phone: '555', rating: 4, reviewCount: 9 };
+    const { score, scoreBreakdown } = scoreLead(lead);
+    const points = scoreBreakdown.reduce((sum, entry) => sum + entry.points, 0);
+    assert.ok(Math.abs(points - score) <= 1, `${points} vs ${score}`);
+    assert.strictEqual(scoreBreakdown.find(entry => entry.rule === 'verifiedOwner').detail, 'Owner estimated, not verified');
+    assert.strictEqual(scoreLead({}).score, 0);
+});
+
+test('scoreLead applies targets and weights from the config', () => {
+    const config = { rules: { industryMatch: { industries: ['restaurants'] }, distance: { latitude: 40.7, longitude: -74, maxKm: 10 } } };
+    const near = scoreLead({ industryId: 'restaurants', latitude: 40.7, longitude: -74 }, config).scoreBreakdown;
+    assert.strictEqual(near.find(entry => entry.rule === 'industryMatch').points, near.find(entry => entry.rule === 'industryMatch').maxPoints);
+    assert.strictEqual(near.find(entry => entry.rule === 'distance').points, near.find(entry => entry.rule === 'distance').maxPoints);
+
+    const onlyWebsite = { rules: Object.fromEntries(listScoringRules().map(rule => [rule.id, { weight: rule.id === 'hasWebsite' ? 1 : 0 }])) };
+    assert.strictEqual(scoreLead({ website: 'https://acme.test' }, onlyWebsite).score, 100);
+    assert.strictEqual(scoreLead({}, onlyWebsite).score, 0);
+});
+
+test('validateScoringConfig rejects unknown rules, bad types and impossible ranges', () => {
+    assert.strictEqual(validateScoringConfig({ rules: { rating: { weight: 20 } } }), null);
+    assert.match(validateScoringConfig({ rules: { vibes: {} } }), /Unknown rule/);
+    assert.match(validateScoringConfig({ rules: { rating: { stars: 5 } } }), /Unknown setting/);
+    assert.match(validateScoringConfig({ rules: { rating: { weight: '20' } } }), /must be a number/);
+    assert.match(validateScoringConfig({ rules: { industryMatch: { industries: 'restaurants' } } }), /must be an array/);
+    assert.match(validateScoringConfig({ rules: { rating: { weight: 101 } } }), /between 0 and 100/);
+    assert.match(validateScoringConfig({ rules: { rating: { min: 6 } } }), /rating.max must be greater/);
+    assert.match(validateScoringConfig(null), /rules object/);
+});
+
+test('scoring configs are kept per workspace and partial updates keep other settings', () => {
+    const configs = createScoringConfigStore();
+    const updated = configs.set('scoring-a', { rules: { rating: { min: 4 } } });
+    assert.deepStrictEqual(updated.rules.rating, { weight: 10, min: 4, max: 5 });
+    assert.strictEqual(updated.isDefault, false);
+
+    assert.strictEqual(configs.get('scoring-b').isDefault, true);
+    assert.strictEqual(configs.get('scoring-b').rules.rating.min, 3);
+    assert.strictEqual(configs.reset('scoring-a').isDefault, true);
+});
+
+test('the lead store reads scoring rules once per batch, for the workspace written to', () => {
+    const configs = createScoringConfigStore();
+    configs.set('scoring-batch', { rules: Object.fromEntries(listScoringRules().map(rule => [rule.id, { weight: rule.id === 'hasWebsite' ? 1 : 0 }])) });
+
+    const reads = [];
+    let current = 'scoring-batch';
+    const store = createLeadStore({
+        workspaceId: () => current,
+        saveSettings: (workspaceId) => {
+            reads.push(workspaceId);
+            return configs.get(workspaceId);
+        },
+        beforeSave: (lead, config) => ({ ...lead, ...scoreLead(lead, config) })
+    });
+
+    const [withSite, without] = store.upsertMany([
+        { placeId: 'batch1', companyName: 'With Site', website: 'https://site.test' },
+        { placeId: 'batch2', companyName: 'No Site' }
+    ]);
+    assert.deepStrictEqual([withSite.score, without.score], [100, 0]);
+    assert.deepStrictEqual(reads, ['scoring-batch']);
+
+    assert.strictEqual(store.refresh(), 2);
+    assert.deepStrictEqual(reads, ['scoring-batch', 'scoring-batch']);
+
+    // Another workspace scores with its own (default) rules
+    current = 'scoring-other';
+    const [other] = store.upsertMany([{ placeId: 'batch1', companyName: 'With Site', website: 'https://site.test' }]);
+    assert.ok(other.score < 100);
+    assert.strictEqual(reads.at(-1), 'scoring-other');
+});
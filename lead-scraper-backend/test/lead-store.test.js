@@ -0,0 +1,160 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createLeadStore, computeLeadId, mergeLeadFields } = require('../lead-store');
+const { getDatabase } = require('../db');
+
+const unsaltedId = (key) => `lead_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+
+// Both built-in adapters must behave the same
+for (const adapter of ['sqlite', 'memory']) {
+    // A store whose workspace can be switched, sharing the adapter's storage like the server's per-request context does
+    function storeFor(workspaceId) {
+        let current = workspaceId;
+        const store = createLeadStore({ adapter, workspaceId: () => current });
+        return { store, use: (next) => { current = next; } };
+    }
+
+    test(`${adapter}: upsert merges into the lead with the same stable ID`, () => {
+        const { store } = storeFor(`merge-${adapter}`);
+        const first = store.upsert({ placeId: 'p1', companyName: 'Acme', phone: '555-0100' });
+        const second = store.upsert({ placeId: 'p1', companyName: 'Acme Inc', phone: 'N/A', website: 'https://acme.test' });
+
+        assert.strictEqual(second.id, first.id);
+        assert.strictEqual(second.companyName, 'Acme Inc');
+        assert.strictEqual(second.phone, '555-0100');
+        assert.strictEqual(second.createdAt, first.createdAt);
+        assert.strictEqual(store.list().total, 1);
+    });
+
+    test(`${adapter}: workspaces never see or overwrite each other's leads`, () => {
+        const { store, use } = storeFor(`ws-a-${adapter}`);
+        const own = store.upsert({ placeId: 'shared', companyName: 'Shared Co' });
+
+        use(`ws-b-${adapter}`);
+        assert.strictEqual(store.get(own.id), null);
+        assert.strictEqual(store.list().total, 0);
+        assert.strictEqual(store.update(own.id, { companyName: 'Hijacked' }), null);
+        assert.strictEqual(store.remove(own.id), false);
+
+        // Re-sending the other workspace's ID creates this workspace's own copy
+        const copy = store.upsert({ ...own, companyName: 'Mine' });
+        assert.notStrictEqual(copy.id, own.id);
+        assert.strictEqual(store.stats().totalLeads, 1);
+        store.clear();
+
+        use(`ws-a-${adapter}`);
+        assert.strictEqual(store.get(own.id).companyName, 'Shared Co');
+        assert.strictEqual(store.list().total, 1);
+    });
+
+    test(`${adapter}: a lead ID sent by another workspace never lands on that workspace's lead`, () => {
+        const { store, use } = storeFor(`squat-${adapter}`);
+        const victim = { placeId: 'victim-place', companyName: 'Victim Co' };
+
+        // Workspace B sends the ID the victim workspace will give the business, with its own data
+        const squatted = store.upsert({ ...victim, id: computeLeadId(victim, `victim-${adapter}`), ownerName: 'Secret Owner' });
+        assert.notStrictEqual(squatted.id, computeLeadId(victim, `victim-${adapter}`));
+
+        use(`victim-${adapter}`);
+        const scraped = store.upsert({ ...victim, phone: '555-0100' });
+        assert.strictEqual(scraped.id, computeLeadId(victim, `victim-${adapter}`));
+        assert.strictEqual(scraped.ownerName, undefined);
+        assert.deepStrictEqual(store.list().leads.map(l => l.companyName), ['Victim Co']);
+
+        // Resending the victim's lead from B updates B's own copy, and merging into it is refused
+        use(`squat-${adapter}`);
+        assert.strictEqual(store.upsert({ ...scraped, ownerName: 'Hijacked' }).id, squatted.id);
+        assert.throws(() => store.merge(scraped.id, { ...scraped, ownerName: 'Hijacked' }, []), /belongs to another workspace/);
+        assert.strictEqual(store.list().total, 1);
+
+        use(`victim-${adapter}`);
+        assert.strictEqual(store.get(scraped.id).ownerName, undefined);
+        assert.strictEqual(store.get(scraped.id).workspaceId, `victim-${adapter}`);
+    });
+
+    test(`${adapter}: search treats LIKE wildcards literally`, () => {
+        const { store } = storeFor(`search-${adapter}`);
+        store.upsertMany([{ companyName: '100% Organic' }, { companyName: '1000 Oaks' }, { companyName: 'Under_score' }]);
+
+        assert.deepStrictEqual(store.list({ search: '100%' }).leads.map(l => l.companyName), ['100% Organic']);
+        assert.deepStrictEqual(store.list({ search: '_' }).leads.map(l => l.companyName), ['Under_score']);
+    });
+
+    test(`${adapter}: offset applies without a limit`, () => {
+        const { store } = storeFor(`paging-${adapter}`);
+        store.upsertMany(['A', 'B', 'C'].map(companyName => ({ companyName })));
+
+        assert.strictEqual(store.list({ offset: 1 }).leads.length, 2);
+        assert.strictEqual(store.list({ offset: 1, limit: 1 }).leads.length, 1);
+        assert.strictEqual(store.list({ offset: 1 }).total, 3);
+    });
+
+    test(`${adapter}: merged-away IDs resolve to the merged lead`, () => {
+        const { store } = storeFor(`alias-${adapter}`);
+        const [a, b] = store.upsertMany([{ companyName: 'Alpha', address: '1 Main St' }, { companyName: 'Alpha LLC', address: '1 Main St' }]);
+
+        store.merge(a.id, { ...a, phone: '555-0101' }, [b.id]);
+        assert.strictEqual(store.get(b.id).id, a.id);
+        assert.strictEqual(store.upsert({ id: b.id, companyName: 'Alpha LLC', email: 'hi@alpha.test' }).id, a.id);
+        assert.strictEqual(store.list().total, 1);
+    });
+
+    test(`${adapter}: stats aggregate only the current workspace`, () => {
+        const { store, use } = storeFor(`stats-a-${adapter}`);
+        store.upsertMany([
+            { companyName: 'One', industry: 'Retail', sector: 'Trade', verified: true, aiConfidence: 90, score: 80 },
+            { companyName: 'Two', industry: 'Retail', score: 40 }
+        ]);
+        use(`stats-b-${adapter}`);
+        store.upsert({ companyName: 'Elsewhere', industry: 'Legal' });
+        use(`stats-a-${adapter}`);
+
+        assert.deepStrictEqual(store.stats(), {
+            totalLeads: 2,
+            verifiedLeads: 1,
+            averageConfidence: 45,
+            averageScore: 60,
+            topIndustries: { Retail: 2 },
+            topSectors: { Trade: 1 }
+        });
+    });
+}
+
+test('computeLeadId salts every workspace, the default one included', () => {
+    const lead = { placeId: 'abc' };
+    assert.strictEqual(computeLeadId(lead), computeLeadId(lead, 'default'));
+    assert.notStrictEqual(computeLeadId(lead, 'other'), computeLeadId(lead));
+    assert.notStrictEqual(computeLeadId(lead), unsaltedId('google:abc'));
+    assert.match(computeLeadId({ companyName: 'X' }), /^lead_[0-9a-f]{16}$/);
+});
+
+test('default-workspace leads stored under unsalted IDs keep them', () => {
+    const victim = { placeId: 'legacy-place', companyName: 'Old Co' };
+    const legacyId = unsaltedId('google:legacy-place');
+    const now = new Date().toISOString();
+    getDatabase().prepare(`
+        INSERT INTO leads (id, workspace_id, data, company_name, verified, created_at, updated_at)
+        VALUES (?, 'default', ?, 'Old Co', 0, ?, ?)
+    `).run(legacyId, JSON.stringify({ ...victim, id: legacyId, workspaceId: 'default', createdAt: now, updatedAt: now }), now, now);
+
+    const store = createLeadStore({ adapter: 'sqlite', workspaceId: () => 'default' });
+    const updated = store.upsert({ placeId: 'legacy-place', companyName: 'Old Co', phone: '555-0199' });
+    assert.strictEqual(updated.id, legacyId);
+    assert.strictEqual(updated.phone, '555-0199');
+
+    // Another workspace sending the legacy ID gets its own lead
+    const other = createLeadStore({ adapter: 'sqlite', workspaceId: () => 'legacy-other' });
+    assert.notStrictEqual(other.upsert({ ...victim, id: legacyId }).id, legacyId);
+    assert.strictEqual(store.get(legacyId).phone, '555-0199');
+});
+
+test('mergeLeadFields drops reasons for fields that got filled', () => {
+    const merged = mergeLeadFields(
+        { email: '', phone: '', fieldReasons: { email: 'not found', phone: 'not found' } },
+        { email: 'a@b.test', phone: 'N/A' }
+    );
+    assert.deepStrictEqual(merged.fieldReasons, { phone: 'not found' });
+});
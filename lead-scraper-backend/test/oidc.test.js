@@ -0,0 +1,137 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { oidcSettings, canSignUp, createOidcClient } = require('../oidc');
+
+const ENV = { OIDC_ISSUER: 'https://idp.test/', OIDC_CLIENT_ID: 'client-1', OIDC_ALLOWED_DOMAINS: ' Corp.test ,other.test,' };
+
+function withEnv(t, env) {
+    const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+    Object.assign(process.env, env);
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+}
+
+const idToken = (claims) => ['header', Buffer.from(JSON.stringify(claims)).toString('base64url'), 'signature'].join('.');
+
+// Mock the identity provider: discovery and a token endpoint returning the given claims (plus the sign-in's nonce)
+function mockProvider(t, claims) {
+    t.mock.method(axios, 'get', async () => ({
+        data: { authorization_endpoint: 'https://idp.test/authorize', token_endpoint: 'https://idp.test/token' }
+    }));
+    t.mock.method(axios, 'post', async () => ({
+        data: { id_token: idToken({ iss: 'https://idp.test', aud: 'client-1', exp: Date.now() / 1000 + 300, sub: 'sub-1', nonce: mockProvider.nonce, ...claims }) }
+    }));
+}
+
+// Start a sign-in: { url, state, browserKey }, with the provider mock answering with its nonce
+async function startSignIn(client) {
+    const { url, browserKey } = await client.start();
+    const parsed = new URL(url);
+    mockProvider.nonce = parsed.searchParams.get('nonce');
+    return { url: parsed, state: parsed.searchParams.get('state'), browserKey };
+}
+
+async function signIn(client) {
+    const { state, browserKey } = await startSignIn(client);
+    return client.finish({ code: 'code-1', state, browserKey });
+}
+
+test('oidcSettings is null until an issuer and client are set', (t) => {
+    withEnv(t, { OIDC_ISSUER: '', OIDC_CLIENT_ID: '' });
+    assert.strictEqual(oidcSettings(), null);
+
+    withEnv(t, ENV);
+    const settings = oidcSettings();
+    assert.strictEqual(settings.issuer, 'https://idp.test');
+    assert.deepStrictEqual(settings.allowedDomains, ['corp.test', 'other.test']);
+});
+
+test('canSignUp needs a verified email in an allowed domain', (t) => {
+    withEnv(t, ENV);
+    const settings = oidcSettings();
+    assert.strictEqual(canSignUp({ email: 'dana@CORP.test', emailVerified: true }, settings), true);
+    assert.strictEqual(canSignUp({ email: 'dana@corp.test', emailVerified: false }, settings), false);
+    assert.strictEqual(canSignUp({ email: 'dana@evil.test', emailVerified: true }, settings), false);
+    assert.strictEqual(canSignUp({ email: null, emailVerified: true }, settings), false);
+    assert.strictEqual(canSignUp({ email: 'dana@corp.test', emailVerified: true }, { ...settings, allowedDomains: [] }), false);
+});
+
+test('start sends the browser to the provider with PKCE, state and nonce', async (t) => {
+    withEnv(t, ENV);
+    mockProvider(t, {});
+    const { url, browserKey } = await startSignIn(createOidcClient());
+
+    assert.ok(browserKey && !url.toString().includes(browserKey));
+    assert.strictEqual(url.origin + url.pathname, 'https://idp.test/authorize');
+    assert.strictEqual(url.searchParams.get('client_id'), 'client-1');
+    assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.ok(url.searchParams.get('state') && url.searchParams.get('nonce'));
+});
+
+test('finish returns the identity, with whether its email is verified', async (t) => {
+    withEnv(t, ENV);
+    const client = createOidcClient();
+
+    mockProvider(t, { email: 'dana@corp.test', email_verified: 'true', preferred_username: 'dana', name: 'Dana' });
+    assert.deepStrictEqual(await signIn(client), {
+        issuer: 'https://idp.test',
+        subject: 'sub-1',
+        username: 'dana',
+        name: 'Dana',
+        email: 'dana@corp.test',
+        emailVerified: true
+    });
+
+    mockProvider(t, { email: 'dana@corp.test' });
+    const unverified = await signIn(client);
+    assert.deepStrictEqual([unverified.username, unverified.emailVerified], ['dana@corp.test', false]);
+});
+
+test('finish refuses unknown or replayed states and bad ID tokens', async (t) => {
+    withEnv(t, ENV);
+    const client = createOidcClient();
+    mockProvider(t, {});
+
+    await assert.rejects(client.finish({ code: 'code-1', state: 'made-up' }), /expired or unknown/);
+
+    const { state, browserKey } = await startSignIn(client);
+    await client.finish({ code: 'code-1', state, browserKey });
+    await assert.rejects(client.finish({ code: 'code-1', state, browserKey }), /expired or unknown/);
+
+    for (const [claims, message] of [
+        [{ aud: 'client-2' }, /not issued for OIDC_CLIENT_ID/],
+        [{ iss: 'https://evil.test' }, /issuer does not match/],
+        [{ exp: Date.now() / 1000 - 600 }, /has expired/],
+        [{ nonce: 'other' }, /nonce does not match/]
+    ]) {
+        mockProvider(t, claims);
+        const { state, browserKey } = await startSignIn(client);
+        await assert.rejects(client.finish({ code: 'code-1', state, browserKey }), message);
+    }
+});
+
+test('finish only completes a sign-in in the browser that started it', async (t) => {
+    withEnv(t, ENV);
+    const client = createOidcClient();
+    mockProvider(t, {});
+
+    // Someone else's callback URL (their state and code) opened in a browser without, or with another, key
+    const attacker = await startSignIn(client);
+    const victim = await startSignIn(client);
+    await assert.rejects(client.finish({ code: 'code-1', state: attacker.state }), /started in another browser/);
+
+    const other = await startSignIn(client);
+    await assert.rejects(client.finish({ code: 'code-1', state: other.state, browserKey: victim.browserKey }), /started in another browser/);
+
+    // The state is used up either way
+    await assert.rejects(client.finish({ code: 'code-1', state: attacker.state, browserKey: attacker.browserKey }), /expired or unknown/);
+    mockProvider.nonce = victim.url.searchParams.get('nonce');
+    assert.ok(await client.finish({ code: 'code-1', state: victim.state, browserKey: victim.browserKey }));
+});
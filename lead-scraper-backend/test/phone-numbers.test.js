@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePhone, withPhoneAndCountry } = require('../phone-numbers');
+
+test('parsePhone reads national numbers in their country and international numbers anywhere', () => {
+    assert.deepStrictEqual(parsePhone('(415) 555-2671', 'US'), {
+        e164: '+14155552671',
+        international: '+1 415 555 2671',
+        national: '(415) 555-2671',
+        region: 'US',
+        lineType: 'landline_or_mobile',
+        extension: null,
+        valid: true
+    });
+    assert.strictEqual(parsePhone('030 1234567', 'DE').e164, '+49301234567');
+    assert.strictEqual(parsePhone('+44 20 7946 0958').region, 'GB');
+    assert.strictEqual(parsePhone('+44 20 7946 0958', 'US').region, 'GB');
+    assert.strictEqual(parsePhone('+1 212 736 5000 ext. 12').extension, '12');
+});
+
+test('parsePhone returns null for numbers that cannot exist', () => {
+    for (const value of ['12', 'call us', '', 'N/A', null]) {
+        assert.strictEqual(parsePhone(value, 'US'), null, String(value));
+    }
+});
+
+test('withPhoneAndCountry dials national numbers in the lead country', () => {
+    const lead = withPhoneAndCountry({ companyName: 'Bakkerij', phone: '0612345678', country: 'Holland' });
+    assert.strictEqual(lead.companyName, 'Bakkerij');
+    assert.strictEqual(lead.country, 'Netherlands');
+    assert.strictEqual(lead.countryCode, 'NL');
+    assert.strictEqual(lead.phoneE164, '+31612345678');
+    assert.strictEqual(lead.phoneLineType, 'mobile');
+});
+
+test('withPhoneAndCountry fills a missing country from the phone region', () => {
+    const lead = withPhoneAndCountry({ phone: '+49 30 901820', country: '' });
+    assert.strictEqual(lead.country, 'Germany');
+    assert.strictEqual(lead.countryCode, 'DE');
+    assert.strictEqual(lead.phoneRegion, 'DE');
+});
+
+test('withPhoneAndCountry keeps an unresolvable country as given', () => {
+    const lead = withPhoneAndCountry({ phone: 'unknown', country: 'Atlantis' });
+    assert.strictEqual(lead.country, 'Atlantis');
+    assert.strictEqual(lead.countryCode, null);
+    assert.strictEqual(lead.phoneE164, null);
+});
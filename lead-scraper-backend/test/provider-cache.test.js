@@ -0,0 +1,92 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProviderCache, normalizeRequest } = require('../provider-cache');
+const { runWithRequestContext } = require('../request-context');
+
+const cache = createProviderCache();
+
+// A fetcher that counts the live calls it makes
+function liveCall(data) {
+    const fetcher = async () => {
+        fetcher.calls++;
+        return data;
+    };
+    fetcher.calls = 0;
+    return fetcher;
+}
+
+test('normalizeRequest sorts keys, trims strings and drops credentials', () => {
+    assert.deepStrictEqual(
+        normalizeRequest({ q: ' pizza ', key: 'secret', params: { b: 2, a: [' x '], api_key: 'k', skip: undefined } }),
+        { params: { a: ['x'], b: 2 }, q: 'pizza' }
+    );
+});
+
+test('equivalent requests are served from the cache', async () => {
+    const fetcher = liveCall({ name: 'Acme' });
+
+    const first = await cache.fetch('google', { url: 'u', params: { q: 'acme', key: 'k1' } }, fetcher);
+    const second = await cache.fetch('google', { params: { key: 'k2', q: ' acme ' }, url: 'u' }, fetcher);
+
+    assert.deepStrictEqual(first, { data: { name: 'Acme' }, cached: false });
+    assert.deepStrictEqual(second, { data: { name: 'Acme' }, cached: true });
+    assert.strictEqual(fetcher.calls, 1);
+    assert.strictEqual(cache.stats().google.hits, 1);
+    assert.strictEqual(cache.stats().google.entries, 1);
+});
+
+test('shouldCache refuses error payloads', async () => {
+    const fetcher = liveCall({ status: 'OVER_QUERY_LIMIT' });
+    const options = { shouldCache: (data) => data.status === 'OK' };
+
+    await cache.fetch('yelp', { url: 'error' }, fetcher, options);
+    await cache.fetch('yelp', { url: 'error' }, fetcher, options);
+    assert.strictEqual(fetcher.calls, 2);
+});
+
+test('noCache requests and zero TTLs bypass the cache', async () => {
+    const fetcher = liveCall({ ok: true });
+    await cache.fetch('apollo', { url: 'bypass' }, fetcher);
+
+    const bypassed = await runWithRequestContext({ noCache: true }, () => cache.fetch('apollo', { url: 'bypass' }, fetcher));
+    assert.strictEqual(bypassed.cached, false);
+    assert.strictEqual(fetcher.calls, 2);
+
+    process.env.CACHE_TTL_HUNTER = '0';
+    try {
+        await cache.fetch('hunter', { url: 'ttl' }, fetcher);
+        await cache.fetch('hunter', { url: 'ttl' }, fetcher);
+        assert.strictEqual(fetcher.calls, 4);
+        assert.strictEqual(cache.stats().hunter.bypassed, 2);
+    } finally {
+        delete process.env.CACHE_TTL_HUNTER;
+    }
+});
+
+test('clear drops one provider or everything', async () => {
+    await cache.fetch('pdl', { url: 'p' }, liveCall({}));
+    await cache.fetch('numverify', { url: 'n' }, liveCall({}));
+
+    assert.strictEqual(cache.clear('pdl'), 1);
+    assert.strictEqual(cache.stats().pdl.entries, 0);
+    assert.ok(cache.clear() >= 1);
+    assert.strictEqual(cache.stats().numverify.entries, 0);
+});
+
+test('each workspace has its own cached responses, counters and clear', async () => {
+    const inWorkspace = (workspaceId, fn) => runWithRequestContext({ workspaceId }, fn);
+    const fetcher = liveCall({ email: 'owner@example.com' });
+
+    await inWorkspace('ws-a', () => cache.fetch('apollo', { url: 'shared' }, fetcher));
+    const other = await inWorkspace('ws-b', () => cache.fetch('apollo', { url: 'shared' }, fetcher));
+    assert.strictEqual(other.cached, false);
+    assert.strictEqual(fetcher.calls, 2);
+
+    assert.strictEqual((await inWorkspace('ws-a', () => cache.fetch('apollo', { url: 'shared' }, fetcher))).cached, true);
+    assert.deepStrictEqual(inWorkspace('ws-b', () => [cache.stats().apollo.hits, cache.stats().apollo.entries]), [0, 1]);
+
+    assert.strictEqual(inWorkspace('ws-b', () => cache.clear()), 1);
+    assert.strictEqual(inWorkspace('ws-a', () => cache.stats().apollo.entries), 1);
+});
@@ -0,0 +1,100 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    ROLES,
+    PERMISSIONS,
+    isRole,
+    hasPermission,
+    rolePermissions,
+    roleQuotas,
+    describeRoles,
+    createVerificationCounter
+} = require('../roles');
+
+// Runs fn with the given environment variables set (undefined = unset), then restores them
+function withEnv(values, fn) {
+    const previous = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+    const apply = (entries) => {
+        for (const [name, value] of Object.entries(entries)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    };
+    try {
+        apply(values);
+        fn();
+    } finally {
+        apply(previous);
+    }
+}
+
+test('roles gate permissions from viewer up to admin', () => {
+    assert.ok(ROLES.every(isRole));
+    assert.strictEqual(isRole('owner'), false);
+
+    assert.deepStrictEqual(rolePermissions('admin'), Object.keys(PERMISSIONS));
+    assert.deepStrictEqual(rolePermissions('viewer'), []);
+    assert.deepStrictEqual(rolePermissions('nope'), []);
+
+    assert.strictEqual(hasPermission('manager', 'export'), true);
+    assert.strictEqual(hasPermission('manager', 'manageWorkspace'), false);
+    assert.strictEqual(hasPermission('researcher', 'scrape'), true);
+    assert.strictEqual(hasPermission('researcher', 'export'), false);
+    assert.strictEqual(hasPermission('researcher', 'pdl'), false);
+    assert.strictEqual(hasPermission('viewer', 'scrape'), false);
+    assert.strictEqual(hasPermission(null, 'scrape'), false);
+    assert.strictEqual(hasPermission('admin', 'unknown'), false);
+});
+
+test('only roles without export have a page size cap', () => {
+    for (const role of ROLES) {
+        assert.strictEqual(roleQuotas(role).maxPageSize === null, hasPermission(role, 'export'), role);
+    }
+});
+
+test('roleQuotas reads env overrides, and unknown roles get the viewer quotas', () => {
+    assert.deepStrictEqual(roleQuotas('researcher'), { maxLeads: 100, dailyVerifications: 200, maxPageSize: 100 });
+    assert.deepStrictEqual(roleQuotas('nope'), { maxLeads: 0, dailyVerifications: 0, maxPageSize: 100 });
+
+    withEnv({
+        QUOTA_RESEARCHER_MAX_LEADS: '250',
+        QUOTA_RESEARCHER_DAILY_VERIFICATIONS: 'none',
+        QUOTA_RESEARCHER_MAX_PAGE_SIZE: '-5',
+        QUOTA_MANAGER_MAX_LEADS: 'lots',
+        QUOTA_ADMIN_MAX_PAGE_SIZE: ''
+    }, () => {
+        assert.deepStrictEqual(roleQuotas('researcher'), { maxLeads: 250, dailyVerifications: null, maxPageSize: 0 });
+        assert.strictEqual(roleQuotas('manager').maxLeads, 500);
+        assert.strictEqual(roleQuotas('admin').maxPageSize, null);
+    });
+});
+
+test('describeRoles lists every role with its permissions and quotas', () => {
+    const roles = describeRoles();
+    assert.deepStrictEqual(roles.map(r => r.role), ROLES);
+    assert.deepStrictEqual(roles.find(r => r.role === 'manager').quotas, roleQuotas('manager'));
+    assert.deepStrictEqual(roles.find(r => r.role === 'viewer').permissions, []);
+});
+
+test('the verification counter counts per user per UTC day', () => {
+    const counter = createVerificationCounter();
+    const morning = new Date('2026-03-01T00:30:00Z');
+    const evening = new Date('2026-03-01T23:59:00Z');
+
+    counter.add('user-1', 3, morning);
+    counter.add('user-1', 1, evening);
+    counter.add('user-2', 5, morning);
+
+    assert.strictEqual(counter.used('user-1', evening), 4);
+    assert.strictEqual(counter.used('user-1', new Date('2026-03-02T00:00:00Z')), 0);
+    assert.deepStrictEqual(counter.status('user-1', 5, evening), {
+        limit: 5,
+        used: 4,
+        remaining: 1,
+        resetsAt: '2026-03-02T00:00:00.000Z'
+    });
+    assert.strictEqual(counter.status('user-2', 2, morning).remaining, 0);
+    assert.strictEqual(counter.status('user-2', null, morning).remaining, null);
+});
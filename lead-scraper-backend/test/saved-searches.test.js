@@ -0,0 +1,110 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSavedSearch, createSavedSearchStore, createSearchScheduler } = require('../saved-searches');
+
+const store = createSavedSearchStore();
+const base = { name: 'Dentists', query: 'dentist', location: 'Brooklyn, NY' };
+
+test('validateSavedSearch needs a query and an area or location', () => {
+    assert.strictEqual(validateSavedSearch(base), null);
+    assert.strictEqual(validateSavedSearch({ ...base, query: ' ' }), 'query is required');
+    assert.match(validateSavedSearch({ name: 'x', query: 'q' }), /area .* or location is required/);
+    assert.match(validateSavedSearch({ ...base, location: undefined, area: { type: 'circle' }, source: 'apollo' }), /Apollo searches need a location/);
+    assert.match(validateSavedSearch({ ...base, maxLeads: 0 }), /between 1 and 1000/);
+    assert.match(validateSavedSearch({ ...base, timezone: 'Mars/Olympus' }), /Unknown timezone/);
+});
+
+test('validateSavedSearch refuses schedules that fire more than hourly', () => {
+    assert.strictEqual(validateSavedSearch({ ...base, schedule: '0 8 * * 1', timezone: 'America/New_York' }), null);
+    assert.strictEqual(validateSavedSearch({ ...base, schedule: '0 * * * *' }), null);
+    assert.strictEqual(validateSavedSearch({ ...base, schedule: null }), null);
+    assert.match(validateSavedSearch({ ...base, schedule: 'every day' }), /Invalid schedule/);
+    assert.match(validateSavedSearch({ ...base, schedule: '*/5 * * * *' }), /at most once every 60 minutes/);
+    // Only one gap of the day is too short
+    assert.match(validateSavedSearch({ ...base, schedule: '0,30 9 * * *' }), /30 min apart/);
+});
+
+test('searches are listed per workspace and keep the user who saved them', () => {
+    const search = store.create('ss-a', { ...base, schedule: '0 8 * * 1' }, 'user-1');
+    assert.strictEqual(search.createdBy, 'user-1');
+    assert.deepStrictEqual(search.params, { maxLeads: 60, source: 'google', query: 'dentist', location: 'Brooklyn, NY' });
+    assert.ok(search.nextRunAt > new Date().toISOString());
+    assert.deepStrictEqual(store.list('ss-a').map(s => s.id), [search.id]);
+    assert.deepStrictEqual(store.list('ss-b'), []);
+
+    const renamed = store.update(search.id, { name: 'Dentists', maxLeads: 60 }, 'user-2');
+    assert.strictEqual(renamed.createdBy, 'user-1');
+
+    const updated = store.update(search.id, { maxLeads: 10, schedule: null }, 'user-2');
+    assert.strictEqual(updated.createdBy, 'user-2');
+    assert.strictEqual(updated.params.maxLeads, 10);
+    assert.strictEqual(updated.nextRunAt, null);
+});
+
+test('a user who changes when a search runs takes it over', () => {
+    const search = store.create('ss-a', { ...base, schedule: '0 8 * * 1', enabled: false }, 'user-1');
+    assert.strictEqual(store.update(search.id, { enabled: false, schedule: '0 8 * * 1' }, 'user-2').createdBy, 'user-1');
+    assert.strictEqual(store.update(search.id, { enabled: true }, 'user-2').createdBy, 'user-2');
+    assert.strictEqual(store.update(search.id, { timezone: 'Europe/Paris' }, 'user-3').createdBy, 'user-3');
+});
+
+test('a search saved without a user is owned by the next user to change it', () => {
+    const legacy = store.create('ss-a', base);
+    assert.strictEqual(legacy.createdBy, null);
+    assert.strictEqual(store.update(legacy.id, { name: 'Mine' }, 'user-3').createdBy, 'user-3');
+});
+
+test('runs are diffed against the previous completed run', () => {
+    const search = store.create('ss-c', base, 'user-1');
+    const first = store.createRun(search.id, 'manual');
+    assert.strictEqual(store.activeRun(search.id).id, first.id);
+
+    const baseline = store.completeRun(first.id, [{ id: 'lead_1', placeId: 'p1' }, { id: 'lead_2', duplicateClusterId: 'dup_1' }]);
+    assert.strictEqual(baseline.baseline, true);
+    assert.strictEqual(baseline.newCount, 0);
+    assert.strictEqual(store.activeRun(search.id), null);
+
+    const second = store.createRun(search.id, 'schedule');
+    const run = store.completeRun(second.id, [
+        { id: 'lead_9', placeId: 'p1' },
+        { id: 'lead_8', duplicateClusterId: 'dup_1' },
+        { id: 'lead_3' }
+    ]);
+    assert.strictEqual(run.baseline, false);
+    assert.deepStrictEqual(run.newLeadIds, ['lead_3']);
+    assert.deepStrictEqual(store.listRuns(search.id).map(r => r.trigger), ['schedule', 'manual']);
+});
+
+test('a cancelled or failed run is no longer active', () => {
+    const search = store.create('ss-d', base, 'user-1');
+    const run = store.createRun(search.id, 'manual');
+    store.setRunStatus(run.id, 'cancelled');
+    assert.strictEqual(store.activeRun(search.id), null);
+    assert.ok(store.getRun(run.id).finishedAt);
+
+    assert.strictEqual(store.remove(search.id), true);
+    assert.strictEqual(store.getRun(run.id), null);
+});
+
+test('the scheduler starts due searches and moves them on, also when a run is skipped', () => {
+    const due = store.create('ss-e', { ...base, schedule: '0 8 * * 1' }, 'user-1');
+    const skipped = store.create('ss-e', { ...base, name: 'Skipped', schedule: '0 9 * * 1' }, 'user-1');
+    const later = new Date(Date.now() + 8 * 24 * 60 * 60 * 1000);
+
+    // Let the scheduler see the searches due a week from now
+    const started = [];
+    const scheduler = createSearchScheduler({
+        store: { ...store, listDue: () => store.listDue(later).filter(search => search.workspaceId === 'ss-e') },
+        startRun: (search, trigger) => {
+            started.push([search.id, trigger]);
+            return search.id === skipped.id ? null : {};
+        }
+    });
+    scheduler.tick();
+    assert.deepStrictEqual(started.sort(), [[due.id, 'schedule'], [skipped.id, 'schedule']].sort());
+    // Skipped searches still move on to their next run
+    assert.ok(store.get(skipped.id).lastRunAt);
+    assert.ok(store.get(due.id).nextRunAt > new Date().toISOString());
+});
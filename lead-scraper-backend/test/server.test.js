@@ -0,0 +1,307 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+// No provider keys: every paid verification step skips, and nothing leaves the machine
+for (const name of ['GOOGLE_PLACES_API_KEY', 'GOOGLE_PLACES_NEW_API_KEY', 'OPENAI_API_KEY', 'ANTHROPIC_API_KEY',
+    'APOLLO_API_KEY', 'PDL_API_KEY', 'HUNTER_API_KEY', 'YELP_API_KEY', 'NUMVERIFY_API_KEY', 'OIDC_ISSUER']) {
+    delete process.env[name];
+}
+
+const app = require('../server');
+
+let server;
+let base;
+
+test.before(() => new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+// JSON request as the session with token; resolves to { status, body }
+async function call(token, method, path, body) {
+    const response = await fetch(base + path, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+// The first account becomes admin of the default workspace
+let adminToken;
+async function admin() {
+    if (!adminToken) {
+        adminToken = (await call(null, 'POST', '/api/auth/register', { username: 'admin', password: 'password123' })).body.token;
+    }
+    return adminToken;
+}
+
+// A session for a new member of the default workspace with the given role
+async function member(role) {
+    const username = `${role}-${Math.random().toString(36).slice(2, 8)}`;
+    await call(await admin(), 'POST', '/api/workspaces/current/members', { username, password: 'password123', role });
+    return (await call(null, 'POST', '/api/auth/login', { username, password: 'password123' })).body.token;
+}
+
+// The server-sent events of a stream, in order: [{ event, data }]
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(chunk => {
+        const event = chunk.match(/^event: (.*)$/m)[1];
+        return { event, data: JSON.parse(chunk.match(/^data: (.*)$/m)[1]) };
+    });
+}
+
+async function streamUrl(token, leadId, aiProvider = 'none') {
+    const { body } = await call(token, 'POST', '/api/auth/stream-token', { path: '/api/verify/stream' });
+    return `${base}/api/verify/stream?leadId=${leadId}&aiProvider=${aiProvider}&stream_token=${body.token}`;
+}
+
+test('POST /api/leads keeps only editable fields and provider IDs', async () => {
+    const token = await admin();
+    const { status, body } = await call(token, 'POST', '/api/leads', {
+        companyName: 'Posted Co',
+        placeId: 'posted-place',
+        phone: '(212) 555-0100',
+        rating: 'N/A',
+        id: 'lead_0000000000000000',
+        verified: true,
+        ownerVerified: true,
+        verificationStatus: 'verified',
+        aiConfidence: 99,
+        ownerDataSource: 'Trust me',
+        changeFlags: ['closed'],
+        duplicateClusterId: 'cluster_x',
+        fieldReasons: { ownerName: 'made_up' },
+        workspaceId: 'elsewhere'
+    });
+
+    assert.strictEqual(status, 201);
+    assert.notStrictEqual(body.id, 'lead_0000000000000000');
+    assert.deepStrictEqual([body.companyName, body.placeId, body.phone, body.workspaceId], ['Posted Co', 'posted-place', '(212) 555-0100', 'default']);
+    for (const field of ['verified', 'ownerVerified', 'verificationStatus', 'aiConfidence', 'ownerDataSource', 'changeFlags', 'fieldReasons']) {
+        assert.ok(!body[field], field);
+    }
+    assert.strictEqual(body.duplicateClusterId ?? null, null);
+});
+
+test('POST /api/leads never merges into a stored lead by its ID', async () => {
+    const token = await admin();
+    const stored = (await call(token, 'POST', '/api/leads', { companyName: 'Kept Co', ownerName: 'Real Owner' })).body;
+    const other = await call(token, 'POST', '/api/leads', { id: stored.id, companyName: 'Other Co', ownerName: 'Overwritten' });
+
+    assert.strictEqual(other.status, 201);
+    assert.notStrictEqual(other.body.id, stored.id);
+    assert.strictEqual((await call(token, 'GET', `/api/leads/${stored.id}`)).body.ownerName, 'Real Owner');
+});
+
+test('POST /api/leads validates the lead', async () => {
+    const token = await admin();
+    assert.strictEqual((await call(token, 'POST', '/api/leads', { phone: '555' })).status, 400);
+    assert.strictEqual((await call(token, 'POST', '/api/leads', [{ companyName: 'A' }])).status, 400);
+    assert.match((await call(token, 'POST', '/api/leads', { companyName: 'A', phone: { x: 1 } })).body.error, /phone must be a string or number/);
+    assert.strictEqual((await call(null, 'POST', '/api/leads', { companyName: 'A' })).status, 401);
+});
+
+test('the verification stream reports every step in pipeline order, then the result', async () => {
+    const token = await admin();
+    process.env.CRAWL_ENABLED = 'false';
+    try {
+        const lead = (await call(token, 'POST', '/api/leads', { companyName: 'Stream Co', phone: '(212) 555-0101' })).body;
+        const response = await fetch(await streamUrl(token, lead.id));
+
+        assert.strictEqual(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+        const events = parseEvents(await response.text());
+        const steps = events.filter(({ event }) => event === 'step').map(({ data }) => data);
+        assert.deepStrictEqual([...new Set(steps.map(step => step.step))],
+            ['website', 'structuredData', 'apollo', 'pdl', 'hunter', 'numverify', 'yelp', 'ai']);
+        assert.deepStrictEqual(steps.slice(0, 2).map(step => [step.status, step.reason]),
+            [['skipped', 'disabled'], ['skipped', 'website not crawled']]);
+        assert.ok(steps.every(step => step.timestamp));
+
+        assert.deepStrictEqual(events.map(({ event }) => event).slice(-1), ['result']);
+        assert.strictEqual(events.filter(({ event }) => event !== 'step').length, 1);
+        assert.strictEqual(events.at(-1).data.id, lead.id);
+    } finally {
+        delete process.env.CRAWL_ENABLED;
+    }
+});
+
+test('the verification stream checks its lead, token and path', async () => {
+    const token = await admin();
+    const lead = (await call(token, 'POST', '/api/leads', { companyName: 'Checked Co' })).body;
+
+    assert.strictEqual((await fetch(await streamUrl(token, 'lead_missing'))).status, 404);
+    assert.strictEqual((await fetch(`${base}/api/verify/stream?leadId=${lead.id}&stream_token=nope`)).status, 401);
+
+    // A stream token is single-use
+    const url = await streamUrl(token, lead.id);
+    process.env.CRAWL_ENABLED = 'false';
+    try {
+        await (await fetch(url)).text();
+    } finally {
+        delete process.env.CRAWL_ENABLED;
+    }
+    assert.strictEqual((await fetch(url)).status, 401);
+});
+
+test('a client leaving the verification stream stops the pipeline', async (t) => {
+    const token = await admin();
+    const lead = (await call(token, 'POST', '/api/leads', { companyName: 'Gone Co', website: 'http://93.184.216.34' })).body;
+
+    // robots.txt answers only once the client has gone; the crawl must stop there
+    let answerRobots;
+    const requested = [];
+    t.mock.method(axios, 'get', (url) => {
+        requested.push(url);
+        return new Promise(resolve => { answerRobots = () => resolve({ status: 404, data: '', headers: {} }); });
+    });
+    const post = t.mock.method(axios, 'post', async () => ({ data: {} }));
+    process.env.APOLLO_API_KEY = 'apollo-key';
+
+    try {
+        const client = new AbortController();
+        const response = await fetch(await streamUrl(token, lead.id), { signal: client.signal });
+        const reader = response.body.getReader();
+        const first = new TextDecoder().decode((await reader.read()).value);
+        assert.deepStrictEqual(parseEvents(first).map(({ data }) => [data.step, data.status]), [['website', 'started']]);
+
+        client.abort();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        answerRobots();
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.deepStrictEqual(requested, ['http://93.184.216.34/robots.txt']);
+        assert.strictEqual(post.mock.callCount(), 0);
+    } finally {
+        delete process.env.APOLLO_API_KEY;
+    }
+});
+
+test('an AI answer without an owner leaves the lead unverified', async (t) => {
+    const token = await admin();
+    const lead = (await call(token, 'POST', '/api/leads', { companyName: 'Unknown Owner Co' })).body;
+
+    // The OpenAI client calls fetch; everything else still reaches the test server
+    const realFetch = globalThis.fetch;
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+        if (!String(url).startsWith('https://api.openai.com/')) return realFetch(url, init);
+        const content = JSON.stringify({ ownerName: null, industry: 'Restaurant', confidence: 0 });
+        return new Response(JSON.stringify({
+            choices: [{ message: { role: 'assistant', content } }],
+            usage: { prompt_tokens: 10, completion_tokens: 10 }
+        }), { headers: { 'Content-Type': 'application/json' } });
+    });
+    process.env.OPENAI_API_KEY = 'openai-test-key';
+    process.env.CRAWL_ENABLED = 'false';
+
+    try {
+        const events = parseEvents(await (await realFetch(await streamUrl(token, lead.id, 'chatgpt'))).text());
+        const result = events.at(-1).data;
+
+        assert.strictEqual(result.aiSource, 'ChatGPT (Fallback)');
+        assert.deepStrictEqual([result.verificationStatus, result.verified, result.verifiedAt], ['unverified', false, undefined]);
+        assert.strictEqual((await call(token, 'GET', `/api/leads/${lead.id}`)).body.verified, false);
+    } finally {
+        delete process.env.OPENAI_API_KEY;
+        delete process.env.CRAWL_ENABLED;
+    }
+});
+
+test('duplicate clusters are listed a capped page at a time', async () => {
+    const token = await admin();
+    for (const n of [1, 2]) {
+        await call(token, 'POST', '/api/leads', { companyName: `Twin Shop ${n}`, placeId: `twin-${n}`, phone: `(212) 555-041${n}` });
+        await call(token, 'POST', '/api/leads', { companyName: `Twin Shop ${n}`, yelpId: `twin-${n}`, phone: `212-555-041${n}` });
+    }
+
+    const all = (await call(token, 'GET', '/api/leads/duplicates')).body;
+    assert.ok(all.count >= 2);
+    assert.strictEqual(all.clusters.length, all.count);
+    assert.strictEqual(all.limit, null);
+
+    const paged = (await call(token, 'GET', '/api/leads/duplicates?limit=1&offset=1')).body;
+    assert.deepStrictEqual([paged.clusters.length, paged.count, paged.offset], [1, all.count, 1]);
+    assert.strictEqual(paged.clusters[0].clusterId, all.clusters[1].clusterId);
+
+    const researcher = await member('researcher');
+    process.env.QUOTA_RESEARCHER_MAX_PAGE_SIZE = '1';
+    try {
+        const capped = (await call(researcher, 'GET', '/api/leads/duplicates?limit=50')).body;
+        assert.deepStrictEqual([capped.clusters.length, capped.limit, capped.count], [1, 1, all.count]);
+    } finally {
+        delete process.env.QUOTA_RESEARCHER_MAX_PAGE_SIZE;
+    }
+});
+
+test('routes check the role: a viewer can neither search nor export', async () => {
+    const viewer = await member('viewer');
+    const search = { query: 'pizza', location: 'New York, NY' };
+
+    for (const [method, path, body, permission] of [
+        ['POST', '/api/scrape', search, 'scrape'],
+        ['POST', '/api/scrape-area', { query: 'pizza', latitude: 40.7, longitude: -74 }, 'scrape'],
+        ['POST', '/api/jobs', { type: 'scrape', params: search }, 'scrape'],
+        ['POST', '/api/saved-searches', { name: 'Pizza', ...search }, 'scrape'],
+        ['GET', '/api/leads/export', undefined, 'export'],
+        ['POST', '/api/leads/export', { format: 'csv' }, 'export'],
+        ['POST', '/api/workspaces', { name: 'Mine' }, 'manageWorkspace']
+    ]) {
+        const { status, body: error } = await call(viewer, method, path, body);
+        assert.deepStrictEqual([status, error.permission], [403, permission], `${method} ${path}`);
+    }
+
+    // Reading is still allowed
+    assert.strictEqual((await call(viewer, 'GET', '/api/leads')).status, 200);
+});
+
+test('searches are checked against the role\'s quotas wherever they start', async () => {
+    const researcher = await member('researcher');
+    const search = { query: 'pizza', location: 'New York, NY', maxLeads: 500 };
+
+    for (const [path, body] of [
+        ['/api/scrape', search],
+        ['/api/jobs', { type: 'scrape', params: search }],
+        ['/api/saved-searches', { name: 'Big', ...search }]
+    ]) {
+        const { status, body: error } = await call(researcher, 'POST', path, body);
+        assert.strictEqual(status, 403, path);
+        assert.match(error.error, /researcher role can request at most 100 leads per search/, path);
+    }
+
+    assert.strictEqual((await call(researcher, 'GET', '/api/leads/export')).status, 403);
+});
+
+test('roles without export get capped pages of leads', async () => {
+    const token = await admin();
+    for (const n of [1, 2, 3]) {
+        await call(token, 'POST', '/api/leads', { companyName: `Paged Co ${n}` });
+    }
+    const researcher = await member('researcher');
+
+    process.env.QUOTA_RESEARCHER_MAX_PAGE_SIZE = '2';
+    try {
+        const capped = (await call(researcher, 'GET', '/api/leads?limit=500')).body;
+        assert.deepStrictEqual([capped.leads.length, capped.limit], [2, 2]);
+        assert.ok(capped.count > 2);
+
+        const unpaged = (await call(researcher, 'GET', '/api/leads')).body;
+        assert.deepStrictEqual([unpaged.leads.length, unpaged.limit], [2, 2]);
+
+        const all = (await call(token, 'GET', '/api/leads?limit=500')).body;
+        assert.strictEqual(all.leads.length, all.count);
+    } finally {
+        delete process.env.QUOTA_RESEARCHER_MAX_PAGE_SIZE;
+    }
+});
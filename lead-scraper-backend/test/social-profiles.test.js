@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeSocialUrl, candidatesFromLead, buildSocialProfiles } = require('../social-profiles');
+
+test('normalizeSocialUrl canonicalizes profile URLs', () => {
+    assert.deepStrictEqual(normalizeSocialUrl('http://m.facebook.com/JoesPizza?ref=page'),
+        { network: 'facebook', handle: 'JoesPizza', url: 'https://www.facebook.com/JoesPizza' });
+    assert.deepStrictEqual(normalizeSocialUrl('twitter.com/joes_nyc'),
+        { network: 'twitter', handle: 'joes_nyc', url: 'https://x.com/joes_nyc' });
+    assert.deepStrictEqual(normalizeSocialUrl('https://www.linkedin.com/company/joes-pizza/about/'),
+        { network: 'linkedin', handle: 'joes-pizza', url: 'https://www.linkedin.com/company/joes-pizza' });
+    assert.strictEqual(normalizeSocialUrl('https://www.facebook.com/profile.php?id=1234').url, 'https://www.facebook.com/profile.php?id=1234');
+    assert.strictEqual(normalizeSocialUrl('https://www.yelp.com/biz/joes-pizza-new-york').handle, 'joes-pizza-new-york');
+});
+
+test('normalizeSocialUrl rejects shares, posts, other hosts and placeholders', () => {
+    for (const url of [
+        'https://www.facebook.com/sharer/sharer.php?u=x',
+        'https://www.instagram.com/p/Cx123/',
+        'https://twitter.com/intent/tweet',
+        'https://www.linkedin.com/feed/',
+        'https://notfacebook.com/joes',
+        'https://www.youtube.com/watch?v=abc',
+        'N/A',
+        'not a url at all'
+    ]) {
+        assert.strictEqual(normalizeSocialUrl(url), null, url);
+    }
+});
+
+test('buildSocialProfiles groups sources per profile and maps company profiles', () => {
+    const { socialProfiles, socialMedia } = buildSocialProfiles([
+        { url: 'https://facebook.com/joes', source: 'Company website', type: 'company', evidence: 'https://joes.test/' },
+        { url: 'https://www.facebook.com/joes/', source: 'Apollo', type: 'company', evidence: 'organizationFacebookUrl' },
+        { url: 'https://www.facebook.com/joes', source: 'Apollo', type: 'company', evidence: 'organizationFacebookUrl' },
+        { url: 'https://linkedin.com/in/jane-doe', source: 'People Data Labs', type: 'person', evidence: 'linkedinUrl' },
+        { url: 'https://facebook.com/sharer.php', source: 'Company website', type: 'company', evidence: 'x' }
+    ]);
+
+    assert.strictEqual(socialProfiles.length, 2);
+    assert.strictEqual(socialProfiles[0].sources.length, 2);
+    assert.deepStrictEqual(socialMedia, { facebook: 'https://www.facebook.com/joes' });
+});
+
+test('candidatesFromLead keeps earlier evidence and attributes Apollo company links', () => {
+    const candidates = candidatesFromLead({
+        source: 'Apollo Organizations',
+        linkedinUrl: 'https://linkedin.com/company/joes',
+        facebookUrl: 'N/A',
+        socialProfiles: [{ url: 'https://x.com/joes', type: 'company', sources: [{ source: 'Company website', evidence: 'p' }] }]
+    });
+
+    assert.deepStrictEqual(candidates, [
+        { url: 'https://linkedin.com/company/joes', source: 'Apollo', type: 'company', evidence: 'linkedinUrl' },
+        { url: 'https://x.com/joes', type: 'company', source: 'Company website', evidence: 'p' }
+    ]);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractStructuredData, summarizeStructuredData } = require('../structured-data');
+
+test('extractStructuredData reads JSON-LD businesses, tolerating trailing commas', () => {
+    const { businesses, people } = extractStructuredData(`
+        <script type="application/ld+json">
+        {
+            "@context": "https://schema.org",
+            "@graph": [
+                { "@type": "WebSite", "name": "Joe's site" },
+                {
+                    "@type": ["Restaurant", "LocalBusiness"],
+                    "name": "Joe's Pizza",
+                    "telephone": "+1 212 555 0100",
+                    "email": "mailto:Hello@Joes.test",
+                    "address": { "@type": "PostalAddress", "streetAddress": "1 Main St", "addressLocality": "New York" },
+                    "sameAs": ["https://facebook.com/joes", "not a url"],
+                    "founder": { "@type": "Person", "name": "Joe Russo" },
+                    "geo": { "latitude": "40.7", "longitude": "-74.0" },
+                },
+            ]
+        }
+        </script>`);
+
+    assert.strictEqual(businesses.length, 1);
+    const [business] = businesses;
+    assert.strictEqual(business.type, 'Restaurant');
+    assert.strictEqual(business.name, "Joe's Pizza");
+    assert.strictEqual(business.email, 'hello@joes.test');
+    assert.deepStrictEqual(business.sameAs, ['https://facebook.com/joes']);
+    assert.deepStrictEqual(business.founders, [{ name: 'Joe Russo', jobTitle: null }]);
+    assert.deepStrictEqual(business.geo, { lat: 40.7, lng: -74 });
+    // The founder is nested in the business, and is also a typed node of its own
+    assert.deepStrictEqual(people, [{ name: 'Joe Russo', jobTitle: null }]);
+});
+
+test('extractStructuredData reads microdata people', () => {
+    const { people } = extractStructuredData(`
+        <div itemscope itemtype="https://schema.org/Person">
+            <span itemprop="name">Ana Lima</span>
+            <span itemprop="jobTitle">Owner &amp; Chef</span>
+        </div>`);
+    assert.deepStrictEqual(people, [{ name: 'Ana Lima', jobTitle: 'Owner & Chef' }]);
+});
+
+test('summarizeStructuredData merges pages and picks the owner', () => {
+    const summary = summarizeStructuredData([
+        { page: 'https://joes.test/', businesses: [{ name: "Joe's", telephone: null, sameAs: ['https://x.com/joes'], openingHours: [], founders: [], employees: [] }], people: [] },
+        { page: 'https://joes.test/about', businesses: [{ name: 'Other', telephone: '555', sameAs: ['https://x.com/joes'], openingHours: ['Mo-Fr 09:00-17:00'], founders: [], employees: [] }], people: [{ name: 'Pat Kim', jobTitle: 'Co-Founder' }] }
+    ]);
+
+    assert.strictEqual(summary.business.name, "Joe's");
+    assert.strictEqual(summary.business.telephone, '555');
+    assert.deepStrictEqual(summary.business.sameAs, ['https://x.com/joes']);
+    assert.deepStrictEqual(summary.owner, { name: 'Pat Kim', title: 'Co-Founder', page: 'https://joes.test/about' });
+});
+
+test('summarizeStructuredData returns null when no page had any', () => {
+    assert.strictEqual(summarizeStructuredData([{ page: 'p', businesses: [], people: [] }]), null);
+});
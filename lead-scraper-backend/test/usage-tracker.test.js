@@ -0,0 +1,114 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUsageTracker } = require('../usage-tracker');
+const { runWithRequestContext } = require('../request-context');
+const { getDatabase } = require('../db');
+
+const recorded = [];
+let blocked = false;
+const tracker = createUsageTracker({
+    onRecord: (provider) => recorded.push(provider),
+    isBlocked: () => blocked
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('record prices single units and token counts', () => {
+    tracker.record('google', 'place_details');
+    tracker.record('google', 'text_search');
+    tracker.record('claude', { input_token: 1000, output_token: 200 });
+
+    const { today } = tracker.report();
+    assert.strictEqual(today.google.requests, 2);
+    close(today.google.cost, 0.017 + 0.032);
+    assert.strictEqual(today.claude.credits, 1200);
+    close(today.claude.cost, 1000 * 3 / 1000000 + 200 * 15 / 1000000);
+    assert.deepStrictEqual(recorded, ['google', 'google', 'claude']);
+});
+
+test('COST_ overrides change the price of new records', () => {
+    process.env.COST_PDL_CREDIT = '0.5';
+    try {
+        tracker.record('pdl', 'credit');
+        close(tracker.report().today.pdl.cost, 0.5);
+        assert.strictEqual(tracker.report().prices.pdl.credit, 0.5);
+    } finally {
+        delete process.env.COST_PDL_CREDIT;
+    }
+});
+
+test('isOverBudget follows the daily cap and the isBlocked hook', () => {
+    assert.strictEqual(tracker.isOverBudget('hunter'), false);
+
+    process.env.BUDGET_HUNTER_DAILY = '0.1';
+    try {
+        tracker.record('hunter', 'credit');
+        assert.strictEqual(tracker.isOverBudget('hunter'), false);
+        tracker.record('hunter', 'credit');
+        tracker.record('hunter', 'credit');
+        assert.strictEqual(tracker.isOverBudget('hunter'), true);
+        const status = tracker.budgetStatus('hunter');
+        assert.strictEqual(status.dailyRemaining, 0);
+        assert.strictEqual(status.monthlyLimit, null);
+    } finally {
+        delete process.env.BUDGET_HUNTER_DAILY;
+    }
+
+    blocked = true;
+    assert.strictEqual(tracker.isOverBudget('yelp'), true);
+    blocked = false;
+    assert.strictEqual(tracker.isOverBudget('yelp'), false);
+});
+
+test('each workspace sees its own usage, and only spend with the server keys counts against the budgets', () => {
+    let ownKey = false;
+    const scoped = createUsageTracker({ usesOwnKey: (provider) => ownKey && provider === 'hunter' });
+    const inWorkspace = (workspaceId, fn) => runWithRequestContext({ workspaceId }, fn);
+
+    process.env.BUDGET_NUMVERIFY_DAILY = '0.002';
+    process.env.BUDGET_HUNTER_DAILY = '1';
+    try {
+        inWorkspace('ws-shared', () => scoped.record('numverify', 'request'));
+        inWorkspace('ws-other', () => scoped.record('numverify', 'request'));
+
+        const shared = inWorkspace('ws-shared', () => scoped.report());
+        assert.strictEqual(shared.today.numverify.requests, 1);
+        assert.deepStrictEqual(shared.daily.map(row => [row.provider, row.requests]), [['numverify', 1]]);
+        assert.strictEqual(inWorkspace('ws-empty', () => scoped.report()).monthTotalCost, 0);
+        // Both used the server's key, so together they reach its cap
+        assert.strictEqual(inWorkspace('ws-empty', () => scoped.isOverBudget('numverify')), true);
+
+        // A workspace paying with its own key is billed itself, and the server's cap neither counts nor stops it
+        const serverSpend = scoped.budgetStatus('hunter').spentToday;
+        ownKey = true;
+        process.env.BUDGET_HUNTER_DAILY = '0';
+        inWorkspace('ws-own', () => scoped.record('hunter', 'credit'));
+        const own = inWorkspace('ws-own', () => scoped.report());
+        assert.strictEqual(own.today.hunter.requests, 1);
+        assert.ok(!('hunter' in own.budgets));
+        assert.strictEqual(inWorkspace('ws-own', () => scoped.isOverBudget('hunter')), false);
+        assert.strictEqual(scoped.budgetStatus('hunter').spentToday, serverSpend);
+    } finally {
+        delete process.env.BUDGET_NUMVERIFY_DAILY;
+        delete process.env.BUDGET_HUNTER_DAILY;
+    }
+});
+
+test('usage recorded before workspaces moves to the default workspace', () => {
+    const db = getDatabase();
+    db.exec(`
+        DROP TABLE provider_usage;
+        CREATE TABLE provider_usage (
+            day TEXT NOT NULL, provider TEXT NOT NULL, requests INTEGER NOT NULL DEFAULT 0,
+            credits REAL NOT NULL DEFAULT 0, cost REAL NOT NULL DEFAULT 0, PRIMARY KEY (day, provider)
+        );
+        INSERT INTO provider_usage VALUES (date('now'), 'yelp', 3, 3, 0.03);
+    `);
+
+    const migrated = createUsageTracker();
+    assert.strictEqual(migrated.report().today.yelp.requests, 3);
+    assert.strictEqual(runWithRequestContext({ workspaceId: 'ws-a' }, () => migrated.report()).today.yelp, undefined);
+    close(migrated.budgetStatus('yelp').spentToday, 0.03);
+});
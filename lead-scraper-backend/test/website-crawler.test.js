@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { createWebsiteCrawler, extractPageData, parseRobots, isAllowedByRobots, isPrivateAddress } = require('../website-crawler');
+
+// Public IP literals, so no DNS lookup is needed
+const SITE = 'http://93.184.216.34';
+
+// Serve canned responses by URL and remember every URL requested
+function stubAxios(t, routes) {
+    const requested = [];
+    t.mock.method(axios, 'get', async (url) => {
+        requested.push(url);
+        const route = routes[url];
+        if (!route) return { status: 404, data: '', headers: {} };
+        return { status: 200, headers: {}, ...route };
+    });
+    return requested;
+}
+
+test('isPrivateAddress blocks internal ranges and allows public ones', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:5db8:d822', '64:ff9b::808:808', '2002:808:808::1']) {
+        assert.strictEqual(isPrivateAddress(address), false, address);
+    }
+});
+
+test('isPrivateAddress sees IPv4 addresses embedded in IPv6 ones, however they are written', () => {
+    // URL parsing rewrites [::ffff:169.254.169.254] to the hex form
+    const hosts = ['[::ffff:169.254.169.254]', '[::ffff:127.0.0.1]', '[::ffff:10.0.0.1]'].map(host => new URL(`http://${host}/`).hostname.slice(1, -1));
+    assert.deepStrictEqual(hosts, ['::ffff:a9fe:a9fe', '::ffff:7f00:1', '::ffff:a00:1']);
+
+    for (const address of [...hosts, '0:0:0:0:0:ffff:7f00:1', '::7f00:1', '64:ff9b::a9fe:a9fe', '64:ff9b::10.0.0.1', '64:ff9b:1::1', '2002:a00:1::1', '::', 'fec0::1', 'ff02::1', 'FE80::1%eth0']) {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+});
+
+test('robots.txt: our own group wins over *, longest rule wins', () => {
+    const rules = parseRobots([
+        'User-agent: *',
+        'Disallow: /',
+        '',
+        'User-agent: LeadScraperBot',
+        'Disallow: /private',
+        'Allow: /private/contact',
+        'Disallow: /*.pdf$'
+    ].join('\n'));
+
+    assert.strictEqual(isAllowedByRobots(rules, `${SITE}/about`), true);
+    assert.strictEqual(isAllowedByRobots(rules, `${SITE}/private/team`), false);
+    assert.strictEqual(isAllowedByRobots(rules, `${SITE}/private/contact`), true);
+    assert.strictEqual(isAllowedByRobots(rules, `${SITE}/menu.pdf`), false);
+    assert.strictEqual(isAllowedByRobots(parseRobots('User-agent: *\nDisallow: /'), `${SITE}/`), false);
+});
+
+test('extractPageData finds contacts, social profiles and owner names', () => {
+    const data = extractPageData(`
+        <html><body>
+            <a href="mailto:Info@Joes.test">Email us</a>
+            <a href="tel:+12125550100">Call</a>
+            <a href="https://www.facebook.com/joespizza">Facebook</a>
+            <a href="https://facebook.com/sharer/sharer.php?u=x">Share</a>
+            <a href="/contact">Contact</a>
+            <p>Jane Doe, Owner</p>
+            <p>Write to noreply@sentry.io or hello@joes.test</p>
+        </body></html>`, `${SITE}/`);
+
+    assert.deepStrictEqual(data.emails.sort(), ['hello@joes.test', 'info@joes.test']);
+    assert.ok(data.phones.includes('+12125550100'));
+    assert.deepStrictEqual(data.socialProfiles, [{ network: 'facebook', url: 'https://www.facebook.com/joespizza' }]);
+    assert.deepStrictEqual(data.people, [{ name: 'Jane Doe', title: 'Owner' }]);
+    assert.ok(data.links.some(link => link.url === `${SITE}/contact`));
+});
+
+test('crawl visits linked contact pages and honors robots.txt', async (t) => {
+    stubAxios(t, {
+        [`${SITE}/robots.txt`]: { data: 'User-agent: *\nDisallow: /team' },
+        [`${SITE}/`]: { data: '<a href="/contact-us">Contact</a><a href="/team">Team</a><p>Founder: Sam Lee</p>' },
+        [`${SITE}/contact-us`]: { data: '<a href="mailto:sam@site.test">Mail</a>' }
+    });
+
+    const crawler = createWebsiteCrawler({ renderer: 'http' });
+    const result = await crawler.crawl(`${SITE}/`);
+
+    assert.deepStrictEqual(result.pages.map(page => page.kind), ['homepage', 'contact']);
+    assert.deepStrictEqual(result.skipped, [{ url: `${SITE}/team`, reason: 'robots.txt' }]);
+    assert.deepStrictEqual(result.emails, [{ value: 'sam@site.test', page: `${SITE}/contact-us` }]);
+    assert.strictEqual(result.people[0].name, 'Sam Lee');
+});
+
+test('redirects to private addresses are never followed, robots.txt included', async (t) => {
+    const requested = stubAxios(t, {
+        [`${SITE}/robots.txt`]: { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' } },
+        [`${SITE}/`]: { status: 301, headers: { location: 'http://127.0.0.1:8080/admin' } }
+    });
+
+    const crawler = createWebsiteCrawler({ renderer: 'http' });
+    const result = await crawler.crawl(`${SITE}/`);
+
+    assert.deepStrictEqual(requested, [`${SITE}/robots.txt`, `${SITE}/`]);
+    assert.strictEqual(result.pages.length, 0);
+    assert.match(result.errors[0].error, /Blocked private network address/);
+});
+
+test('crawl refuses private start URLs', async () => {
+    const crawler = createWebsiteCrawler({ renderer: 'http' });
+    await assert.rejects(crawler.crawl('http://localhost:3000'), /Blocked private host/);
+    await assert.rejects(crawler.crawl('http://10.0.0.5/'), /Blocked private network address/);
+    for (const url of ['http://[::ffff:169.254.169.254]/latest/meta-data/', 'http://[::ffff:127.0.0.1]:8080/', 'http://[64:ff9b::a9fe:a9fe]/']) {
+        await assert.rejects(crawler.crawl(url), /Blocked private network address/, url);
+    }
+});
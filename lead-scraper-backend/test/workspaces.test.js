@@ -0,0 +1,106 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAuthStore } = require('../auth');
+const { validateProviderKeys, usesServerKeys, createWorkspaceStore } = require('../workspaces');
+const { getDatabase } = require('../db');
+
+const auth = createAuthStore();
+const workspaces = createWorkspaceStore();
+const user = (username) => auth.createUser({ username, password: 'password123' });
+
+test('the default workspace always exists', () => {
+    assert.strictEqual(workspaces.get('default').name, 'Default workspace');
+    assert.ok(workspaces.listIds().includes('default'));
+});
+
+test('a new workspace has its creator as admin, and members only see their own workspaces', () => {
+    const ann = user('ann');
+    const ben = user('ben');
+    const workspace = workspaces.create('Team A', ann.id);
+    assert.strictEqual(workspace.role, 'admin');
+
+    assert.deepStrictEqual(workspaces.listForUser(ann.id).map(w => [w.name, w.role]), [['Team A', 'admin']]);
+    assert.deepStrictEqual(workspaces.listForUser(ben.id), []);
+    assert.strictEqual(workspaces.isMember(workspace.id, ben.id), false);
+    assert.strictEqual(workspaces.getRole(workspace.id, ben.id), null);
+
+    assert.strictEqual(workspaces.addMember(workspace.id, ben.id, 'viewer'), true);
+    assert.strictEqual(workspaces.addMember(workspace.id, ben.id, 'admin'), false);
+    assert.strictEqual(workspaces.getRole(workspace.id, ben.id), 'viewer');
+
+    assert.strictEqual(workspaces.setRole(workspace.id, ben.id, 'manager'), true);
+    assert.deepStrictEqual(workspaces.listMembers(workspace.id).map(m => [m.username, m.role]), [['ann', 'admin'], ['ben', 'manager']]);
+
+    assert.strictEqual(workspaces.removeMember(workspace.id, ben.id), true);
+    assert.strictEqual(workspaces.isMember(workspace.id, ben.id), false);
+});
+
+test('provider keys are kept per workspace and never described with their values', () => {
+    const owner = user('cat');
+    const a = workspaces.create('Keys A', owner.id);
+    const b = workspaces.create('Keys B', owner.id);
+
+    workspaces.setProviderKeys(a.id, { APOLLO_API_KEY: ' apollo-secret-1234 ', PDL_API_KEY: 'pdl-key' });
+    assert.deepStrictEqual(workspaces.getProviderKeys(a.id), { APOLLO_API_KEY: 'apollo-secret-1234', PDL_API_KEY: 'pdl-key' });
+    assert.deepStrictEqual(workspaces.getProviderKeys(b.id), {});
+
+    const described = workspaces.setProviderKeys(a.id, { PDL_API_KEY: null });
+    const apollo = described.find(key => key.name === 'APOLLO_API_KEY');
+    assert.deepStrictEqual([apollo.source, apollo.last4], ['workspace', '1234']);
+    assert.ok(!JSON.stringify(described).includes('apollo-secret'));
+    assert.deepStrictEqual(Object.keys(workspaces.getProviderKeys(a.id)), ['APOLLO_API_KEY']);
+});
+
+test('only the default workspace and those in SERVER_KEY_WORKSPACES fall back to the server keys', () => {
+    const owner = user('dan');
+    const shared = workspaces.create('Shared', owner.id);
+    const own = workspaces.create('Own keys', owner.id);
+    const previous = { SERVER_KEY_WORKSPACES: process.env.SERVER_KEY_WORKSPACES, YELP_API_KEY: process.env.YELP_API_KEY };
+    const yelpSource = (workspaceId) => workspaces.describeProviderKeys(workspaceId).find(key => key.name === 'YELP_API_KEY').source;
+    try {
+        process.env.YELP_API_KEY = 'server-yelp';
+        process.env.SERVER_KEY_WORKSPACES = ` ${shared.id} ,other`;
+        assert.deepStrictEqual([usesServerKeys('default'), usesServerKeys(shared.id), usesServerKeys(own.id)], [true, true, false]);
+        assert.deepStrictEqual([yelpSource('default'), yelpSource(shared.id), yelpSource(own.id)], ['server', 'server', null]);
+
+        process.env.SERVER_KEY_WORKSPACES = '*';
+        assert.strictEqual(usesServerKeys(own.id), true);
+    } finally {
+        for (const [name, value] of Object.entries(previous)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+});
+
+test('validateProviderKeys accepts known keys set to a string or null', () => {
+    assert.strictEqual(validateProviderKeys({ APOLLO_API_KEY: 'x', PDL_API_KEY: null }), null);
+    assert.match(validateProviderKeys([]), /must be an object/);
+    assert.match(validateProviderKeys({ NOPE: 'x' }), /Unknown provider key: NOPE/);
+    assert.match(validateProviderKeys({ APOLLO_API_KEY: 5 }), /must be a string, or null/);
+});
+
+test('members from before roles existed get an admin per workspace and researchers otherwise', () => {
+    const db = getDatabase();
+    db.exec(`
+        CREATE TABLE legacy_members AS SELECT workspace_id, user_id, created_at FROM workspace_members WHERE 0;
+        INSERT INTO legacy_members VALUES ('old-1', 'u2', '2024-01-02'), ('old-1', 'u1', '2024-01-01'), ('old-2', 'u3', '2024-02-01');
+        DROP TABLE workspace_members;
+        CREATE TABLE workspace_members (
+            workspace_id TEXT NOT NULL, user_id TEXT NOT NULL, created_at TEXT NOT NULL, PRIMARY KEY (workspace_id, user_id)
+        );
+        INSERT INTO workspace_members SELECT * FROM legacy_members;
+        DROP TABLE legacy_members;
+    `);
+
+    const migrated = createWorkspaceStore();
+    assert.strictEqual(migrated.getRole('old-1', 'u1'), 'admin');
+    assert.strictEqual(migrated.getRole('old-1', 'u2'), 'researcher');
+    assert.strictEqual(migrated.getRole('old-2', 'u3'), 'admin');
+
+    // Later starts leave roles alone
+    migrated.setRole('old-1', 'u1', 'viewer');
+    assert.strictEqual(createWorkspaceStore().getRole('old-1', 'u1'), 'viewer');
+});
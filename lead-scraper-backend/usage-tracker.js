@@ -0,0 +1,199 @@
+const { getDatabase } = require('./db');
+const { getRequestContext } = require('./request-context');
+const { DEFAULT_WORKSPACE_ID } = require('./lead-store');
+
+// Estimated list prices in USD per billing unit; override with COST_<PROVIDER>_<UNIT> (e.g. COST_PDL_CREDIT=0.28)
+const DEFAULT_PRICES = {
+    google: { text_search: 0.032, text_search_new: 0.035, place_details: 0.017, find_place: 0.017, geocode: 0.005 },
+    yelp: { search: 0.0099, match: 0.0099, details: 0.0099 },
+    apollo: { credit: 0.025, search: 0 },
+    pdl: { credit: 0.1 },
+    hunter: { credit: 0.049 },
+    numverify: { request: 0.001 },
+    claude: { input_token: 3 / 1000000, output_token: 15 / 1000000 },
+    openai: { input_token: 2.5 / 1000000, output_token: 10 / 1000000 }
+};
+
+const PROVIDERS = Object.keys(DEFAULT_PRICES);
+
+const today = () => new Date().toISOString().slice(0, 10);
+const currentWorkspaceId = () => getRequestContext().workspaceId || DEFAULT_WORKSPACE_ID;
+
+function priceFor(provider, unit) {
+    const override = process.env[`COST_${provider.toUpperCase()}_${unit.toUpperCase()}`];
+    if (override !== undefined && override !== '') {
+        return parseFloat(override) || 0;
+    }
+    return (DEFAULT_PRICES[provider] && DEFAULT_PRICES[provider][unit]) || 0;
+}
+
+// Budget caps in USD from BUDGET_<PROVIDER>_DAILY / BUDGET_<PROVIDER>_MONTHLY (unset = no cap)
+function budgetFor(provider) {
+    const read = (period) => {
+        const value = parseFloat(process.env[`BUDGET_${provider.toUpperCase()}_${period}`]);
+        return Number.isFinite(value) ? value : null;
+    };
+    return { daily: read('DAILY'), monthly: read('MONTHLY') };
+}
+
+// onRecord(provider) is called after each recorded request (e.g. to count it against a quota);
+// isBlocked() returning true makes every provider count as over budget (e.g. once that quota is used up);
+// usesOwnKey(provider) returning true means the current workspace pays for that provider with its own key,
+// so its calls are billed to the workspace and neither count against nor stop at the server's BUDGET_* caps
+function createUsageTracker({ onRecord, isBlocked, usesOwnKey } = {}) {
+    const db = getDatabase();
+
+    // Usage from before workspaces was all made with the server's keys, in the default workspace
+    const columns = db.prepare('PRAGMA table_info(provider_usage)').all().map(info => info.name);
+    const migrateLegacy = columns.length > 0 && !columns.includes('workspace_id');
+    if (migrateLegacy) {
+        db.exec('ALTER TABLE provider_usage RENAME TO provider_usage_legacy');
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS provider_usage (
+            day TEXT NOT NULL,
+            workspace_id TEXT NOT NULL,
+            provider TEXT NOT NULL,
+            billed_to TEXT NOT NULL,
+            requests INTEGER NOT NULL DEFAULT 0,
+            credits REAL NOT NULL DEFAULT 0,
+            cost REAL NOT NULL DEFAULT 0,
+            PRIMARY KEY (day, workspace_id, provider, billed_to)
+        );
+    `);
+
+    if (migrateLegacy) {
+        db.exec(`
+            INSERT INTO provider_usage (day, workspace_id, provider, billed_to, requests, credits, cost)
+            SELECT day, '${DEFAULT_WORKSPACE_ID}', provider, 'server', requests, credits, cost FROM provider_usage_legacy;
+            DROP TABLE provider_usage_legacy;
+        `);
+    }
+
+    const recordStatement = db.prepare(`
+        INSERT INTO provider_usage (day, workspace_id, provider, billed_to, requests, credits, cost)
+        VALUES (@day, @workspaceId, @provider, @billedTo, @requests, @credits, @cost)
+        ON CONFLICT(day, workspace_id, provider, billed_to) DO UPDATE SET
+            requests = requests + excluded.requests,
+            credits = credits + excluded.credits,
+            cost = cost + excluded.cost
+    `);
+    const totalsStatement = db.prepare(`
+        SELECT provider, SUM(requests) AS requests, SUM(credits) AS credits, SUM(cost) AS cost
+        FROM provider_usage WHERE workspace_id = @workspaceId AND day >= @from AND day <= @to GROUP BY provider
+    `);
+    // Spend against the server's budgets: calls made with the server's keys, from every workspace
+    const costStatement = db.prepare(`
+        SELECT COALESCE(SUM(cost), 0) AS cost FROM provider_usage
+        WHERE provider = @provider AND billed_to = 'server' AND day >= @from AND day <= @to
+    `);
+    const dailyStatement = db.prepare(`
+        SELECT day, provider, SUM(requests) AS requests, SUM(credits) AS credits, SUM(cost) AS cost FROM provider_usage
+        WHERE workspace_id = ? AND day >= ? GROUP BY day, provider ORDER BY day DESC, provider
+    `);
+
+    const billedToServer = (provider) => !usesOwnKey?.(provider);
+
+    // Record one live (uncached) provider request.
+    // units: a unit name ("place_details") or { unit: quantity } ({ input_token: 812, output_token: 240 })
+    function record(provider, units) {
+        const quantities = typeof units === 'string' ? { [units]: 1 } : units;
+
+        let credits = 0;
+        let cost = 0;
+        for (const [unit, quantity] of Object.entries(quantities)) {
+            credits += quantity;
+            cost += quantity * priceFor(provider, unit);
+        }
+
+        recordStatement.run({
+            day: today(),
+            workspaceId: currentWorkspaceId(),
+            provider,
+            billedTo: billedToServer(provider) ? 'server' : 'workspace',
+            requests: 1,
+            credits,
+            cost
+        });
+        onRecord?.(provider);
+    }
+
+    function spent(provider, from, to = today()) {
+        return costStatement.get({ provider, from, to }).cost;
+    }
+
+    // Daily and monthly spend with the server's keys against the configured caps
+    function budgetStatus(provider) {
+        const budget = budgetFor(provider);
+        const day = today();
+        const spentToday = spent(provider, day);
+        const spentThisMonth = spent(provider, `${day.slice(0, 7)}-01`);
+
+        return {
+            dailyLimit: budget.daily,
+            monthlyLimit: budget.monthly,
+            spentToday,
+            spentThisMonth,
+            dailyRemaining: budget.daily === null ? null : Math.max(0, budget.daily - spentToday),
+            monthlyRemaining: budget.monthly === null ? null : Math.max(0, budget.monthly - spentThisMonth),
+            exceeded: (budget.daily !== null && spentToday >= budget.daily) ||
+                (budget.monthly !== null && spentThisMonth >= budget.monthly)
+        };
+    }
+
+    // True when the provider has hit a cap - callers skip the provider instead of overspending
+    function isOverBudget(provider) {
+        if (isBlocked?.()) {
+            return true;
+        }
+        if (!billedToServer(provider)) {
+            return false;
+        }
+        const budget = budgetFor(provider);
+        if (budget.daily === null && budget.monthly === null) {
+            return false;
+        }
+        return budgetStatus(provider).exceeded;
+    }
+
+    function totals(workspaceId, from, to) {
+        return Object.fromEntries(totalsStatement.all({ workspaceId, from, to }).map(row => [row.provider, {
+            requests: row.requests,
+            credits: row.credits,
+            cost: row.cost
+        }]));
+    }
+
+    // The current workspace's usage report: today, this month and a per-day breakdown, plus the status of
+    // the server's budgets for the providers it uses the server's keys for
+    function report({ days = 30 } = {}) {
+        const workspaceId = currentWorkspaceId();
+        const day = today();
+        const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const month = totals(workspaceId, `${day.slice(0, 7)}-01`, day);
+
+        return {
+            today: totals(workspaceId, day, day),
+            month,
+            monthTotalCost: Object.values(month).reduce((sum, row) => sum + row.cost, 0),
+            daily: dailyStatement.all(workspaceId, since),
+            budgets: Object.fromEntries(PROVIDERS.filter(billedToServer).map(provider => [provider, budgetStatus(provider)])),
+            prices: Object.fromEntries(PROVIDERS.map(provider => [provider, Object.fromEntries(
+                Object.keys(DEFAULT_PRICES[provider]).map(unit => [unit, priceFor(provider, unit)])
+            )]))
+        };
+    }
+
+    return {
+        record,
+        isOverBudget,
+        budgetStatus,
+        report
+    };
+}
+
+module.exports = {
+    createUsageTracker,
+    PROVIDERS
+};
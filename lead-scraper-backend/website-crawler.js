@@ -0,0 +1,576 @@
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const puppeteer = require('puppeteer');
+const { normalizePhone } = require('./lead-matching');
+const { extractStructuredData } = require('./structured-data');
+
+const USER_AGENT = 'LeadScraperBot/1.0 (+business contact lookup)';
+const MAX_HTML_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Pages worth visiting after the homepage, in priority order
+const CANDIDATE_PAGES = [
+    { kind: 'contact', pattern: /contact|get-in-touch|reach-us|impressum/i },
+    { kind: 'about', pattern: /about|our-story|who-we-are|history/i },
+    { kind: 'team', pattern: /team|staff|people|leadership|management|meet-/i }
+];
+
+const SOCIAL_NETWORKS = [
+    { network: 'facebook', hosts: ['facebook.com', 'fb.com'] },
+    { network: 'instagram', hosts: ['instagram.com'] },
+    { network: 'linkedin', hosts: ['linkedin.com'] },
+    { network: 'twitter', hosts: ['twitter.com', 'x.com'] },
+    { network: 'youtube', hosts: ['youtube.com'] },
+    { network: 'tiktok', hosts: ['tiktok.com'] },
+    { network: 'pinterest', hosts: ['pinterest.com'] }
+];
+
+// Share buttons and embeds link to the network, not to the business profile
+const SOCIAL_SHARE_PATH = /^\/(sharer|share|intent|dialog|plugins|tr|embed|watch)\b/i;
+
+// Addresses that show up in page source but never belong to the business
+const IGNORED_EMAIL_DOMAINS = ['example.com', 'sentry.io', 'wixpress.com', 'domain.com', 'email.com', 'yourdomain.com'];
+
+const OWNER_TITLES = [
+    'co-?owner', 'owner', 'co-?founder', 'founder', 'ceo', 'chief executive officer', 'president',
+    'proprietor', 'managing director', 'managing partner', 'principal'
+];
+
+// Names must stay case-sensitive, so titles spell out both cases instead of using the i flag
+const caseless = (pattern) => pattern.replace(/[a-z]/g, letter => `[${letter}${letter.toUpperCase()}]`);
+const OWNER_TITLE = `(?:${OWNER_TITLES.map(caseless).join('|')})`;
+const PERSON_NAME = "([A-Z][a-zA-Z'’-]+(?:\\s+[A-Z]\\.)?(?:\\s+[A-Z][a-zA-Z'’-]+){1,2})";
+const NAME_THEN_TITLE = new RegExp(`${PERSON_NAME}\\s*(?:,|-|–|—|\\||\\()\\s*(?:[Tt]he\\s+|[Oo]ur\\s+)?(${OWNER_TITLE}(?:\\s*(?:&|and|\\/)\\s*${OWNER_TITLE})?)\\b`, 'g');
+const TITLE_THEN_NAME = new RegExp(`\\b(${OWNER_TITLE}(?:\\s*(?:&|and|\\/)\\s*${OWNER_TITLE})?)\\s*(?::|-|–|—|,)\\s*${PERSON_NAME}`, 'g');
+const TITLE_ONLY = new RegExp(`^(?:[Tt]he\\s+|[Oo]ur\\s+)?${OWNER_TITLE}(?:\\s*(?:&|and|\\/|,)\\s*${OWNER_TITLE})*$`);
+const NAME_ONLY = new RegExp(`^${PERSON_NAME}$`);
+
+// Capitalized words that the name pattern would otherwise accept
+const NOT_NAME_WORDS = new Set([
+    'about', 'our', 'the', 'contact', 'meet', 'team', 'us', 'home', 'welcome', 'call', 'email',
+    'phone', 'company', 'business', 'services', 'read', 'more', 'view', 'learn', 'founded', 'since'
+]);
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]\d{3,4}[\s.-]\d{3,4}\b/g;
+
+// Private, loopback, link-local and other non-public ranges
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 198 && (b === 18 || b === 19)) ||
+            a >= 224;
+    }
+    if (net.isIPv6(address)) {
+        const groups = ipv6Groups(address);
+        const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+        const embedded = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+        // IPv4-mapped (::ffff:0:0/96, which URL parsing writes as ::ffff:a9fe:a9fe), IPv4-compatible
+        // (::/96, including :: and ::1) and NAT64 (64:ff9b::/96) addresses reach their embedded IPv4 address
+        if ((zeros(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) ||
+            (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6))) {
+            return isPrivateAddress(embedded(groups[6], groups[7]));
+        }
+        // 6to4 (2002::/16) carries an IPv4 address in its next 32 bits
+        if (groups[0] === 0x2002) return isPrivateAddress(embedded(groups[1], groups[2]));
+
+        return (groups[0] === 0x64 && groups[1] === 0xff9b && groups[2] === 1) || // local-use NAT64
+            (groups[0] & 0xfe00) === 0xfc00 || // unique local
+            (groups[0] & 0xffc0) === 0xfe80 || // link-local
+            (groups[0] & 0xffc0) === 0xfec0 || // site-local
+            (groups[0] & 0xff00) === 0xff00; // multicast
+    }
+    return true;
+}
+
+// The eight 16-bit groups of an IPv6 address (a dotted IPv4 tail becomes the last two)
+function ipv6Groups(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const parse = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const front = parse(head);
+    const back = parse(tail);
+    return [...front, ...new Array(8 - front.length - back.length).fill(0), ...back];
+}
+
+// Only public http(s) hosts may be fetched - resolves the host so names pointing at internal IPs are caught too
+async function assertPublicUrl(url) {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`Blocked URL scheme: ${parsed.protocol}`);
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local')) {
+        throw new Error(`Blocked private host: ${host}`);
+    }
+
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`Blocked private network address for ${host}`);
+    }
+}
+
+// GET a public URL, following redirects by hand so every hop is checked; resolves to { response, finalUrl }.
+// config.validateStatus decides which final statuses resolve (redirects are always handled here).
+async function getPublicUrl(url, config, maxRedirects = MAX_REDIRECTS) {
+    let current = url;
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+        await assertPublicUrl(current);
+        const response = await axios.get(current, {
+            ...config,
+            maxRedirects: 0,
+            validateStatus: status => (status >= 300 && status < 400) || config.validateStatus(status)
+        });
+
+        if (response.status >= 300 && response.status < 400 && response.headers?.location) {
+            current = new URL(response.headers.location, current).toString();
+            continue;
+        }
+        return { response, finalUrl: current };
+    }
+    throw new Error(`Too many redirects for ${url}`);
+}
+
+// "joes.com/menu" -> "https://joes.com/menu"
+function normalizeWebsiteUrl(website) {
+    const trimmed = String(website).trim();
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`).toString();
+}
+
+// Rules from the robots.txt group that applies to us (ours if named, otherwise "*")
+function parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+        } else {
+            lastWasAgent = false;
+            if (current && (field === 'allow' || field === 'disallow') && value) {
+                current.rules.push({ allow: field === 'allow', path: value });
+            }
+        }
+    }
+
+    const ownGroup = groups.find(group => group.agents.some(agent => agent !== '*' && USER_AGENT.toLowerCase().startsWith(agent)));
+    const anyGroup = groups.find(group => group.agents.includes('*'));
+    return (ownGroup || anyGroup || { rules: [] }).rules;
+}
+
+function robotsPatternToRegex(path) {
+    const escaped = path.replace(/[.+?^{}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped.endsWith('\\$') ? `${escaped.slice(0, -2)}$` : escaped}`);
+}
+
+// Longest matching rule wins; allow wins a tie
+function isAllowedByRobots(rules, url) {
+    const { pathname, search } = new URL(url);
+    const path = `${pathname}${search}`;
+    let best = null;
+
+    for (const rule of rules) {
+        if (!robotsPatternToRegex(rule.path).test(path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+function isIgnoredEmail(email) {
+    const domain = email.split('@')[1];
+    return /\.(png|jpe?g|gif|webp|svg|css|js)$/i.test(email) ||
+        IGNORED_EMAIL_DOMAINS.some(ignored => domain === ignored || domain.endsWith(`.${ignored}`));
+}
+
+function socialNetworkFor(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+    const match = SOCIAL_NETWORKS.find(({ hosts }) => hosts.some(h => host === h || host.endsWith(`.${h}`)));
+    if (!match || parsed.pathname.length <= 1 || SOCIAL_SHARE_PATH.test(parsed.pathname)) {
+        return null;
+    }
+    return match.network;
+}
+
+function isPersonName(name) {
+    return name.split(/\s+/).every(word => !NOT_NAME_WORDS.has(word.toLowerCase().replace(/[^a-z]/g, '')));
+}
+
+// Owner/founder names written as "Jane Doe, Owner", "Founder: Jane Doe" or a name above a title line
+function extractPeople($) {
+    const people = [];
+    const add = (name, title) => {
+        const cleanName = name.trim().replace(/\s+/g, ' ');
+        if (isPersonName(cleanName)) {
+            people.push({ name: cleanName, title: title.trim().replace(/\s+/g, ' ') });
+        }
+    };
+
+    $('p, li, h1, h2, h3, h4, h5, h6, span, strong, td, figcaption, div').each((_, element) => {
+        const node = $(element);
+        const text = node.text().replace(/\s+/g, ' ').trim();
+        if (!text || text.length > 200) return;
+
+        // Skip wrappers - their text is repeated by the child that holds it
+        if (node.children().length > 0 && node.children().text().replace(/\s+/g, ' ').trim() === text) return;
+
+        for (const match of text.matchAll(NAME_THEN_TITLE)) add(match[1], match[2]);
+        for (const match of text.matchAll(TITLE_THEN_NAME)) add(match[2], match[1]);
+
+        if (TITLE_ONLY.test(text)) {
+            const previous = node.prev().text().replace(/\s+/g, ' ').trim();
+            const nameMatch = previous.match(NAME_ONLY);
+            if (nameMatch) add(nameMatch[1], text);
+        }
+    });
+
+    return people;
+}
+
+// Contacts, social profiles, owner names, schema.org data and same-site links from one page of HTML
+function extractPageData(html, pageUrl) {
+    const structuredData = extractStructuredData(html);
+    const $ = cheerio.load(html);
+    const emails = new Set();
+    const phones = new Set();
+    const socialProfiles = new Map();
+    const links = [];
+
+    $('a[href]').each((_, element) => {
+        const href = $(element).attr('href').trim();
+
+        if (/^mailto:/i.test(href)) {
+            const email = decodeURIComponent(href.slice(7).split('?')[0]).trim().toLowerCase();
+            if (email.includes('@')) emails.add(email);
+            return;
+        }
+        if (/^tel:/i.test(href)) {
+            phones.add(decodeURIComponent(href.slice(4)).trim());
+            return;
+        }
+
+        let absolute;
+        try {
+            absolute = new URL(href, pageUrl);
+        } catch {
+            return;
+        }
+        absolute.hash = '';
+
+        const network = socialNetworkFor(absolute.toString());
+        if (network && !socialProfiles.has(absolute.toString())) {
+            socialProfiles.set(absolute.toString(), network);
+        }
+        links.push({ url: absolute.toString(), text: $(element).text().trim() });
+    });
+
+    $('script, style, noscript').remove();
+    // Keep adjacent elements from running together ("info@joes.com" + "Hours" -> "info@joes.comhours")
+    $('body *').append(' ');
+    const text = $('body').text().replace(/\s+/g, ' ');
+
+    for (const match of text.match(EMAIL_PATTERN) || []) {
+        emails.add(match.toLowerCase());
+    }
+    for (const match of text.match(PHONE_PATTERN) || []) {
+        const digits = match.replace(/\D/g, '');
+        if (digits.length >= 10 && digits.length <= 15) phones.add(match.trim());
+    }
+
+    return {
+        emails: [...emails].filter(email => !isIgnoredEmail(email)),
+        phones: [...phones],
+        socialProfiles: [...socialProfiles].map(([url, network]) => ({ network, url })),
+        people: extractPeople($),
+        structuredData,
+        links
+    };
+}
+
+// Contact/about/team pages linked from the homepage, on the same site, best first
+function pickCandidatePages(links, homepageUrl) {
+    const home = new URL(homepageUrl);
+    const sameSite = (url) => url.hostname.replace(/^www\./, '') === home.hostname.replace(/^www\./, '');
+    const picked = new Map();
+
+    CANDIDATE_PAGES.forEach(({ kind, pattern }, priority) => {
+        for (const link of links) {
+            const url = new URL(link.url);
+            if (!sameSite(url) || url.pathname === home.pathname || !['http:', 'https:'].includes(url.protocol)) continue;
+            if (/\.(pdf|jpe?g|png|gif|zip|docx?)$/i.test(url.pathname)) continue;
+            if (!pattern.test(url.pathname) && !pattern.test(link.text)) continue;
+
+            const key = `${url.origin}${url.pathname}`;
+            if (!picked.has(key)) picked.set(key, { url: url.toString(), kind, priority });
+        }
+    });
+
+    return [...picked.values()].sort((a, b) => a.priority - b.priority);
+}
+
+// Crawls a business website (homepage + contact/about/team pages) for contact details.
+// Pages are rendered with puppeteer (CRAWLER_RENDERER=http fetches raw HTML instead) and parsed with cheerio.
+function createWebsiteCrawler(config = {}) {
+    const maxPages = config.maxPages || parseInt(process.env.CRAWL_MAX_PAGES, 10) || 5;
+    const pageTimeoutMs = config.pageTimeoutMs || parseInt(process.env.CRAWL_PAGE_TIMEOUT_MS, 10) || 10000;
+    const totalTimeoutMs = config.totalTimeoutMs || parseInt(process.env.CRAWL_TOTAL_TIMEOUT_MS, 10) || 30000;
+    let renderer = config.renderer || process.env.CRAWLER_RENDERER || 'browser';
+
+    let browserPromise = null;
+    let idleTimer = null;
+    let activeCrawls = 0;
+
+    async function getBrowser() {
+        clearTimeout(idleTimer);
+        if (!browserPromise) {
+            browserPromise = puppeteer.launch({
+                headless: true,
+                args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+            }).catch((error) => {
+                browserPromise = null;
+                throw error;
+            });
+        }
+        return browserPromise;
+    }
+
+    // Chrome is heavy - close it once no crawl has needed it for a minute
+    function scheduleBrowserClose() {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            if (activeCrawls === 0) close();
+        }, 60000);
+        idleTimer.unref?.();
+    }
+
+    async function close() {
+        clearTimeout(idleTimer);
+        const pending = browserPromise;
+        browserPromise = null;
+        if (pending) {
+            const browser = await pending.catch(() => null);
+            await browser?.close().catch(() => {});
+        }
+    }
+
+    // Raw HTML over HTTP
+    async function fetchWithHttp(url, timeout) {
+        const { response, finalUrl } = await getPublicUrl(url, {
+            timeout,
+            maxContentLength: MAX_HTML_BYTES,
+            responseType: 'text',
+            headers: { 'User-Agent': USER_AGENT, Accept: 'text/html' },
+            validateStatus: status => status < 400
+        });
+        return { html: String(response.data || ''), finalUrl };
+    }
+
+    async function fetchWithBrowser(context, url, timeout) {
+        await assertPublicUrl(url);
+        const page = await context.newPage();
+        try {
+            await page.setUserAgent(USER_AGENT);
+            await page.setRequestInterception(true);
+            page.on('request', (request) => {
+                if (['image', 'media', 'font', 'stylesheet'].includes(request.resourceType())) {
+                    request.abort().catch(() => {});
+                    return;
+                }
+                // Redirects and subrequests must not reach the private network either
+                assertPublicUrl(request.url())
+                    .then(() => request.continue())
+                    .catch(() => request.abort('blockedbyclient'))
+                    .catch(() => {});
+            });
+
+            const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+            if (response && response.status() >= 400) {
+                throw new Error(`HTTP ${response.status()} for ${url}`);
+            }
+            const html = await page.content();
+            if (html.length > MAX_HTML_BYTES) {
+                throw new Error(`Page too large: ${url}`);
+            }
+            return { html, finalUrl: page.url() };
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    // robots.txt rules for a site; a missing or unreachable robots.txt allows everything
+    async function loadRobots(origin) {
+        try {
+            const { response } = await getPublicUrl(`${origin}/robots.txt`, {
+                timeout: 5000,
+                maxContentLength: 512 * 1024,
+                responseType: 'text',
+                headers: { 'User-Agent': USER_AGENT },
+                validateStatus: status => status < 500
+            }, 2);
+            return response.status >= 400 ? [] : parseRobots(String(response.data || ''));
+        } catch (error) {
+            console.warn(`[Crawler] robots.txt unavailable for ${origin}:`, error.message);
+            return [];
+        }
+    }
+
+    // Crawl a website and return everything found, each item tagged with the page it came from
+    async function crawl(website, options = {}) {
+        const startUrl = normalizeWebsiteUrl(website);
+        await assertPublicUrl(startUrl);
+
+        const deadline = Date.now() + totalTimeoutMs;
+        const origin = new URL(startUrl).origin;
+        const robotsRules = await loadRobots(origin);
+
+        const result = {
+            website: startUrl,
+            crawledAt: new Date().toISOString(),
+            pages: [],
+            emails: [],
+            phones: [],
+            socialProfiles: [],
+            people: [],
+            structuredData: [],
+            skipped: [],
+            errors: []
+        };
+        const seen = { emails: new Set(), phones: new Set(), socialProfiles: new Set(), people: new Set() };
+        const queue = [{ url: startUrl, kind: 'homepage' }];
+        const visited = new Set();
+
+        let context = null;
+        activeCrawls++;
+        try {
+            if (renderer === 'browser') {
+                try {
+                    context = await (await getBrowser()).createBrowserContext();
+                } catch (error) {
+                    console.warn('[Crawler] Could not start the browser, falling back to plain HTTP:', error.message);
+                    renderer = 'http';
+                }
+            }
+
+            while (queue.length > 0 && result.pages.length < maxPages) {
+                options.signal?.throwIfAborted();
+
+                const remainingMs = deadline - Date.now();
+                if (remainingMs <= 0) {
+                    result.skipped.push(...queue.map(({ url }) => ({ url, reason: 'time limit' })));
+                    break;
+                }
+
+                const { url, kind } = queue.shift();
+                if (visited.has(url)) continue;
+                visited.add(url);
+
+                if (!isAllowedByRobots(robotsRules, url)) {
+                    result.skipped.push({ url, reason: 'robots.txt' });
+                    continue;
+                }
+
+                let page;
+                try {
+                    const timeout = Math.min(pageTimeoutMs, remainingMs);
+                    page = context ? await fetchWithBrowser(context, url, timeout) : await fetchWithHttp(url, timeout);
+                } catch (error) {
+                    result.errors.push({ url, error: error.message });
+                    continue;
+                }
+
+                const data = extractPageData(page.html, page.finalUrl);
+                result.pages.push({ url: page.finalUrl, kind });
+
+                for (const email of data.emails) {
+                    if (!seen.emails.has(email)) {
+                        seen.emails.add(email);
+                        result.emails.push({ value: email, page: page.finalUrl });
+                    }
+                }
+                for (const phone of data.phones) {
+                    const key = normalizePhone(phone);
+                    if (key && !seen.phones.has(key)) {
+                        seen.phones.add(key);
+                        result.phones.push({ value: phone, page: page.finalUrl });
+                    }
+                }
+                for (const profile of data.socialProfiles) {
+                    if (!seen.socialProfiles.has(profile.url)) {
+                        seen.socialProfiles.add(profile.url);
+                        result.socialProfiles.push({ ...profile, page: page.finalUrl });
+                    }
+                }
+                for (const person of data.people) {
+                    const key = person.name.toLowerCase();
+                    if (!seen.people.has(key)) {
+                        seen.people.add(key);
+                        result.people.push({ ...person, page: page.finalUrl });
+                    }
+                }
+
+                if (data.structuredData.businesses.length > 0 || data.structuredData.people.length > 0) {
+                    result.structuredData.push({ ...data.structuredData, page: page.finalUrl });
+                }
+
+                if (kind === 'homepage') {
+                    queue.push(...pickCandidatePages(data.links, page.finalUrl));
+                }
+            }
+        } finally {
+            await context?.close().catch(() => {});
+            activeCrawls--;
+            if (browserPromise) scheduleBrowserClose();
+        }
+
+        return result;
+    }
+
+    return {
+        crawl,
+        close
+    };
+}
+
+module.exports = {
+    createWebsiteCrawler,
+    extractPageData,
+    parseRobots,
+    isAllowedByRobots,
+    isPrivateAddress
+};
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { getDatabase, addColumnIfMissing } = require('./db');
+const { DEFAULT_WORKSPACE_ID } = require('./lead-store');
+
+// Provider keys a workspace can set for itself; a key it doesn't set falls back to the server's (.env)
+// in the workspaces that may use the server's keys (see usesServerKeys)
+const PROVIDER_KEY_NAMES = [
+    'GOOGLE_PLACES_API_KEY',
+    'GOOGLE_PLACES_NEW_API_KEY',
+    'OPENAI_API_KEY',
+    'ANTHROPIC_API_KEY',
+    'APOLLO_API_KEY',
+    'PDL_API_KEY',
+    'HUNTER_API_KEY',
+    'YELP_API_KEY',
+    'NUMVERIFY_API_KEY'
+];
+
+// Whether a workspace may fall back to the server's keys: the default workspace, and those listed in
+// SERVER_KEY_WORKSPACES (comma-separated IDs, or * for every workspace). Others bring their own keys.
+function usesServerKeys(workspaceId) {
+    if (workspaceId === DEFAULT_WORKSPACE_ID) return true;
+    const allowed = (process.env.SERVER_KEY_WORKSPACES || '').split(',').map(id => id.trim());
+    return allowed.includes('*') || allowed.includes(workspaceId);
+}
+
+function workspaceFromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        createdAt: row.created_at
+    };
+}
+
+// Returns an error message for invalid { KEY_NAME: value | null } changes, or null
+function validateProviderKeys(keys) {
+    if (!keys || typeof keys !== 'object' || Array.isArray(keys)) {
+        return 'Provider keys must be an object of { KEY_NAME: value }';
+    }
+    const unknown = Object.keys(keys).find(name => !PROVIDER_KEY_NAMES.includes(name));
+    if (unknown) {
+        return `Unknown provider key: ${unknown} (keys: ${PROVIDER_KEY_NAMES.join(', ')})`;
+    }
+    const invalid = Object.entries(keys).find(([, value]) => value !== null && typeof value !== 'string');
+    if (invalid) {
+        return `${invalid[0]} must be a string, or null to remove it`;
+    }
+    return null;
+}
+
+// Workspaces isolate a team's leads, searches, jobs and provider keys; users belong to one or more.
+// Members are read from the users table of auth.js, so create the auth store first.
+function createWorkspaceStore() {
+    const db = getDatabase();
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS workspaces (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            created_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS workspace_members (
+            workspace_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            PRIMARY KEY (workspace_id, user_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members (user_id);
+        CREATE TABLE IF NOT EXISTS workspace_provider_keys (
+            workspace_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            value TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (workspace_id, name)
+        );
+    `);
+    // A member's role (see roles.js). Members from before roles existed become researchers,
+    // except each workspace's first member (who created it), who becomes its admin.
+    if (addColumnIfMissing(db, 'workspace_members', 'role', "TEXT NOT NULL DEFAULT 'researcher'")) {
+        db.exec(`
+            UPDATE workspace_members SET role = 'admin' WHERE rowid IN (
+                SELECT (SELECT rowid FROM workspace_members m WHERE m.workspace_id = w.workspace_id ORDER BY created_at, rowid LIMIT 1)
+                FROM (SELECT DISTINCT workspace_id FROM workspace_members) w
+            )
+        `);
+    }
+
+    // Data stored before workspaces existed lives in the default workspace
+    db.prepare('INSERT OR IGNORE INTO workspaces (id, name, created_at) VALUES (?, ?, ?)')
+        .run(DEFAULT_WORKSPACE_ID, 'Default workspace', new Date().toISOString());
+
+    const getStatement = db.prepare('SELECT * FROM workspaces WHERE id = ?');
+    const insertStatement = db.prepare('INSERT INTO workspaces (id, name, created_at) VALUES (@id, @name, @createdAt)');
+    const listForUserStatement = db.prepare(`
+        SELECT w.*, m.role FROM workspaces w JOIN workspace_members m ON m.workspace_id = w.id
+        WHERE m.user_id = ? ORDER BY w.name
+    `);
+    const listIdsStatement = db.prepare('SELECT id FROM workspaces');
+    const getRoleStatement = db.prepare('SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?');
+    const addMemberStatement = db.prepare(`
+        INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (@workspaceId, @userId, @role, @createdAt)
+    `);
+    const setRoleStatement = db.prepare('UPDATE workspace_members SET role = @role WHERE workspace_id = @workspaceId AND user_id = @userId');
+    const removeMemberStatement = db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?');
+    const listMembersStatement = db.prepare(`
+        SELECT u.id, u.username, u.name, u.email, m.role, m.created_at AS joined_at
+        FROM workspace_members m JOIN users u ON u.id = m.user_id
+        WHERE m.workspace_id = ? ORDER BY u.username
+    `);
+    const getKeysStatement = db.prepare('SELECT name, value, updated_at FROM workspace_provider_keys WHERE workspace_id = ?');
+    const putKeyStatement = db.prepare(`
+        INSERT INTO workspace_provider_keys (workspace_id, name, value, updated_at) VALUES (@workspaceId, @name, @value, @updatedAt)
+        ON CONFLICT(workspace_id, name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    const removeKeyStatement = db.prepare('DELETE FROM workspace_provider_keys WHERE workspace_id = ? AND name = ?');
+
+    function get(id) {
+        const row = getStatement.get(id);
+        return row ? workspaceFromRow(row) : null;
+    }
+
+    // A new workspace with its creator as the first member (and admin)
+    const create = db.transaction((name, userId) => {
+        const id = `ws_${crypto.randomBytes(8).toString('hex')}`;
+        const createdAt = new Date().toISOString();
+        insertStatement.run({ id, name, createdAt });
+        addMemberStatement.run({ workspaceId: id, userId, role: 'admin', createdAt });
+        return { ...get(id), role: 'admin' };
+    });
+
+    function listForUser(userId) {
+        return listForUserStatement.all(userId).map(workspaceFromRow);
+    }
+
+    function listIds() {
+        return listIdsStatement.all().map(row => row.id);
+    }
+
+    // The member's role, or null for a non-member
+    function getRole(workspaceId, userId) {
+        return getRoleStatement.get(workspaceId, userId)?.role || null;
+    }
+
+    function isMember(workspaceId, userId) {
+        return getRole(workspaceId, userId) !== null;
+    }
+
+    function addMember(workspaceId, userId, role) {
+        return addMemberStatement.run({ workspaceId, userId, role, createdAt: new Date().toISOString() }).changes > 0;
+    }
+
+    function setRole(workspaceId, userId, role) {
+        return setRoleStatement.run({ workspaceId, userId, role }).changes > 0;
+    }
+
+    function removeMember(workspaceId, userId) {
+        return removeMemberStatement.run(workspaceId, userId).changes > 0;
+    }
+
+    function listMembers(workspaceId) {
+        return listMembersStatement.all(workspaceId).map(row => ({
+            id: row.id,
+            username: row.username,
+            name: row.name,
+            email: row.email,
+            role: row.role,
+            joinedAt: row.joined_at
+        }));
+    }
+
+    // { KEY_NAME: value } the workspace set itself
+    function getProviderKeys(workspaceId) {
+        return Object.fromEntries(getKeysStatement.all(workspaceId).map(row => [row.name, row.value]));
+    }
+
+    // Which keys are set and where from - never the values themselves
+    function describeProviderKeys(workspaceId) {
+        const own = Object.fromEntries(getKeysStatement.all(workspaceId).map(row => [row.name, row]));
+        return PROVIDER_KEY_NAMES.map(name => ({
+            name,
+            source: own[name] ? 'workspace' : (process.env[name] && usesServerKeys(workspaceId) ? 'server' : null),
+            last4: own[name] ? own[name].value.slice(-4) : null,
+            updatedAt: own[name] ? own[name].updated_at : null
+        }));
+    }
+
+    // { KEY_NAME: value } sets a key, { KEY_NAME: null } (or '') removes it
+    const setProviderKeys = db.transaction((workspaceId, keys) => {
+        const updatedAt = new Date().toISOString();
+        for (const [name, value] of Object.entries(keys)) {
+            if (value) {
+                putKeyStatement.run({ workspaceId, name, value: value.trim(), updatedAt });
+            } else {
+                removeKeyStatement.run(workspaceId, name);
+            }
+        }
+        return describeProviderKeys(workspaceId);
+    });
+
+    return {
+        get,
+        create,
+        listForUser,
+        listIds,
+        getRole,
+        isMember,
+        addMember,
+        setRole,
+        removeMember,
+        listMembers,
+        getProviderKeys,
+        describeProviderKeys,
+        setProviderKeys
+    };
+}
+
+module.exports = {
+    PROVIDER_KEY_NAMES,
+    validateProviderKeys,
+    usesServerKeys,
+    createWorkspaceStore
+};
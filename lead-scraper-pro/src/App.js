@@ -1,10 +1,69 @@
 import { useState, useEffect, useRef } from 'react';
-import { Building2, Search, Download, Trash2, Upload, Check, X, Loader, MapPin } from 'lucide-react';
+import { Building2, Search, Download, Trash2, Upload, Check, X, Loader, MapPin, Clock, RefreshCw, Users, LogOut } from 'lucide-react';
+
+// Session token from sign-in (single sign-on hands it back in the URL as #token=...)
+const AUTH_TOKEN_KEY = 'authToken';
+
+const PROVIDER_KEY_LABELS = {
+  GOOGLE_PLACES_API_KEY: 'Google Places',
+  GOOGLE_PLACES_NEW_API_KEY: 'Google Places (New)',
+  OPENAI_API_KEY: 'OpenAI',
+  ANTHROPIC_API_KEY: 'Anthropic',
+  APOLLO_API_KEY: 'Apollo',
+  PDL_API_KEY: 'People Data Labs',
+  HUNTER_API_KEY: 'Hunter',
+  YELP_API_KEY: 'Yelp',
+  NUMVERIFY_API_KEY: 'Numverify'
+};
+
+// Workspace roles, most to least access (see the backend's roles.js)
+const ROLES = ['admin', 'manager', 'researcher', 'viewer'];
+
+function initialAuthToken() {
+  const hash = new URLSearchParams(window.location.hash.slice(1));
+  if (hash.get('token')) {
+    localStorage.setItem(AUTH_TOKEN_KEY, hash.get('token'));
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+  return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+function initialAuthError() {
+  const error = new URLSearchParams(window.location.hash.slice(1)).get('authError');
+  if (error) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  return error || '';
+}
+
+// fetch() with the session token; a 401 means the session is gone, so drop it and go back to the login screen
+async function apiFetch(url, options = {}) {
+  const token = localStorage.getItem(AUTH_TOKEN_KEY);
+  const response = await fetch(url, {
+    ...options,
+    headers: { ...(options.headers || {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+  });
+  if (response.status === 401 && token) {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    window.dispatchEvent(new Event('auth-expired'));
+  }
+  // A used-up request or provider-call quota: tell the app which one and when it resets
+  if (response.status === 429) {
+    const body = await response.clone().json().catch(() => ({}));
+    window.dispatchEvent(new CustomEvent('quota-exceeded', { detail: body }));
+  }
+  return response;
+}
+
+// "5 of 1000 requests left (resets 3:45 PM)" for one of /api/quota's budgets
+function describeQuota(quota, name) {
+  if (!quota || quota.limit === null) return `${name}: no limit`;
+  return `${quota.remaining} of ${quota.limit} ${name} left (resets ${new Date(quota.resetsAt).toLocaleTimeString()})`;
+}
 
 export default function App() {
   const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
   const [leads, setLeads] = useState([]);
+  const [savedLeadsPage, setSavedLeadsPage] = useState({ loaded: 0, total: 0 });
   const [scrapedData, setScrapedData] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [location, setLocation] = useState('');
@@ -15,6 +74,7 @@ export default function App() {
   const [maxLeads, setMaxLeads] = useState(60);
   const [useApolloSearch, setUseApolloSearch] = useState(false);
   const [useYelpSearch, setUseYelpSearch] = useState(false);
+  const [useGoogleSearch, setUseGoogleSearch] = useState(true);
   const [isProcessing, setIsProcessing] = useState(false);
   const [activeTab, setActiveTab] = useState('map');
   const [selectedArea, setSelectedArea] = useState(null);
@@ -22,6 +82,37 @@ export default function App() {
   const [aiStatus, setAiStatus] = useState({ openai: { configured: false }, claude: { configured: false }, apollo: { configured: false } });
   const [leafletLoaded, setLeafletLoaded] = useState(false);
   const [verificationStatus, setVerificationStatus] = useState(null);
+  const [activeJob, setActiveJob] = useState(null);
+  const [areaFilteredOut, setAreaFilteredOut] = useState(0);
+  const [leadSort, setLeadSort] = useState('updated');
+  const [minScore, setMinScore] = useState('');
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importMapping, setImportMapping] = useState({});
+  const [importVerify, setImportVerify] = useState(true);
+  const [importResult, setImportResult] = useState(null);
+  const [exportOptions, setExportOptions] = useState({ columns: [], defaultColumns: [] });
+  const [exportColumns, setExportColumns] = useState([]);
+  const [exportTemplates, setExportTemplates] = useState([]);
+  const [showExportColumns, setShowExportColumns] = useState(false);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [authToken, setAuthToken] = useState(initialAuthToken);
+  const [authError, setAuthError] = useState(initialAuthError);
+  const [authConfig, setAuthConfig] = useState(null);
+  const [authForm, setAuthForm] = useState({ username: '', password: '', name: '' });
+  const [account, setAccount] = useState(null);
+  const [workspaceMembers, setWorkspaceMembers] = useState([]);
+  const [providerKeys, setProviderKeys] = useState([]);
+  const [newMember, setNewMember] = useState({ username: '', password: '', role: 'researcher' });
+  const [quotaReport, setQuotaReport] = useState(null);
+  const [quotaNotice, setQuotaNotice] = useState(null);
+
+  // Data below is per workspace, so it's (re)loaded whenever the signed-in workspace changes
+  const workspaceId = account?.workspace?.id;
+
+  // What the user's role in this workspace allows (the server enforces it; this just hides what would fail)
+  const can = (permission) => Boolean(account?.permissions?.includes(permission));
 
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
@@ -75,11 +166,53 @@ export default function App() {
     document.head.appendChild(script);
   }, [leafletLoaded]);
 
+  // Sign-in options for the login screen
+  useEffect(() => {
+    if (authToken) return;
+    const fetchAuthConfig = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/auth/config`);
+        setAuthConfig(await response.json());
+      } catch (error) {
+        console.error('Error loading sign-in options:', error);
+      }
+    };
+    fetchAuthConfig();
+  }, [API_URL, authToken]);
+
+  // The signed-in user and workspace; an expired session (any 401) goes back to the login screen
+  useEffect(() => {
+    const onExpired = () => {
+      setAuthToken(null);
+      setAccount(null);
+    };
+    const onQuotaExceeded = (event) => setQuotaNotice(event.detail);
+    window.addEventListener('auth-expired', onExpired);
+    window.addEventListener('quota-exceeded', onQuotaExceeded);
+
+    if (authToken) {
+      const fetchAccount = async () => {
+        try {
+          const response = await apiFetch(`${API_URL}/api/auth/me`);
+          if (response.ok) setAccount(await response.json());
+        } catch (error) {
+          console.error('Error loading account:', error);
+        }
+      };
+      fetchAccount();
+    }
+    return () => {
+      window.removeEventListener('auth-expired', onExpired);
+      window.removeEventListener('quota-exceeded', onQuotaExceeded);
+    };
+  }, [API_URL, authToken]);
+
   // Fetch AI status on component mount
   useEffect(() => {
+    if (!workspaceId) return;
     const fetchAIStatus = async () => {
       try {
-        const response = await fetch(`${API_URL}/api/ai-status`);
+        const response = await apiFetch(`${API_URL}/api/ai-status`);
         const data = await response.json();
         setAiStatus(data);
       } catch (error) {
@@ -87,7 +220,59 @@ export default function App() {
       }
     };
     fetchAIStatus();
-  }, [API_URL]);
+  }, [API_URL, workspaceId]);
+
+  // Load previously verified leads from the backend store
+  useEffect(() => {
+    if (!workspaceId) return;
+    const fetchSavedLeads = async () => {
+      try {
+        const response = await apiFetch(`${API_URL}/api/leads?verified=true`);
+        const data = await response.json();
+        setLeads(data.leads || []);
+        setSavedLeadsPage({ loaded: data.leads?.length || 0, total: data.count || 0 });
+      } catch (error) {
+        console.error('Error loading saved leads:', error);
+      }
+    };
+    fetchSavedLeads();
+  }, [API_URL, workspaceId]);
+
+  // Export column picker: the fields the backend can export and the saved templates
+  useEffect(() => {
+    if (!workspaceId) return;
+    const fetchExportOptions = async () => {
+      try {
+        const [columnsResponse, templatesResponse] = await Promise.all([
+          apiFetch(`${API_URL}/api/leads/export/columns`),
+          apiFetch(`${API_URL}/api/export-templates`)
+        ]);
+        const options = await columnsResponse.json();
+        const templates = await templatesResponse.json();
+        setExportOptions(options);
+        setExportColumns(options.defaultColumns || []);
+        setExportTemplates(templates.templates || []);
+      } catch (error) {
+        console.error('Error loading export options:', error);
+      }
+    };
+    fetchExportOptions();
+  }, [API_URL, workspaceId]);
+
+  // Scheduled searches and their last run
+  useEffect(() => {
+    if (!workspaceId) return;
+    const fetchSavedSearches = async () => {
+      try {
+        const response = await apiFetch(`${API_URL}/api/saved-searches`);
+        const data = await response.json();
+        setSavedSearches(data.searches || []);
+      } catch (error) {
+        console.error('Error loading saved searches:', error);
+      }
+    };
+    fetchSavedSearches();
+  }, [API_URL, workspaceId]);
 
   const [formData, setFormData] = useState({
     companyName: '',
@@ -464,7 +649,7 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
         drawnItemsRef.current = null;
       }
     };
-  }, [activeTab, leafletLoaded]);
+  }, [activeTab, leafletLoaded, authToken]);
 
   const deleteDrawing = () => {
     // Delete all multi-polygons if in multi-polygon mode
@@ -511,7 +696,7 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
     }
     setIsProcessing(true);
     try {
-      const response = await fetch(`${API_URL}/api/enrich-manual`, {
+      const response = await apiFetch(`${API_URL}/api/enrich-manual`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(formData)
@@ -521,7 +706,7 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
         alert(enrichedLead.error);
         return;
       }
-      setScrapedData([{ ...enrichedLead, source: 'manual-enriched' }, ...scrapedData]);
+      setScrapedData([{ ...enrichedLead, source: 'manual-enriched' }, ...scrapedData.filter(l => l.id !== enrichedLead.id)]);
       setFormData({ companyName: '', industry: '', ownerName: '', phone: '', address: '', zipcode: '', city: '', country: '' });
     } catch (error) {
       console.error('Enrichment error:', error);
@@ -531,32 +716,153 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
     }
   };
 
-  const handleScrape = async () => {
-    if (!searchQuery || !location) {
-      alert('Please enter both search query and location');
-      return;
+  // Searches above one Google page (60 leads) run as background jobs with progress polling
+  const JOB_THRESHOLD = 60;
+
+  const runJob = async (type, params) => {
+    const response = await apiFetch(`${API_URL}/api/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, params })
+    });
+    let job = await response.json();
+    if (!response.ok) {
+      throw new Error(job.error || 'Failed to start job');
+    }
+    return pollJob(job);
+  };
+
+  const pollJob = async (job) => {
+    setActiveJob(job);
+    while (job.status === 'queued' || job.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      const pollResponse = await apiFetch(`${API_URL}/api/jobs/${job.id}`);
+      job = await pollResponse.json();
+      setActiveJob(job);
     }
+    if (job.status === 'failed') {
+      alert(`Job failed: ${job.error}`);
+    }
+    return job;
+  };
+
+  // Spreadsheet import: preview the file, map its columns to lead fields, then run it as an import job
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async () => {
+      const upload = { fileName: file.name, content: reader.result.split(',')[1] };
+      try {
+        const response = await apiFetch(`${API_URL}/api/imports/preview`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(upload)
+        });
+        const preview = await response.json();
+        if (!response.ok) {
+          alert(preview.error || 'Could not read file');
+          return;
+        }
+        setImportFile(upload);
+        setImportPreview(preview);
+        setImportMapping(preview.suggestedMapping);
+        setImportResult(null);
+      } catch (error) {
+        console.error('Import preview error:', error);
+        alert('Error reading file');
+      }
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const startImport = async () => {
     setIsProcessing(true);
     try {
-      const response = await fetch(`${API_URL}/api/scrape`, {
+      const response = await apiFetch(`${API_URL}/api/imports`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          query: searchQuery,
-          location,
-          country,
-          zipcode,
-          maxLeads: maxLeads || 10,
-          useApolloSearch: useApolloSearch
-        })
+        body: JSON.stringify({ ...importFile, mapping: importMapping, verify: importVerify })
       });
       const data = await response.json();
-      setScrapedData(data.results || []);
+      if (!response.ok) {
+        alert(data.error || 'Failed to start import');
+        return;
+      }
+      const job = await pollJob(data.job);
+      const imported = job.result?.results || [];
+      const importedIds = new Set(imported.map(l => l.id));
+      if (importVerify) {
+        setLeads([...imported, ...leads.filter(l => !importedIds.has(l.id))]);
+      } else {
+        setScrapedData([...imported, ...scrapedData.filter(l => !importedIds.has(l.id))]);
+      }
+      setImportResult({ id: data.id, fileName: data.fileName, status: job.status, count: job.result?.count || 0, failed: job.result?.failed || 0, skipped: job.result?.skipped || 0 });
+      setImportPreview(null);
+    } catch (error) {
+      console.error('Import error:', error);
+      alert('Error importing file');
+    } finally {
+      setIsProcessing(false);
+      setActiveJob(null);
+    }
+  };
+
+  const cancelJob = async () => {
+    if (!activeJob) return;
+    try {
+      await apiFetch(`${API_URL}/api/jobs/${activeJob.id}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Cancel job error:', error);
+      alert('Error cancelling job');
+    }
+  };
+
+  const handleScrape = async () => {
+    if (!searchQuery || !location) {
+      alert('Please enter both search query and location');
+      return;
+    }
+    const sources = [
+      useGoogleSearch && 'google',
+      useYelpSearch && 'yelp',
+      useApolloSearch && 'apollo'
+    ].filter(Boolean);
+    if (sources.length === 0) {
+      alert('Please select at least one search source');
+      return;
+    }
+    setIsProcessing(true);
+    const params = {
+      query: searchQuery,
+      location,
+      country,
+      zipcode,
+      maxLeads: maxLeads || 10,
+      useApolloSearch: useApolloSearch,
+      useYelpSearch: useYelpSearch,
+      sources
+    };
+    try {
+      if (params.maxLeads > JOB_THRESHOLD) {
+        const job = await runJob('scrape', params);
+        setScrapedData(job.result?.results || []);
+      } else {
+        const response = await apiFetch(`${API_URL}/api/scrape`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(params)
+        });
+        const data = await response.json();
+        setScrapedData(data.results || []);
+      }
     } catch (error) {
       console.error('Scraping error:', error);
       alert('Error scraping data');
     } finally {
       setIsProcessing(false);
+      setActiveJob(null);
     }
   };
 
@@ -570,63 +876,297 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
       return;
     }
     setIsProcessing(true);
+    const params = { query: mapQuery, area: selectedArea, country, zipcode, maxLeads: maxLeads || 10, useApolloSearch: useApolloSearch, useYelpSearch: useYelpSearch };
     try {
-      const response = await fetch(`${API_URL}/api/scrape-area`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: mapQuery, area: selectedArea, country, zipcode, maxLeads: maxLeads || 10, useApolloSearch: useApolloSearch })
-      });
-      const data = await response.json();
-      setScrapedData(data.results || []);
+      if (params.maxLeads > JOB_THRESHOLD) {
+        const job = await runJob('scrape-area', params);
+        setScrapedData(job.result?.results || []);
+        setAreaFilteredOut(job.result?.filteredOutCount || 0);
+      } else {
+        const response = await apiFetch(`${API_URL}/api/scrape-area`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(params)
+        });
+        const data = await response.json();
+        setScrapedData(data.results || []);
+        setAreaFilteredOut(data.filteredOutCount || 0);
+      }
     } catch (error) {
       console.error('Scraping error:', error);
       alert('Error scraping data');
     } finally {
       setIsProcessing(false);
+      setActiveJob(null);
     }
   };
 
-  const verifyWithAI = async (lead) => {
+  // Saved searches re-run on a cron schedule; each run is diffed against the previous one
+  const reloadSavedSearches = async () => {
+    const response = await apiFetch(`${API_URL}/api/saved-searches`);
+    const data = await response.json();
+    setSavedSearches(data.searches || []);
+  };
+
+  const saveSearch = async (params) => {
+    const name = window.prompt('Saved search name', params.query);
+    if (!name) return;
+    const schedule = window.prompt('Cron schedule (blank to run by hand only)', '0 8 * * 1');
+    if (schedule === null) return;
+    try {
+      const response = await apiFetch(`${API_URL}/api/saved-searches`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...params,
+          name,
+          schedule: schedule.trim() || null,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        })
+      });
+      const search = await response.json();
+      if (!response.ok) {
+        alert(search.error || 'Failed to save search');
+        return;
+      }
+      setSavedSearches([{ ...search, lastRun: null }, ...savedSearches]);
+    } catch (error) {
+      console.error('Save search error:', error);
+      alert('Error saving search');
+    }
+  };
+
+  const saveTextSearch = () => {
+    if (!searchQuery || !location) {
+      alert('Please enter both search query and location');
+      return;
+    }
+    const source = (useGoogleSearch && 'google') || (useYelpSearch && 'yelp') || (useApolloSearch && 'apollo') || 'google';
+    saveSearch({ query: searchQuery, location, country, zipcode, maxLeads: maxLeads || 10, source });
+  };
+
+  const saveAreaSearch = () => {
+    if (!mapQuery || !selectedArea) {
+      alert('Please enter a search query and draw an area on the map first');
+      return;
+    }
+    saveSearch({ query: mapQuery, area: selectedArea, country, zipcode, maxLeads: maxLeads || 10, source: useYelpSearch ? 'yelp' : 'google' });
+  };
+
+  const runSavedSearch = async (search) => {
     setIsProcessing(true);
-    const total = scrapedData.length;
-    const current = 1;
+    try {
+      const response = await apiFetch(`${API_URL}/api/saved-searches/${search.id}/run`, { method: 'POST' });
+      const run = await response.json();
+      if (!response.ok) {
+        alert(run.error || 'Failed to run saved search');
+        return;
+      }
+      const job = await pollJob(run.job);
+      setScrapedData(job.result?.results || []);
+      await reloadSavedSearches();
+    } catch (error) {
+      console.error('Saved search run error:', error);
+      alert('Error running saved search');
+    } finally {
+      setIsProcessing(false);
+      setActiveJob(null);
+    }
+  };
 
-    // Step 1: Apollo enrichment
-    setVerificationStatus({ companyName: lead.companyName, status: 'apollo', current, total });
-    await new Promise(resolve => setTimeout(resolve, 500));
+  // Only the businesses the latest run found that earlier runs didn't
+  const showNewSinceLastRun = async (search) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/saved-searches/${search.id}/new`);
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to load new leads');
+        return;
+      }
+      if (data.count === 0) {
+        alert(data.run ? 'No new businesses since the previous run' : 'This search has not completed a run yet');
+        return;
+      }
+      setScrapedData(data.leads);
+    } catch (error) {
+      console.error('New leads error:', error);
+      alert('Error loading new leads');
+    }
+  };
+
+  const toggleSavedSearch = async (search) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/saved-searches/${search.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !search.enabled })
+      });
+      const updated = await response.json();
+      if (!response.ok) {
+        alert(updated.error || 'Failed to update saved search');
+        return;
+      }
+      setSavedSearches(savedSearches.map(s => s.id === search.id ? { ...updated, lastRun: s.lastRun } : s));
+    } catch (error) {
+      console.error('Update saved search error:', error);
+      alert('Error updating saved search');
+    }
+  };
+
+  const deleteSavedSearch = async (search) => {
+    if (!window.confirm(`Delete saved search "${search.name}" and its run history?`)) return;
+    try {
+      await apiFetch(`${API_URL}/api/saved-searches/${search.id}`, { method: 'DELETE' });
+      setSavedSearches(savedSearches.filter(s => s.id !== search.id));
+    } catch (error) {
+      console.error('Delete saved search error:', error);
+      alert('Error deleting saved search');
+    }
+  };
 
-    // Step 2: PDL owner search
-    setVerificationStatus({ companyName: lead.companyName, status: 'pdl', current, total });
-    await new Promise(resolve => setTimeout(resolve, 500));
+  // Pipeline steps in the order /api/verify/stream reports them
+  const VERIFICATION_STEPS = [
+    { key: 'website', label: 'Website', activeClass: 'bg-emerald-600', idleClass: 'bg-emerald-600/20' },
+    { key: 'structuredData', label: 'Schema.org', activeClass: 'bg-cyan-600', idleClass: 'bg-cyan-600/20' },
+    { key: 'apollo', label: 'Apollo', activeClass: 'bg-blue-600', idleClass: 'bg-blue-600/20' },
+    { key: 'pdl', label: 'PDL', activeClass: 'bg-indigo-600', idleClass: 'bg-indigo-600/20' },
+    { key: 'hunter', label: 'Hunter', activeClass: 'bg-teal-600', idleClass: 'bg-teal-600/20' },
+    { key: 'numverify', label: 'Numverify', activeClass: 'bg-orange-600', idleClass: 'bg-orange-600/20' },
+    { key: 'yelp', label: 'Yelp', activeClass: 'bg-red-600', idleClass: 'bg-red-600/20' },
+    { key: 'ai', label: 'AI', activeClass: 'bg-purple-600', idleClass: 'bg-purple-600/20' }
+  ];
+
+  // Why the backend left a field empty (lead.fieldReasons) - shown instead of a value
+  const FIELD_REASON_LABELS = {
+    provider_not_configured: 'no provider configured',
+    budget_exceeded: 'provider budget reached',
+    provider_error: 'provider error',
+    not_found: 'not found',
+    low_confidence: 'not confirmed'
+  };
 
-    // Step 3: Numverify phone validation
-    setVerificationStatus({ companyName: lead.companyName, status: 'numverify', current, total });
-    await new Promise(resolve => setTimeout(resolve, 500));
+  const missingFieldLabel = (lead, field) =>
+    `Unknown (${FIELD_REASON_LABELS[lead.fieldReasons?.[field]] || 'unverified'})`;
 
-    // Step 4: Yelp verification
-    setVerificationStatus({ companyName: lead.companyName, status: 'yelp', current, total });
-    await new Promise(resolve => setTimeout(resolve, 500));
+  // Tooltip listing each scoring rule's points
+  const scoreTooltip = (lead) => (lead.scoreBreakdown || [])
+    .map(rule => `${rule.label}: ${rule.points}/${rule.maxPoints} (${rule.detail})`)
+    .join('\n');
 
-    // Step 5: Hunter email enrichment
-    setVerificationStatus({ companyName: lead.companyName, status: 'hunter', current, total });
-    await new Promise(resolve => setTimeout(resolve, 500));
+  const scoreClass = (score) =>
+    score >= 70 ? 'bg-green-500/20 text-green-300' : score >= 40 ? 'bg-yellow-500/20 text-yellow-300' : 'bg-red-500/20 text-red-300';
 
-    // Step 6: Claude verification
-    setVerificationStatus({ companyName: lead.companyName, status: 'claude', current, total });
-    await new Promise(resolve => setTimeout(resolve, 500));
+  const visibleLeads = leads
+    .filter(lead => minScore === '' || (lead.score ?? 0) >= Number(minScore))
+    .filter(lead => !flaggedOnly || Object.keys(lead.changeFlags || {}).length > 0)
+    .sort((a, b) => (leadSort === 'score' ? (b.score ?? -1) - (a.score ?? -1) : 0));
 
-    // Step 7: ChatGPT verification
-    setVerificationStatus({ companyName: lead.companyName, status: 'chatgpt', current, total });
+  // What re-verification found changed since a lead was verified (lead.changeFlags)
+  const CHANGE_FLAG_LABELS = {
+    closed: 'Closed',
+    moved: 'Moved',
+    ownerChanged: 'Owner changed',
+    phoneInvalid: 'Phone invalid'
+  };
 
+  // Re-check a verified lead against Google, Yelp and Numverify now instead of waiting for the scheduler
+  const reverifyLead = async (lead) => {
     try {
-      const response = await fetch(`${API_URL}/api/verify`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ lead })
+      const response = await apiFetch(`${API_URL}/api/leads/${lead.id}/reverify`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to re-check lead');
+        return;
+      }
+      setLeads(leads.map(l => l.id === lead.id ? data.lead : l));
+      const { changes, flags } = data.check;
+      alert(changes.length === 0 && flags.length === 0
+        ? 'No changes found'
+        : [...flags.map(flag => data.lead.changeFlags[flag].detail), ...changes.map(change => `${change.field}: ${change.before ?? '-'} -> ${change.after}`)].join('\n'));
+    } catch (error) {
+      console.error('Re-check error:', error);
+      alert('Error re-checking lead');
+    }
+  };
+
+  const dismissChangeFlag = async (lead, flag) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/leads/${lead.id}/flags/${flag}`, { method: 'DELETE' });
+      const updated = await response.json();
+      if (!response.ok) {
+        alert(updated.error || 'Failed to dismiss flag');
+        return;
+      }
+      setLeads(leads.map(l => l.id === lead.id ? updated : l));
+    } catch (error) {
+      console.error('Dismiss flag error:', error);
+      alert('Error dismissing flag');
+    }
+  };
+
+  // The stored ID of a lead, storing it first when it hasn't been saved yet
+  const storedLeadId = async (lead) => {
+    if (typeof lead.id === 'string' && lead.id.startsWith('lead_')) return lead.id;
+    const response = await apiFetch(`${API_URL}/api/leads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(lead)
+    });
+    const stored = await response.json();
+    if (!response.ok) throw new Error(stored.error || 'Failed to store lead');
+    return stored.id;
+  };
+
+  // Verify one lead over Server-Sent Events, reporting each real pipeline step
+  const streamVerification = async (lead, current, total) => {
+    const leadId = await storedLeadId(lead);
+    // EventSource can't send headers, so the stream gets a one-time token instead of the session token
+    const tokenResponse = await apiFetch(`${API_URL}/api/auth/stream-token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: '/api/verify/stream' })
+    });
+    const streamToken = await tokenResponse.json();
+    if (!tokenResponse.ok) throw new Error(streamToken.error || 'Failed to start verification');
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${API_URL}/api/verify/stream?leadId=${encodeURIComponent(leadId)}&stream_token=${encodeURIComponent(streamToken.token)}`);
+      const steps = {};
+
+      setVerificationStatus({ companyName: lead.companyName, current, total, steps: {} });
+
+      source.addEventListener('step', (event) => {
+        const step = JSON.parse(event.data);
+        steps[step.step] = step;
+        setVerificationStatus({ companyName: lead.companyName, current, total, steps: { ...steps } });
       });
-      const enrichedLead = await response.json();
+      source.addEventListener('result', (event) => {
+        source.close();
+        resolve(JSON.parse(event.data));
+      });
+      source.addEventListener('failure', (event) => {
+        source.close();
+        reject(new Error(JSON.parse(event.data).message));
+      });
+      source.onerror = () => {
+        source.close();
+        reject(new Error('Lost connection to the verification stream'));
+      };
+    });
+  };
+
+  const verifyWithAI = async (lead) => {
+    setIsProcessing(true);
+    try {
+      const enrichedLead = await streamVerification(lead, 1, 1);
+      // Nothing verified it (e.g. no AI provider answered) - it stays with the unverified results
+      if (!enrichedLead.verified) {
+        setScrapedData(scrapedData.map(l => l.id === lead.id ? enrichedLead : l));
+        alert(`${enrichedLead.companyName} could not be verified`);
+        return;
+      }
       setScrapedData(scrapedData.filter(l => l.id !== lead.id));
-      setLeads([{ ...enrichedLead, verified: true }, ...leads]);
+      setLeads([enrichedLead, ...leads.filter(l => l.id !== enrichedLead.id)]);
     } catch (error) {
       console.error('Verification error:', error);
       alert('Error verifying lead');
@@ -636,48 +1176,54 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
     }
   };
 
+  // True (and the quota banner shown) when a request, provider-call or daily verification budget is used up
+  const isQuotaUsedUp = async () => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/quota`);
+      if (!response.ok) return response.status === 429;
+      const data = await response.json();
+      const exhausted = [data.quotas.requests.user, data.quotas.requests.workspace, data.quotas.providerCalls.user, data.quotas.providerCalls.workspace]
+        .find(quota => quota && quota.remaining === 0);
+      if (exhausted) {
+        setQuotaNotice({ error: `${exhausted.scope === 'user' ? 'Your' : "The workspace's"} ${exhausted.metric === 'requests' ? 'request' : 'provider call'} quota is used up`, quota: exhausted });
+        return true;
+      }
+      if (data.verificationsToday.remaining === 0) {
+        setQuotaNotice({ error: 'Your daily verification quota is used up', quota: data.verificationsToday });
+        return true;
+      }
+    } catch (error) {
+      console.error('Error checking quota:', error);
+    }
+    return false;
+  };
+
   const verifyAllLeads = async () => {
     if (scrapedData.length === 0) return;
     setIsProcessing(true);
     const total = scrapedData.length;
     try {
       const verifiedLeads = [];
+      // Leads that weren't verified, failed or weren't reached stay in the results
+      const unverifiedLeads = [];
       for (let i = 0; i < scrapedData.length; i++) {
         const lead = scrapedData[i];
-        const current = i + 1;
         try {
-          // Step 1: Apollo enrichment
-          setVerificationStatus({ companyName: lead.companyName, status: 'apollo', current, total });
-          await new Promise(resolve => setTimeout(resolve, 500));
-
-          // Step 2: PDL owner search
-          setVerificationStatus({ companyName: lead.companyName, status: 'pdl', current, total });
-          await new Promise(resolve => setTimeout(resolve, 500));
-
-          // Step 3: Numverify phone validation
-          setVerificationStatus({ companyName: lead.companyName, status: 'numverify', current, total });
-          await new Promise(resolve => setTimeout(resolve, 500));
-
-          // Step 4: Claude verification
-          setVerificationStatus({ companyName: lead.companyName, status: 'claude', current, total });
-          await new Promise(resolve => setTimeout(resolve, 500));
-
-          // Step 5: ChatGPT verification
-          setVerificationStatus({ companyName: lead.companyName, status: 'chatgpt', current, total });
-
-          const response = await fetch(`${API_URL}/api/verify`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ lead })
-          });
-          const enrichedLead = await response.json();
-          verifiedLeads.push({ ...enrichedLead, verified: true });
+          const enrichedLead = await streamVerification(lead, i + 1, total);
+          (enrichedLead.verified ? verifiedLeads : unverifiedLeads).push(enrichedLead);
         } catch (error) {
           console.error('Error verifying lead:', lead.companyName, error);
+          unverifiedLeads.push(lead);
+          // The stream can't report a 429, so ask whether a quota ran out before trying the rest
+          if (await isQuotaUsedUp()) {
+            unverifiedLeads.push(...scrapedData.slice(i + 1));
+            break;
+          }
         }
       }
-      setLeads([...verifiedLeads, ...leads]);
-      setScrapedData([]);
+      const verifiedIds = new Set(verifiedLeads.map(l => l.id));
+      setLeads([...verifiedLeads, ...leads.filter(l => !verifiedIds.has(l.id))]);
+      setScrapedData(unverifiedLeads);
     } catch (error) {
       console.error('Error verifying all leads:', error);
       alert('Error verifying all leads');
@@ -688,51 +1234,363 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
   };
 
   const rejectLead = (leadId) => setScrapedData(scrapedData.filter(l => l.id !== leadId));
-  const deleteLead = (leadId) => setLeads(leads.filter(l => l.id !== leadId));
+
+  // Fold a found lead into the verified lead it duplicates (fields merged by source priority)
+  const mergeIntoList = async (lead) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/leads/merge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ leadIds: [lead.listedLeadId, lead.id] })
+      });
+      const merged = await response.json();
+      if (merged.error) {
+        alert(merged.error);
+        return;
+      }
+      setScrapedData(scrapedData.filter(l => l.id !== lead.id));
+      setLeads([merged, ...leads.filter(l => l.id !== merged.id)]);
+    } catch (error) {
+      console.error('Merge error:', error);
+      alert('Error merging lead');
+    }
+  };
+  const deleteLead = async (leadId) => {
+    try {
+      await apiFetch(`${API_URL}/api/leads/${encodeURIComponent(leadId)}`, { method: 'DELETE' });
+      setLeads(leads.filter(l => l.id !== leadId));
+    } catch (error) {
+      console.error('Delete lead error:', error);
+      alert('Error deleting lead');
+    }
+  };
+  // Roles without export get their saved leads a page at a time (the maxPageSize quota)
+  const loadMoreLeads = async () => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/leads?verified=true&offset=${savedLeadsPage.loaded}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      const loadedIds = new Set(leads.map(l => l.id));
+      setLeads([...leads, ...data.leads.filter(l => !loadedIds.has(l.id))]);
+      setSavedLeadsPage({ loaded: savedLeadsPage.loaded + data.leads.length, total: data.count });
+    } catch (error) {
+      console.error('Load leads error:', error);
+      alert('Error loading more leads');
+    }
+  };
   const cleanAllData = () => setScrapedData([]);
 
-  const exportScrapedToCSV = () => {
-    const csv = [
-      ['Company Name', 'Industry', 'Phone', 'Address', 'Zipcode', 'City', 'State', 'Country', 'Source'],
-      ...scrapedData.map(lead => [lead.companyName, lead.industry, lead.phone, lead.address, lead.zipcode, lead.city, lead.state, lead.country, lead.source])
-    ].map(row => row.join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `leads_found_${Date.now()}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
+  // Exports are built by the backend from the stored leads, in the order shown here
+  const downloadExport = async (exportLeads, format, filePrefix) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/leads/export`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ leadIds: exportLeads.map(lead => lead.id), format, columns: exportColumns })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Export failed');
+        return;
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${filePrefix}_${Date.now()}.${format}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export error:', error);
+      alert('Error exporting leads');
+    }
+  };
+
+  // An import's enriched file, fetched with the session header rather than a link carrying the token
+  const downloadImportResult = async (format) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/imports/${importResult.id}/download?format=${format}`);
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Download failed');
+        return;
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${importResult.fileName.replace(/\.[^.]+$/, '')}_enriched.${format}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Import download error:', error);
+      alert('Error downloading the import');
+    }
+  };
+
+  const toggleExportColumn = (path) => {
+    setExportColumns(exportColumns.includes(path)
+      ? exportColumns.filter(column => column !== path)
+      : [...exportColumns, path]);
+  };
+
+  const applyExportTemplate = (templateId) => {
+    const template = exportTemplates.find(t => t.id === templateId);
+    setExportColumns(template ? template.columns : exportOptions.defaultColumns);
+  };
+
+  const saveExportTemplate = async () => {
+    const name = window.prompt('Template name');
+    if (!name) return;
+    try {
+      const response = await apiFetch(`${API_URL}/api/export-templates`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, format: 'csv', columns: exportColumns })
+      });
+      const template = await response.json();
+      if (!response.ok) {
+        alert(template.error || 'Failed to save template');
+        return;
+      }
+      setExportTemplates([...exportTemplates, template].sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      console.error('Save template error:', error);
+      alert('Error saving template');
+    }
+  };
+
+  // Sign in, or create the account (the first account sets the server up)
+  const submitAuth = async (mode) => {
+    setAuthError('');
+    try {
+      const response = await fetch(`${API_URL}/api/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(authForm)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setAuthError(data.error || 'Sign-in failed');
+        return;
+      }
+      localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+      setAuthForm({ username: '', password: '', name: '' });
+      setAccount({ user: data.user, workspace: data.workspace, workspaces: data.workspaces, permissions: data.permissions, quotas: data.quotas });
+      setAuthToken(data.token);
+    } catch (error) {
+      console.error('Sign-in error:', error);
+      setAuthError('Could not reach the server');
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await apiFetch(`${API_URL}/api/auth/logout`, { method: 'POST' });
+    } catch (error) {
+      console.error('Sign-out error:', error);
+    }
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    setAccount(null);
+    setAuthToken(null);
+    setLeads([]);
+    setSavedLeadsPage({ loaded: 0, total: 0 });
+    setScrapedData([]);
+  };
+
+  // Switch workspace; the per-workspace data reloads with it
+  const switchWorkspace = async (id) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/auth/workspace`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workspaceId: id })
+      });
+      if (!response.ok) throw new Error('Failed to switch workspace');
+      setScrapedData([]);
+      setImportResult(null);
+      setAccount(await response.json());
+      if (activeTab === 'workspace') setActiveTab('map');
+    } catch (error) {
+      console.error('Switch workspace error:', error);
+      alert('Error switching workspace');
+    }
+  };
+
+  const createWorkspace = async () => {
+    const name = window.prompt('Name the new workspace:');
+    if (!name) return;
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/workspaces`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to create workspace');
+      await switchWorkspace(data.id);
+    } catch (error) {
+      console.error('Create workspace error:', error);
+      alert(`Error creating workspace: ${error.message}`);
+    }
   };
 
-  const exportToCSV = () => {
-    const csv = [
-      ['Company Name', 'Industry', 'Owner Name', 'Phone', 'Address', 'Zipcode', 'City', 'Country', 'Source', 'Verified'],
-      ...leads.map(lead => [lead.companyName, lead.industry, lead.ownerName, lead.phone, lead.address, lead.zipcode, lead.city, lead.country, lead.source, lead.verified ? 'Yes' : 'No'])
-    ].map(row => row.join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `leads_${Date.now()}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
+  // Members and (for admins) provider keys of the current workspace
+  const openWorkspaceSettings = async () => {
+    setActiveTab('workspace');
+    try {
+      const [meResponse, membersResponse, quotaResponse] = await Promise.all([
+        apiFetch(`${API_URL}/api/auth/me`),
+        apiFetch(`${API_URL}/api/workspaces/current/members`),
+        apiFetch(`${API_URL}/api/quota`)
+      ]);
+      if (meResponse.ok) setAccount(await meResponse.json());
+      if (quotaResponse.ok) setQuotaReport(await quotaResponse.json());
+      setWorkspaceMembers((await membersResponse.json()).members || []);
+      if (can('manageWorkspace')) {
+        const keysResponse = await apiFetch(`${API_URL}/api/workspaces/current/keys`);
+        setProviderKeys((await keysResponse.json()).keys || []);
+      } else {
+        setProviderKeys([]);
+      }
+    } catch (error) {
+      console.error('Error loading workspace settings:', error);
+    }
   };
 
-  const exportToJSON = () => {
-    const json = JSON.stringify(leads, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `leads_${Date.now()}.json`;
-    a.click();
-    window.URL.revokeObjectURL(url);
+  // Add an existing user by username, or create the account when a password is given
+  // (with single sign-on, an email address without a password invites them)
+  const addWorkspaceMember = async () => {
+    if (!newMember.username) return;
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/workspaces/current/members`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newMember.password ? newMember : { username: newMember.username, role: newMember.role })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to add member');
+      setWorkspaceMembers(data.members);
+      setNewMember({ username: '', password: '', role: 'researcher' });
+    } catch (error) {
+      console.error('Add member error:', error);
+      alert(error.message);
+    }
   };
 
+  const removeWorkspaceMember = async (member) => {
+    if (!window.confirm(`Remove ${member.username} from ${account.workspace.name}?`)) return;
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/workspaces/current/members/${member.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to remove member');
+      setWorkspaceMembers(data.members);
+    } catch (error) {
+      console.error('Remove member error:', error);
+      alert(error.message);
+    }
+  };
+
+  const changeMemberRole = async (member, role) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/workspaces/current/members/${member.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to change role');
+      setWorkspaceMembers(data.members);
+    } catch (error) {
+      console.error('Change role error:', error);
+      alert(error.message);
+    }
+  };
+
+  // Set (or with an empty value, remove) one of the workspace's own provider keys
+  const saveProviderKey = async (name, value) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/workspaces/current/keys`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ keys: { [name]: value || null } })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save key');
+      setProviderKeys(data.keys);
+    } catch (error) {
+      console.error('Save provider key error:', error);
+      alert(error.message);
+    }
+  };
+
+  if (!authToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 p-6 flex items-center justify-center">
+        <div className="w-full max-w-sm bg-white/10 backdrop-blur-lg rounded-2xl shadow-2xl p-6 border border-white/20">
+          <h1 className="text-3xl font-bold text-white mb-1 text-center">SSAI Leads Pro</h1>
+          <p className="text-purple-200 text-center mb-6">{authConfig?.needsSetup ? 'Create the first account' : 'Sign in'}</p>
+          {authError && <div className="mb-4 p-3 bg-red-600/20 border border-red-500/50 rounded-lg text-sm text-red-200">{authError}</div>}
+          <div className="space-y-3">
+            <input type="text" value={authForm.username} onChange={(e) => setAuthForm({ ...authForm, username: e.target.value })} placeholder="Username" autoComplete="username" className="w-full px-4 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-purple-300 focus:ring-2 focus:ring-purple-500 focus:outline-none" />
+            <input type="password" value={authForm.password} onChange={(e) => setAuthForm({ ...authForm, password: e.target.value })} onKeyPress={(e) => e.key === 'Enter' && submitAuth(authConfig?.needsSetup ? 'register' : 'login')} placeholder="Password" autoComplete={authConfig?.needsSetup ? 'new-password' : 'current-password'} className="w-full px-4 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-purple-300 focus:ring-2 focus:ring-purple-500 focus:outline-none" />
+            {authConfig?.needsSetup ? (
+              <button onClick={() => submitAuth('register')} className="w-full px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-semibold">Create Account</button>
+            ) : (
+              <>
+                <button onClick={() => submitAuth('login')} className="w-full px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-semibold">Sign In</button>
+                {authConfig?.signup && (
+                  <button onClick={() => submitAuth('register')} className="w-full px-4 py-2 bg-white/10 hover:bg-white/20 text-purple-200 rounded-lg text-sm">Create a new account with these details</button>
+                )}
+              </>
+            )}
+            {authConfig?.oidc && (
+              <a href={`${API_URL}/api/auth/oidc/login`} className="block w-full px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg font-semibold text-center">Sign in with {authConfig.oidc.name}</a>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 p-6">
       <div className="max-w-4xl mx-auto">
+        {account && (
+          <div className="flex justify-end items-center gap-3 mb-4 text-sm text-purple-200 flex-wrap">
+            <span>{account.user.name || account.user.username} · {account.workspace?.role}</span>
+            <select value={account.workspace?.id || ''} onChange={(e) => (e.target.value === '__new' ? createWorkspace() : switchWorkspace(e.target.value))} className="px-3 py-1 bg-white/10 border border-white/20 rounded-lg text-white">
+              {account.workspaces.map(workspace => (
+                <option key={workspace.id} value={workspace.id} className="text-black">{workspace.name}</option>
+              ))}
+              {can('manageWorkspace') && <option value="__new" className="text-black">+ New workspace...</option>}
+            </select>
+            <button onClick={openWorkspaceSettings} className="flex items-center gap-1 hover:text-white" title="Workspace members and provider keys">
+              <Users size={16} />
+              Workspace
+            </button>
+            <button onClick={signOut} className="flex items-center gap-1 hover:text-white">
+              <LogOut size={16} />
+              Sign out
+            </button>
+          </div>
+        )}
+
+        {quotaNotice && (
+          <div className="mb-4 p-3 bg-orange-600/20 border border-orange-500/50 rounded-lg text-sm text-orange-200 flex justify-between items-start gap-3">
+            <span>
+              {quotaNotice.error}
+              {quotaNotice.quota?.resetsAt && ` - more after ${new Date(quotaNotice.quota.resetsAt).toLocaleTimeString()}`}
+            </span>
+            <button onClick={() => setQuotaNotice(null)} className="hover:text-white" title="Dismiss">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
         <div className="text-center mb-8">
           <h1 className="text-5xl font-bold text-white mb-2">SSAI Leads Pro</h1>
           <p className="text-purple-200">AI-Powered Lead Generation</p>
@@ -856,9 +1714,13 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
                 4. Click "Scrape Selected Area"
               </div>
               {areaDetails && (<div className="mt-3 p-3 bg-purple-600/20 rounded-lg text-sm text-purple-200"><strong>Selected Area:</strong><br />{areaDetails}</div>)}
-              <button onClick={scrapeMapArea} disabled={isProcessing} className="w-full mt-4 bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 rounded-lg font-semibold hover:from-purple-700 hover:to-pink-700 transition-all disabled:opacity-50 flex items-center justify-center gap-2">
+              {areaFilteredOut > 0 && (<div className="mt-3 p-3 bg-orange-600/20 rounded-lg text-sm text-orange-200">{areaFilteredOut} result{areaFilteredOut === 1 ? '' : 's'} outside the drawn area {areaFilteredOut === 1 ? 'was' : 'were'} removed.</div>)}
+              <button onClick={scrapeMapArea} disabled={isProcessing || !can('scrape')} className="w-full mt-4 bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 rounded-lg font-semibold hover:from-purple-700 hover:to-pink-700 transition-all disabled:opacity-50 flex items-center justify-center gap-2">
                 {isProcessing ? <><Loader className="animate-spin" size={20} />Scraping...</> : <><Search size={20} />Scrape Selected Area</>}
               </button>
+              <button onClick={saveAreaSearch} disabled={isProcessing || !can('scrape')} className="w-full mt-2 bg-white/10 text-purple-200 py-2 rounded-lg font-semibold hover:bg-white/20 transition-all disabled:opacity-50 flex items-center justify-center gap-2">
+                <Clock size={18} />Save & Schedule This Search
+              </button>
             </div>
           )}
 
@@ -891,6 +1753,18 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
                   <label className="block text-sm font-medium text-purple-200 mb-1">Maximum Leads (Apollo: up to 60+, Google: up to 60 per area)</label>
                   <input type="number" value={maxLeads} onChange={(e) => setMaxLeads(e.target.value === '' ? '' : parseInt(e.target.value))} min="1" max="10000" placeholder="Number of leads..." className="w-full px-4 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-purple-300 focus:ring-2 focus:ring-purple-500 focus:outline-none" />
                 </div>
+                <div className="flex items-center gap-3 p-4 bg-blue-600/20 rounded-lg border border-blue-500/50">
+                  <input
+                    type="checkbox"
+                    id="useGoogleSearch"
+                    checked={useGoogleSearch}
+                    onChange={(e) => setUseGoogleSearch(e.target.checked)}
+                    className="w-5 h-5 rounded border-2 border-blue-400 bg-white/10 checked:bg-blue-600 checked:border-blue-600 cursor-pointer"
+                  />
+                  <label htmlFor="useGoogleSearch" className="text-white font-medium cursor-pointer flex-1">
+                    Use Google Places Search
+                  </label>
+                </div>
                 <div className="flex items-center gap-3 p-4 bg-purple-600/20 rounded-lg border border-purple-500/50">
                   <input
                     type="checkbox"
@@ -925,9 +1799,149 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
                     </span>
                   )}
                 </div>
-                <button onClick={handleScrape} disabled={isProcessing} className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 rounded-lg font-semibold hover:from-purple-700 hover:to-pink-700 transition-all disabled:opacity-50 flex items-center justify-center gap-2">
+                <p className="text-xs text-purple-300">Selecting more than one source searches them in parallel and merges duplicates into one lead.</p>
+                <button onClick={handleScrape} disabled={isProcessing || !can('scrape')} className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 rounded-lg font-semibold hover:from-purple-700 hover:to-pink-700 transition-all disabled:opacity-50 flex items-center justify-center gap-2">
                   {isProcessing ? <><Loader className="animate-spin" size={20} />Scraping...</> : <><Search size={20} />Start Scraping</>}
                 </button>
+                <button onClick={saveTextSearch} disabled={isProcessing || !can('scrape')} className="w-full bg-white/10 text-purple-200 py-2 rounded-lg font-semibold hover:bg-white/20 transition-all disabled:opacity-50 flex items-center justify-center gap-2">
+                  <Clock size={18} />Save & Schedule This Search
+                </button>
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'workspace' && account && (
+            <div className="bg-white/10 backdrop-blur-lg rounded-2xl shadow-2xl p-6 border border-white/20">
+              <h2 className="text-2xl font-semibold text-white mb-6 flex items-center gap-2">
+                <Users className="text-purple-400" />
+                {account.workspace?.name}
+              </h2>
+
+              <h3 className="text-lg font-semibold text-white mb-3">Members</h3>
+              <div className="space-y-2 mb-4">
+                {workspaceMembers.map(member => (
+                  <div key={member.id} className="flex items-center justify-between p-3 bg-white/5 rounded-lg border border-white/10">
+                    <div>
+                      <div className="text-white">{member.name || member.username}</div>
+                      <div className="text-xs text-purple-300">{member.username}{member.email ? ` · ${member.email}` : ''}</div>
+                    </div>
+                    {can('manageWorkspace') ? (
+                      <div className="flex items-center gap-3">
+                        <select value={member.role} onChange={(e) => changeMemberRole(member, e.target.value)} className="px-2 py-1 bg-white/10 border border-white/20 rounded text-white text-sm">
+                          {ROLES.map(role => <option key={role} value={role} className="text-black">{role}</option>)}
+                        </select>
+                        <button onClick={() => removeWorkspaceMember(member)} className="text-red-300 hover:text-red-200" title="Remove from workspace">
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    ) : (
+                      <span className="text-sm text-purple-300">{member.role}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+              {can('manageWorkspace') && (
+                <div className="flex gap-2 mb-8 flex-wrap">
+                  <input type="text" value={newMember.username} onChange={(e) => setNewMember({ ...newMember, username: e.target.value })} placeholder={authConfig?.oidc ? 'Username, or email to invite for single sign-on' : 'Username'} className="flex-1 px-4 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-purple-300 focus:ring-2 focus:ring-purple-500 focus:outline-none" />
+                  <input type="password" value={newMember.password} onChange={(e) => setNewMember({ ...newMember, password: e.target.value })} placeholder="Password (new accounts only)" autoComplete="new-password" className="flex-1 px-4 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-purple-300 focus:ring-2 focus:ring-purple-500 focus:outline-none" />
+                  <select value={newMember.role} onChange={(e) => setNewMember({ ...newMember, role: e.target.value })} className="px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white">
+                    {ROLES.map(role => <option key={role} value={role} className="text-black">{role}</option>)}
+                  </select>
+                  <button onClick={addWorkspaceMember} className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-semibold">Add Member</button>
+                </div>
+              )}
+
+              {account.quotas && (
+                <p className="text-sm text-purple-300 mb-4">
+                  As {account.workspace?.role}: up to {account.quotas.maxLeads ?? 'any number of'} leads per search
+                  {account.quotas.dailyVerifications !== null && `, ${account.quotas.verificationsToday.remaining} of ${account.quotas.dailyVerifications} verifications left today`}.
+                </p>
+              )}
+              {quotaReport && (
+                <div className="grid md:grid-cols-2 gap-2 mb-8 text-sm">
+                  <div className="p-3 bg-white/5 rounded-lg border border-white/10">
+                    <div className="text-white mb-1">You</div>
+                    <div className="text-purple-300">{describeQuota(quotaReport.quotas.requests.user, 'requests')}</div>
+                    <div className="text-purple-300">{describeQuota(quotaReport.quotas.providerCalls.user, 'provider calls')}</div>
+                  </div>
+                  <div className="p-3 bg-white/5 rounded-lg border border-white/10">
+                    <div className="text-white mb-1">Whole workspace</div>
+                    <div className="text-purple-300">{describeQuota(quotaReport.quotas.requests.workspace, 'requests')}</div>
+                    <div className="text-purple-300">{describeQuota(quotaReport.quotas.providerCalls.workspace, 'provider calls')}</div>
+                  </div>
+                </div>
+              )}
+
+              {can('manageWorkspace') && (
+                <>
+                  <h3 className="text-lg font-semibold text-white mb-1">Provider Keys</h3>
+                  <p className="text-sm text-purple-300 mb-3">Searches and verifications in this workspace use its own keys; keys it doesn't set fall back to the server's.</p>
+                  <div className="space-y-2">
+                    {providerKeys.map(key => (
+                      <div key={key.name} className="flex items-center justify-between gap-3 p-3 bg-white/5 rounded-lg border border-white/10">
+                        <div>
+                          <div className="text-white">{PROVIDER_KEY_LABELS[key.name] || key.name}</div>
+                          <div className="text-xs text-purple-300">
+                            {key.source === 'workspace' ? `Workspace key ••••${key.last4}` : key.source === 'server' ? 'Server key' : 'Not configured'}
+                          </div>
+                        </div>
+                        <div className="flex gap-2">
+                          <button onClick={() => { const value = window.prompt(`${PROVIDER_KEY_LABELS[key.name] || key.name} API key for this workspace:`); if (value) saveProviderKey(key.name, value); }} className="px-3 py-1 bg-purple-600 text-white rounded text-sm hover:bg-purple-700">Set</button>
+                          {key.source === 'workspace' && (
+                            <button onClick={() => saveProviderKey(key.name, null)} className="px-3 py-1 bg-white/10 text-purple-200 rounded text-sm hover:bg-white/20">Remove</button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {(activeTab === 'map' || activeTab === 'scraper') && savedSearches.length > 0 && (
+            <div className="bg-white/10 backdrop-blur-lg rounded-2xl shadow-2xl p-6 border border-white/20">
+              <h2 className="text-2xl font-semibold text-white mb-4 flex items-center gap-2">
+                <Clock className="text-purple-400" />
+                Saved Searches
+              </h2>
+              <div className="space-y-3">
+                {savedSearches.map(search => (
+                  <div key={search.id} className="p-4 bg-white/5 rounded-lg border border-white/10">
+                    <div className="flex items-start justify-between gap-3">
+                      <div>
+                        <div className="text-white font-semibold">{search.name}</div>
+                        <div className="text-xs text-purple-300">
+                          {search.params.query} · {search.params.area ? 'drawn area' : search.params.location} · {search.params.source}
+                        </div>
+                        <div className="text-xs text-purple-300 mt-1">
+                          {search.schedule ? `${search.schedule} (${search.timezone})` : 'Run by hand only'}
+                          {search.schedule && (search.enabled ? ` · next run ${search.nextRunAt ? new Date(search.nextRunAt).toLocaleString() : '-'}` : ' · paused')}
+                        </div>
+                        {search.lastRun && (
+                          <div className="text-xs text-purple-200 mt-1">
+                            Last run {new Date(search.lastRun.createdAt).toLocaleString()}: {search.lastRun.status}
+                            {search.lastRun.status === 'completed' && (search.lastRun.baseline
+                              ? ` · ${search.lastRun.count} leads (baseline)`
+                              : ` · ${search.lastRun.count} leads, ${search.lastRun.newCount} new`)}
+                          </div>
+                        )}
+                      </div>
+                      {can('delete') && (
+                        <button onClick={() => deleteSavedSearch(search)} className="text-red-300 hover:text-red-200" title="Delete saved search">
+                          <Trash2 size={16} />
+                        </button>
+                      )}
+                    </div>
+                    <div className="flex gap-2 mt-3 flex-wrap">
+                      <button onClick={() => runSavedSearch(search)} disabled={isProcessing || !can('scrape')} className="px-3 py-1 bg-purple-600 text-white rounded text-sm hover:bg-purple-700 disabled:opacity-50">Run Now</button>
+                      <button onClick={() => showNewSinceLastRun(search)} className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700">New Since Last Run</button>
+                      {search.schedule && (
+                        <button onClick={() => toggleSavedSearch(search)} className="px-3 py-1 bg-white/10 text-purple-200 rounded text-sm hover:bg-white/20">{search.enabled ? 'Pause' : 'Resume'}</button>
+                      )}
+                    </div>
+                  </div>
+                ))}
               </div>
             </div>
           )}
@@ -978,21 +1992,89 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
                   <label className="block text-sm font-medium text-purple-200 mb-1">Owner Name</label>
                   <input type="text" name="ownerName" value={formData.ownerName} onChange={handleFormChange} placeholder="e.g. John Doe" className="w-full px-4 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-purple-300 focus:ring-2 focus:ring-purple-500 focus:outline-none" />
                 </div>
-                <button onClick={handleManualAdd} disabled={isProcessing} className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 rounded-lg font-semibold hover:from-purple-700 hover:to-pink-700 transition-all disabled:opacity-50">
+                <button onClick={handleManualAdd} disabled={isProcessing || !can('verify')} className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 rounded-lg font-semibold hover:from-purple-700 hover:to-pink-700 transition-all disabled:opacity-50">
                   {isProcessing ? 'Enriching with AI...' : 'Enrich & Add Lead'}
                 </button>
               </div>
             </div>
           )}
 
+          {activeTab === 'manual' && (
+            <div className="bg-white/10 backdrop-blur-lg rounded-2xl shadow-2xl p-6 border border-white/20">
+              <h2 className="text-2xl font-semibold text-white mb-6 flex items-center gap-2">
+                <Upload className="text-purple-400" />
+                Import Spreadsheet
+              </h2>
+              <div className="mb-4 p-3 bg-purple-600/20 rounded-lg text-sm text-purple-200">
+                <strong>Upload a CSV or Excel file.</strong> Each row is matched and verified like a lead entered above, and you get the file back with the enriched fields and a status for every row.
+              </div>
+              <label className="w-full bg-white/20 hover:bg-white/30 border border-dashed border-white/40 text-white py-3 rounded-lg font-medium flex items-center justify-center gap-2 cursor-pointer transition-all">
+                <Upload size={18} />
+                {importPreview ? importPreview.fileName : 'Choose .csv or .xlsx file'}
+                <input type="file" accept=".csv,.xlsx" onChange={handleImportFile} disabled={isProcessing} className="hidden" />
+              </label>
+              {importPreview && (
+                <div className="mt-4 space-y-3">
+                  <p className="text-sm text-purple-200">{importPreview.rowCount} rows · map each column to a lead field</p>
+                  <div className="space-y-2 max-h-64 overflow-y-auto">
+                    {importPreview.columns.map(column => (
+                      <div key={column} className="grid grid-cols-2 gap-3 items-center">
+                        <div className="text-sm text-white truncate" title={importPreview.sampleRows.map(row => row[column]).filter(Boolean).join(', ')}>
+                          {column}
+                          {importPreview.sampleRows[0]?.[column] && <span className="text-purple-300"> · {importPreview.sampleRows[0][column]}</span>}
+                        </div>
+                        <select
+                          value={importMapping[column] || ''}
+                          onChange={(e) => setImportMapping({ ...importMapping, [column]: e.target.value || undefined })}
+                          className="px-3 py-1 bg-white/20 border border-white/30 rounded-lg text-white text-sm focus:ring-2 focus:ring-purple-500 focus:outline-none"
+                        >
+                          <option value="" className="text-black">Don't import</option>
+                          {importPreview.fields.map(field => (
+                            <option key={field} value={field} className="text-black">{field}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-purple-200">
+                    <input type="checkbox" checked={importVerify} onChange={(e) => setImportVerify(e.target.checked)} />
+                    Verify each lead (owner, email and phone lookups)
+                  </label>
+                  <button onClick={startImport} disabled={isProcessing || !can('verify')} className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 rounded-lg font-semibold hover:from-purple-700 hover:to-pink-700 transition-all disabled:opacity-50">
+                    {isProcessing ? 'Importing...' : `Import ${importPreview.rowCount} Rows`}
+                  </button>
+                </div>
+              )}
+              {importResult && (
+                <div className="mt-4 p-3 bg-green-600/20 border border-green-500/50 rounded-lg text-sm text-white">
+                  <p className="mb-2">
+                    {importResult.fileName}: {importResult.count} leads imported
+                    {importResult.skipped > 0 && <> · {importResult.skipped} skipped</>}
+                    {importResult.failed > 0 && <> · {importResult.failed} failed</>}
+                    {importResult.status !== 'completed' && <> · import {importResult.status}</>}
+                  </p>
+                  <div className="flex gap-2">
+                    <button onClick={() => downloadImportResult('csv')} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-medium flex items-center gap-2">
+                      <Download size={16} />CSV
+                    </button>
+                    <button onClick={() => downloadImportResult('xlsx')} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-medium flex items-center gap-2">
+                      <Download size={16} />Excel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="bg-white/10 backdrop-blur-lg rounded-2xl shadow-2xl p-6 border border-white/20">
             <div className="flex justify-between items-center mb-4 flex-wrap gap-3">
               <h3 className="text-xl font-semibold text-white">Leads Found ({scrapedData.length})</h3>
               {scrapedData.length > 0 && (
                 <div className="flex gap-2">
                   <button
-                    onClick={exportScrapedToCSV}
-                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium flex items-center gap-2 transition-all"
+                    onClick={() => downloadExport(scrapedData, 'csv', 'leads_found')}
+                    disabled={!can('export')}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium flex items-center gap-2 transition-all disabled:opacity-50"
                   >
                     <Download size={16} />
                     Download
@@ -1006,7 +2088,7 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
                   </button>
                   <button
                     onClick={verifyAllLeads}
-                    disabled={isProcessing}
+                    disabled={isProcessing || !can('verify')}
                     className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm font-medium flex items-center gap-2 disabled:opacity-50 transition-all"
                   >
                     <Check size={16} />
@@ -1021,94 +2103,119 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
               ) : (
                 scrapedData.map(lead => (
                   <div key={lead.id} className="bg-white/10 rounded-lg p-4 border border-white/20">
-                    <h4 className="font-semibold text-white mb-2">{lead.companyName}</h4>
+                    <div className="flex justify-between items-start gap-2 mb-2">
+                      <h4 className="font-semibold text-white">
+                        {lead.companyName}
+                        {lead.score !== undefined && (
+                          <span title={scoreTooltip(lead)} className={`ml-2 text-xs px-2 py-0.5 rounded-full ${scoreClass(lead.score)}`}>{lead.score}</span>
+                        )}
+                      </h4>
+                      {lead.alreadyInList && (
+                        <span className="shrink-0 text-xs bg-yellow-500/20 text-yellow-300 px-2 py-1 rounded-full">Already in your list</span>
+                      )}
+                    </div>
                     <p className="text-sm text-purple-200 mb-1">{lead.phone}</p>
                     <p className="text-sm text-purple-200 mb-3">{lead.address}</p>
                     <div className="flex gap-2">
-                      <button onClick={() => verifyWithAI(lead)} disabled={isProcessing} className="flex-1 bg-green-600 hover:bg-green-700 text-white py-2 rounded-lg text-sm font-medium flex items-center justify-center gap-1 disabled:opacity-50">
+                      <button onClick={() => verifyWithAI(lead)} disabled={isProcessing || !can('verify')} className="flex-1 bg-green-600 hover:bg-green-700 text-white py-2 rounded-lg text-sm font-medium flex items-center justify-center gap-1 disabled:opacity-50">
                         <Check size={16} />Verify & Add
                       </button>
                       <button onClick={() => rejectLead(lead.id)} className="flex-1 bg-red-600 hover:bg-red-700 text-white py-2 rounded-lg text-sm font-medium flex items-center justify-center gap-1">
                         <X size={16} />Reject
                       </button>
                     </div>
+                    {lead.listedLeadId && lead.listedLeadId !== lead.id && (
+                      <button onClick={() => mergeIntoList(lead)} disabled={isProcessing || !can('delete')} className="w-full mt-2 bg-yellow-600 hover:bg-yellow-700 text-white py-2 rounded-lg text-sm font-medium disabled:opacity-50">
+                        Merge into existing lead
+                      </button>
+                    )}
                   </div>
                 ))
               )}
             </div>
           </div>
 
+          {activeJob && (
+            <div className="bg-gradient-to-r from-purple-600/20 to-pink-600/20 backdrop-blur-lg rounded-2xl shadow-2xl p-6 border border-purple-500/50">
+              <div className="flex items-center justify-between gap-4 mb-3">
+                <p className="text-xl font-semibold text-white flex items-center gap-2">
+                  <Loader className="animate-spin" size={20} />
+                  {activeJob.type === 'import'
+                    ? (activeJob.status === 'queued' ? 'Import queued...' : 'Importing in the background...')
+                    : (activeJob.status === 'queued' ? 'Search queued...' : 'Searching in the background...')}
+                </p>
+                <button onClick={cancelJob} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-1">
+                  <X size={16} />Cancel
+                </button>
+              </div>
+              {activeJob.progress?.cellsTotal > 0 && (
+                <div className="w-full bg-gray-700/50 rounded-full h-3 mb-3 overflow-hidden">
+                  <div
+                    className="bg-gradient-to-r from-purple-600 to-pink-600 h-3 rounded-full transition-all duration-500 ease-out"
+                    style={{ width: `${(activeJob.progress.cellsDone / activeJob.progress.cellsTotal) * 100}%` }}
+                  ></div>
+                </div>
+              )}
+              {activeJob.progress?.rowsTotal > 0 && (
+                <div className="w-full bg-gray-700/50 rounded-full h-3 mb-3 overflow-hidden">
+                  <div
+                    className="bg-gradient-to-r from-purple-600 to-pink-600 h-3 rounded-full transition-all duration-500 ease-out"
+                    style={{ width: `${(activeJob.progress.rowsDone / activeJob.progress.rowsTotal) * 100}%` }}
+                  ></div>
+                </div>
+              )}
+              <p className="text-purple-200 text-sm">
+                {activeJob.progress?.cellsTotal > 0 && <>Grid cells: {activeJob.progress.cellsDone}/{activeJob.progress.cellsTotal} · </>}
+                {activeJob.progress?.rowsTotal > 0 && <>Rows: {activeJob.progress.rowsDone}/{activeJob.progress.rowsTotal} · </>}
+                Leads found: {activeJob.progress?.leadsFound || 0}
+                {activeJob.progress?.errors?.length > 0 && <> · Errors: {activeJob.progress.errors.length}</>}
+              </p>
+            </div>
+          )}
+
           {verificationStatus && (
-            <div className="bg-gradient-to-r from-purple-600/20 to-pink-600/20 backdrop-blur-lg rounded-2xl shadow-2xl p-6 border border-purple-500/50 animate-pulse">
+            <div className="bg-gradient-to-r from-purple-600/20 to-pink-600/20 backdrop-blur-lg rounded-2xl shadow-2xl p-6 border border-purple-500/50">
               <div className="text-center">
                 <p className="text-xl font-semibold text-white mb-1">
-                  AI Verification in Progress
+                  Verification in Progress
                 </p>
                 <p className="text-purple-200 mb-2">
                   {verificationStatus.companyName}
                 </p>
                 <p className="text-2xl font-bold text-white mb-4">
-                  {verificationStatus.total}/{verificationStatus.current}
+                  {verificationStatus.current}/{verificationStatus.total}
                 </p>
 
-                {/* Progress Bar */}
+                {/* Progress Bar: steps that have finished, failed or been skipped */}
                 <div className="w-full bg-gray-700/50 rounded-full h-3 mb-4 overflow-hidden">
                   <div
                     className="bg-gradient-to-r from-purple-600 to-pink-600 h-3 rounded-full transition-all duration-500 ease-out"
                     style={{
-                      width: verificationStatus.status === 'apollo' ? '14.29%' :
-                        verificationStatus.status === 'pdl' ? '28.57%' :
-                          verificationStatus.status === 'numverify' ? '42.86%' :
-                            verificationStatus.status === 'yelp' ? '57.14%' :
-                              verificationStatus.status === 'hunter' ? '71.43%' :
-                                verificationStatus.status === 'claude' ? '85.71%' : '100%'
+                      width: `${(Object.values(verificationStatus.steps).filter(step => step.status !== 'started').length / VERIFICATION_STEPS.length) * 100}%`
                     }}
                   ></div>
                 </div>
 
                 <div className="flex items-center justify-center gap-2 flex-wrap">
-                  <div className={`flex items-center gap-2 px-3 py-2 rounded-lg ${verificationStatus.status === 'apollo' ? 'bg-blue-600' : 'bg-blue-600/20'}`}>
-                    <div className={`w-2 h-2 rounded-full ${verificationStatus.status === 'apollo' ? 'bg-green-400 animate-pulse' : 'bg-gray-400'}`}></div>
-                    <span className="text-sm font-medium text-white">
-                      {verificationStatus.status === 'apollo' ? 'Talking to Apollo...' : 'Apollo'}
-                    </span>
-                  </div>
-                  <div className={`flex items-center gap-2 px-3 py-2 rounded-lg ${verificationStatus.status === 'pdl' ? 'bg-indigo-600' : 'bg-indigo-600/20'}`}>
-                    <div className={`w-2 h-2 rounded-full ${verificationStatus.status === 'pdl' ? 'bg-green-400 animate-pulse' : 'bg-gray-400'}`}></div>
-                    <span className="text-sm font-medium text-white">
-                      {verificationStatus.status === 'pdl' ? 'Talking to PDL...' : 'PDL'}
-                    </span>
-                  </div>
-                  <div className={`flex items-center gap-2 px-3 py-2 rounded-lg ${verificationStatus.status === 'numverify' ? 'bg-orange-600' : 'bg-orange-600/20'}`}>
-                    <div className={`w-2 h-2 rounded-full ${verificationStatus.status === 'numverify' ? 'bg-green-400 animate-pulse' : 'bg-gray-400'}`}></div>
-                    <span className="text-sm font-medium text-white">
-                      {verificationStatus.status === 'numverify' ? 'Talking to Numverify...' : 'Numverify'}
-                    </span>
-                  </div>
-                  <div className={`flex items-center gap-2 px-3 py-2 rounded-lg ${verificationStatus.status === 'yelp' ? 'bg-red-600' : 'bg-red-600/20'}`}>
-                    <div className={`w-2 h-2 rounded-full ${verificationStatus.status === 'yelp' ? 'bg-green-400 animate-pulse' : 'bg-gray-400'}`}></div>
-                    <span className="text-sm font-medium text-white">
-                      {verificationStatus.status === 'yelp' ? 'Talking to Yelp...' : 'Yelp'}
-                    </span>
-                  </div>
-                  <div className={`flex items-center gap-2 px-3 py-2 rounded-lg ${verificationStatus.status === 'hunter' ? 'bg-teal-600' : 'bg-teal-600/20'}`}>
-                    <div className={`w-2 h-2 rounded-full ${verificationStatus.status === 'hunter' ? 'bg-green-400 animate-pulse' : 'bg-gray-400'}`}></div>
-                    <span className="text-sm font-medium text-white">
-                      {verificationStatus.status === 'hunter' ? 'Talking to Hunter...' : 'Hunter'}
-                    </span>
-                  </div>
-                  <div className={`flex items-center gap-2 px-3 py-2 rounded-lg ${verificationStatus.status === 'claude' ? 'bg-purple-600' : 'bg-purple-600/20'}`}>
-                    <div className={`w-2 h-2 rounded-full ${verificationStatus.status === 'claude' ? 'bg-green-400 animate-pulse' : 'bg-gray-400'}`}></div>
-                    <span className="text-sm font-medium text-white">
-                      {verificationStatus.status === 'claude' ? 'Talking to Claude...' : 'Claude'}
-                    </span>
-                  </div>
-                  <div className={`flex items-center gap-2 px-3 py-2 rounded-lg ${verificationStatus.status === 'chatgpt' ? 'bg-green-600' : 'bg-green-600/20'}`}>
-                    <div className={`w-2 h-2 rounded-full ${verificationStatus.status === 'chatgpt' ? 'bg-green-400 animate-pulse' : 'bg-gray-400'}`}></div>
-                    <span className="text-sm font-medium text-white">
-                      {verificationStatus.status === 'chatgpt' ? 'Talking to ChatGPT...' : 'ChatGPT'}
-                    </span>
-                  </div>
+                  {VERIFICATION_STEPS.map(({ key, label, activeClass, idleClass }) => {
+                    const step = verificationStatus.steps[key];
+                    const status = step?.status;
+                    return (
+                      <div key={key} title={step?.error || step?.reason || ''} className={`flex items-center gap-2 px-3 py-2 rounded-lg ${status === 'started' ? activeClass : idleClass}`}>
+                        <div className={`w-2 h-2 rounded-full ${
+                          status === 'started' ? 'bg-green-400 animate-pulse' :
+                            status === 'finished' ? 'bg-green-400' :
+                              status === 'failed' ? 'bg-red-400' : 'bg-gray-400'
+                        }`}></div>
+                        <span className="text-sm font-medium text-white">
+                          {status === 'started' ? `Talking to ${label}...` :
+                            status === 'finished' ? `${label} ${step.found ? '✓' : '(no match)'}` :
+                              status === 'skipped' ? `${label} (skipped: ${step.reason})` :
+                                status === 'failed' ? `${label} failed` : label}
+                        </span>
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
             </div>
@@ -1121,43 +2228,161 @@ Center: ${center.lat().toFixed(6)}, ${center.lng().toFixed(6)}`;
                 Verified Leads ({leads.length})
               </h2>
               {leads.length > 0 && (
-                <div className="flex gap-2">
-                  <button onClick={exportToCSV} className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm font-medium flex items-center gap-1">
+                <div className="flex gap-2 items-center">
+                  <select
+                    value={leadSort}
+                    onChange={(e) => setLeadSort(e.target.value)}
+                    className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm"
+                  >
+                    <option value="updated" className="text-gray-900">Newest</option>
+                    <option value="score" className="text-gray-900">Highest score</option>
+                  </select>
+                  <label className="flex items-center gap-1 text-sm text-purple-200">
+                    <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+                    Flagged
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={minScore}
+                    onChange={(e) => setMinScore(e.target.value)}
+                    placeholder="Min score"
+                    className="w-28 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm placeholder-purple-300"
+                  />
+                  <button onClick={() => downloadExport(visibleLeads, 'csv', 'leads')} disabled={!can('export')} className="disabled:opacity-50 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm font-medium flex items-center gap-1">
                     <Download size={16} />CSV
                   </button>
-                  <button onClick={exportToJSON} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium flex items-center gap-1">
+                  <button onClick={() => downloadExport(visibleLeads, 'xlsx', 'leads')} disabled={!can('export')} className="disabled:opacity-50 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm font-medium flex items-center gap-1">
+                    <Download size={16} />Excel
+                  </button>
+                  <button onClick={() => downloadExport(visibleLeads, 'json', 'leads')} disabled={!can('export')} className="disabled:opacity-50 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium flex items-center gap-1">
                     <Download size={16} />JSON
                   </button>
+                  <button onClick={() => downloadExport(visibleLeads, 'vcf', 'leads')} disabled={!can('export')} className="disabled:opacity-50 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium flex items-center gap-1">
+                    <Download size={16} />vCard
+                  </button>
+                  <button onClick={() => setShowExportColumns(!showExportColumns)} className="px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg text-sm font-medium">
+                    Columns ({exportColumns.length})
+                  </button>
                 </div>
               )}
             </div>
+            {showExportColumns && (
+              <div className="mb-6 p-4 bg-white/5 rounded-lg border border-white/20">
+                <div className="flex gap-2 items-center mb-3 flex-wrap">
+                  <select
+                    defaultValue=""
+                    onChange={(e) => applyExportTemplate(e.target.value)}
+                    className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm"
+                  >
+                    <option value="" className="text-gray-900">Default columns</option>
+                    {exportTemplates.map(template => (
+                      <option key={template.id} value={template.id} className="text-gray-900">{template.name}</option>
+                    ))}
+                  </select>
+                  <button onClick={saveExportTemplate} disabled={exportColumns.length === 0} className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm font-medium disabled:opacity-50">
+                    Save as template
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-2 max-h-64 overflow-y-auto">
+                  {exportOptions.columns.map(column => (
+                    <label key={column.path} className="flex items-center gap-2 text-sm text-purple-200">
+                      <input type="checkbox" checked={exportColumns.includes(column.path)} onChange={() => toggleExportColumn(column.path)} />
+                      {column.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
             <div className="space-y-4 max-h-[calc(100vh-300px)] overflow-y-auto">
-              {leads.length === 0 ? (
+              {visibleLeads.length === 0 ? (
                 <div className="text-center py-12">
                   <Building2 size={48} className="mx-auto mb-3 text-purple-400 opacity-50" />
-                  <p className="text-purple-300">No verified leads yet</p>
+                  <p className="text-purple-300">{leads.length === 0 ? 'No verified leads yet' : 'No leads match these filters'}</p>
                 </div>
               ) : (
-                leads.map(lead => (
+                visibleLeads.map(lead => (
                   <div key={lead.id} className="bg-white/10 border border-white/20 rounded-lg p-4 hover:bg-white/20 transition-all">
                     <div className="flex justify-between items-start mb-3">
                       <div>
-                        <h3 className="font-semibold text-lg text-white">{lead.companyName}</h3>
-                        {lead.industry && <p className="text-sm text-purple-300">{lead.industry}</p>}
+                        <h3 className="font-semibold text-lg text-white">
+                          {lead.companyName}
+                          {lead.score !== undefined && (
+                            <span title={scoreTooltip(lead)} className={`ml-2 text-sm px-2 py-0.5 rounded-full ${scoreClass(lead.score)}`}>Score {lead.score}</span>
+                          )}
+                        </h3>
+                        {lead.industry && (
+                          <p className="text-sm text-purple-300" title={lead.sector || undefined}>
+                            {lead.industry}{lead.naicsCode && <span className="text-purple-400"> · NAICS {lead.naicsCode}</span>}
+                          </p>
+                        )}
+                        {Object.keys(lead.changeFlags || {}).length > 0 && (
+                          <div className="flex flex-wrap gap-2 mt-2">
+                            {Object.entries(lead.changeFlags).map(([flag, { detail, detectedAt }]) => (
+                              <span key={flag} title={`${detail} (${new Date(detectedAt).toLocaleDateString()})`} className="text-xs px-2 py-0.5 rounded-full bg-orange-500/20 text-orange-300 flex items-center gap-1">
+                                {CHANGE_FLAG_LABELS[flag] || flag}
+                                <button onClick={() => dismissChangeFlag(lead, flag)} className="hover:text-white" title="Dismiss">
+                                  <X size={12} />
+                                </button>
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex gap-3">
+                        <button onClick={() => reverifyLead(lead)} disabled={!can('verify')} className="text-purple-300 hover:text-white disabled:opacity-30" title={`Re-check now${lead.reverifiedAt ? ` (last checked ${new Date(lead.reverifiedAt).toLocaleDateString()})` : ''}`}>
+                          <RefreshCw size={18} />
+                        </button>
+                        {can('delete') && (
+                          <button onClick={() => deleteLead(lead.id)} className="text-red-400 hover:text-red-300">
+                            <Trash2 size={18} />
+                          </button>
+                        )}
                       </div>
-                      <button onClick={() => deleteLead(lead.id)} className="text-red-400 hover:text-red-300">
-                        <Trash2 size={18} />
-                      </button>
                     </div>
                     <div className="space-y-1 text-sm text-purple-200">
-                      <p><strong>Owner:</strong> {lead.ownerName}</p>
-                      {lead.phone && <p><strong>Phone:</strong> {lead.phone}</p>}
+                      <p>
+                        <strong>Owner:</strong>{' '}
+                        {lead.ownerName || <span className="italic text-purple-400">{missingFieldLabel(lead, 'ownerName')}</span>}
+                      </p>
+                      {lead.verificationStatus === 'mock' && <p className="text-yellow-300 text-xs">Demo data - not real</p>}
+                      {lead.phone && (
+                        <p>
+                          <strong>Phone:</strong> {lead.phone}
+                          {lead.phoneLineType && <span className="text-purple-400"> ({lead.phoneLineType.replace(/_/g, ' ')})</span>}
+                        </p>
+                      )}
+                      {lead.email && <p><strong>Email:</strong> {lead.email}</p>}
+                      {lead.openingHours?.length > 0 && <p><strong>Hours:</strong> {lead.openingHours.join('; ')}</p>}
+                      {lead.socialProfiles?.some(profile => profile.type === 'company') && (
+                        <p className="flex flex-wrap gap-2">
+                          <strong>Social:</strong>
+                          {lead.socialProfiles.filter(profile => profile.type === 'company').map(profile => (
+                            <a
+                              key={profile.url}
+                              href={profile.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              title={`From ${profile.sources.map(source => source.source).join(', ')}`}
+                              className="underline hover:text-white"
+                            >
+                              {profile.network}
+                            </a>
+                          ))}
+                        </p>
+                      )}
                       {lead.address && <p><strong>Address:</strong> {lead.address}</p>}
                     </div>
                   </div>
                 ))
               )}
             </div>
+            {savedLeadsPage.loaded < savedLeadsPage.total && (
+              <button onClick={loadMoreLeads} className="w-full mt-4 px-4 py-2 bg-white/10 hover:bg-white/20 text-purple-200 rounded-lg text-sm">
+                Load more ({savedLeadsPage.total - savedLeadsPage.loaded} not shown)
+              </button>
+            )}
           </div>
 
         </div>
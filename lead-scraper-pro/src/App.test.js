@@ -1,8 +1,25 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+let authConfig;
+
+beforeEach(() => {
+  authConfig = { local: true, signup: false, needsSetup: false, oidc: { name: 'Okta' } };
+  localStorage.clear();
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(authConfig) }));
+});
+
+test('shows the login screen with the sign-in options until signed in', async () => {
+  render(<App />);
+  expect(screen.getByRole('button', { name: 'Sign In' })).toBeInTheDocument();
+
+  const sso = await screen.findByText('Sign in with Okta');
+  expect(sso).toHaveAttribute('href', expect.stringContaining('/api/auth/oidc/login'));
+  expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/api/auth/config'));
+});
+
+test('offers to create the first account on a new server', async () => {
+  authConfig.needsSetup = true;
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByRole('button', { name: 'Create Account' })).toBeInTheDocument();
 });